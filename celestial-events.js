@@ -0,0 +1,423 @@
+/**
+ * CELESTIAL EVENTS - Predicting when things happen in the sky
+ *
+ * findNextEvent(type, afterDate) searches forward for equinoxes, solstices,
+ * lunar phases, conjunctions and eclipses using the analytic ephemeris in
+ * celestial-mechanics.js. Seasons, phases and conjunctions are roots of an
+ * apparent longitude difference: the search steps forward until it changes
+ * sign, then bisects the bracket to SEARCH_PRECISION_S. Eclipses start from
+ * the syzygy and minimize the Moon-shadow distance around it.
+ *
+ * Accuracy follows the ephemeris: about a minute for Sun and Moon events,
+ * hours for planetary conjunctions (Keplerian elements).
+ *
+ * Philosophy: "MEASURE WHAT YOU CLAIM. CLAIM WHAT YOU MEASURE."
+ */
+
+import { TIME_SCALES, TimeConverter } from './truth-contracts.js';
+import { Ephemeris, EclipseGeometry, PrecessionNutation } from './celestial-mechanics.js';
+import { WGS84 } from './geodesy.js';
+
+// ===== EVENT TYPES =====
+export const EVENT_TYPES = {
+    VERNAL_EQUINOX: 'vernal_equinox',
+    SUMMER_SOLSTICE: 'summer_solstice',
+    AUTUMNAL_EQUINOX: 'autumnal_equinox',
+    WINTER_SOLSTICE: 'winter_solstice',
+    NEW_MOON: 'new_moon',
+    FIRST_QUARTER: 'first_quarter',
+    FULL_MOON: 'full_moon',
+    LAST_QUARTER: 'last_quarter',
+    CONJUNCTION: 'conjunction',             // options.bodies, default Jupiter-Saturn
+    GREAT_CONJUNCTION: 'great_conjunction', // Jupiter-Saturn
+    SOLAR_ECLIPSE: 'solar_eclipse',         // any kind
+    TOTAL_SOLAR_ECLIPSE: 'total_solar_eclipse',
+    ANNULAR_SOLAR_ECLIPSE: 'annular_solar_eclipse',
+    PARTIAL_SOLAR_ECLIPSE: 'partial_solar_eclipse',
+    LUNAR_ECLIPSE: 'lunar_eclipse',         // any kind
+    TOTAL_LUNAR_ECLIPSE: 'total_lunar_eclipse',
+    PARTIAL_LUNAR_ECLIPSE: 'partial_lunar_eclipse',
+    PENUMBRAL_LUNAR_ECLIPSE: 'penumbral_lunar_eclipse'
+};
+
+// Apparent solar longitude (deg) at each equinox and solstice
+const SEASON_LONGITUDES = {
+    vernal_equinox: 0,
+    summer_solstice: 90,
+    autumnal_equinox: 180,
+    winter_solstice: 270
+};
+
+// Moon minus Sun apparent longitude (deg) at each phase
+const PHASE_ELONGATIONS = {
+    new_moon: 0,
+    first_quarter: 90,
+    full_moon: 180,
+    last_quarter: 270
+};
+
+const SEARCH_PRECISION_S = 0.5;
+const DAY_S = 86400;
+const DEG = Math.PI / 180;
+
+// Earth's obliquity at J2000 (IAU 1980), for longitudes from GCRF vectors
+const OBLIQUITY_J2000 = 23.4392911 * DEG;
+
+const EARTH_RADIUS_KM = WGS84.a / 1000;
+const SUN_RADIUS_KM = 696000;
+const MOON_RADIUS_KM = 1737.4;
+const LIGHT_SPEED_KM_S = 299792.458;
+
+// Annual aberration constant (arcsec at 1 AU)
+const ABERRATION_ARCSEC = 20.4898;
+const AU_KM = 149597870.7;
+
+// Beyond these |β| at syzygy (deg) no eclipse is possible
+const SOLAR_ECLIPSE_LATITUDE_LIMIT = 1.6;
+const LUNAR_ECLIPSE_LATITUDE_LIMIT = 1.1;
+
+// ===== HELPERS =====
+
+function wrap180(degrees) {
+    const wrapped = ((degrees + 180) % 360 + 360) % 360;
+    return wrapped - 180;
+}
+
+function nutationInLongitude(utc) {
+    return PrecessionNutation.nutation(TimeConverter.toJulianDate(utc, TIME_SCALES.TT)).dpsi / DEG;
+}
+
+/**
+ * Apparent geocentric Sun longitude (deg): FK5 mean longitude of date
+ * plus nutation and annual aberration
+ */
+function apparentSunLongitude(utc) {
+    const sun = Ephemeris.sunEcliptic(utc);
+    return sun.lon + nutationInLongitude(utc) - ABERRATION_ARCSEC / 3600 * AU_KM / sun.distance;
+}
+
+function apparentMoonLongitude(utc) {
+    return Ephemeris.moonEcliptic(utc).lon + nutationInLongitude(utc);
+}
+
+/**
+ * Geocentric GCRF position (km) of 'sun', 'moon' or a planet
+ */
+function bodyPosition(body, utc) {
+    if (body === 'sun') return Ephemeris.sunPosition(utc);
+    if (body === 'moon') return Ephemeris.moonPosition(utc);
+    return Ephemeris.planetPosition(body, utc);
+}
+
+/**
+ * Longitude (deg) on the J2000 ecliptic of a GCRF vector
+ */
+function eclipticLongitude(p) {
+    const y = p.y * Math.cos(OBLIQUITY_J2000) + p.z * Math.sin(OBLIQUITY_J2000);
+    return Math.atan2(y, p.x) / DEG;
+}
+
+function angleBetween(a, b) {
+    const dot = (a.x * b.x + a.y * b.y + a.z * b.z) / (Math.hypot(a.x, a.y, a.z) * Math.hypot(b.x, b.y, b.z));
+    return Math.acos(Math.min(1, Math.max(-1, dot))) / DEG;
+}
+
+/**
+ * Step from `start` until f changes sign, then bisect. f returns degrees
+ * wrapped to ±180, so a jump of more than 180° is a wrap, not a root.
+ * rising: only accept − → + crossings. Returns a UTC JulianDate.
+ */
+function findCrossing(f, start, { stepSeconds, maxDays, rising = true, label }) {
+    const limit = start.addDays(maxDays);
+    let a = start;
+    let fa = f(a);
+
+    while (a.diffSeconds(limit) < 0) {
+        const b = a.addSeconds(stepSeconds);
+        const fb = f(b);
+        const crossed = rising ? (fa < 0 && fb >= 0) : (Math.sign(fa) !== Math.sign(fb));
+
+        if (crossed && Math.abs(fb - fa) < 180) {
+            return bisect(f, a, b, fa);
+        }
+        a = b;
+        fa = fb;
+    }
+
+    throw new Error(`[Events] No ${label} within ${maxDays} days of ${start.toDate().toISOString()}`);
+}
+
+function bisect(f, a, b, fa) {
+    while (b.diffSeconds(a) > SEARCH_PRECISION_S) {
+        const mid = a.addSeconds(b.diffSeconds(a) / 2);
+        const fm = f(mid);
+        if (Math.sign(fm) === Math.sign(fa)) {
+            a = mid;
+            fa = fm;
+        } else {
+            b = mid;
+        }
+    }
+    return a.addSeconds(b.diffSeconds(a) / 2);
+}
+
+/**
+ * Golden-section minimum of f within ±halfWindowSeconds of `center`
+ */
+function findMinimum(f, center, halfWindowSeconds) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = center.addSeconds(-halfWindowSeconds);
+    let b = center.addSeconds(halfWindowSeconds);
+    let c = b.addSeconds(-ratio * b.diffSeconds(a));
+    let d = a.addSeconds(ratio * b.diffSeconds(a));
+    let fc = f(c);
+    let fd = f(d);
+
+    while (b.diffSeconds(a) > SEARCH_PRECISION_S) {
+        if (fc < fd) {
+            b = d;
+            d = c;
+            fd = fc;
+            c = b.addSeconds(-ratio * b.diffSeconds(a));
+            fc = f(c);
+        } else {
+            a = c;
+            c = d;
+            fc = fd;
+            d = a.addSeconds(ratio * b.diffSeconds(a));
+            fd = f(d);
+        }
+    }
+    return a.addSeconds(b.diffSeconds(a) / 2);
+}
+
+function eventResult(type, utc, details = {}) {
+    return { type, time: utc.toDate(), julianDate: utc, ...details };
+}
+
+// ===== SEASONS AND PHASES =====
+
+function nextSeason(type, start, maxDays) {
+    const target = SEASON_LONGITUDES[type];
+    const utc = findCrossing(t => wrap180(apparentSunLongitude(t) - target), start,
+        { stepSeconds: DAY_S, maxDays, label: type });
+    return eventResult(type, utc, { sunLongitude: target });
+}
+
+function nextPhase(type, start, maxDays) {
+    const target = PHASE_ELONGATIONS[type];
+    const utc = findCrossing(t => wrap180(apparentMoonLongitude(t) - apparentSunLongitude(t) - target), start,
+        { stepSeconds: DAY_S / 4, maxDays, label: type });
+    return eventResult(type, utc, { elongation: target });
+}
+
+// ===== CONJUNCTIONS =====
+// Equal geocentric longitude on the J2000 ecliptic. Planets loop retrograde,
+// so crossings in either direction count (2020's was direct; 1981's triple).
+
+function nextConjunction(type, start, maxDays, bodies) {
+    const [first, second] = bodies;
+    const difference = t => wrap180(
+        eclipticLongitude(bodyPosition(first, t)) - eclipticLongitude(bodyPosition(second, t))
+    );
+    const involvesMoon = bodies.includes('moon');
+
+    const utc = findCrossing(difference, start, {
+        stepSeconds: involvesMoon ? DAY_S / 4 : DAY_S,
+        maxDays,
+        rising: false,
+        label: `${first}-${second} ${type}`
+    });
+
+    return eventResult(type, utc, {
+        bodies: [first, second],
+        separation: angleBetween(bodyPosition(first, utc), bodyPosition(second, utc))
+    });
+}
+
+// ===== SOLAR ECLIPSES =====
+// Greatest eclipse is the instant the shadow axis passes closest to the
+// geocenter: the minimum of √(x² + y²) in the Besselian elements.
+
+function solarEclipseAt(newMoon) {
+    if (Math.abs(Ephemeris.moonEcliptic(newMoon).lat) > SOLAR_ECLIPSE_LATITUDE_LIMIT) return null;
+
+    const axisDistance = t => {
+        const { x, y } = EclipseGeometry.besselianElements(t);
+        return Math.hypot(x, y);
+    };
+    const greatest = findMinimum(axisDistance, newMoon, 6 * 3600);
+    const elements = EclipseGeometry.besselianElements(greatest);
+    const distance = Math.hypot(elements.x, elements.y);
+    if (distance >= 1 + elements.l1) return null;
+
+    const gamma = Math.sign(elements.y) * distance;
+    const [central] = EclipseGeometry.shadowGroundTrack(greatest, greatest).centerline;
+
+    if (!central) {
+        // Only the penumbra reaches the ground; magnitude at the point nearest the axis
+        return {
+            type: EVENT_TYPES.PARTIAL_SOLAR_ECLIPSE,
+            utc: greatest,
+            details: {
+                gamma,
+                magnitude: (elements.l1 - (distance - 1)) / (elements.l1 + elements.l2),
+                location: null,
+                duration: null,
+                width: null
+            }
+        };
+    }
+
+    // Shadow radii on the ground at the central point (sphere for ζ)
+    const zeta = Math.sqrt(Math.max(0, 1 - distance * distance));
+    const L1 = elements.l1 - zeta * elements.tanF1;
+    const L2 = elements.l2 - zeta * elements.tanF2;
+
+    return {
+        type: L2 < 0 ? EVENT_TYPES.TOTAL_SOLAR_ECLIPSE : EVENT_TYPES.ANNULAR_SOLAR_ECLIPSE,
+        utc: greatest,
+        details: {
+            gamma,
+            magnitude: (L1 - L2) / (L1 + L2),
+            location: { lat: central.lat, lon: central.lon },
+            duration: central.duration,
+            width: central.width
+        }
+    };
+}
+
+// ===== LUNAR ECLIPSES =====
+// Earth's shadow radii by Danjon's rule (atmosphere enlarges the Earth's
+// radius by 1/85 ≈ 1%), as in the NASA eclipse canons. Magnitudes are the
+// fraction of the Moon's diameter inside each shadow.
+
+function lunarShadow(utc) {
+    const moon = Ephemeris.moonPosition(utc);
+    const sunNow = Ephemeris.sunPosition(utc);
+    // The shadow points away from where the Sun was when its light left
+    const sun = Ephemeris.sunPosition(TimeConverter.toJulianDate(utc, TIME_SCALES.TT)
+        .addSeconds(-sunNow.distance / LIGHT_SPEED_KM_S));
+
+    const separation = angleBetween(moon, { x: -sun.x, y: -sun.y, z: -sun.z });
+    const moonParallax = Math.asin(EARTH_RADIUS_KM / moon.distance) / DEG * 0.998340;
+    const sunParallax = Math.asin(EARTH_RADIUS_KM / sun.distance) / DEG;
+    const sunSemidiameter = Math.asin(SUN_RADIUS_KM / sun.distance) / DEG;
+    const moonSemidiameter = Math.asin(MOON_RADIUS_KM / moon.distance) / DEG;
+
+    const umbra = 1.01 * moonParallax + sunParallax - sunSemidiameter;
+    const penumbra = 1.01 * moonParallax + sunParallax + sunSemidiameter;
+
+    return {
+        separation,
+        umbralMagnitude: (umbra + moonSemidiameter - separation) / (2 * moonSemidiameter),
+        penumbralMagnitude: (penumbra + moonSemidiameter - separation) / (2 * moonSemidiameter)
+    };
+}
+
+function lunarEclipseAt(fullMoon) {
+    if (Math.abs(Ephemeris.moonEcliptic(fullMoon).lat) > LUNAR_ECLIPSE_LATITUDE_LIMIT) return null;
+
+    const greatest = findMinimum(t => lunarShadow(t).separation, fullMoon, 4 * 3600);
+    const { umbralMagnitude, penumbralMagnitude } = lunarShadow(greatest);
+    if (penumbralMagnitude <= 0) return null;
+
+    let type = EVENT_TYPES.PENUMBRAL_LUNAR_ECLIPSE;
+    if (umbralMagnitude >= 1) type = EVENT_TYPES.TOTAL_LUNAR_ECLIPSE;
+    else if (umbralMagnitude > 0) type = EVENT_TYPES.PARTIAL_LUNAR_ECLIPSE;
+
+    return {
+        type,
+        utc: greatest,
+        details: {
+            magnitude: type === EVENT_TYPES.PENUMBRAL_LUNAR_ECLIPSE ? penumbralMagnitude : umbralMagnitude,
+            umbralMagnitude,
+            penumbralMagnitude
+        }
+    };
+}
+
+/**
+ * Walk syzygies (new or full moons) until one hosts an eclipse of the
+ * wanted kind. `any` is the generic type that accepts every kind.
+ */
+function nextEclipse(type, start, maxDays, { phase, any, eclipseAt }) {
+    const limit = start.addDays(maxDays);
+    // Greatest eclipse can precede the syzygy by a few hours
+    let cursor = start.addDays(-0.5);
+
+    while (cursor.diffSeconds(limit) < 0) {
+        const syzygy = nextPhase(phase, cursor, SEARCH_DAYS.phase).julianDate;
+        if (syzygy.diffSeconds(limit) > 0) break;
+
+        const eclipse = eclipseAt(syzygy);
+
+        if (eclipse && eclipse.utc.diffSeconds(start) >= 0 && (type === any || eclipse.type === type)) {
+            return eventResult(eclipse.type, eclipse.utc, eclipse.details);
+        }
+        cursor = syzygy.addDays(1);
+    }
+
+    throw new Error(`[Events] No ${type} within ${maxDays} days of ${start.toDate().toISOString()}`);
+}
+
+const SOLAR_ECLIPSES = { phase: EVENT_TYPES.NEW_MOON, any: EVENT_TYPES.SOLAR_ECLIPSE, eclipseAt: solarEclipseAt };
+const LUNAR_ECLIPSES = { phase: EVENT_TYPES.FULL_MOON, any: EVENT_TYPES.LUNAR_ECLIPSE, eclipseAt: lunarEclipseAt };
+
+// ===== EVENT SEARCH =====
+
+// Default search horizons (days): one cycle of each event, plus margin
+const SEARCH_DAYS = {
+    season: 400,
+    phase: 40,
+    eclipse: 2000,
+    conjunction: 9000
+};
+
+/**
+ * Next event of `type` (see EVENT_TYPES) strictly after `afterDate`
+ * (UTC Date or JulianDate). Returns { type, time (Date), julianDate (UTC),
+ * ...details }; eclipse types report the kind actually found.
+ * options: { maxDays, bodies: ['jupiter', 'saturn'] for conjunctions }
+ */
+export function findNextEvent(type, afterDate, options = {}) {
+    // Strictly after: a previous result fed back in must not be found again
+    const start = TimeConverter.toJulianDate(afterDate, TIME_SCALES.UTC).addSeconds(SEARCH_PRECISION_S);
+
+    if (type in SEASON_LONGITUDES) {
+        return nextSeason(type, start, options.maxDays || SEARCH_DAYS.season);
+    }
+    if (type in PHASE_ELONGATIONS) {
+        return nextPhase(type, start, options.maxDays || SEARCH_DAYS.phase);
+    }
+
+    switch (type) {
+        case EVENT_TYPES.CONJUNCTION:
+        case EVENT_TYPES.GREAT_CONJUNCTION: {
+            const bodies = type === EVENT_TYPES.GREAT_CONJUNCTION
+                ? ['jupiter', 'saturn']
+                : (options.bodies || ['jupiter', 'saturn']);
+            return nextConjunction(type, start, options.maxDays || SEARCH_DAYS.conjunction, bodies);
+        }
+
+        case EVENT_TYPES.SOLAR_ECLIPSE:
+        case EVENT_TYPES.TOTAL_SOLAR_ECLIPSE:
+        case EVENT_TYPES.ANNULAR_SOLAR_ECLIPSE:
+        case EVENT_TYPES.PARTIAL_SOLAR_ECLIPSE:
+            return nextEclipse(type, start, options.maxDays || SEARCH_DAYS.eclipse, SOLAR_ECLIPSES);
+
+        case EVENT_TYPES.LUNAR_ECLIPSE:
+        case EVENT_TYPES.TOTAL_LUNAR_ECLIPSE:
+        case EVENT_TYPES.PARTIAL_LUNAR_ECLIPSE:
+        case EVENT_TYPES.PENUMBRAL_LUNAR_ECLIPSE:
+            return nextEclipse(type, start, options.maxDays || SEARCH_DAYS.eclipse, LUNAR_ECLIPSES);
+
+        default:
+            throw new Error(`[Events] Unknown event type: ${type}`);
+    }
+}
+
+export default {
+    EVENT_TYPES,
+    findNextEvent
+};
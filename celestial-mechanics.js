@@ -2,12 +2,14 @@
  * CELESTIAL MECHANICS - FULL IERS/IAU TRANSFORMATIONS
  *
  * NASA-grade coordinate transformations with:
- * - Full precession-nutation (IAU 2000/2006)
+ * - Precession-nutation (IAU 2000B) with equinox and CIO paths
  * - Polar motion (IERS EOP)
  * - Earth rotation angle (ERA, not just GMST)
  * - Origin typing (geocenter/barycenter/observer)
  * - Light-time correction
  * - Atmospheric refraction
+ * - Low-precision Sun and Moon ephemeris (VSOP87 / ELP-2000 truncated)
+ * - Keplerian planet positions (JPL approximate elements, 1800-2050)
  *
  * For eclipse path accuracy, not just "pretty sky"
  *
@@ -15,7 +17,9 @@
  */
 
 import * as THREE from 'three';
-import { TIME_SCALES, FRAMES, TruthContract, TimeConverter } from './truth-contracts.js';
+import { TIME_SCALES, FRAMES, TruthContract, TimeConverter, JulianDate } from './truth-contracts.js';
+import { Geodesy, WGS84 } from './geodesy.js';
+import { Quantity, requireConsistent, vectorUnit } from './quantity.js';
 
 // ===== COORDINATE ORIGINS =====
 export const ORIGINS = {
@@ -26,6 +30,33 @@ export const ORIGINS = {
     SELENOCENTRIC: 'SELENOCENTRIC'  // Moon center
 };
 
+// ===== JULIAN DATE INPUTS =====
+// Everything below takes either a plain JD number or a two-part JulianDate.
+// JulianDates carry their scale, so a UTC date handed to a TT model is caught.
+
+function checkScale(jd, scales, context) {
+    if (jd instanceof JulianDate && !scales.includes(jd.scale)) {
+        throw new Error(`[IAU] ${context} needs ${scales.join('/')}, got ${jd.scale}`);
+    }
+}
+
+function daysSinceJ2000(jd) {
+    return jd instanceof JulianDate ? jd.daysSinceJ2000() : jd - 2451545.0;
+}
+
+function centuriesSinceJ2000(jd) {
+    return daysSinceJ2000(jd) / 36525.0;
+}
+
+/**
+ * Fractional part of the day count since J2000, kept exact for JulianDates
+ */
+function dayFraction(jd) {
+    return jd instanceof JulianDate ? jd.fraction : (jd - 2451545.0) % 1.0;
+}
+
+const DYNAMICAL_SCALES = [TIME_SCALES.TT, TIME_SCALES.TDB];
+
 // ===== ENHANCED TRUTH CONTRACT =====
 export class CelestialContract extends TruthContract {
     constructor(config) {
@@ -42,131 +73,465 @@ export class CelestialContract extends TruthContract {
     }
 }
 
-// ===== IAU 2000/2006 PRECESSION-NUTATION =====
-export class PrecessionNutation {
-    /**
-     * Calculate precession matrix (IAU 2006 simplified)
-     * Full model requires ~14,000 terms; this is the truncated version
-     */
-    static precessionMatrix(jdTT) {
-        // Centuries since J2000.0 (TT)
-        const T = (jdTT - 2451545.0) / 36525.0;
+// ===== ROTATION HELPERS =====
+// Frame rotations in the SOFA sense (R1/R2/R3 turn the axes, not the vector):
+// v_new = R(angle) * v_old. THREE's makeRotation* turns the vector, so negate.
 
-        // Mean obliquity (arcseconds → radians)
-        const eps0 = (84381.406 - 46.836769 * T - 0.0001831 * T * T
-                     + 0.00200340 * T * T * T) / 3600 * Math.PI / 180;
+const ARCSEC = Math.PI / 180 / 3600;
+const TURN_ARCSEC = 1296000;
 
-        // Precession angles (arcseconds → radians)
-        const psi_A = (5038.481507 * T - 1.0790069 * T * T
-                      - 0.00114045 * T * T * T) / 3600 * Math.PI / 180;
+function R1(angle) {
+    return new THREE.Matrix4().makeRotationX(-angle);
+}
+
+function R2(angle) {
+    return new THREE.Matrix4().makeRotationY(-angle);
+}
+
+function R3(angle) {
+    return new THREE.Matrix4().makeRotationZ(-angle);
+}
+
+/**
+ * Product of matrices, leftmost applied last: chain(A, B, C) = A * B * C
+ */
+function chain(...matrices) {
+    return matrices.reduce((product, m) => product.multiply(m), new THREE.Matrix4());
+}
 
-        const omega_A = eps0 + (-0.025754 * T + 0.0512623 * T * T
-                               - 0.00772503 * T * T * T) / 3600 * Math.PI / 180;
+function normalizeAngle(angle) {
+    const wrapped = angle % (2 * Math.PI);
+    return wrapped < 0 ? wrapped + 2 * Math.PI : wrapped;
+}
 
-        const chi_A = (10.556403 * T - 2.3814292 * T * T
-                      - 0.00121197 * T * T * T) / 3600 * Math.PI / 180;
+// ===== FUNDAMENTAL ARGUMENTS (IERS Conventions 2003) =====
 
-        // Build rotation matrices (simplified)
-        // Full IAU 2006: R = R_z(-chi_A) * R_x(omega_A) * R_z(psi_A) * R_x(-eps0)
+/**
+ * Delaunay arguments l, l', F, D, Ω plus mean longitudes of Venus and Earth
+ * and general precession in longitude (radians), T in TT centuries
+ */
+function fundamentalArguments(T) {
+    const delaunay = (c0, c1, c2, c3, c4) =>
+        ((c0 + T * (c1 + T * (c2 + T * (c3 + T * c4)))) % TURN_ARCSEC) * ARCSEC;
+
+    return [
+        delaunay(485868.249036, 1717915923.2178, 31.8792, 0.051635, -0.00024470),
+        delaunay(1287104.793048, 129596581.0481, -0.5532, 0.000136, -0.00001149),
+        delaunay(335779.526232, 1739527262.8478, -12.7512, -0.001037, 0.00000417),
+        delaunay(1072260.703692, 1602961601.2090, -6.3706, 0.006593, -0.00003169),
+        delaunay(450160.398036, -6962890.5431, 7.4722, 0.007702, -0.00005939),
+        (3.176146697 + 1021.3285546211 * T) % (2 * Math.PI),
+        (1.753470314 + 628.3075849991 * T) % (2 * Math.PI),
+        (0.024381750 + 0.00000538691 * T) * T
+    ];
+}
 
-        return this.buildPrecessionMatrix(eps0, psi_A, omega_A, chi_A);
+/**
+ * Σ (sin·sin(arg) + cos·cos(arg)) over [multipliers(8), sin, cos] rows (arcsec)
+ */
+function sumSeries(terms, args) {
+    let sum = 0;
+    for (let i = terms.length - 1; i >= 0; i--) {
+        const term = terms[i];
+        let arg = 0;
+        for (let j = 0; j < 8; j++) {
+            arg += term[j] * args[j];
+        }
+        sum += term[8] * Math.sin(arg) + term[9] * Math.cos(arg);
     }
+    return sum;
+}
 
+// ===== IAU 2000B NUTATION SERIES =====
+// McCarthy & Luzum (2003): the 77 largest luni-solar terms of IAU 2000A.
+// [l, l', F, D, Ω, ψ sin, ψ t·sin, ψ cos, ε cos, ε t·cos, ε sin] in 0.1 µas
+const NUTATION_2000B = [
+    [0, 0, 0, 0, 1, -172064161, -174666, 33386, 92052331, 9086, 15377],
+    [0, 0, 2, -2, 2, -13170906, -1675, -13696, 5730336, -3015, -4587],
+    [0, 0, 2, 0, 2, -2276413, -234, 2796, 978459, -485, 1374],
+    [0, 0, 0, 0, 2, 2074554, 207, -698, -897492, 470, -291],
+    [0, 1, 0, 0, 0, 1475877, -3633, 11817, 73871, -184, -1924],
+    [0, 1, 2, -2, 2, -516821, 1226, -524, 224386, -677, -174],
+    [1, 0, 0, 0, 0, 711159, 73, -872, -6750, 0, 358],
+    [0, 0, 2, 0, 1, -387298, -367, 380, 200728, 18, 318],
+    [1, 0, 2, 0, 2, -301461, -36, 816, 129025, -63, 367],
+    [0, -1, 2, -2, 2, 215829, -494, 111, -95929, 299, 132],
+
+    [0, 0, 2, -2, 1, 128227, 137, 181, -68982, -9, 39],
+    [-1, 0, 2, 0, 2, 123457, 11, 19, -53311, 32, -4],
+    [-1, 0, 0, 2, 0, 156994, 10, -168, -1235, 0, 82],
+    [1, 0, 0, 0, 1, 63110, 63, 27, -33228, 0, -9],
+    [-1, 0, 0, 0, 1, -57976, -63, -189, 31429, 0, -75],
+    [-1, 0, 2, 2, 2, -59641, -11, 149, 25543, -11, 66],
+    [1, 0, 2, 0, 1, -51613, -42, 129, 26366, 0, 78],
+    [-2, 0, 2, 0, 1, 45893, 50, 31, -24236, -10, 20],
+    [0, 0, 0, 2, 0, 63384, 11, -150, -1220, 0, 29],
+    [0, 0, 2, 2, 2, -38571, -1, 158, 16452, -11, 68],
+
+    [0, -2, 2, -2, 2, 32481, 0, 0, -13870, 0, 0],
+    [-2, 0, 0, 2, 0, -47722, 0, -18, 477, 0, -25],
+    [2, 0, 2, 0, 2, -31046, -1, 131, 13238, -11, 59],
+    [1, 0, 2, -2, 2, 28593, 0, -1, -12338, 10, -3],
+    [-1, 0, 2, 0, 1, 20441, 21, 10, -10758, 0, -3],
+    [2, 0, 0, 0, 0, 29243, 0, -74, -609, 0, 13],
+    [0, 0, 2, 0, 0, 25887, 0, -66, -550, 0, 11],
+    [0, 1, 0, 0, 1, -14053, -25, 79, 8551, -2, -45],
+    [-1, 0, 0, 2, 1, 15164, 10, 11, -8001, 0, -1],
+    [0, 2, 2, -2, 2, -15794, 72, -16, 6850, -42, -5],
+
+    [0, 0, -2, 2, 0, 21783, 0, 13, -167, 0, 13],
+    [1, 0, 0, -2, 1, -12873, -10, -37, 6953, 0, -14],
+    [0, -1, 0, 0, 1, -12654, 11, 63, 6415, 0, 26],
+    [-1, 0, 2, 2, 1, -10204, 0, 25, 5222, 0, 15],
+    [0, 2, 0, 0, 0, 16707, -85, -10, 168, -1, 10],
+    [1, 0, 2, 2, 2, -7691, 0, 44, 3268, 0, 19],
+    [-2, 0, 2, 0, 0, -11024, 0, -14, 104, 0, 2],
+    [0, 1, 2, 0, 2, 7566, -21, -11, -3250, 0, -5],
+    [0, 0, 2, 2, 1, -6637, -11, 25, 3353, 0, 14],
+    [0, -1, 2, 0, 2, -7141, 21, 8, 3070, 0, 4],
+
+    [0, 0, 0, 2, 1, -6302, -11, 2, 3272, 0, 4],
+    [1, 0, 2, -2, 1, 5800, 10, 2, -3045, 0, -1],
+    [2, 0, 2, -2, 2, 6443, 0, -7, -2768, 0, -4],
+    [-2, 0, 0, 2, 1, -5774, -11, -15, 3041, 0, -5],
+    [2, 0, 2, 0, 1, -5350, 0, 21, 2695, 0, 12],
+    [0, -1, 2, -2, 1, -4752, -11, -3, 2719, 0, -3],
+    [0, 0, 0, -2, 1, -4940, -11, -21, 2720, 0, -9],
+    [-1, -1, 0, 2, 0, 7350, 0, -8, -51, 0, 4],
+    [2, 0, 0, -2, 1, 4065, 0, 6, -2206, 0, 1],
+    [1, 0, 0, 2, 0, 6579, 0, -24, -199, 0, 2],
+
+    [0, 1, 2, -2, 1, 3579, 0, 5, -1900, 0, 1],
+    [1, -1, 0, 0, 0, 4725, 0, -6, -41, 0, 3],
+    [-2, 0, 2, 0, 2, -3075, 0, -2, 1313, 0, -1],
+    [3, 0, 2, 0, 2, -2904, 0, 15, 1233, 0, 7],
+    [0, -1, 0, 2, 0, 4348, 0, -10, -81, 0, 2],
+    [1, -1, 2, 0, 2, -2878, 0, 8, 1232, 0, 4],
+    [0, 0, 0, 1, 0, -4230, 0, 5, -20, 0, -2],
+    [-1, -1, 2, 2, 2, -2819, 0, 7, 1207, 0, 3],
+    [-1, 0, 2, 0, 0, -4056, 0, 5, 40, 0, -2],
+    [0, -1, 2, 2, 2, -2647, 0, 11, 1129, 0, 5],
+
+    [-2, 0, 0, 0, 1, -2294, 0, -10, 1266, 0, -4],
+    [1, 1, 2, 0, 2, 2481, 0, -7, -1062, 0, -3],
+    [2, 0, 0, 0, 1, 2179, 0, -2, -1129, 0, -2],
+    [-1, 1, 0, 1, 0, 3276, 0, 1, -9, 0, 0],
+    [1, 1, 0, 0, 0, -3389, 0, 5, 35, 0, -2],
+    [1, 0, 2, 0, 0, 3339, 0, -13, -107, 0, 1],
+    [-1, 0, 2, -2, 1, -1987, 0, -6, 1073, 0, -2],
+    [1, 0, 0, 0, 2, -1981, 0, 0, 854, 0, 0],
+    [-1, 0, 0, 1, 0, 4026, 0, -353, -553, 0, -139],
+    [0, 0, 2, 1, 2, 1660, 0, -5, -710, 0, -2],
+
+    [-1, 0, 2, 4, 2, -1521, 0, 9, 647, 0, 4],
+    [-1, 1, 0, 1, 1, 1314, 0, 0, -700, 0, 0],
+    [0, -2, 2, -2, 1, -1283, 0, 0, 672, 0, 0],
+    [1, 0, 2, 2, 1, -1331, 0, 8, 663, 0, 4],
+    [-2, 0, 2, 2, 2, 1383, 0, -2, -594, 0, -2],
+    [-1, 0, 0, 0, 2, 1405, 0, 4, -610, 0, 2],
+    [1, 1, 2, -2, 2, 1290, 0, 0, -556, 0, 0]
+];
+
+// Fixed offsets standing in for the planetary nutation terms (mas)
+const NUTATION_2000B_PLANETARY = { dpsi: -0.135e-3, deps: 0.388e-3 };
+
+// Frame bias GCRS → J2000 mean (arcsec) and IAU 2000 precession-rate corrections (arcsec/century)
+const FRAME_BIAS = { dpsi: -0.041775, deps: -0.0068192, dra0: -0.0146 };
+const PRECESSION_RATE_CORRECTION = { dpsi: -0.29965, deps: -0.02524 };
+
+const OBLIQUITY_J2000 = 84381.448 * ARCSEC;
+
+// Equation of the equinoxes complementary terms, IERS 2003 (arcsec)
+// [l, l', F, D, Ω, LVe, LE, pA, sin, cos]
+const EQUINOX_COMPLEMENTARY_T0 = [
+    [0, 0, 0, 0, 1, 0, 0, 0, 2640.96e-6, -0.39e-6],
+    [0, 0, 0, 0, 2, 0, 0, 0, 63.52e-6, -0.02e-6],
+    [0, 0, 2, -2, 3, 0, 0, 0, 11.75e-6, 0.01e-6],
+    [0, 0, 2, -2, 1, 0, 0, 0, 11.21e-6, 0.01e-6],
+    [0, 0, 2, -2, 2, 0, 0, 0, -4.55e-6, 0.00e-6],
+    [0, 0, 2, 0, 3, 0, 0, 0, 2.02e-6, 0.00e-6],
+    [0, 0, 2, 0, 1, 0, 0, 0, 1.98e-6, 0.00e-6],
+    [0, 0, 0, 0, 3, 0, 0, 0, -1.72e-6, 0.00e-6],
+    [0, 1, 0, 0, 1, 0, 0, 0, -1.41e-6, -0.01e-6],
+    [0, 1, 0, 0, -1, 0, 0, 0, -1.26e-6, -0.01e-6],
+    [1, 0, 0, 0, -1, 0, 0, 0, -0.63e-6, 0.00e-6],
+    [1, 0, 0, 0, 1, 0, 0, 0, -0.63e-6, 0.00e-6],
+    [0, 1, 2, -2, 3, 0, 0, 0, 0.46e-6, 0.00e-6],
+    [0, 1, 2, -2, 1, 0, 0, 0, 0.45e-6, 0.00e-6],
+    [0, 0, 4, -4, 4, 0, 0, 0, 0.36e-6, 0.00e-6],
+    [0, 0, 1, -1, 1, -8, 12, 0, -0.24e-6, -0.12e-6],
+    [0, 0, 2, 0, 0, 0, 0, 0, 0.32e-6, 0.00e-6],
+    [0, 0, 2, 0, 2, 0, 0, 0, 0.28e-6, 0.00e-6],
+    [1, 0, 2, 0, 3, 0, 0, 0, 0.27e-6, 0.00e-6],
+    [1, 0, 2, 0, 1, 0, 0, 0, 0.26e-6, 0.00e-6],
+    [0, 0, 2, -2, 0, 0, 0, 0, -0.21e-6, 0.00e-6],
+    [0, 1, -2, 2, -3, 0, 0, 0, 0.19e-6, 0.00e-6],
+    [0, 1, -2, 2, -1, 0, 0, 0, 0.18e-6, 0.00e-6],
+    [0, 0, 0, 0, 0, 8, -13, -1, -0.10e-6, 0.05e-6],
+    [0, 0, 0, 2, 0, 0, 0, 0, 0.15e-6, 0.00e-6],
+    [2, 0, -2, 0, -1, 0, 0, 0, -0.14e-6, 0.00e-6],
+    [1, 0, 0, -2, 1, 0, 0, 0, 0.14e-6, 0.00e-6],
+    [0, 1, 2, -2, 2, 0, 0, 0, -0.14e-6, 0.00e-6],
+    [1, 0, 0, -2, -1, 0, 0, 0, 0.14e-6, 0.00e-6],
+    [0, 0, 4, -2, 4, 0, 0, 0, 0.13e-6, 0.00e-6],
+    [0, 0, 2, -2, 4, 0, 0, 0, -0.11e-6, 0.00e-6],
+    [1, 0, -2, 0, -3, 0, 0, 0, 0.11e-6, 0.00e-6],
+    [1, 0, -2, 0, -1, 0, 0, 0, 0.11e-6, 0.00e-6]
+];
+const EQUINOX_COMPLEMENTARY_T1 = [
+    [0, 0, 0, 0, 1, 0, 0, 0, -0.87e-6, 0.00e-6]
+];
+
+// CIO locator s + XY/2, IERS 2003 (arcsec): polynomial, then series by power of T
+const CIO_LOCATOR_POLYNOMIAL = [94.00e-6, 3808.35e-6, -119.94e-6, -72574.09e-6, 27.70e-6, 15.61e-6];
+const CIO_LOCATOR_SERIES = [
+    [
+        [0, 0, 0, 0, 1, 0, 0, 0, -2640.73e-6, 0.39e-6],
+        [0, 0, 0, 0, 2, 0, 0, 0, -63.53e-6, 0.02e-6],
+        [0, 0, 2, -2, 3, 0, 0, 0, -11.75e-6, -0.01e-6],
+        [0, 0, 2, -2, 1, 0, 0, 0, -11.21e-6, -0.01e-6],
+        [0, 0, 2, -2, 2, 0, 0, 0, 4.57e-6, 0.00e-6],
+        [0, 0, 2, 0, 3, 0, 0, 0, -2.02e-6, 0.00e-6],
+        [0, 0, 2, 0, 1, 0, 0, 0, -1.98e-6, 0.00e-6],
+        [0, 0, 0, 0, 3, 0, 0, 0, 1.72e-6, 0.00e-6],
+        [0, 1, 0, 0, 1, 0, 0, 0, 1.41e-6, 0.01e-6],
+        [0, 1, 0, 0, -1, 0, 0, 0, 1.26e-6, 0.01e-6],
+        [1, 0, 0, 0, -1, 0, 0, 0, 0.63e-6, 0.00e-6],
+        [1, 0, 0, 0, 1, 0, 0, 0, 0.63e-6, 0.00e-6],
+        [0, 1, 2, -2, 3, 0, 0, 0, -0.46e-6, 0.00e-6],
+        [0, 1, 2, -2, 1, 0, 0, 0, -0.45e-6, 0.00e-6],
+        [0, 0, 4, -4, 4, 0, 0, 0, -0.36e-6, 0.00e-6],
+        [0, 0, 1, -1, 1, -8, 12, 0, 0.24e-6, 0.12e-6],
+        [0, 0, 2, 0, 0, 0, 0, 0, -0.32e-6, 0.00e-6],
+        [0, 0, 2, 0, 2, 0, 0, 0, -0.28e-6, 0.00e-6],
+        [1, 0, 2, 0, 3, 0, 0, 0, -0.27e-6, 0.00e-6],
+        [1, 0, 2, 0, 1, 0, 0, 0, -0.26e-6, 0.00e-6],
+        [0, 0, 2, -2, 0, 0, 0, 0, 0.21e-6, 0.00e-6],
+        [0, 1, -2, 2, -3, 0, 0, 0, -0.19e-6, 0.00e-6],
+        [0, 1, -2, 2, -1, 0, 0, 0, -0.18e-6, 0.00e-6],
+        [0, 0, 0, 0, 0, 8, -13, -1, 0.10e-6, -0.05e-6],
+        [0, 0, 0, 2, 0, 0, 0, 0, -0.15e-6, 0.00e-6],
+        [2, 0, -2, 0, -1, 0, 0, 0, 0.14e-6, 0.00e-6],
+        [0, 1, 2, -2, 2, 0, 0, 0, 0.14e-6, 0.00e-6],
+        [1, 0, 0, -2, 1, 0, 0, 0, -0.14e-6, 0.00e-6],
+        [1, 0, 0, -2, -1, 0, 0, 0, -0.14e-6, 0.00e-6],
+        [0, 0, 4, -2, 4, 0, 0, 0, -0.13e-6, 0.00e-6],
+        [0, 0, 2, -2, 4, 0, 0, 0, 0.11e-6, 0.00e-6],
+        [1, 0, -2, 0, -3, 0, 0, 0, -0.11e-6, 0.00e-6],
+        [1, 0, -2, 0, -1, 0, 0, 0, -0.11e-6, 0.00e-6]
+    ],
+    [
+        [0, 0, 0, 0, 2, 0, 0, 0, -0.07e-6, 3.57e-6],
+        [0, 0, 0, 0, 1, 0, 0, 0, 1.71e-6, -0.03e-6],
+        [0, 0, 2, -2, 3, 0, 0, 0, 0.00e-6, 0.48e-6]
+    ],
+    [
+        [0, 0, 0, 0, 1, 0, 0, 0, 743.53e-6, -0.17e-6],
+        [0, 0, 2, -2, 2, 0, 0, 0, 56.91e-6, 0.06e-6],
+        [0, 0, 2, 0, 2, 0, 0, 0, 9.84e-6, -0.01e-6],
+        [0, 0, 0, 0, 2, 0, 0, 0, -8.85e-6, 0.01e-6],
+        [0, 1, 0, 0, 0, 0, 0, 0, -6.38e-6, -0.05e-6],
+        [1, 0, 0, 0, 0, 0, 0, 0, -3.07e-6, 0.00e-6],
+        [0, 1, 2, -2, 2, 0, 0, 0, 2.23e-6, 0.00e-6],
+        [0, 0, 2, 0, 1, 0, 0, 0, 1.67e-6, 0.00e-6],
+        [1, 0, 2, 0, 2, 0, 0, 0, 1.30e-6, 0.00e-6],
+        [0, 1, -2, 2, -2, 0, 0, 0, 0.93e-6, 0.00e-6],
+        [1, 0, 0, -2, 0, 0, 0, 0, 0.68e-6, 0.00e-6],
+        [0, 0, 2, -2, 1, 0, 0, 0, -0.55e-6, 0.00e-6],
+        [1, 0, -2, 0, -2, 0, 0, 0, 0.53e-6, 0.00e-6],
+        [0, 0, 0, 2, 0, 0, 0, 0, -0.27e-6, 0.00e-6],
+        [1, 0, 0, 0, 1, 0, 0, 0, -0.27e-6, 0.00e-6],
+        [1, 0, -2, -2, -2, 0, 0, 0, -0.26e-6, 0.00e-6],
+        [1, 0, 0, 0, -1, 0, 0, 0, -0.25e-6, 0.00e-6],
+        [1, 0, 2, 0, 1, 0, 0, 0, 0.22e-6, 0.00e-6],
+        [2, 0, 0, -2, 0, 0, 0, 0, -0.21e-6, 0.00e-6],
+        [2, 0, -2, 0, -1, 0, 0, 0, 0.20e-6, 0.00e-6],
+        [0, 0, 2, 2, 2, 0, 0, 0, 0.17e-6, 0.00e-6],
+        [2, 0, 2, 0, 2, 0, 0, 0, 0.13e-6, 0.00e-6],
+        [2, 0, 0, 0, 0, 0, 0, 0, -0.13e-6, 0.00e-6],
+        [1, 0, 2, -2, 2, 0, 0, 0, -0.12e-6, 0.00e-6],
+        [0, 0, 2, 0, 0, 0, 0, 0, -0.11e-6, 0.00e-6]
+    ],
+    [
+        [0, 0, 0, 0, 1, 0, 0, 0, 0.30e-6, -23.51e-6],
+        [0, 0, 2, -2, 2, 0, 0, 0, -0.03e-6, -1.39e-6],
+        [0, 0, 2, 0, 2, 0, 0, 0, -0.01e-6, -0.24e-6],
+        [0, 0, 0, 0, 2, 0, 0, 0, 0.00e-6, 0.22e-6]
+    ],
+    [
+        [0, 0, 0, 0, 1, 0, 0, 0, -0.26e-6, -0.01e-6]
+    ]
+];
+
+// ===== IAU 2000B PRECESSION-NUTATION =====
+// Matrices follow the SOFA convention: they carry a GCRS vector into the
+// frame of date (v_date = M * v_gcrs). Transpose to go back.
+export class PrecessionNutation {
     /**
-     * Calculate nutation matrix (IAU 2000B - 77 terms)
-     * Full 2000A has 1365 terms
+     * Nutation in longitude and obliquity (radians), IAU 2000B:
+     * 77 luni-solar terms plus fixed planetary offsets. ~1 mas vs 2000A.
      */
-    static nutationMatrix(jdTT) {
-        const T = (jdTT - 2451545.0) / 36525.0;
+    static nutation(jdTT) {
+        checkScale(jdTT, DYNAMICAL_SCALES, 'nutation');
+        const T = centuriesSinceJ2000(jdTT);
+
+        // 2000B uses the simpler linear Delaunay arguments
+        const arg = (c0, c1) => ((c0 + c1 * T) % TURN_ARCSEC) * ARCSEC;
+        const l = arg(485868.249036, 1717915923.2178);
+        const lPrime = arg(1287104.79305, 129596581.0481);
+        const F = arg(335779.526232, 1739527262.8478);
+        const D = arg(1072260.70369, 1602961601.2090);
+        const Omega = arg(450160.398036, -6962890.5431);
 
-        // Mean anomaly of Moon
-        const l = (134.96340251 + 1717915923.2178 * T) * Math.PI / 180;
+        let dpsi = 0, deps = 0;
+        for (let i = NUTATION_2000B.length - 1; i >= 0; i--) {
+            const [nl, nlp, nf, nd, nom, ps, pst, pc, ec, ect, es] = NUTATION_2000B[i];
+            const theta = (nl * l + nlp * lPrime + nf * F + nd * D + nom * Omega) % (2 * Math.PI);
+            const sin = Math.sin(theta);
+            const cos = Math.cos(theta);
+            dpsi += (ps + pst * T) * sin + pc * cos;
+            deps += (ec + ect * T) * cos + es * sin;
+        }
 
-        // Mean anomaly of Sun
-        const lPrime = (357.52910918 + 129596581.0481 * T) * Math.PI / 180;
+        // 0.1 µas → radians
+        return {
+            dpsi: dpsi * 1e-7 * ARCSEC + NUTATION_2000B_PLANETARY.dpsi * ARCSEC,
+            deps: deps * 1e-7 * ARCSEC + NUTATION_2000B_PLANETARY.deps * ARCSEC
+        };
+    }
 
-        // Moon's mean longitude - Omega
-        const F = (93.27209062 + 1739527262.8478 * T) * Math.PI / 180;
+    /**
+     * IAU 2000 corrections to the IAU 1976 precession rates (radians)
+     */
+    static precessionRateCorrections(jdTT) {
+        const T = centuriesSinceJ2000(jdTT);
+        return {
+            dpsi: PRECESSION_RATE_CORRECTION.dpsi * T * ARCSEC,
+            deps: PRECESSION_RATE_CORRECTION.deps * T * ARCSEC
+        };
+    }
 
-        // Mean elongation of Moon from Sun
-        const D = (297.85019547 + 1602961601.2090 * T) * Math.PI / 180;
+    /**
+     * Mean obliquity of date (radians): IAU 1980 + IAU 2000 rate correction
+     */
+    static meanObliquity(jdTT) {
+        checkScale(jdTT, DYNAMICAL_SCALES, 'meanObliquity');
+        const T = centuriesSinceJ2000(jdTT);
+        const eps80 = (84381.448 + (-46.8150 + (-0.00059 + 0.001813 * T) * T) * T) * ARCSEC;
+        return eps80 + this.precessionRateCorrections(jdTT).deps;
+    }
 
-        // Longitude of ascending node of Moon
-        const Omega = (125.04455501 - 6962890.5431 * T) * Math.PI / 180;
+    /**
+     * Frame bias matrix: GCRS → mean J2000 (constant)
+     */
+    static biasMatrix() {
+        return chain(
+            R1(-FRAME_BIAS.deps * ARCSEC),
+            R2(FRAME_BIAS.dpsi * ARCSEC * Math.sin(OBLIQUITY_J2000)),
+            R3(FRAME_BIAS.dra0 * ARCSEC)
+        );
+    }
 
-        // Nutation in longitude and obliquity (arcseconds, simplified 10-term model)
-        let dpsi = 0, deps = 0;
+    /**
+     * Precession matrix: mean J2000 → mean of date.
+     * IAU 1976 (Lieske) angles with the IAU 2000 rate corrections.
+     */
+    static precessionMatrix(jdTT) {
+        checkScale(jdTT, DYNAMICAL_SCALES, 'precessionMatrix');
+        const T = centuriesSinceJ2000(jdTT);
+        const corrections = this.precessionRateCorrections(jdTT);
 
-        // Simplified IAU 2000B terms (top 10 terms, ~98% accuracy)
-        const nutTerms = [
-            // [multipliers: l l' F D Omega, sin_coeff_psi, cos_coeff_eps]
-            [0,  0,  0,  0,  1, -171996, -174.2, 92025, 8.9],
-            [-2, 0,  0,  2,  2,  -13187,   -1.6,  5736, -3.1],
-            [0,  0,  0,  2,  2,   -2274,   -0.2,   977, -0.5],
-            [0,  0,  0,  0,  2,    2062,    0.2,  -895,  0.5],
-            [0,  1,  0,  0,  0,    1426,   -3.4,    54, -0.1],
-            [0,  0,  1,  0,  0,     712,    0.1,    -7,  0.0],
-            [-2, 1,  0,  2,  2,    -517,    1.2,   224, -0.6],
-            [0,  0,  0,  2,  1,    -386,   -0.4,   200,  0.0],
-            [0,  0,  1,  2,  2,    -301,    0.0,   129, -0.1],
-            [-2, -1, 0,  2,  2,     217,   -0.5,   -95,  0.3]
-        ];
-
-        nutTerms.forEach(term => {
-            const arg = term[0] * l + term[1] * lPrime + term[2] * F
-                      + term[3] * D + term[4] * Omega;
-            dpsi += (term[5] + term[6] * T) * Math.sin(arg);
-            deps += (term[7] + term[8] * T) * Math.cos(arg);
-        });
+        const psiA = (5038.7784 + (-1.07259 - 0.001147 * T) * T) * T * ARCSEC + corrections.dpsi;
+        const omegaA = OBLIQUITY_J2000 + (0.05127 - 0.007726 * T) * T * T * ARCSEC + corrections.deps;
+        const chiA = (10.5526 + (-2.38064 - 0.001125 * T) * T) * T * ARCSEC;
 
-        // Convert to radians
-        dpsi = dpsi / 36000000 * Math.PI / 180;
-        deps = deps / 36000000 * Math.PI / 180;
+        return this.buildPrecessionMatrix(OBLIQUITY_J2000, psiA, omegaA, chiA);
+    }
 
-        // Mean obliquity
-        const eps0 = (84381.448 - 46.8150 * T) / 3600 * Math.PI / 180;
+    /**
+     * Nutation matrix: mean of date → true of date (IAU 2000B)
+     */
+    static nutationMatrix(jdTT) {
+        checkScale(jdTT, DYNAMICAL_SCALES, 'nutationMatrix');
+        const { dpsi, deps } = this.nutation(jdTT);
+        return this.buildNutationMatrix(dpsi, deps, this.meanObliquity(jdTT));
+    }
 
-        return this.buildNutationMatrix(dpsi, deps, eps0);
+    /**
+     * Full NPB: GCRS → true equator and equinox of date
+     */
+    static biasPrecessionNutationMatrix(jdTT) {
+        return chain(this.nutationMatrix(jdTT), this.precessionMatrix(jdTT), this.biasMatrix());
     }
 
     static buildPrecessionMatrix(eps0, psi, omega, chi) {
-        // Simplified rotation matrix composition
-        // Full IAU 2006 uses more complex Fukushima-Williams angles
-
-        const c1 = Math.cos(-eps0);
-        const s1 = Math.sin(-eps0);
-        const c2 = Math.cos(psi);
-        const s2 = Math.sin(psi);
-        const c3 = Math.cos(omega);
-        const s3 = Math.sin(omega);
-        const c4 = Math.cos(-chi);
-        const s4 = Math.sin(-chi);
-
-        // Simplified combined matrix (proper IAU 2006 has more terms)
-        return new THREE.Matrix4().set(
-            c2 * c4, -c2 * s4, s2, 0,
-            c1 * s4 + s1 * s2 * c4, c1 * c4 - s1 * s2 * s4, -s1 * c2, 0,
-            s1 * s4 - c1 * s2 * c4, s1 * c4 + c1 * s2 * s4, c1 * c2, 0,
-            0, 0, 0, 1
-        );
+        return chain(R3(chi), R1(-omega), R3(-psi), R1(eps0));
     }
 
     static buildNutationMatrix(dpsi, deps, eps0) {
-        const eps = eps0 + deps;
-
-        const c1 = Math.cos(-eps0);
-        const s1 = Math.sin(-eps0);
-        const c2 = Math.cos(dpsi);
-        const s2 = Math.sin(dpsi);
-        const c3 = Math.cos(eps);
-        const s3 = Math.sin(eps);
-
-        return new THREE.Matrix4().set(
-            c2, -s2 * c1, -s2 * s1, 0,
-            s2 * c3, c2 * c3 * c1 - s3 * s1, c2 * c3 * s1 + s3 * c1, 0,
-            s2 * s3, c2 * s3 * c1 + c3 * s1, c2 * s3 * s1 - c3 * c1, 0,
-            0, 0, 0, 1
-        );
+        return chain(R1(-(eps0 + deps)), R3(-dpsi), R1(eps0));
+    }
+
+    /**
+     * Equation of the equinoxes (radians): GAST - GMST.
+     * Δψ cos ε plus the IERS 2003 complementary terms.
+     */
+    static equationOfEquinoxes(jdTT) {
+        checkScale(jdTT, DYNAMICAL_SCALES, 'equationOfEquinoxes');
+        const T = centuriesSinceJ2000(jdTT);
+        const args = fundamentalArguments(T);
+        const complementary = sumSeries(EQUINOX_COMPLEMENTARY_T0, args)
+            + sumSeries(EQUINOX_COMPLEMENTARY_T1, args) * T;
+
+        return this.nutation(jdTT).dpsi * Math.cos(this.meanObliquity(jdTT)) + complementary * ARCSEC;
+    }
+
+    // ===== CIO-BASED PATH =====
+
+    /**
+     * CIP coordinates X, Y in the GCRS (radians), from the NPB matrix
+     */
+    static cipXY(jdTT) {
+        const e = this.biasPrecessionNutationMatrix(jdTT).elements;
+        // Third row of the matrix (THREE stores column-major)
+        return { x: e[2], y: e[6] };
+    }
+
+    /**
+     * CIO locator s (radians), IERS 2003 series, given X and Y
+     */
+    static cioLocator(jdTT, x, y) {
+        checkScale(jdTT, DYNAMICAL_SCALES, 'cioLocator');
+        const T = centuriesSinceJ2000(jdTT);
+        const args = fundamentalArguments(T);
+
+        let sPlusHalfXY = 0;
+        for (let power = CIO_LOCATOR_POLYNOMIAL.length - 1; power >= 0; power--) {
+            const series = CIO_LOCATOR_SERIES[power] ? sumSeries(CIO_LOCATOR_SERIES[power], args) : 0;
+            sPlusHalfXY = sPlusHalfXY * T + CIO_LOCATOR_POLYNOMIAL[power] + series;
+        }
+
+        return sPlusHalfXY * ARCSEC - x * y / 2;
+    }
+
+    /**
+     * X, Y, s for the CIO-based transformation
+     */
+    static cipXYS(jdTT) {
+        const { x, y } = this.cipXY(jdTT);
+        return { x, y, s: this.cioLocator(jdTT, x, y) };
+    }
+
+    /**
+     * Celestial-to-intermediate matrix: GCRS → CIRS
+     */
+    static celestialToIntermediateMatrix(jdTT) {
+        const { x, y, s } = this.cipXYS(jdTT);
+        const r2 = x * x + y * y;
+        const e = r2 > 0 ? Math.atan2(y, x) : 0;
+        const d = Math.atan(Math.sqrt(r2 / (1 - r2)));
+
+        return chain(R3(-(e + s)), R2(d), R3(e));
     }
 }
 
@@ -177,11 +542,14 @@ export class EarthRotation {
      * More accurate than GMST for precise work
      */
     static earthRotationAngle(jdUT1) {
-        // Fraction of day since J2000
-        const Du = jdUT1 - 2451545.0;
+        checkScale(jdUT1, [TIME_SCALES.UT1], 'earthRotationAngle');
 
-        // ERA in revolutions (IAU 2000 formula)
-        let theta = 0.7790572732640 + 1.00273781191135448 * Du;
+        // Days since J2000
+        const Du = daysSinceJ2000(jdUT1);
+
+        // ERA in revolutions (IAU 2000 formula), whole days dropped first
+        // so the day fraction keeps its precision: 1.0027... * Du mod 1
+        let theta = 0.7790572732640 + 0.00273781191135448 * Du + dayFraction(jdUT1);
         theta = theta % 1.0;
         if (theta < 0) theta += 1.0;
 
@@ -190,90 +558,96 @@ export class EarthRotation {
     }
 
     /**
-     * Greenwich Mean Sidereal Time (GMST) - IAU 2000
+     * Greenwich Mean Sidereal Time (GMST) - IAU 2000, consistent with ERA
      */
     static greenwichMeanSiderealTime(jdUT1, jdTT) {
-        const T = (jdTT - 2451545.0) / 36525.0;
-        const Du = jdUT1 - 2451545.0;
+        checkScale(jdUT1, [TIME_SCALES.UT1], 'greenwichMeanSiderealTime');
+        checkScale(jdTT, DYNAMICAL_SCALES, 'greenwichMeanSiderealTime');
 
-        // GMST at 0h UT1 (seconds)
-        let gmst = 24110.54841 + 8640184.812866 * T
-                 + 0.093104 * T * T - 0.0000062 * T * T * T;
+        const T = centuriesSinceJ2000(jdTT);
 
-        // Add contribution from UT1 fraction of day
-        gmst += 1.002737909350795 * (Du % 1.0) * 86400;
+        // Accumulated precession in RA (arcseconds)
+        const precession = 0.014506
+            + (4612.15739966 + (1.39667721 + (-0.00009344 + 0.00001882 * T) * T) * T) * T;
 
-        // Convert to radians
-        gmst = (gmst % 86400) / 86400 * 2 * Math.PI;
-        if (gmst < 0) gmst += 2 * Math.PI;
+        return normalizeAngle(this.earthRotationAngle(jdUT1) + precession * ARCSEC);
+    }
 
-        return gmst;
+    /**
+     * Greenwich Apparent Sidereal Time (GAST) - GMST + equation of the equinoxes
+     */
+    static greenwichApparentSiderealTime(jdUT1, jdTT) {
+        return normalizeAngle(
+            this.greenwichMeanSiderealTime(jdUT1, jdTT) + PrecessionNutation.equationOfEquinoxes(jdTT)
+        );
     }
 }
 
 // ===== POLAR MOTION =====
 export class PolarMotion {
     /**
-     * Polar motion correction matrix
-     * Uses xp, yp from IERS Bulletin A
+     * Polar motion matrix W: ITRS → TIRS
+     * Uses xp, yp from IERS Bulletin A (arcseconds); s' neglected as in 2000B
      */
     static polarMotionMatrix(xp, yp) {
-        // xp, yp in arcseconds
-        const xpRad = xp / 3600 * Math.PI / 180;
-        const ypRad = yp / 3600 * Math.PI / 180;
-
-        // Rotation matrices W = R_y(-x_p) * R_x(-y_p)
-        const cxp = Math.cos(xpRad);
-        const sxp = Math.sin(xpRad);
-        const cyp = Math.cos(ypRad);
-        const syp = Math.sin(ypRad);
-
-        return new THREE.Matrix4().set(
-            cyp, 0, -syp, 0,
-            sxp * syp, cxp, sxp * cyp, 0,
-            cxp * syp, -sxp, cxp * cyp, 0,
-            0, 0, 0, 1
-        );
+        // TIRS → ITRS is R1(-yp) * R2(-xp); W is its transpose
+        return chain(R1(-yp * ARCSEC), R2(-xp * ARCSEC)).transpose();
     }
 }
 
 // ===== FULL ECEF ↔ GCRF TRANSFORMATION =====
+// Two equivalent IAU 2000 routes from GCRS to ITRS; they agree to well under 1 mas
+export const REDUCTION_PATHS = {
+    CIO: 'CIO',           // X, Y, s and the Earth Rotation Angle
+    EQUINOX: 'EQUINOX'    // Bias-precession-nutation and GAST
+};
+
 export class IAUTransform {
+    /**
+     * GCRS → ITRS rotation for TT and UT1 dates, polar motion in arcseconds:
+     *   CIO:     [PM] * R3(ERA)  * [C2I]
+     *   EQUINOX: [PM] * R3(GAST) * [NPB]
+     * Transpose for ITRS → GCRS.
+     */
+    static celestialToTerrestrialMatrix(jdTT, jdUT1, xp = 0, yp = 0, path = REDUCTION_PATHS.CIO) {
+        let rotation, celestial;
+        if (path === REDUCTION_PATHS.CIO) {
+            rotation = EarthRotation.earthRotationAngle(jdUT1);
+            celestial = PrecessionNutation.celestialToIntermediateMatrix(jdTT);
+        } else if (path === REDUCTION_PATHS.EQUINOX) {
+            rotation = EarthRotation.greenwichApparentSiderealTime(jdUT1, jdTT);
+            celestial = PrecessionNutation.biasPrecessionNutationMatrix(jdTT);
+        } else {
+            throw new Error(`[IAU] Unknown reduction path: ${path}`);
+        }
+
+        const W = PolarMotion.polarMotionMatrix(xp, yp);
+        return chain(W.transpose(), R3(rotation), celestial);
+    }
+
     /**
      * ECEF (ITRF/WGS84) → GCRF (Geocentric Celestial Reference Frame)
-     * Full IAU 2000/2006 chain:
-     * GCRF = [BPN] * [GAST] * [PM] * ITRF
+     * IAU 2000B chain, CIO-based by default:
+     * GCRF = [C2I]ᵀ * R3(-ERA) * [W] * ITRF
      *
      * Where:
-     * - PM = Polar motion
-     * - GAST = Greenwich Apparent Sidereal Time rotation
-     * - BPN = Bias-Precession-Nutation
+     * - W = Polar motion
+     * - ERA = Earth Rotation Angle (GAST on the equinox path)
+     * - C2I = Celestial-to-intermediate from X, Y, s (NPB on the equinox path)
+     *
+     * utcTime is a UTC Date or a JulianDate in any scale.
+     * eopData defaults to the installed IERS table (TimeConverter.getEOP)
      */
-    static ecefToGCRF(ecef, utcTime, eopData) {
-        // Convert times
-        const ut1Time = TimeConverter.utcToUT1(utcTime);
-        const ttTime = TimeConverter.utcToTT(utcTime);
-
-        const jdUT1 = TimeConverter.dateToJulianDate(ut1Time);
-        const jdTT = TimeConverter.dateToJulianDate(ttTime);
-
-        // 1. Polar Motion correction
-        const W = PolarMotion.polarMotionMatrix(eopData.xp, eopData.yp);
-
-        // 2. Earth Rotation (using ERA for IAU 2000)
-        const era = EarthRotation.earthRotationAngle(jdUT1);
-        const R = new THREE.Matrix4().makeRotationZ(era);
+    static ecefToGCRF(ecef, utcTime, eopData = null, path = REDUCTION_PATHS.CIO) {
+        // Convert times (two-part JDs, so no precision lost near JD 2.45e6)
+        const utc = TimeConverter.toJulianDate(utcTime, TIME_SCALES.UTC);
+        eopData = eopData || TimeConverter.getEOP(utc);
 
-        // 3. Precession-Nutation
-        const P = PrecessionNutation.precessionMatrix(jdTT);
-        const N = PrecessionNutation.nutationMatrix(jdTT);
+        const jdUT1 = TimeConverter.convert(utc, TIME_SCALES.UTC, TIME_SCALES.UT1);
+        const jdTT = TimeConverter.convert(utc, TIME_SCALES.UTC, TIME_SCALES.TT);
 
-        // 4. Compose transformation: GCRF = N * P * R * W * ITRF
-        const transform = new THREE.Matrix4();
-        transform.multiply(N);
-        transform.multiply(P);
-        transform.multiply(R);
-        transform.multiply(W);
+        const transform = this.celestialToTerrestrialMatrix(jdTT, jdUT1, eopData.xp, eopData.yp, path)
+            .transpose();
 
         // Apply to position vector
         const ecefVec = new THREE.Vector3(ecef.x, ecef.y, ecef.z);
@@ -294,16 +668,27 @@ export class IAUTransform {
         };
     }
 
+    /**
+     * WGS84 site { lat, lon, height (m) } → GCRF position in km
+     */
+    static geodeticToGCRF(site, utcTime, eopData = null) {
+        const ecef = Geodesy.geodeticToECEF(site.lat, site.lon, site.height || 0);
+        return this.ecefToGCRF(
+            { x: ecef.x / 1000, y: ecef.y / 1000, z: ecef.z / 1000 },
+            utcTime,
+            eopData
+        );
+    }
+
     /**
      * Simplified version using GMST (less accurate, but faster)
      * Good for ~1 arcsecond accuracy
      */
     static ecefToGCRF_Simple(ecef, utcTime) {
-        const ut1Time = TimeConverter.utcToUT1(utcTime);
-        const ttTime = TimeConverter.utcToTT(utcTime);
+        const utc = TimeConverter.toJulianDate(utcTime, TIME_SCALES.UTC);
 
-        const jdUT1 = TimeConverter.dateToJulianDate(ut1Time);
-        const jdTT = TimeConverter.dateToJulianDate(ttTime);
+        const jdUT1 = TimeConverter.convert(utc, TIME_SCALES.UTC, TIME_SCALES.UT1);
+        const jdTT = TimeConverter.convert(utc, TIME_SCALES.UTC, TIME_SCALES.TT);
 
         const gmst = EarthRotation.greenwichMeanSiderealTime(jdUT1, jdTT);
 
@@ -323,8 +708,31 @@ export class LightTime {
     /**
      * Correct for light travel time
      * Important for barycentric ephemerides
+     *
+     * Plain numbers are km and km/s. With Quantity positions (one unit for
+     * both), returns Quantities: distance, lightTime (s), deltaT (d).
      */
-    static correctForLightTime(observerPos, targetPos, lightSpeed = 299792.458) {
+    static correctForLightTime(observerPos, targetPos, lightSpeed = null) {
+        const unit = vectorUnit(observerPos, 'LightTime observer');
+        vectorUnit(targetPos, 'LightTime target');
+        const tagged = requireConsistent(
+            [observerPos.x, targetPos.x, ...(lightSpeed === null ? [] : [lightSpeed])],
+            'LightTime'
+        );
+
+        if (tagged) {
+            // sub() throws if observer and target use different units
+            const distance = new Quantity(Math.hypot(
+                targetPos.x.sub(observerPos.x).value,
+                targetPos.y.sub(observerPos.y).value,
+                targetPos.z.sub(observerPos.z).value
+            ), unit);
+            const c = lightSpeed || new Quantity(299792.458, 'km/s');
+            const lightTime = new Quantity(distance.in('m') / c.in('m/s'), 's');
+
+            return { distance, lightTime, deltaT: lightTime.to('d') };
+        }
+
         // Distance in km
         const distance = Math.sqrt(
             Math.pow(targetPos.x - observerPos.x, 2) +
@@ -333,7 +741,7 @@ export class LightTime {
         );
 
         // Light travel time in seconds
-        const lightTime = distance / lightSpeed;
+        const lightTime = distance / (lightSpeed || 299792.458);
 
         return {
             distance,
@@ -348,25 +756,28 @@ export class Refraction {
     /**
      * Atmospheric refraction correction
      * Standard model for horizon effects
+     *
+     * Plain numbers: degrees, millibars, Celsius → degrees.
+     * Quantities (angle, pressure, temperature) → Quantity in degrees.
      */
-    static atmosphericRefraction(altitude, pressure = 1013.25, temperature = 10) {
-        // altitude in degrees
-        // pressure in millibars
-        // temperature in Celsius
+    static atmosphericRefraction(altitude, pressure = null, temperature = null) {
+        const given = [altitude, pressure, temperature].filter(value => value !== null);
+        if (requireConsistent(given, 'Refraction')) {
+            const degrees = this.atmosphericRefraction(
+                altitude.in('deg'),
+                pressure === null ? 1013.25 : pressure.in('mbar'),
+                temperature === null ? 10 : temperature.in('degC')
+            );
+            return new Quantity(degrees, 'deg');
+        }
+        if (pressure === null) pressure = 1013.25;
+        if (temperature === null) temperature = 10;
 
         if (altitude < -2) return 0; // Below horizon
 
-        const altRad = altitude * Math.PI / 180;
-
-        // Bennett's formula (accurate to ~0.07' for alt > 15°)
-        let R;
-        if (altitude > 15) {
-            R = 1.0 / Math.tan(altRad + 7.31 / (altitude + 4.4));
-        } else {
-            // Low altitude correction
-            const h = altitude;
-            R = 34.1 / 60 - 4.193264 * h + 0.213640 * h * h;
-        }
+        // Bennett's formula in arcminutes, from the apparent altitude:
+        // ~0.07' from zenith to horizon (34.5' at 0°)
+        let R = 1.0 / Math.tan((altitude + 7.31 / (altitude + 4.4)) * Math.PI / 180);
 
         // Pressure and temperature correction
         R *= (pressure / 1013.25) * (283 / (273 + temperature));
@@ -376,12 +787,538 @@ export class Refraction {
     }
 }
 
+// ===== ANALYTIC SUN AND MOON EPHEMERIS =====
+// Meeus, Astronomical Algorithms (2nd ed.): the abridged VSOP87D Earth series
+// (appendix III, ~1") and the truncated ELP-2000/82 lunar series (ch. 47,
+// ~10" in longitude, ~4" in latitude). Geometric positions - no light-time,
+// aberration or nutation - so they plug straight into LightTime and
+// EclipseGeometry.
+
+// VSOP87D heliocentric Earth, [A, B, C] → A cos(B + C τ), τ in Julian millennia.
+// One array per power of τ; L and B in 1e-8 rad, R in 1e-8 AU.
+const VSOP87_EARTH = {
+    L: [
+        [
+            [175347046, 0, 0], [3341656, 4.6692568, 6283.0758500], [34894, 4.62610, 12566.15170],
+            [3497, 2.7441, 5753.3849], [3418, 2.8289, 3.5231], [3136, 3.6277, 77713.7715],
+            [2676, 4.4181, 7860.4194], [2343, 6.1352, 3930.2097], [1324, 0.7425, 11506.7698],
+            [1273, 2.0371, 529.6910], [1199, 1.1096, 1577.3435], [990, 5.233, 5884.927],
+            [902, 2.045, 26.298], [857, 3.508, 398.149], [780, 1.179, 5223.694],
+            [753, 2.533, 5507.553], [505, 4.583, 18849.228], [492, 4.205, 775.523],
+            [357, 2.920, 0.067], [317, 5.849, 11790.629], [284, 1.899, 796.298],
+            [271, 0.315, 10977.079], [243, 0.345, 5486.778], [206, 4.806, 2544.314],
+            [205, 1.869, 5573.143], [202, 2.458, 6069.777], [156, 0.833, 213.299],
+            [132, 3.411, 2942.463], [126, 1.083, 20.775], [115, 0.645, 0.980],
+            [103, 0.636, 4694.003], [102, 0.976, 15720.839], [102, 4.267, 7.114],
+            [99, 6.21, 2146.17], [98, 0.68, 155.42], [86, 5.98, 161000.69],
+            [85, 1.30, 6275.96], [85, 3.67, 71430.70], [80, 1.81, 17260.15],
+            [79, 3.04, 12036.46], [75, 1.76, 5088.63], [74, 3.50, 3154.69],
+            [74, 4.68, 801.82], [70, 0.83, 9437.76], [62, 3.98, 8827.39],
+            [61, 1.82, 7084.90], [57, 2.78, 6286.60], [56, 4.39, 14143.50],
+            [56, 3.47, 6279.55], [52, 0.19, 12139.55], [52, 1.33, 1748.02],
+            [51, 0.28, 5856.48], [49, 0.49, 1194.45], [41, 5.37, 8429.24],
+            [41, 2.40, 19651.05], [39, 6.17, 10447.39], [37, 6.04, 10213.29],
+            [37, 2.57, 1059.38], [36, 1.71, 2352.87], [36, 1.78, 6812.77],
+            [33, 0.59, 17789.85], [30, 0.44, 83996.85], [30, 2.74, 1349.87],
+            [25, 3.16, 4690.48]
+        ],
+        [
+            [628331966747, 0, 0], [206059, 2.678235, 6283.075850], [4303, 2.6351, 12566.1517],
+            [425, 1.590, 3.523], [119, 5.796, 26.298], [109, 2.966, 1577.344],
+            [93, 2.59, 18849.23], [72, 1.14, 529.69], [68, 1.87, 398.15],
+            [67, 4.41, 5507.55], [59, 2.89, 5223.69], [56, 2.17, 155.42],
+            [45, 0.40, 796.30], [36, 0.47, 775.52], [29, 2.65, 7.11],
+            [21, 5.34, 0.98], [19, 1.85, 5486.78], [19, 4.97, 213.30],
+            [17, 2.99, 6275.96], [16, 0.03, 2544.31], [16, 1.43, 2146.17],
+            [15, 1.21, 10977.08], [12, 2.83, 1748.02], [12, 3.26, 5088.63],
+            [12, 5.27, 1194.45], [12, 2.08, 4694.00], [11, 0.77, 553.57],
+            [10, 1.30, 6286.60], [10, 4.24, 1349.87], [9, 2.70, 242.73],
+            [9, 5.64, 951.72], [8, 5.30, 2352.87], [6, 2.65, 9437.76],
+            [6, 4.67, 4690.48]
+        ],
+        [
+            [52919, 0, 0], [8720, 1.0721, 6283.0758], [309, 0.867, 12566.152],
+            [27, 0.05, 3.52], [16, 5.19, 26.30], [16, 3.68, 155.42],
+            [10, 0.76, 18849.23], [9, 2.06, 77713.77], [7, 0.83, 775.52],
+            [5, 4.66, 1577.34], [4, 1.03, 7.11], [4, 3.44, 5573.14],
+            [3, 5.14, 796.30], [3, 6.05, 5507.55], [3, 1.19, 242.73],
+            [3, 6.12, 529.69], [3, 0.31, 398.15], [3, 2.28, 553.57],
+            [2, 4.38, 5223.69], [2, 3.75, 0.98]
+        ],
+        [
+            [289, 5.844, 6283.076], [35, 0, 0], [17, 5.49, 12566.15],
+            [3, 5.20, 155.42], [1, 4.72, 3.52], [1, 5.30, 18849.23],
+            [1, 5.97, 242.73]
+        ],
+        [
+            [114, 3.142, 0], [8, 4.13, 6283.08], [1, 3.84, 12566.15]
+        ],
+        [
+            [1, 3.14, 0]
+        ]
+    ],
+    B: [
+        [
+            [280, 3.199, 84334.662], [102, 5.422, 5507.553], [80, 3.88, 5223.69],
+            [44, 3.70, 2352.87], [32, 4.00, 1577.34]
+        ],
+        [
+            [9, 3.90, 5507.55], [6, 1.73, 5223.69]
+        ]
+    ],
+    R: [
+        [
+            [100013989, 0, 0], [1670700, 3.0984635, 6283.0758500], [13956, 3.05525, 12566.15170],
+            [3084, 5.1985, 77713.7715], [1628, 1.1739, 5753.3849], [1576, 2.8469, 7860.4194],
+            [925, 5.453, 11506.770], [542, 4.564, 3930.210], [472, 3.661, 5884.927],
+            [346, 0.964, 5507.553], [329, 5.900, 5223.694], [307, 0.299, 5573.143],
+            [243, 4.273, 11790.629], [212, 5.847, 1577.344], [186, 5.022, 10977.079],
+            [175, 3.012, 18849.228], [110, 5.055, 5486.778], [98, 0.89, 6069.78],
+            [86, 5.69, 15720.84], [86, 1.27, 161000.69], [65, 0.27, 17260.15],
+            [63, 0.92, 529.69], [57, 2.01, 83996.85], [56, 5.24, 71430.70],
+            [49, 3.25, 2544.31], [47, 2.58, 775.52], [45, 5.54, 9437.76],
+            [43, 6.01, 6275.96], [39, 5.36, 4694.00], [38, 2.39, 8827.39],
+            [37, 0.83, 19651.05], [37, 4.90, 12139.55], [36, 1.67, 12036.46],
+            [35, 1.84, 2942.46], [33, 0.24, 7084.90], [32, 0.18, 5088.63],
+            [32, 1.78, 398.15], [28, 1.21, 6286.60], [28, 1.90, 6279.55],
+            [26, 4.59, 10447.39]
+        ],
+        [
+            [103019, 1.107490, 6283.075850], [1721, 1.0644, 12566.1517], [702, 3.142, 0],
+            [32, 1.02, 18849.23], [31, 2.84, 5507.55], [25, 1.32, 5223.69],
+            [18, 1.42, 1577.34], [10, 5.91, 10977.08], [9, 1.42, 6275.96],
+            [9, 0.27, 5486.78]
+        ],
+        [
+            [4359, 5.7846, 6283.0758], [124, 5.579, 12566.152], [12, 3.14, 0],
+            [9, 3.63, 77713.77], [6, 1.87, 5573.14], [3, 5.47, 18849.23]
+        ],
+        [
+            [145, 4.273, 6283.076], [7, 3.92, 12566.15]
+        ],
+        [
+            [4, 2.56, 6283.08]
+        ]
+    ]
+};
+
+// ELP-2000/82 longitude and distance terms: [D, M, M', F, Σl (1e-6 deg), Σr (1e-3 km)]
+const LUNAR_LONGITUDE_DISTANCE = [
+    [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403], [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884],
+    [0, 1, 2, 0, -2120, 5751], [0, 2, 0, 0, -2069, 0],
+    [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958],
+    [0, 0, 2, 2, -1110, 0], [3, 0, -1, 0, -892, 3258],
+    [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354],
+    [2, 1, -2, 0, 691, 0], [2, -1, 0, -2, 596, 0],
+    [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739],
+    [2, 1, 0, -2, -399, 0], [0, 0, 2, -2, -381, -4421],
+    [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0],
+    [0, 2, 1, 0, -323, 1165], [1, 1, -1, 0, 299, 0],
+    [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+];
+
+// ELP-2000/82 latitude terms: [D, M, M', F, Σb (1e-6 deg)]
+const LUNAR_LATITUDE = [
+    [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198], [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211], [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794], [0, 0, 0, 3, -1749],
+    [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335],
+    [0, 0, 3, 1, 1107], [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833],
+    [0, 0, 1, -3, 777], [4, 0, -2, 1, 671], [2, 0, 0, -3, 607],
+    [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421],
+    [2, 1, -1, 1, -366], [2, 1, 0, 1, -351], [4, 0, 0, 1, 331],
+    [2, -1, 1, 1, 315], [2, -2, 0, -1, 302], [0, 0, 1, 3, -283],
+    [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185],
+    [2, -1, -2, -1, 181], [0, 1, 2, 1, -177], [4, 0, -2, -1, 176],
+    [4, -1, -1, -1, 166], [1, 0, 1, -1, -164], [4, 0, 1, -1, 132],
+    [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+];
+
+// JPL "Approximate Positions of the Planets" (Standish), Table 1, valid 1800-2050.
+// [a (AU), e, I, L, ϖ, Ω (deg)] at J2000 and their rates per Julian century,
+// mean ecliptic and equinox of J2000. Errors reach ~10' for Saturn.
+const PLANET_ELEMENTS = {
+    mercury: [[0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+              [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]],
+    venus: [[0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+            [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]],
+    earth: [[1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0],
+            [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0]],
+    mars: [[1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+           [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]],
+    jupiter: [[5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+              [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]],
+    saturn: [[9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+             [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]],
+    uranus: [[19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+             [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589]],
+    neptune: [[30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+              [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664]]
+};
+
+const AU_KM = 149597870.7;
+const DEG = Math.PI / 180;
+const LIGHT_TIME_DAYS_PER_AU = 0.0057755183;
+
+function vsopSeries(series, tau) {
+    let total = 0;
+    for (let power = series.length - 1; power >= 0; power--) {
+        let sum = 0;
+        for (const [A, B, C] of series[power]) {
+            sum += A * Math.cos(B + C * tau);
+        }
+        total = total * tau + sum;
+    }
+    return total * 1e-8;
+}
+
+function toTT(time) {
+    if (typeof time === 'number') return JulianDate.fromJD(time, TIME_SCALES.TT);
+    if (time instanceof JulianDate) return TimeConverter.toJulianDate(time, TIME_SCALES.TT);
+    return TimeConverter.convert(JulianDate.fromDate(time), TIME_SCALES.UTC, TIME_SCALES.TT);
+}
+
+function normalizeDegrees(degrees) {
+    const wrapped = degrees % 360;
+    return wrapped < 0 ? wrapped + 360 : wrapped;
+}
+
+export class Ephemeris {
+    /**
+     * Geometric geocentric Sun, ecliptic and mean equinox of date (FK5):
+     * { lon, lat (deg), distance (km) }
+     */
+    static sunEcliptic(time) {
+        const jdTT = toTT(time);
+        const T = jdTT.centuriesSinceJ2000();
+        const tau = T / 10;
+
+        // Heliocentric Earth, flipped to the geocentric Sun
+        const L = vsopSeries(VSOP87_EARTH.L, tau) / DEG;
+        const B = vsopSeries(VSOP87_EARTH.B, tau) / DEG;
+        const R = vsopSeries(VSOP87_EARTH.R, tau);
+        let lon = L + 180;
+        let lat = -B;
+
+        // VSOP87 dynamical ecliptic → FK5 (Meeus 32.3)
+        const lonPrime = (lon - 1.397 * T - 0.00031 * T * T) * DEG;
+        lon += -0.09033 / 3600;
+        lat += 0.03916 / 3600 * (Math.cos(lonPrime) - Math.sin(lonPrime));
+
+        return { lon: normalizeDegrees(lon), lat, distance: R * AU_KM };
+    }
+
+    /**
+     * Geometric geocentric Moon, ecliptic and mean equinox of date:
+     * { lon, lat (deg), distance (km) }
+     */
+    static moonEcliptic(time) {
+        const T = toTT(time).centuriesSinceJ2000();
+        const T2 = T * T;
+        const T3 = T2 * T;
+        const T4 = T3 * T;
+
+        // Mean elements (degrees)
+        const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000;
+        const D = (297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000) * DEG;
+        const M = (357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000) * DEG;
+        const Mp = (134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000) * DEG;
+        const F = (93.2720950 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000) * DEG;
+        const A1 = (119.75 + 131.849 * T) * DEG;
+        const A2 = (53.09 + 479264.290 * T) * DEG;
+        const A3 = (313.45 + 481266.484 * T) * DEG;
+
+        // Terms in M shrink with the decreasing eccentricity of Earth's orbit
+        const E = 1 - 0.002516 * T - 0.0000074 * T2;
+        const eccentricity = m => (m === 0 ? 1 : Math.pow(E, Math.abs(m)));
+
+        let sumL = 0, sumR = 0, sumB = 0;
+        for (const [d, m, mp, f, l, r] of LUNAR_LONGITUDE_DISTANCE) {
+            const arg = d * D + m * M + mp * Mp + f * F;
+            sumL += l * eccentricity(m) * Math.sin(arg);
+            sumR += r * eccentricity(m) * Math.cos(arg);
+        }
+        for (const [d, m, mp, f, b] of LUNAR_LATITUDE) {
+            sumB += b * eccentricity(m) * Math.sin(d * D + m * M + mp * Mp + f * F);
+        }
+
+        // Venus, Jupiter and Earth-flattening terms
+        const LpRad = Lp * DEG;
+        sumL += 3958 * Math.sin(A1) + 1962 * Math.sin(LpRad - F) + 318 * Math.sin(A2);
+        sumB += -2235 * Math.sin(LpRad) + 382 * Math.sin(A3) + 175 * Math.sin(A1 - F)
+              + 175 * Math.sin(A1 + F) + 127 * Math.sin(LpRad - Mp) - 115 * Math.sin(LpRad + Mp);
+
+        return {
+            lon: normalizeDegrees(Lp + sumL / 1e6),
+            lat: sumB / 1e6,
+            distance: 385000.56 + sumR / 1000
+        };
+    }
+
+    /**
+     * Geocentric Sun in the GCRF (km). time: UTC Date, JulianDate, or JD (TT)
+     */
+    static sunPosition(time) {
+        return this.toGCRF(this.sunEcliptic(time), toTT(time), { angle_arcsec: 1, position_m: 1e6 });
+    }
+
+    /**
+     * Geocentric Moon in the GCRF (km). time: UTC Date, JulianDate, or JD (TT)
+     */
+    static moonPosition(time) {
+        return this.toGCRF(this.moonEcliptic(time), toTT(time), { angle_arcsec: 10, position_m: 2e4 });
+    }
+
+    /**
+     * Heliocentric planet (Earth = Earth-Moon barycenter) from Keplerian
+     * elements: { x, y, z } in AU, ecliptic and equinox of J2000
+     */
+    static planetHeliocentric(name, time) {
+        const elements = PLANET_ELEMENTS[name];
+        if (!elements) {
+            throw new Error(`[Ephemeris] Unknown planet: ${name}`);
+        }
+
+        const T = toTT(time).centuriesSinceJ2000();
+        const [a, e, I, L, varpi, node] = elements[0].map((value, i) => value + elements[1][i] * T);
+
+        // Kepler's equation by Newton iteration
+        const M = (normalizeDegrees(L - varpi + 180) - 180) * DEG;
+        let E = M + e * Math.sin(M);
+        for (let i = 0; i < 10; i++) {
+            const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+            E -= dE;
+            if (Math.abs(dE) < 1e-12) break;
+        }
+
+        const xOrbit = a * (Math.cos(E) - e);
+        const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+        const omega = (varpi - node) * DEG;
+        const cosW = Math.cos(omega), sinW = Math.sin(omega);
+        const cosO = Math.cos(node * DEG), sinO = Math.sin(node * DEG);
+        const cosI = Math.cos(I * DEG), sinI = Math.sin(I * DEG);
+
+        return {
+            x: (cosW * cosO - sinW * sinO * cosI) * xOrbit + (-sinW * cosO - cosW * sinO * cosI) * yOrbit,
+            y: (cosW * sinO + sinW * cosO * cosI) * xOrbit + (-sinW * sinO + cosW * cosO * cosI) * yOrbit,
+            z: sinW * sinI * xOrbit + cosW * sinI * yOrbit
+        };
+    }
+
+    /**
+     * Geocentric planet in the GCRF (km), corrected for light-time.
+     * time: UTC Date, JulianDate, or JD (TT)
+     */
+    static planetPosition(name, time) {
+        const jdTT = toTT(time);
+        const earth = this.planetHeliocentric('earth', jdTT);
+
+        let planet = this.planetHeliocentric(name, jdTT);
+        for (let i = 0; i < 2; i++) {
+            const range = Math.hypot(planet.x - earth.x, planet.y - earth.y, planet.z - earth.z);
+            planet = this.planetHeliocentric(name, jdTT.addDays(-range * LIGHT_TIME_DAYS_PER_AU));
+        }
+
+        const vector = new THREE.Vector3(
+            (planet.x - earth.x) * AU_KM,
+            (planet.y - earth.y) * AU_KM,
+            (planet.z - earth.z) * AU_KM
+        );
+        vector.applyMatrix4(chain(
+            PrecessionNutation.biasMatrix().transpose(),
+            R1(-OBLIQUITY_J2000)
+        ));
+
+        return {
+            x: vector.x,
+            y: vector.y,
+            z: vector.z,
+            distance: vector.length(),
+            frame: FRAMES.ECI,
+            origin: ORIGINS.GEOCENTRIC,
+            time: jdTT,
+            contract: new CelestialContract({
+                frame: FRAMES.ECI,
+                timeScale: TIME_SCALES.TT,
+                origin: ORIGINS.GEOCENTRIC,
+                tolerance: { angle_arcsec: 600 }
+            })
+        };
+    }
+
+    /**
+     * Ecliptic of date → mean equator of date → GCRF (precession and frame bias undone)
+     */
+    static toGCRF(ecliptic, jdTT, tolerance) {
+        const lon = ecliptic.lon * DEG;
+        const lat = ecliptic.lat * DEG;
+        const vector = new THREE.Vector3(
+            ecliptic.distance * Math.cos(lat) * Math.cos(lon),
+            ecliptic.distance * Math.cos(lat) * Math.sin(lon),
+            ecliptic.distance * Math.sin(lat)
+        );
+
+        vector.applyMatrix4(chain(
+            PrecessionNutation.biasMatrix().transpose(),
+            PrecessionNutation.precessionMatrix(jdTT).transpose(),
+            R1(-PrecessionNutation.meanObliquity(jdTT))
+        ));
+
+        return {
+            x: vector.x,
+            y: vector.y,
+            z: vector.z,
+            distance: ecliptic.distance,
+            frame: FRAMES.ECI,
+            origin: ORIGINS.GEOCENTRIC,
+            time: jdTT,
+            contract: new CelestialContract({
+                frame: FRAMES.ECI,
+                timeScale: TIME_SCALES.TT,
+                origin: ORIGINS.GEOCENTRIC,
+                tolerance
+            })
+        };
+    }
+}
+
 // ===== ECLIPSE GEOMETRY =====
+// Besselian elements live in the fundamental plane: through the geocenter,
+// perpendicular to the Moon's shadow axis. x, y, l1, l2 are in Earth
+// equatorial radii; ξ̂, η̂, ζ̂ are that plane's axes expressed in ECEF.
+
+// Moon radius in Earth radii: mean (penumbra) and IAU 1982 (umbra), as in NASA bulletins
+const MOON_K_PENUMBRA = 0.2725076;
+const MOON_K_UMBRA = 0.272281;
+const SUN_RADIUS_KM = 696000;
+const LIGHT_SPEED_KM_S = 299792.458;
+const EARTH_RADIUS_KM = WGS84.a / 1000;
+const POLAR_RATIO_SQ = (1 - WGS84.f) * (1 - WGS84.f);
+
+/**
+ * Geocentric position as seen at jdTT: the body where it was one light-time
+ * earlier (light-time and, for geocentric positions, annual aberration)
+ */
+function apparentPosition(provider, jdTT) {
+    const lightTimeDays = provider(jdTT).distance / LIGHT_SPEED_KM_S / 86400;
+    return provider(jdTT.addDays(-lightTimeDays));
+}
+
+/**
+ * Point on the WGS84 surface with fundamental-plane coordinates (ξ, η) on
+ * the sunward side, or null if that line misses the Earth. Earth radii.
+ */
+function surfacePoint(elements, xi, eta) {
+    const { xiAxis, etaAxis, zetaAxis } = elements;
+    const base = xiAxis.clone().multiplyScalar(xi).addScaledVector(etaAxis, eta);
+
+    // |base + t ζ̂| on the ellipsoid x² + y² + z²/(b/a)² = 1
+    const A = zetaAxis.x * zetaAxis.x + zetaAxis.y * zetaAxis.y + zetaAxis.z * zetaAxis.z / POLAR_RATIO_SQ;
+    const B = 2 * (base.x * zetaAxis.x + base.y * zetaAxis.y + base.z * zetaAxis.z / POLAR_RATIO_SQ);
+    const C = base.x * base.x + base.y * base.y + base.z * base.z / POLAR_RATIO_SQ - 1;
+    const discriminant = B * B - 4 * A * C;
+    if (discriminant < 0) return null;
+
+    const zeta = (-B + Math.sqrt(discriminant)) / (2 * A);
+    return { point: base.addScaledVector(zetaAxis, zeta), zeta };
+}
+
+/**
+ * Where the umbral (l2) or penumbral (l1) shadow edge in direction (u, v)
+ * meets the ground. The shadow radius depends on ζ, so iterate.
+ */
+function shadowEdgePoint(elements, u, v, penumbra) {
+    const l = penumbra ? elements.l1 : elements.l2;
+    const tanF = penumbra ? elements.tanF1 : elements.tanF2;
+
+    let zeta = 0;
+    let hit = null;
+    for (let i = 0; i < 5; i++) {
+        const radius = Math.abs(l - zeta * tanF);
+        hit = surfacePoint(elements, elements.x + radius * u, elements.y + radius * v);
+        if (!hit) return null;
+        zeta = hit.zeta;
+    }
+    return hit;
+}
+
+function toGeodetic(pointRadii) {
+    const { lat, lon } = Geodesy.ecefToGeodetic({
+        x: pointRadii.x * WGS84.a,
+        y: pointRadii.y * WGS84.a,
+        z: pointRadii.z * WGS84.a
+    });
+    return { lat, lon };
+}
+
+/**
+ * Fundamental-plane coordinates of a fixed ECEF point (Earth radii)
+ */
+function fundamentalCoordinates(elements, point) {
+    return {
+        xi: point.dot(elements.xiAxis),
+        eta: point.dot(elements.etaAxis),
+        zeta: point.dot(elements.zetaAxis)
+    };
+}
+
+/**
+ * First time in [a, b] (JulianDate UTC) where f changes sign, to ~1 ms
+ */
+function bisect(f, a, b, fa) {
+    for (let i = 0; i < 20; i++) {
+        const mid = a.addSeconds(b.diffSeconds(a) / 2);
+        const fm = f(mid);
+        if (Math.sign(fm) === Math.sign(fa)) {
+            a = mid;
+            fa = fm;
+        } else {
+            b = mid;
+        }
+    }
+    return a.addSeconds(b.diffSeconds(a) / 2);
+}
+
 export class EclipseGeometry {
     /**
      * Calculate umbra/penumbra cone for lunar shadow
+     * Pass a time (Date, JulianDate or JD in TT) instead of positions to use
+     * the built-in ephemeris; the result then carries `sun` and `moon` too.
      */
     static calculateShadowCone(sunPos, moonPos, sunRadius = 696000, moonRadius = 1737.4) {
+        if (sunPos instanceof Date || sunPos instanceof JulianDate || typeof sunPos === 'number') {
+            const sun = Ephemeris.sunPosition(sunPos);
+            const moon = Ephemeris.moonPosition(sunPos);
+            return { ...this.calculateShadowCone(sun, moon, sunRadius, moonRadius), sun, moon };
+        }
+
         // All in km
         const sunMoonDist = Math.sqrt(
             Math.pow(moonPos.x - sunPos.x, 2) +
@@ -411,29 +1348,218 @@ export class EclipseGeometry {
     }
 
     /**
-     * Intersect shadow cone with Earth ellipsoid
-     * Returns eclipse path on ground
+     * Besselian elements at an instant (UTC Date or JulianDate), from the
+     * built-in ephemeris with light-time, referred to the Earth-fixed frame:
+     *   x, y        - shadow axis in the fundamental plane (Earth radii)
+     *   d, mu       - axis declination and Greenwich hour angle (degrees)
+     *   l1, l2      - penumbral / umbral radius in the plane (l2 < 0: total)
+     *   tanF1, tanF2 - cone half-angles
      */
-    static shadowGroundTrack(shadowCone, moonPos, earthRadius = 6378.137) {
-        // Simplified: assumes spherical Earth
-        // Full version uses WGS84 ellipsoid
+    static besselianElements(time, eopData = null) {
+        const utc = TimeConverter.toJulianDate(time, TIME_SCALES.UTC);
+        eopData = eopData || TimeConverter.getEOP(utc);
+        const jdTT = TimeConverter.convert(utc, TIME_SCALES.UTC, TIME_SCALES.TT);
+        const jdUT1 = TimeConverter.convert(utc, TIME_SCALES.UTC, TIME_SCALES.UT1);
+
+        const toEarthFixed = IAUTransform.celestialToTerrestrialMatrix(jdTT, jdUT1, eopData.xp, eopData.yp);
+        const earthFixed = p => new THREE.Vector3(p.x, p.y, p.z)
+            .applyMatrix4(toEarthFixed)
+            .divideScalar(EARTH_RADIUS_KM);
+
+        const sun = earthFixed(apparentPosition(t => Ephemeris.sunPosition(t), jdTT));
+        const moon = earthFixed(apparentPosition(t => Ephemeris.moonPosition(t), jdTT));
+
+        // Shadow axis, pointing from the Moon toward the Sun
+        const sunFromMoon = sun.clone().sub(moon);
+        const G = sunFromMoon.length();
+        const zetaAxis = sunFromMoon.divideScalar(G);
+        const d = Math.asin(zetaAxis.z);
+        const axisLon = Math.atan2(zetaAxis.y, zetaAxis.x);
+        const xiAxis = new THREE.Vector3(-Math.sin(axisLon), Math.cos(axisLon), 0);
+        const etaAxis = new THREE.Vector3(
+            -Math.sin(d) * Math.cos(axisLon), -Math.sin(d) * Math.sin(axisLon), Math.cos(d)
+        );
+
+        const sunRadius = SUN_RADIUS_KM / EARTH_RADIUS_KM;
+        const f1 = Math.asin((sunRadius + MOON_K_PENUMBRA) / G);
+        const f2 = Math.asin((sunRadius - MOON_K_UMBRA) / G);
+        const z = moon.dot(zetaAxis);
+
+        return {
+            time: utc,
+            x: moon.dot(xiAxis),
+            y: moon.dot(etaAxis),
+            d: d / DEG,
+            mu: normalizeDegrees(-axisLon / DEG),
+            l1: z * Math.tan(f1) + MOON_K_PENUMBRA / Math.cos(f1),
+            l2: z * Math.tan(f2) - MOON_K_UMBRA / Math.cos(f2),
+            tanF1: Math.tan(f1),
+            tanF2: Math.tan(f2),
+            xiAxis,
+            etaAxis,
+            zetaAxis
+        };
+    }
 
-        const coneVertex = {
-            x: moonPos.x + shadowCone.axis.x * shadowCone.umbraLength,
-            y: moonPos.y + shadowCone.axis.y * shadowCone.umbraLength,
-            z: moonPos.z + shadowCone.axis.z * shadowCone.umbraLength
+    /**
+     * Central line and limits between two times (UTC Dates or JulianDates).
+     * The shadow axis and cone edges are intersected with the WGS84
+     * ellipsoid every `stepSeconds`; limits are the edge points square to
+     * the shadow's motion over the ground. Returns lat/lon polylines:
+     *   centerline      - { time, lat, lon, duration (s), width (km) }
+     *   northernLimit, southernLimit           - umbral/antumbral edges
+     *   penumbra.northernLimit, .southernLimit - where they reach the ground
+     */
+    static shadowGroundTrack(startTime, endTime, stepSeconds = 60, eopData = null) {
+        const start = TimeConverter.toJulianDate(startTime, TIME_SCALES.UTC);
+        const end = TimeConverter.toJulianDate(endTime, TIME_SCALES.UTC);
+
+        const track = {
+            centerline: [],
+            northernLimit: [],
+            southernLimit: [],
+            penumbra: { northernLimit: [], southernLimit: [] },
+            contract: new CelestialContract({
+                frame: FRAMES.ECEF,
+                timeScale: TIME_SCALES.UTC,
+                origin: ORIGINS.GEOCENTRIC,
+                // Driven by the ~10" lunar ephemeris: ~20 km at the Moon
+                tolerance: { position_m: 2e4 }
+            })
         };
 
-        // Find intersection with sphere (ray-sphere intersection)
-        // This gives eclipse centerline
+        for (let t = start; t.diffSeconds(end) <= 0; t = t.addSeconds(stepSeconds)) {
+            const elements = this.besselianElements(t, eopData);
+            const central = surfacePoint(elements, elements.x, elements.y);
+            if (!central) continue;
+
+            // Shadow velocity relative to the ground under it (Earth radii/s)
+            const later = this.besselianElements(t.addSeconds(1), eopData);
+            const ground = fundamentalCoordinates(later, central.point);
+            const vx = (later.x - elements.x) - (ground.xi - elements.x);
+            const vy = (later.y - elements.y) - (ground.eta - elements.y);
+            const speed = Math.hypot(vx, vy);
+            const across = { u: -vy / speed, v: vx / speed };
+
+            const time = t.toDate();
+            const center = { time, ...toGeodetic(central.point) };
+            const umbraRadius = Math.abs(elements.l2 - central.zeta * elements.tanF2);
+
+            const sides = [1, -1].map(sign => {
+                const umbra = shadowEdgePoint(elements, sign * across.u, sign * across.v, false);
+                const penumbra = shadowEdgePoint(elements, sign * across.u, sign * across.v, true);
+                return {
+                    umbra: umbra && { time, ...toGeodetic(umbra.point) },
+                    penumbra: penumbra && { time, ...toGeodetic(penumbra.point) }
+                };
+            });
+
+            const [north, south] = (sides[0].umbra && sides[0].umbra.lat >= center.lat) ? sides : sides.reverse();
+            const width = north.umbra && south.umbra
+                ? Geodesy.inverse(north.umbra.lat, north.umbra.lon, south.umbra.lat, south.umbra.lon).distance / 1000
+                : null;
+
+            track.centerline.push({ ...center, duration: 2 * umbraRadius / speed, width });
+            if (north.umbra) track.northernLimit.push(north.umbra);
+            if (south.umbra) track.southernLimit.push(south.umbra);
+            if (north.penumbra) track.penumbra.northernLimit.push(north.penumbra);
+            if (south.penumbra) track.penumbra.southernLimit.push(south.penumbra);
+        }
+
+        return track;
+    }
+
+    /**
+     * Local circumstances for an observer { lat, lon, height (m) } around
+     * `time`: contacts C1-C4 (UTC Dates, null if absent), maximum,
+     * magnitude, central duration (s), Sun altitude at maximum (degrees),
+     * and type 'total' | 'annular' | 'partial' | 'none'.
+     * Only the sunward side counts (ζ > 0), so contacts can fall at
+     * sunrise or sunset.
+     */
+    static localCircumstances(observer, time, windowHours = 4, eopData = null) {
+        const center = TimeConverter.toJulianDate(time, TIME_SCALES.UTC);
+        const ecef = Geodesy.geodeticToECEF(observer.lat, observer.lon, observer.height || 0);
+        const site = new THREE.Vector3(ecef.x, ecef.y, ecef.z).divideScalar(WGS84.a);
+
+        const state = t => {
+            const elements = this.besselianElements(t, eopData);
+            const { xi, eta, zeta } = fundamentalCoordinates(elements, site);
+            // Behind the fundamental plane the Earth itself blocks the shadow
+            const m = zeta > 0 ? Math.hypot(elements.x - xi, elements.y - eta) : Infinity;
+            const L1 = elements.l1 - zeta * elements.tanF1;
+            const L2 = elements.l2 - zeta * elements.tanF2;
+            return { elements, m, L1, L2 };
+        };
+        const partial = t => { const s = state(t); return s.L1 - s.m; };
+        const central = t => { const s = state(t); return Math.abs(s.L2) - s.m; };
+
+        // Scan for sign changes, then bisect each
+        const step = 60;
+        const contacts = { C1: null, C2: null, C3: null, C4: null };
+        let best = null;
+        let previous = null;
+        for (let t = center.addSeconds(-windowHours * 3600); t.diffSeconds(center) <= windowHours * 3600;
+            t = t.addSeconds(step)) {
+            const s = state(t);
+            const sample = { t, partial: s.L1 - s.m, central: Math.abs(s.L2) - s.m, m: s.m };
+            if (!best || sample.m < best.m) best = sample;
+
+            if (previous) {
+                if (previous.partial < 0 && sample.partial >= 0 && !contacts.C1) {
+                    contacts.C1 = bisect(partial, previous.t, t, previous.partial);
+                } else if (previous.partial >= 0 && sample.partial < 0) {
+                    contacts.C4 = bisect(partial, previous.t, t, previous.partial);
+                }
+                if (previous.central < 0 && sample.central >= 0 && !contacts.C2) {
+                    contacts.C2 = bisect(central, previous.t, t, previous.central);
+                } else if (previous.central >= 0 && sample.central < 0) {
+                    contacts.C3 = bisect(central, previous.t, t, previous.central);
+                }
+            }
+            previous = sample;
+        }
 
-        // Path width at Earth surface
-        const pathWidth = 2 * earthRadius * Math.tan(shadowCone.umbraAngle);
+        // Golden-section refinement of the closest approach to the axis
+        let a = best.t.addSeconds(-step);
+        let b = best.t.addSeconds(step);
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        while (b.diffSeconds(a) > 0.01) {
+            const c = b.addSeconds(-ratio * b.diffSeconds(a));
+            const d = a.addSeconds(ratio * b.diffSeconds(a));
+            if (state(c).m < state(d).m) b = d; else a = c;
+        }
+        const maximum = a.addSeconds(b.diffSeconds(a) / 2);
+        const atMaximum = state(maximum);
+
+        const magnitude = (atMaximum.L1 - atMaximum.m) / (atMaximum.L1 + atMaximum.L2);
+        const up = new THREE.Vector3(
+            Math.cos(observer.lat * DEG) * Math.cos(observer.lon * DEG),
+            Math.cos(observer.lat * DEG) * Math.sin(observer.lon * DEG),
+            Math.sin(observer.lat * DEG)
+        );
+        const sunAltitude = Math.asin(up.dot(atMaximum.elements.zetaAxis)) / DEG;
+
+        let type = 'none';
+        if (atMaximum.m < atMaximum.L1) {
+            if (atMaximum.m < Math.abs(atMaximum.L2)) {
+                type = atMaximum.L2 < 0 ? 'total' : 'annular';
+            } else {
+                type = 'partial';
+            }
+        }
 
+        const toDate = jd => jd && jd.toDate();
         return {
-            centerline: coneVertex,
-            pathWidth,
-            totalityDuration: null // Requires velocity calculation
+            type,
+            C1: toDate(contacts.C1),
+            C2: toDate(contacts.C2),
+            C3: toDate(contacts.C3),
+            C4: toDate(contacts.C4),
+            maximum: type === 'none' ? null : maximum.toDate(),
+            magnitude: type === 'none' ? 0 : magnitude,
+            duration: contacts.C2 && contacts.C3 ? contacts.C3.diffSeconds(contacts.C2) : 0,
+            sunAltitude
         };
     }
 }
@@ -444,8 +1570,10 @@ export default {
     EarthRotation,
     PolarMotion,
     IAUTransform,
+    REDUCTION_PATHS,
     LightTime,
     Refraction,
+    Ephemeris,
     EclipseGeometry,
     ORIGINS
 };
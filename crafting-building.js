@@ -8,6 +8,7 @@
  */
 
 import * as THREE from 'three';
+import { GAME_EVENTS } from './event-bus.js';
 
 // ===== RESOURCE TYPES =====
 export const RESOURCES = {
@@ -500,6 +501,14 @@ export class CraftingManager {
         this.recipes = { ...RECIPES };
         this.currentCraft = null;
         this.craftProgress = 0;
+        this.bus = null;
+    }
+
+    /**
+     * Publish finished crafts on the event bus
+     */
+    connectEvents(bus) {
+        this.bus = bus;
     }
 
     canCraft(recipeId) {
@@ -566,6 +575,11 @@ export class CraftingManager {
         this.currentCraft = null;
         this.craftProgress = 0;
 
+        this.bus?.publish(GAME_EVENTS.CRAFT_COMPLETE, {
+            ...result,
+            impact: { creation: 1 }
+        }, 'crafting');
+
         return result;
     }
 
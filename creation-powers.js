@@ -8,6 +8,7 @@
  */
 
 import * as THREE from 'three';
+import { GAME_EVENTS } from './event-bus.js';
 
 // ===== GARDEN SYSTEM =====
 export class GardenBuilder {
@@ -27,6 +28,7 @@ export class GardenBuilder {
             water: 100,
             love: Infinity // Love is infinite!
         };
+        this.bus = null;
     }
 
     // Plant a seed at a location
@@ -48,6 +50,12 @@ export class GardenBuilder {
         const garden = this.findOrCreateGarden(position);
         garden.plants.push(plant);
 
+        this.bus?.publish(GAME_EVENTS.PLANT, {
+            species,
+            position: position.clone(),
+            impact: { creation: 1 }
+        }, 'creation');
+
         return {
             success: true,
             message: `Planted a ${species}! 🌱 Water it with love and watch it grow!`,
@@ -436,12 +444,26 @@ export class CreationManager {
         this.sculptor = new TerrainSculptor(scene);
         this.skyPainter = new SkyPainter(scene);
         this.pets = [];
+        this.bus = null;
+    }
+
+    // Publish planting and adoption on the event bus
+    connectEvents(bus) {
+        this.bus = bus;
+        this.garden.bus = bus;
     }
 
     // Adopt an animal as a pet
     adoptPet(animal, ownerName) {
         const pet = new PetCompanion(animal, ownerName);
         this.pets.push(pet);
+
+        this.bus?.publish(GAME_EVENTS.ADOPT_PET, {
+            species: animal.speciesName,
+            bond: pet.bond,
+            impact: { love: 1 }
+        }, 'creation');
+
         return pet;
     }
 
@@ -7,6 +7,8 @@
  * Philosophy: "STORIES EMERGE FROM CHOICES. YOU ARE THE AUTHOR OF YOUR FATE."
  */
 
+import { GAME_EVENTS } from './event-bus.js';
+
 // ===== DIALOGUE NODE TYPES =====
 export const NODE_TYPES = {
     SAY: 'say',           // Character speaks
@@ -402,6 +404,14 @@ export class DialogueManager {
             aria: 0,
             lucidia: 0
         };
+        this.bus = null;
+    }
+
+    /**
+     * Publish dialogue choices as story_choice events
+     */
+    connectEvents(bus) {
+        this.bus = bus;
     }
 
     startConversation(character, startNode = 'greeting_first') {
@@ -463,6 +473,12 @@ export class DialogueManager {
             timestamp: Date.now()
         });
 
+        this.bus?.publish(GAME_EVENTS.STORY_CHOICE, {
+            character: this.currentConversation,
+            choice: choice.text,
+            impact: choice.impact || {}
+        }, 'dialogue');
+
         // Move to next node
         return this.goToNode(choice.next);
     }
@@ -521,6 +537,30 @@ export class StoryManager {
             creation: 0,
             discovery: 0
         };
+
+        this.bus = null;
+        this.unsubscribeBus = null;
+    }
+
+    /**
+     * Record dialogue choices and any gameplay event that carries an impact
+     */
+    connectEvents(bus) {
+        this.disconnectEvents();
+        this.bus = bus;
+        this.unsubscribeBus = bus.on('*', ({ type, payload }) => {
+            if (type === GAME_EVENTS.STORY_CHOICE) {
+                this.recordChoice(payload.choice, payload.impact || {});
+            } else if (payload.impact) {
+                this.recordChoice(type, payload.impact);
+            }
+        });
+    }
+
+    disconnectEvents() {
+        if (this.unsubscribeBus) this.unsubscribeBus();
+        this.unsubscribeBus = null;
+        this.bus = null;
     }
 
     triggerEvent(eventId, context = {}) {
@@ -0,0 +1,668 @@
+/**
+ * EPHEMERIS PROVIDER - Offline reference states for HorizonsAPI
+ *
+ * A provider answers
+ *
+ *   state(body, time, center?) → { position, velocity (km, km/s), center,
+ *                                  frame, origin, contract, source, files }
+ *   covers(body, time, center?) → boolean
+ *
+ * where `time` is a UTC Date or a JulianDate in any scale. OfflineEphemeris
+ * is the file-backed implementation; it reads
+ *
+ * - JPL Horizons vector tables (EPHEM_TYPE=VECTORS text export, default or
+ *   CSV layout, KM-S / KM-D / AU-D units). Records between $$SOE and $$EOE
+ *   are interpolated with cubic Hermite polynomials when velocities are
+ *   present, and 8-point Lagrange when they are not.
+ * - SPK/BSP kernels (DAF, either byte order) with type 2 (position) and
+ *   type 3 (position + velocity) Chebyshev segments, e.g. JPL DE440s.
+ *
+ * Each table or segment gives one target relative to one center. States
+ * between any two bodies chain through shared centers, as SPK readers do:
+ * Moon from Sun = (Moon from Earth) + (Earth from Sun).
+ *
+ * Tables carry their own error estimate: the worst disagreement with the
+ * record left out when interpolating every record from its neighbours. That
+ * is the error at twice the table spacing, so it bounds the real one.
+ *
+ * Philosophy: "TRUTH IS MEASURABLE. WE VERIFY AGAINST REALITY."
+ */
+
+import { TIME_SCALES, FRAMES, JulianDate, TimeConverter } from './truth-contracts.js';
+import { CelestialContract, ORIGINS } from './celestial-mechanics.js';
+
+export const EPHEMERIS_SOURCE = 'JPL_OFFLINE';
+
+// NAIF integer codes; numeric codes are accepted directly
+export const NAIF_IDS = {
+    ssb: 0,
+    mercury_barycenter: 1,
+    venus_barycenter: 2,
+    earth_moon_barycenter: 3,
+    mars_barycenter: 4,
+    jupiter_barycenter: 5,
+    saturn_barycenter: 6,
+    uranus_barycenter: 7,
+    neptune_barycenter: 8,
+    sun: 10,
+    mercury: 199,
+    venus: 299,
+    moon: 301,
+    earth: 399,
+    mars: 499,
+    jupiter: 599,
+    saturn: 699,
+    uranus: 799,
+    neptune: 899
+};
+
+// Axes a table or segment is expressed in (NAIF frame names)
+export const AXES = {
+    EQUATORIAL: 'J2000',    // ICRF
+    ECLIPTIC: 'ECLIPJ2000'  // ecliptic and equinox of J2000
+};
+
+const SPK_FRAMES = { 1: AXES.EQUATORIAL, 17: AXES.ECLIPTIC };
+
+const AU_KM = 149597870.7;
+const DAY_S = 86400;
+const JD_J2000 = 2451545;
+const LAGRANGE_POINTS = 8;
+const MAX_CHAIN = 16;
+// Chebyshev fits reproduce the integration to well under a meter
+const SPK_TOLERANCE_M = 1;
+const MIN_TOLERANCE_M = 1;
+
+const HORIZONS_UNITS = {
+    'KM-S': { length: 1, time: 1 },
+    'KM-D': { length: 1, time: DAY_S },
+    'AU-D': { length: AU_KM, time: DAY_S }
+};
+
+const HORIZONS_TIME_SCALES = { TDB: TIME_SCALES.TDB, TT: TIME_SCALES.TT, UT: TIME_SCALES.UTC };
+
+/**
+ * NAIF code for a body name, code or numeric string
+ */
+export function naifId(body) {
+    if (Number.isInteger(body)) return body;
+    const key = String(body).trim().toLowerCase();
+    if (/^-?\d+$/.test(key)) return Number(key);
+    if (!(key in NAIF_IDS)) {
+        throw new Error(`[Ephemeris] Unknown body: ${body}`);
+    }
+    return NAIF_IDS[key];
+}
+
+function bodyName(id) {
+    return Object.keys(NAIF_IDS).find(name => NAIF_IDS[name] === id) || String(id);
+}
+
+/**
+ * TDB seconds past J2000 (SPK "ephemeris time") for a Date or JulianDate
+ */
+export function ephemerisTime(time) {
+    const jd = time instanceof JulianDate ? time : JulianDate.fromDate(time, TIME_SCALES.UTC);
+    const tdb = TimeConverter.convert(jd, jd.scale, TIME_SCALES.TDB);
+    return ((tdb.day - JD_J2000) + tdb.fraction) * DAY_S;
+}
+
+function contractFor(axes, center, toleranceM) {
+    const origins = {
+        0: ORIGINS.BARYCENTRIC,
+        10: ORIGINS.HELIOCENTRIC,
+        301: ORIGINS.SELENOCENTRIC,
+        399: ORIGINS.GEOCENTRIC
+    };
+    if (!(center in origins)) {
+        throw new Error(`[Ephemeris] No contract origin for center ${bodyName(center)}`);
+    }
+
+    let frame = FRAMES.ICRF_BARYCENTRIC;
+    if (axes === AXES.ECLIPTIC) frame = FRAMES.HELIOCENTRIC_ECLIPTIC;
+    else if (center === 399) frame = FRAMES.ECI;
+    else if (center === 301) frame = FRAMES.MOON_CENTERED;
+
+    return new CelestialContract({
+        frame,
+        timeScale: TIME_SCALES.TDB,
+        origin: origins[center],
+        tolerance: { position_m: toleranceM }
+    });
+}
+
+// ===== INTERPOLATION =====
+
+/**
+ * Cubic Hermite through two records with positions and velocities
+ */
+function hermite(a, b, et) {
+    const h = b.et - a.et;
+    const s = (et - a.et) / h;
+    const s2 = s * s;
+    const s3 = s2 * s;
+    const w = [2 * s3 - 3 * s2 + 1, s3 - 2 * s2 + s, -2 * s3 + 3 * s2, s3 - s2];
+    const dw = [6 * s2 - 6 * s, 3 * s2 - 4 * s + 1, -6 * s2 + 6 * s, 3 * s2 - 2 * s];
+
+    const position = [0, 1, 2].map(k =>
+        w[0] * a.position[k] + w[1] * h * a.velocity[k] + w[2] * b.position[k] + w[3] * h * b.velocity[k]);
+    const velocity = [0, 1, 2].map(k =>
+        (dw[0] * a.position[k] + dw[1] * h * a.velocity[k] + dw[2] * b.position[k] + dw[3] * h * b.velocity[k]) / h);
+    return { position, velocity };
+}
+
+/**
+ * Lagrange polynomial through `nodes` (positions only), with its derivative
+ */
+function lagrange(nodes, et) {
+    const position = [0, 0, 0];
+    const velocity = [0, 0, 0];
+
+    nodes.forEach((node, j) => {
+        let weight = 1;
+        let slope = 0;
+        nodes.forEach((other, m) => {
+            if (m === j) return;
+            const span = node.et - other.et;
+            // d/dt of the product: sum over factors of the others' product
+            slope = slope * (et - other.et) / span + weight / span;
+            weight *= (et - other.et) / span;
+        });
+        for (let k = 0; k < 3; k++) {
+            position[k] += weight * node.position[k];
+            velocity[k] += slope * node.position[k];
+        }
+    });
+    return { position, velocity };
+}
+
+/**
+ * Index of the last record at or before `et` (0 before the first)
+ */
+function indexAt(records, et) {
+    let lo = 0;
+    let hi = records.length - 1;
+    while (hi > lo) {
+        const mid = (lo + hi + 1) >> 1;
+        if (records[mid].et <= et) lo = mid;
+        else hi = mid - 1;
+    }
+    return lo;
+}
+
+// ===== HORIZONS VECTOR TABLE =====
+export class VectorTable {
+    /**
+     * header: { target, center (NAIF codes), axes, targetName, centerName }
+     * records: [{ et (TDB s past J2000), position [km], velocity [km/s] | null }]
+     */
+    constructor(header, records, options = {}) {
+        Object.assign(this, header);
+        this.source = options.source || null;
+        this.records = [...records].sort((a, b) => a.et - b.et);
+        if (this.records.length < 2) {
+            throw new Error(`[Horizons] Need at least 2 records, got ${this.records.length}`);
+        }
+        this.hasVelocity = this.records.every(r => r.velocity);
+        this.start = this.records[0].et;
+        this.end = this.records[this.records.length - 1].et;
+        this.tolerance = this.estimateError();
+    }
+
+    covers(et) {
+        return et >= this.start && et <= this.end;
+    }
+
+    /**
+     * Interpolated state, optionally as if record `exclude` were missing
+     */
+    interpolate(et, exclude = -1) {
+        if (this.hasVelocity) {
+            if (exclude >= 0) return hermite(this.records[exclude - 1], this.records[exclude + 1], et);
+            const i = Math.min(indexAt(this.records, et), this.records.length - 2);
+            return hermite(this.records[i], this.records[i + 1], et);
+        }
+
+        // Only the neighbourhood matters, so leave-one-out stays linear in the table size
+        const nodes = exclude >= 0
+            ? [...this.records.slice(Math.max(0, exclude - LAGRANGE_POINTS), exclude),
+                ...this.records.slice(exclude + 1, exclude + 1 + LAGRANGE_POINTS)]
+            : this.records;
+        const count = Math.min(LAGRANGE_POINTS, nodes.length);
+        const first = Math.max(0, Math.min(indexAt(nodes, et) - Math.floor(count / 2) + 1, nodes.length - count));
+        return lagrange(nodes.slice(first, first + count), et);
+    }
+
+    /**
+     * { position [km], velocity [km/s] } at TDB seconds past J2000
+     */
+    state(et) {
+        if (!this.covers(et)) {
+            throw new Error(`[Horizons] ${et} s past J2000 is outside the table ` +
+                `(${this.start}..${this.end})${this.source ? ` in ${this.source}` : ''}`);
+        }
+        return this.interpolate(et);
+    }
+
+    /**
+     * Leave-one-out error (m) over the interior records
+     */
+    estimateError() {
+        let worst = 0;
+        for (let k = 1; k < this.records.length - 1; k++) {
+            const { et, position } = this.records[k];
+            const estimate = this.interpolate(et, k).position;
+            worst = Math.max(worst, Math.hypot(...estimate.map((p, i) => p - position[i])));
+        }
+        return Math.max(MIN_TOLERANCE_M, worst * 1000);
+    }
+}
+
+function headerField(header, label) {
+    const match = header.match(new RegExp(`^\\s*${label}\\s*:\\s*(.+?)\\s*$`, 'm'));
+    return match ? match[1] : null;
+}
+
+function headerBody(header, label) {
+    const field = headerField(header, label);
+    const match = field && field.match(/^(.*?)\s*\((-?\d+)\)/);
+    if (!match) {
+        throw new Error(`[Horizons] Missing or malformed "${label}" in header`);
+    }
+    return { name: match[1], id: Number(match[2]) };
+}
+
+/**
+ * Exact two-part JulianDate from a Horizons JD column ("2460409.250000000")
+ */
+function parseJD(text, scale) {
+    const [whole, decimals = '0'] = text.trim().split('.');
+    return new JulianDate(Number(whole), Number(`0.${decimals}`), scale);
+}
+
+function parseRecord(jd, values, units, line) {
+    const component = key => {
+        const value = values[key];
+        if (value === undefined) return undefined;
+        if (!Number.isFinite(value)) {
+            throw new Error(`[Horizons] Non-numeric ${key} near: ${line}`);
+        }
+        return value;
+    };
+    const position = ['X', 'Y', 'Z'].map(component);
+    if (position.some(v => v === undefined)) {
+        throw new Error(`[Horizons] Record without X/Y/Z near: ${line}`);
+    }
+    const velocity = ['VX', 'VY', 'VZ'].map(component);
+
+    return {
+        et: ephemerisTime(jd),
+        position: position.map(v => v * units.length),
+        velocity: velocity.some(v => v === undefined)
+            ? null
+            : velocity.map(v => v * units.length / units.time)
+    };
+}
+
+/**
+ * Parse a JPL Horizons vector table export (text or CSV layout)
+ */
+export function parseHorizonsVectors(text, source = null) {
+    const start = text.indexOf('$$SOE');
+    const stop = text.indexOf('$$EOE');
+    if (start === -1 || stop < start) {
+        throw new Error('[Horizons] No $$SOE/$$EOE data block');
+    }
+    const header = text.slice(0, start);
+
+    const target = headerBody(header, 'Target body name');
+    const center = headerBody(header, 'Center body name');
+    const site = headerField(header, 'Center-site name');
+    if (site && !/BODY CENTER/i.test(site)) {
+        throw new Error(`[Horizons] Topocentric tables are not supported (center site: ${site})`);
+    }
+
+    const frame = headerField(header, 'Reference frame') || 'ICRF';
+    if (!/ICRF|J2000/i.test(frame)) {
+        throw new Error(`[Horizons] Unsupported reference frame: ${frame}`);
+    }
+    const plane = `${frame} ${headerField(header, 'Coordinate systm') || ''}`;
+    const axes = /ecliptic/i.test(plane) ? AXES.ECLIPTIC : AXES.EQUATORIAL;
+
+    const unitName = (headerField(header, 'Output units') || 'KM-S').toUpperCase();
+    const units = HORIZONS_UNITS[unitName];
+    if (!units) {
+        throw new Error(`[Horizons] Unsupported output units: ${unitName}`);
+    }
+
+    const scaleMatch = header.match(/^\s*JD(TDB|TT|UT)\b/m);
+    const scale = HORIZONS_TIME_SCALES[scaleMatch ? scaleMatch[1] : 'TDB'];
+
+    // CSV column names come from the header line that starts with JDTDB
+    const csvHeader = header.match(/^\s*JD\w*\s*,.*$/m);
+    const columns = csvHeader
+        ? csvHeader[0].split(',').map(name => name.trim().split(/\s/)[0].toUpperCase())
+        : ['JD', 'CALENDAR', 'X', 'Y', 'Z', 'VX', 'VY', 'VZ'];
+
+    const lines = text.slice(start + 5, stop).split(/\r?\n/).filter(line => line.trim());
+    const records = [];
+    let pending = null;
+    const flush = () => {
+        if (pending) records.push(parseRecord(pending.jd, pending.values, units, pending.line));
+        pending = null;
+    };
+
+    for (const line of lines) {
+        const jdMatch = line.match(/^\s*(\d+\.\d+)\s*([=,])/);
+        if (jdMatch && jdMatch[2] === ',') {
+            flush();
+            const values = {};
+            line.split(',').forEach((field, i) => {
+                if (i > 0 && columns[i] && field.trim()) values[columns[i]] = Number(field);
+            });
+            records.push(parseRecord(parseJD(jdMatch[1], scale), values, units, line));
+        } else if (jdMatch) {
+            flush();
+            pending = { jd: parseJD(jdMatch[1], scale), values: {}, line };
+        } else if (pending) {
+            for (const [, key, value] of line.matchAll(/\b(X|Y|Z|VX|VY|VZ)\s*=\s*([-+]?[\d.]+(?:E[-+]?\d+)?)/g)) {
+                pending.values[key] = Number(value);
+            }
+        } else {
+            throw new Error(`[Horizons] Unexpected line before the first record: ${line.trim()}`);
+        }
+    }
+    flush();
+
+    return new VectorTable({
+        target: target.id,
+        center: center.id,
+        targetName: target.name,
+        centerName: center.name,
+        axes
+    }, records, { source });
+}
+
+// ===== SPK CHEBYSHEV SEGMENTS =====
+export class ChebyshevSegment {
+    /**
+     * summary: { target, center, axes, type (2 | 3), start, end (ET) }
+     * view: DataView over the kernel; begin/end: 1-based double addresses
+     */
+    constructor(summary, view, littleEndian, begin, end, options = {}) {
+        Object.assign(this, summary);
+        this.source = options.source || null;
+        this.name = options.name || '';
+        this.view = view;
+        this.littleEndian = littleEndian;
+        this.begin = begin;
+        this.tolerance = SPK_TOLERANCE_M;
+
+        // Directory at the end of the segment: INIT, INTLEN, RSIZE, N
+        const [init, intervalLength, recordSize, count] = [3, 2, 1, 0].map(back => this.double(end - back));
+        Object.assign(this, { init, intervalLength, recordSize, count });
+        this.components = this.type === 2 ? 3 : 6;
+        this.coefficients = (recordSize - 2) / this.components;
+        if (!Number.isInteger(this.coefficients) || this.coefficients < 1) {
+            throw new Error(`[SPK] Bad record size ${recordSize} for type ${this.type} segment`);
+        }
+    }
+
+    double(address) {
+        return this.view.getFloat64((address - 1) * 8, this.littleEndian);
+    }
+
+    covers(et) {
+        return et >= this.start && et <= this.end;
+    }
+
+    /**
+     * { position [km], velocity [km/s] } at TDB seconds past J2000
+     */
+    state(et) {
+        if (!this.covers(et)) {
+            throw new Error(`[SPK] ${et} s past J2000 is outside the segment (${this.start}..${this.end})`);
+        }
+        const index = Math.min(this.count - 1, Math.max(0, Math.floor((et - this.init) / this.intervalLength)));
+        const record = this.begin + index * this.recordSize;
+        const mid = this.double(record);
+        const radius = this.double(record + 1);
+        const s = (et - mid) / radius;
+
+        // Chebyshev T_n(s) and dT_n/ds by recurrence
+        const n = this.coefficients;
+        const T = [1, s];
+        const dT = [0, 1];
+        for (let k = 2; k < n; k++) {
+            T[k] = 2 * s * T[k - 1] - T[k - 2];
+            dT[k] = 2 * T[k - 1] + 2 * s * dT[k - 1] - dT[k - 2];
+        }
+
+        const series = (component, basis) => {
+            const first = record + 2 + component * n;
+            let sum = 0;
+            for (let k = 0; k < n; k++) sum += this.double(first + k) * basis[k];
+            return sum;
+        };
+
+        const position = [0, 1, 2].map(c => series(c, T));
+        const velocity = this.type === 3
+            ? [3, 4, 5].map(c => series(c, T))
+            : [0, 1, 2].map(c => series(c, dT) / radius);
+        return { position, velocity };
+    }
+}
+
+/**
+ * Parse the type 2 and 3 segments of an SPK kernel (DAF/SPK, any byte order).
+ * `bytes`: ArrayBuffer, Uint8Array or Buffer
+ */
+export function parseSPK(bytes, source = null) {
+    const data = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const text = (offset, length) => String.fromCharCode(...data.subarray(offset, offset + length));
+
+    if (data.byteLength < 1024 || !text(0, 8).startsWith('DAF/SPK')) {
+        throw new Error('[SPK] Not a DAF/SPK file');
+    }
+    const format = text(88, 8);
+    if (format !== 'LTL-IEEE' && format !== 'BIG-IEEE') {
+        throw new Error(`[SPK] Unsupported binary format: ${format.trim() || '(none)'}`);
+    }
+    const little = format === 'LTL-IEEE';
+    const int = offset => view.getInt32(offset, little);
+    const double = offset => view.getFloat64(offset, little);
+
+    const nd = int(8);
+    const ni = int(12);
+    const summaryBytes = (nd + Math.floor((ni + 1) / 2)) * 8;
+    const segments = [];
+
+    // Summary records form a linked list starting at FWARD
+    let record = int(76);
+    for (let visited = 0; record > 0; visited++) {
+        if (visited > data.byteLength / 1024) {
+            throw new Error('[SPK] Summary records loop');
+        }
+        const base = (record - 1) * 1024;
+        const count = double(base + 16);
+
+        for (let i = 0; i < count; i++) {
+            const offset = base + 24 + i * summaryBytes;
+            const [start, end] = [double(offset), double(offset + 8)];
+            const [target, center, frame, type, first, last] =
+                [0, 1, 2, 3, 4, 5].map(k => int(offset + nd * 8 + k * 4));
+            const name = text(base + 1024 + i * summaryBytes, summaryBytes).replace(/\0/g, ' ').trim();
+
+            if ((type !== 2 && type !== 3) || !SPK_FRAMES[frame]) {
+                console.warn(`[SPK] ⚠ Skipping ${name || `${target} from ${center}`}: type ${type}, frame ${frame}`);
+                continue;
+            }
+            segments.push(new ChebyshevSegment(
+                { target, center, axes: SPK_FRAMES[frame], type, start, end },
+                view, little, first, last, { source, name }
+            ));
+        }
+        record = double(base);
+    }
+    return segments;
+}
+
+// ===== OFFLINE EPHEMERIS =====
+export class OfflineEphemeris {
+    /**
+     * segments: VectorTables and/or ChebyshevSegments. Where several cover
+     * the same target and time, the one added last wins (SPK precedence).
+     */
+    constructor(segments = []) {
+        this.segments = [];
+        this.source = EPHEMERIS_SOURCE;
+        this.add(...segments);
+    }
+
+    add(...segments) {
+        this.segments.push(...segments.flat());
+        return this;
+    }
+
+    /**
+     * Ephemeris from local files: *.bsp as SPK, anything else as Horizons text
+     */
+    static async load(...paths) {
+        const ephemeris = new OfflineEphemeris();
+        for (const path of paths) {
+            ephemeris.add(/\.bsp$/i.test(String(path)) ? await loadSPK(path) : await loadHorizonsVectors(path));
+        }
+        return ephemeris;
+    }
+
+    segmentFor(id, et) {
+        for (let i = this.segments.length - 1; i >= 0; i--) {
+            const segment = this.segments[i];
+            if (segment.target === id && segment.covers(et)) return segment;
+        }
+        return null;
+    }
+
+    /**
+     * Segments from `id` up the center links to a body nothing is relative to
+     */
+    chain(id, et) {
+        const segments = [];
+        let current = id;
+        for (let depth = 0; depth < MAX_CHAIN; depth++) {
+            const segment = this.segmentFor(current, et);
+            if (!segment) return { segments, root: current };
+            segments.push(segment);
+            current = segment.center;
+        }
+        throw new Error(`[Ephemeris] Center chain from ${bodyName(id)} does not terminate`);
+    }
+
+    /**
+     * State of `body` relative to `center` at `time`. The center defaults to
+     * the one the body's own table or segment is given from.
+     */
+    state(body, time, center = null) {
+        const id = naifId(body);
+        const et = ephemerisTime(time);
+        const own = this.segmentFor(id, et);
+        const centerId = center === null ? own && own.center : naifId(center);
+        if (centerId === null || centerId === undefined) {
+            throw new Error(`[Ephemeris] No data for ${bodyName(id)} at ${et} s past J2000 TDB`);
+        }
+
+        const target = this.chain(id, et);
+        const origin = this.chain(centerId, et);
+        if (target.root !== origin.root) {
+            throw new Error(`[Ephemeris] No path from ${bodyName(centerId)} to ${bodyName(id)} ` +
+                `at ${et} s past J2000 TDB`);
+        }
+        // Links both chains share cancel: drop them rather than add their error twice
+        while (target.segments.length && origin.segments.length
+            && target.segments[target.segments.length - 1] === origin.segments[origin.segments.length - 1]) {
+            target.segments.pop();
+            origin.segments.pop();
+        }
+
+        const used = [...target.segments, ...origin.segments];
+        const axes = new Set(used.map(segment => segment.axes));
+        if (axes.size > 1) {
+            throw new Error(`[Ephemeris] Cannot chain segments in different axes: ${[...axes].join(', ')}`);
+        }
+
+        const position = [0, 0, 0];
+        const velocity = [0, 0, 0];
+        used.forEach(segment => {
+            const sign = target.segments.includes(segment) ? 1 : -1;
+            const state = segment.state(et);
+            for (let k = 0; k < 3; k++) {
+                position[k] += sign * state.position[k];
+                velocity[k] += sign * state.velocity[k];
+            }
+        });
+
+        const tolerance = used.reduce((sum, segment) => sum + segment.tolerance, 0);
+        const contract = contractFor([...axes][0] || AXES.EQUATORIAL, centerId, Math.max(tolerance, MIN_TOLERANCE_M));
+        const toVector = v => ({ x: v[0], y: v[1], z: v[2] });
+        return {
+            body: bodyName(id),
+            center: bodyName(centerId),
+            et,
+            position: toVector(position),
+            velocity: toVector(velocity),
+            frame: contract.frame,
+            origin: contract.origin,
+            contract,
+            source: this.source,
+            files: [...new Set(used.map(segment => segment.source).filter(Boolean))]
+        };
+    }
+
+    covers(body, time, center = null) {
+        try {
+            this.state(body, time, center);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// ===== FILE LOADERS =====
+
+/**
+ * Load a Horizons vector table export from a local path
+ */
+export async function loadHorizonsVectors(path) {
+    const { readFile } = await import('node:fs/promises');
+    const table = parseHorizonsVectors(await readFile(path, 'utf8'), String(path));
+    console.log(`[Horizons] ✓ ${table.targetName} from ${table.centerName}: ` +
+        `${table.records.length} records from ${path}`);
+    return table;
+}
+
+/**
+ * Load the Chebyshev segments of a local SPK/BSP kernel
+ */
+export async function loadSPK(path) {
+    const { readFile } = await import('node:fs/promises');
+    const segments = parseSPK(await readFile(path), String(path));
+    console.log(`[SPK] ✓ ${segments.length} segments from ${path}`);
+    return segments;
+}
+
+export default {
+    OfflineEphemeris,
+    VectorTable,
+    ChebyshevSegment,
+    parseHorizonsVectors,
+    parseSPK,
+    loadHorizonsVectors,
+    loadSPK,
+    naifId,
+    ephemerisTime,
+    NAIF_IDS,
+    AXES,
+    EPHEMERIS_SOURCE
+};
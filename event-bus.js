@@ -0,0 +1,260 @@
+/**
+ * EVENT BUS - One channel for everything that happens in the world
+ *
+ * Gameplay systems publish what happened (a seed was planted, a volcano
+ * erupted, the weather changed) and other systems react without knowing who
+ * sent it: quests track progress, the story and the world remember impact,
+ * the UI shows a notification.
+ *
+ * - Typed: every event type has a payload schema; unknown types and missing
+ *   fields throw at the publisher, not somewhere downstream
+ * - Wildcards: subscribe to '*' or a prefix such as 'eruption_*'
+ * - Event log: recent events are kept and can be replayed for debugging
+ *
+ * Philosophy: "EVERY ACTION RIPPLES THROUGH THE WORLD"
+ */
+
+// ===== EVENT TYPES =====
+export const GAME_EVENTS = {
+    // Player actions
+    MOVE: 'move',
+    VISIT_BIOME: 'visit_biome',
+    TRAVEL: 'travel',
+    PLANT: 'plant',
+    ADOPT_PET: 'adopt_pet',
+    SCULPT: 'sculpt',
+    LOVE_CREATURE: 'love_creature',
+    MEET_AGENT: 'meet_agent',
+    GIVE_GIFT: 'give_gift',
+    FLY: 'fly',
+    PAINT_SKY: 'paint_sky',
+    TIME_SPENT: 'time_spent',
+    STORY_CHOICE: 'story_choice',
+    CRAFT_COMPLETE: 'craft_complete',
+
+    // World
+    ERUPTION_START: 'eruption_start',
+    ERUPTION_END: 'eruption_end',
+    WEATHER_CHANGE: 'weather_change',
+    SEASON_CHANGE: 'season_change',
+    WORLD_EVENT: 'world_event',
+    WORLD_EVOLVE: 'world_evolve',
+
+    // Progression
+    QUEST_COMPLETE: 'quest_complete',
+    ACHIEVEMENT_UNLOCKED: 'achievement_unlocked',
+    LEVEL_UP: 'level_up',
+
+    // UI
+    NOTIFICATION: 'notification'
+};
+
+/**
+ * Required payload fields per event type, as `typeof` names.
+ * Extra fields are allowed; an optional `impact` ({ love, creation,
+ * significance }) tells the story and world systems how much an action matters.
+ */
+export const EVENT_SCHEMAS = {
+    [GAME_EVENTS.MOVE]: {},
+    [GAME_EVENTS.VISIT_BIOME]: { biome: 'string' },
+    [GAME_EVENTS.TRAVEL]: { distance: 'number' },
+    [GAME_EVENTS.PLANT]: { species: 'string' },
+    [GAME_EVENTS.ADOPT_PET]: { species: 'string', bond: 'number' },
+    [GAME_EVENTS.SCULPT]: {},
+    [GAME_EVENTS.LOVE_CREATURE]: { species: 'string' },
+    [GAME_EVENTS.MEET_AGENT]: { agent: 'string' },
+    [GAME_EVENTS.GIVE_GIFT]: { giftType: 'string' },
+    [GAME_EVENTS.FLY]: { speed: 'number' },
+    [GAME_EVENTS.PAINT_SKY]: {},
+    [GAME_EVENTS.TIME_SPENT]: { seconds: 'number' },
+    [GAME_EVENTS.STORY_CHOICE]: { character: 'string', choice: 'string' },
+    [GAME_EVENTS.CRAFT_COMPLETE]: { item: 'string', quantity: 'number' },
+    [GAME_EVENTS.ERUPTION_START]: { eruptionType: 'string', intensity: 'number' },
+    [GAME_EVENTS.ERUPTION_END]: {},
+    [GAME_EVENTS.WEATHER_CHANGE]: { from: 'string', to: 'string' },
+    [GAME_EVENTS.SEASON_CHANGE]: { from: 'string', to: 'string' },
+    [GAME_EVENTS.WORLD_EVENT]: { id: 'string', name: 'string' },
+    [GAME_EVENTS.WORLD_EVOLVE]: { stage: 'number', name: 'string' },
+    [GAME_EVENTS.QUEST_COMPLETE]: { questId: 'string', name: 'string' },
+    [GAME_EVENTS.ACHIEVEMENT_UNLOCKED]: { achievementId: 'string', name: 'string' },
+    [GAME_EVENTS.LEVEL_UP]: { level: 'number' },
+    [GAME_EVENTS.NOTIFICATION]: { message: 'string' }
+};
+
+export const DEFAULT_MAX_LOG = 1000;
+
+// ===== EVENT BUS =====
+export class EventBus {
+    constructor(options = {}) {
+        this.schemas = { ...(options.schemas ?? EVENT_SCHEMAS) };
+        this.maxLog = options.maxLog ?? DEFAULT_MAX_LOG;
+        this.subscriptions = [];
+        this.log = [];
+        this.sequence = 0;
+    }
+
+    /**
+     * Register a new event type with its payload schema
+     */
+    define(type, schema = {}) {
+        if (this.schemas[type]) {
+            throw new Error(`[EventBus] Event type ${type} is already defined`);
+        }
+        this.schemas[type] = schema;
+    }
+
+    /**
+     * Subscribe to a type, '*' or a prefix pattern like 'eruption_*'.
+     * The handler receives the event record. Returns an unsubscribe function.
+     */
+    on(pattern, handler, options = {}) {
+        if (typeof handler !== 'function') {
+            throw new TypeError(`[EventBus] Handler for ${pattern} must be a function`);
+        }
+        if (!pattern.includes('*') && !this.schemas[pattern]) {
+            throw new Error(`[EventBus] Unknown event type: ${pattern}`);
+        }
+
+        const subscription = {
+            pattern,
+            handler,
+            once: Boolean(options.once),
+            matches: compilePattern(pattern)
+        };
+        this.subscriptions.push(subscription);
+
+        return () => this.removeSubscription(subscription);
+    }
+
+    once(pattern, handler) {
+        return this.on(pattern, handler, { once: true });
+    }
+
+    off(pattern, handler) {
+        const subscription = this.subscriptions.find(s => s.pattern === pattern && s.handler === handler);
+        return subscription ? this.removeSubscription(subscription) : false;
+    }
+
+    /**
+     * Subscribe several handlers at once ({ type: handler }).
+     * Returns one function that removes them all.
+     */
+    subscribe(handlers) {
+        const unsubscribers = Object.entries(handlers).map(([pattern, handler]) => this.on(pattern, handler));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    removeSubscription(subscription) {
+        const index = this.subscriptions.indexOf(subscription);
+        if (index === -1) return false;
+
+        this.subscriptions.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Validate, log and deliver an event. Returns the event record.
+     */
+    publish(type, payload = {}, source = null) {
+        this.validate(type, payload);
+
+        const event = {
+            seq: ++this.sequence,
+            type,
+            payload,
+            source,
+            timestamp: Date.now()
+        };
+
+        this.log.push(event);
+        if (this.log.length > this.maxLog) {
+            this.log.shift();
+        }
+
+        this.dispatch(event);
+        return event;
+    }
+
+    validate(type, payload) {
+        const schema = this.schemas[type];
+        if (!schema) {
+            throw new Error(`[EventBus] Unknown event type: ${type}`);
+        }
+        if (payload === null || typeof payload !== 'object') {
+            throw new TypeError(`[EventBus] ${type} payload must be an object`);
+        }
+
+        for (const [field, kind] of Object.entries(schema)) {
+            if (typeof payload[field] !== kind) {
+                throw new TypeError(`[EventBus] ${type}.${field} must be a ${kind}, got ${typeof payload[field]}`);
+            }
+        }
+    }
+
+    dispatch(event) {
+        // Snapshot so handlers can subscribe/unsubscribe while we deliver
+        const subscriptions = this.subscriptions.filter(s => s.matches(event.type));
+
+        subscriptions.forEach(subscription => {
+            if (subscription.once) {
+                this.removeSubscription(subscription);
+            }
+
+            try {
+                subscription.handler(event);
+            } catch (error) {
+                console.error(`[EventBus] ✗ Handler for ${subscription.pattern} failed on ${event.type}:`, error);
+            }
+        });
+    }
+
+    // ===== EVENT LOG =====
+
+    /**
+     * Logged events, optionally filtered by { type (pattern), source, since (seq) }
+     */
+    getLog(filter = {}) {
+        const matches = filter.type ? compilePattern(filter.type) : () => true;
+
+        return this.log.filter(event =>
+            matches(event.type) &&
+            (filter.source === undefined || event.source === filter.source) &&
+            (filter.since === undefined || event.seq > filter.since)
+        );
+    }
+
+    clearLog() {
+        this.log = [];
+    }
+
+    /**
+     * Deliver logged events again, to this bus or another one (e.g. a fresh bus
+     * with debug subscribers). Replayed events are flagged and not re-logged.
+     * Returns the number of events replayed.
+     */
+    replay(filter = {}, target = this) {
+        const events = this.getLog(filter);
+
+        events.forEach(event => {
+            target.dispatch({ ...event, replayed: true });
+        });
+
+        return events.length;
+    }
+}
+
+/**
+ * Matcher for an exact type, '*' or a prefix pattern ending in '*'
+ */
+function compilePattern(pattern) {
+    if (pattern === '*') {
+        return () => true;
+    }
+    if (pattern.endsWith('*')) {
+        const prefix = pattern.slice(0, -1);
+        return type => type.startsWith(prefix);
+    }
+    return type => type === pattern;
+}
+
+export default EventBus;
@@ -8,14 +8,33 @@
  */
 
 import * as THREE from 'three';
-import { BiomeGenerator } from './infinite-biomes.js';
-import { LivingNature, EMOTIONS } from './living-nature.js';
-import { MusicEngine, NatureSoundscape } from './living-music.js';
+import { InfiniteBiomeGenerator, BIOMES } from './infinite-biomes.js';
+import { NatureManager, EMOTIONS } from './living-nature.js';
+import { MusicManager } from './living-music.js';
 import { CreationManager } from './creation-powers.js';
 import { MultiplayerManager } from './multiplayer-love.js';
-import { PhotorealisticRenderer, AdvancedMaterials, AdvancedLighting, CustomShaders } from './photorealistic-graphics.js';
-import { ParticleSystem } from './particle-effects.js';
+import { AdvancedMaterials, AdvancedLighting, CustomShaders } from './photorealistic-graphics.js';
+import { ParticleManager } from './particle-effects.js';
 import { TransportationSystem } from './transportation.js';
+import { Inventory, CraftingManager } from './crafting-building.js';
+import { DialogueManager, StoryManager } from './dialogue-story.js';
+import { QuestManager } from './quest-system.js';
+import { WorldEvolutionManager } from './world-evolution.js';
+import { WeatherSystem } from './pangea-weather.js';
+import { VolcanicSystem } from './pangea-volcanoes.js';
+import { EventBus, GAME_EVENTS } from './event-bus.js';
+import { NullScene, NullRenderer } from './headless.js';
+import { RandomService } from './seeded-random.js';
+
+// BIOMES entry -> biome type used by soundscapes, quests and the HUD
+const BIOME_TYPES = new Map([
+    [BIOMES.FOREST, 'forest'],
+    [BIOMES.OCEAN, 'ocean'],
+    [BIOMES.MOUNTAIN, 'mountains'],
+    [BIOMES.DESERT, 'desert'],
+    [BIOMES.CRYSTAL, 'crystal'],
+    [BIOMES.FLOATING, 'sky']
+]);
 
 // ===== GAME STATE MANAGER =====
 export class GameState {
@@ -113,12 +132,64 @@ export class GameState {
 }
 
 // ===== UI SYSTEM =====
+const MAX_NOTIFICATION_HISTORY = 50;
+
 export class UIManager {
-    constructor(gameState) {
+    /**
+     * Without a DOM (`headless`) notifications are only kept in `notifications`
+     */
+    constructor(gameState, { headless = typeof document === 'undefined' } = {}) {
         this.gameState = gameState;
+        this.headless = headless;
         this.elements = {};
         this.notifications = [];
-        this.createUI();
+        this.unsubscribeBus = null;
+
+        if (!this.headless) {
+            this.createUI();
+        }
+    }
+
+    /**
+     * Show notifications and keep player stats in step with the event bus
+     */
+    connectEvents(bus) {
+        this.disconnectEvents();
+
+        const stats = this.gameState.player.stats;
+        this.unsubscribeBus = bus.subscribe({
+            [GAME_EVENTS.NOTIFICATION]: ({ payload }) =>
+                this.showNotification(payload.message, payload.type, payload.duration),
+            [GAME_EVENTS.QUEST_COMPLETE]: ({ payload }) =>
+                this.showNotification(`✅ Quest complete: ${payload.name}`, 'success'),
+            [GAME_EVENTS.ACHIEVEMENT_UNLOCKED]: ({ payload }) =>
+                this.showNotification(`🏆 Achievement: ${payload.name}`, 'success', 5000),
+            [GAME_EVENTS.LEVEL_UP]: ({ payload }) =>
+                this.showNotification(`🎉 Level ${payload.level}!`, 'success', 5000),
+            [GAME_EVENTS.CRAFT_COMPLETE]: ({ payload }) =>
+                this.showNotification(`🔨 Crafted ${payload.quantity} × ${payload.item}`, 'success'),
+            [GAME_EVENTS.ERUPTION_START]: () =>
+                this.showNotification('🌋 A volcano is erupting!', 'error', 5000),
+            [GAME_EVENTS.WEATHER_CHANGE]: ({ payload }) => {
+                this.gameState.world.weather = payload.to;
+            },
+            [GAME_EVENTS.WORLD_EVENT]: ({ payload }) =>
+                this.showNotification(`✨ ${payload.name}`, 'info', 5000),
+            [GAME_EVENTS.LOVE_CREATURE]: () => {
+                stats.creaturesLoved++;
+            },
+            [GAME_EVENTS.PLANT]: () => {
+                stats.plantsGrown++;
+            },
+            [GAME_EVENTS.GIVE_GIFT]: () => {
+                stats.giftsGiven++;
+            }
+        });
+    }
+
+    disconnectEvents() {
+        if (this.unsubscribeBus) this.unsubscribeBus();
+        this.unsubscribeBus = null;
     }
 
     createUI() {
@@ -376,6 +447,12 @@ export class UIManager {
     }
 
     showNotification(message, type = 'info', duration = 3000) {
+        this.notifications.push({ message, type });
+        if (this.notifications.length > MAX_NOTIFICATION_HISTORY) {
+            this.notifications.shift();
+        }
+        if (this.headless) return;
+
         const notification = document.createElement('div');
         notification.style.cssText = `
             padding: 12px 20px;
@@ -400,15 +477,18 @@ export class UIManager {
     }
 
     showInteractionPrompt(text) {
+        if (this.headless) return;
         this.elements.interactionPrompt.textContent = text;
         this.elements.interactionPrompt.style.display = 'block';
     }
 
     hideInteractionPrompt() {
+        if (this.headless) return;
         this.elements.interactionPrompt.style.display = 'none';
     }
 
     toggleStatsPanel() {
+        if (this.headless) return;
         const panel = this.elements.statsPanel;
         const isVisible = panel.style.display === 'block';
         panel.style.display = isVisible ? 'none' : 'block';
@@ -428,6 +508,8 @@ export class UIManager {
     }
 
     update() {
+        if (this.headless) return;
+
         // Update top bar
         this.elements.timeText.textContent = this.gameState.getTimeString();
         this.elements.weatherText.textContent = this.gameState.world.weather.charAt(0).toUpperCase() + this.gameState.world.weather.slice(1);
@@ -437,7 +519,7 @@ export class UIManager {
 
 // ===== INPUT MANAGER =====
 export class InputManager {
-    constructor() {
+    constructor({ headless = typeof document === 'undefined' } = {}) {
         this.keys = {};
         this.mouse = {
             x: 0,
@@ -448,7 +530,9 @@ export class InputManager {
         };
         this.locked = false;
 
-        this.setupEventListeners();
+        if (!headless) {
+            this.setupEventListeners();
+        }
     }
 
     setupEventListeners() {
@@ -560,41 +644,63 @@ export class CameraController {
 
 // ===== MAIN GAME MANAGER =====
 export class BlackRoadGame {
-    constructor(containerId = 'game-container') {
-        this.container = document.getElementById(containerId);
-        if (!this.container) {
-            this.container = document.createElement('div');
-            this.container.id = containerId;
-            document.body.appendChild(this.container);
+    /**
+     * Options: { headless, seed, random }
+     * `headless` defaults to true outside a browser. Headless games use a NullScene
+     * and NullRenderer and skip the DOM UI, input, audio, terrain meshes and the
+     * requestAnimationFrame loop; call update(dt) to advance them.
+     * `seed` (or `random`, a RandomService) reproduces terrain, spawns and weather.
+     */
+    constructor(containerId = 'game-container', options = {}) {
+        this.headless = options.headless ?? typeof document === 'undefined';
+
+        if (!this.headless) {
+            this.container = document.getElementById(containerId);
+            if (!this.container) {
+                this.container = document.createElement('div');
+                this.container.id = containerId;
+                document.body.appendChild(this.container);
+            }
         }
 
         // Core systems
         this.gameState = new GameState();
-        this.input = new InputManager();
+        this.input = new InputManager({ headless: this.headless });
+        this.events = new EventBus();
+        this.random = options.random ?? new RandomService(options.seed);
 
         // Three.js setup
-        this.scene = new THREE.Scene();
+        this.scene = this.headless ? new NullScene() : new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(
             75,
-            window.innerWidth / window.innerHeight,
+            this.headless ? 1 : window.innerWidth / window.innerHeight,
             0.1,
             2000
         );
-
-        // Use photorealistic renderer
-        this.renderer = new PhotorealisticRenderer(this.container, this.scene, this.camera);
+        this.renderer = this.headless ? new NullRenderer() : this.createRenderer();
 
         // Game systems
         this.cameraController = new CameraController(this.camera, this.gameState);
-        this.biomeGenerator = new BiomeGenerator(this.scene);
-        this.nature = new LivingNature(this.scene);
-        this.music = new MusicEngine();
-        this.soundscape = new NatureSoundscape();
+        this.biomeGenerator = new InfiniteBiomeGenerator(this.scene, this.random.stream('biomes'));
+        this.terrain = { getElevation: (x, z) => this.biomeGenerator.getHeightAt(x, z) };
+        this.nature = new NatureManager(this.scene, this.random.stream('nature'));
+        this.music = new MusicManager();
         this.creation = new CreationManager(this.scene, this.nature);
         this.multiplayer = new MultiplayerManager(this.scene);
         this.lighting = new AdvancedLighting(this.scene);
-        this.particles = new ParticleSystem(this.scene);
-        this.ui = new UIManager(this.gameState);
+        this.particles = new ParticleManager(this.scene);
+        this.inventory = new Inventory();
+        this.crafting = new CraftingManager(this.inventory);
+        this.dialogue = new DialogueManager();
+        this.story = new StoryManager();
+        this.quests = new QuestManager();
+        this.evolution = new WorldEvolutionManager(this.scene, this.random.stream('evolution'));
+        this.weather = new WeatherSystem(this.scene, this.terrain, this.random.stream('weather'));
+        this.volcanoes = new VolcanicSystem(this.scene, this.terrain, this.random.stream('volcanoes'));
+        this.ui = new UIManager(this.gameState, { headless: this.headless });
+
+        // Wire systems together through the event bus
+        this.connectSystems();
 
         // Performance tracking
         this.lastTime = performance.now();
@@ -603,6 +709,26 @@ export class BlackRoadGame {
         this.init();
     }
 
+    createRenderer() {
+        const renderer = new THREE.WebGLRenderer({ antialias: true });
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        renderer.setPixelRatio(window.devicePixelRatio);
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        this.container.appendChild(renderer.domElement);
+        return renderer;
+    }
+
+    /**
+     * Attach every system that has connectEvents(bus) to the game's event bus
+     */
+    connectSystems() {
+        Object.values(this)
+            .filter(system => system !== this.events && typeof system?.connectEvents === 'function')
+            .forEach(system => system.connectEvents(this.events));
+    }
+
     init() {
         console.log('🌍 Initializing BlackRoad Metaverse...');
 
@@ -617,21 +743,23 @@ export class BlackRoadGame {
         // Initial camera position
         this.camera.position.set(0, 10, 10);
 
-        // Generate initial chunks
-        this.generateWorldAroundPlayer();
-
         // Spawn some initial creatures
         this.spawnInitialCreatures();
 
-        // Start music
-        this.music.start();
-        this.soundscape.start('grassland');
+        if (!this.headless) {
+            // Generate initial chunks
+            this.generateWorldAroundPlayer();
 
-        // Setup event listeners
-        this.setupEventListeners();
+            // Start music
+            const { x, z } = this.gameState.player.position;
+            this.music.setBiome(BIOME_TYPES.get(this.biomeGenerator.getBiomeAt(x, z)));
 
-        // Start game loop
-        this.animate();
+            // Setup event listeners
+            this.setupEventListeners();
+
+            // Start game loop
+            this.animate();
+        }
 
         console.log('✅ BlackRoad Metaverse ready!');
         this.ui.showNotification('Welcome to BlackRoad! 💚', 'success', 5000);
@@ -652,19 +780,8 @@ export class BlackRoadGame {
     }
 
     generateWorldAroundPlayer() {
-        const chunkSize = 50;
-        const renderDistance = 3;
-        const playerChunkX = Math.floor(this.gameState.player.position.x / chunkSize);
-        const playerChunkZ = Math.floor(this.gameState.player.position.z / chunkSize);
-
-        for (let x = -renderDistance; x <= renderDistance; x++) {
-            for (let z = -renderDistance; z <= renderDistance; z++) {
-                this.biomeGenerator.ensureChunkLoaded(
-                    playerChunkX + x,
-                    playerChunkZ + z
-                );
-            }
-        }
+        const position = this.gameState.player.position;
+        this.biomeGenerator.update(position.x, position.z);
     }
 
     spawnInitialCreatures() {
@@ -741,25 +858,30 @@ export class BlackRoadGame {
         this.cameraController.update(this.input);
 
         // Update world systems
-        this.biomeGenerator.update(this.gameState.player.position);
-        this.nature.update();
-        this.creation.updatePets(this.gameState.player.position);
+        const position = this.gameState.player.position;
+        if (!this.headless) {
+            this.generateWorldAroundPlayer();
+        }
+        this.nature.update(deltaTime);
+        this.creation.updatePets(position);
         this.lighting.updateSunPosition(this.gameState.world.timeOfDay);
         this.particles.update();
-
-        // Update UI
-        this.ui.update();
+        this.crafting.updateCrafting(deltaTime);
+        this.evolution.update(deltaTime);
+        this.volcanoes.update(deltaTime);
 
         // Update current biome
-        const biome = this.biomeGenerator.getBiomeAt(
-            this.gameState.player.position.x,
-            this.gameState.player.position.z
-        );
-        if (biome !== this.gameState.player.currentBiome) {
-            this.gameState.player.currentBiome = biome;
-            this.soundscape.transitionTo(biome);
-            this.ui.showNotification(`Entered ${biome} biome`, 'info');
+        const biome = this.biomeGenerator.getBiomeAt(position.x, position.z);
+        const biomeType = BIOME_TYPES.get(biome);
+        if (biomeType !== this.gameState.player.currentBiome) {
+            this.gameState.player.currentBiome = biomeType;
+            this.ui.showNotification(`Entered ${biome.name}`, 'info');
         }
+        this.weather.update(deltaTime, position, biome);
+        this.music.update(biomeType, deltaTime);
+
+        // Update UI
+        this.ui.update();
 
         // Reset input state
         this.input.resetFrame();
@@ -776,7 +898,7 @@ export class BlackRoadGame {
             this.update(this.deltaTime);
         }
 
-        this.renderer.render();
+        this.renderer.render(this.scene, this.camera);
     }
 
     // Public API
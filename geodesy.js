@@ -0,0 +1,289 @@
+/**
+ * GEODESY - WGS84 coordinate conversions and geodesics
+ *
+ * One place for Earth-shape math shared by verification and the celestial code:
+ * - Geodetic (lat, lon, ellipsoidal height) ↔ ECEF, Bowring's method
+ * - Local east/north/up (ENU) and azimuth/elevation/range (AER)
+ * - Vincenty inverse/direct: distance and bearings between landmarks
+ *
+ * Units: meters and degrees throughout. Heights are above the WGS84
+ * ellipsoid (use DatumConverter for geoid/MSL heights).
+ *
+ * Philosophy: "PRECISION REQUIRES EXPLICIT CONTRACTS. NO ASSUMPTIONS."
+ */
+
+// ===== WGS84 ELLIPSOID =====
+const a = 6378137.0;
+const f = 1 / 298.257223563;
+const b = a * (1 - f);
+
+export const WGS84 = Object.freeze({
+    a,                          // equatorial radius (m)
+    f,                          // flattening
+    b,                          // polar radius (m)
+    e2: f * (2 - f),            // first eccentricity squared
+    ep2: (a * a - b * b) / (b * b) // second eccentricity squared
+});
+
+const DEG = Math.PI / 180;
+const VINCENTY_MAX_ITERATIONS = 200;
+const VINCENTY_EPSILON = 1e-12;
+
+function normalizeBearing(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+function normalizeLongitude(degrees) {
+    const lon = ((degrees + 180) % 360 + 360) % 360 - 180;
+    return lon === -180 ? 180 : lon;
+}
+
+// ===== GEODESY =====
+export class Geodesy {
+    /**
+     * WGS84 geodetic → ECEF meters
+     */
+    static geodeticToECEF(lat, lon, height = 0) {
+        const phi = lat * DEG;
+        const lambda = lon * DEG;
+        const sinPhi = Math.sin(phi);
+        const N = WGS84.a / Math.sqrt(1 - WGS84.e2 * sinPhi * sinPhi);
+
+        return {
+            x: (N + height) * Math.cos(phi) * Math.cos(lambda),
+            y: (N + height) * Math.cos(phi) * Math.sin(lambda),
+            z: (N * (1 - WGS84.e2) + height) * sinPhi
+        };
+    }
+
+    /**
+     * ECEF meters → WGS84 { lat, lon, height }
+     * Bowring's method, refined by re-deriving the parametric latitude:
+     * sub-millimeter from the geocenter's neighbourhood out to GEO.
+     */
+    static ecefToGeodetic({ x, y, z }) {
+        const p = Math.hypot(x, y);
+        const lon = Math.atan2(y, x);
+
+        // Parametric latitude seed, then Bowring's update
+        let beta = Math.atan2(z * WGS84.a, p * WGS84.b);
+        let phi = 0;
+        for (let i = 0; i < 3; i++) {
+            const sinB = Math.sin(beta);
+            const cosB = Math.cos(beta);
+            phi = Math.atan2(
+                z + WGS84.ep2 * WGS84.b * sinB * sinB * sinB,
+                p - WGS84.e2 * WGS84.a * cosB * cosB * cosB
+            );
+            beta = Math.atan2((1 - WGS84.f) * Math.sin(phi), Math.cos(phi));
+        }
+
+        const sinPhi = Math.sin(phi);
+        const N = WGS84.a / Math.sqrt(1 - WGS84.e2 * sinPhi * sinPhi);
+        const height = p * Math.cos(phi) + (z + WGS84.e2 * N * sinPhi) * sinPhi - N;
+
+        return { lat: phi / DEG, lon: lon / DEG, height };
+    }
+
+    // ===== LOCAL TANGENT PLANE =====
+
+    /**
+     * ECEF meters → east/north/up meters from origin { lat, lon, height }
+     */
+    static ecefToENU(ecef, origin) {
+        const o = this.geodeticToECEF(origin.lat, origin.lon, origin.height || 0);
+        const phi = origin.lat * DEG;
+        const lambda = origin.lon * DEG;
+        const dx = ecef.x - o.x;
+        const dy = ecef.y - o.y;
+        const dz = ecef.z - o.z;
+
+        return {
+            x: -Math.sin(lambda) * dx + Math.cos(lambda) * dy,
+            y: -Math.sin(phi) * Math.cos(lambda) * dx - Math.sin(phi) * Math.sin(lambda) * dy + Math.cos(phi) * dz,
+            z: Math.cos(phi) * Math.cos(lambda) * dx + Math.cos(phi) * Math.sin(lambda) * dy + Math.sin(phi) * dz
+        };
+    }
+
+    /**
+     * East/north/up meters from origin → ECEF meters
+     */
+    static enuToECEF(enu, origin) {
+        const o = this.geodeticToECEF(origin.lat, origin.lon, origin.height || 0);
+        const phi = origin.lat * DEG;
+        const lambda = origin.lon * DEG;
+        const { x: e, y: n, z: u } = enu;
+
+        return {
+            x: o.x - Math.sin(lambda) * e - Math.sin(phi) * Math.cos(lambda) * n + Math.cos(phi) * Math.cos(lambda) * u,
+            y: o.y + Math.cos(lambda) * e - Math.sin(phi) * Math.sin(lambda) * n + Math.cos(phi) * Math.sin(lambda) * u,
+            z: o.z + Math.cos(phi) * n + Math.sin(phi) * u
+        };
+    }
+
+    /**
+     * East/north/up → azimuth (from north, through east) and elevation in
+     * degrees, range in the input's units
+     */
+    static enuToAER({ x: e, y: n, z: u }) {
+        return {
+            az: normalizeBearing(Math.atan2(e, n) / DEG),
+            el: Math.atan2(u, Math.hypot(e, n)) / DEG,
+            range: Math.hypot(e, n, u)
+        };
+    }
+
+    static aerToENU({ az, el, range }) {
+        const horizontal = range * Math.cos(el * DEG);
+        return {
+            x: horizontal * Math.sin(az * DEG),
+            y: horizontal * Math.cos(az * DEG),
+            z: range * Math.sin(el * DEG)
+        };
+    }
+
+    /**
+     * Look angles from one geodetic point to another: { az, el, range }
+     */
+    static geodeticToAER(observer, target) {
+        const ecef = this.geodeticToECEF(target.lat, target.lon, target.height || 0);
+        return this.enuToAER(this.ecefToENU(ecef, observer));
+    }
+
+    // ===== GEODESICS (VINCENTY) =====
+
+    /**
+     * Ellipsoidal distance (m) and bearings (degrees) between two points.
+     * Returns { distance, initialBearing, finalBearing }; finalBearing is the
+     * direction of travel on arrival. Throws for nearly antipodal points,
+     * where Vincenty's iteration doesn't converge.
+     */
+    static inverse(lat1, lon1, lat2, lon2) {
+        const L = (lon2 - lon1) * DEG;
+        const U1 = Math.atan((1 - WGS84.f) * Math.tan(lat1 * DEG));
+        const U2 = Math.atan((1 - WGS84.f) * Math.tan(lat2 * DEG));
+        const sinU1 = Math.sin(U1);
+        const cosU1 = Math.cos(U1);
+        const sinU2 = Math.sin(U2);
+        const cosU2 = Math.cos(U2);
+
+        let lambda = L;
+        let sinLambda, cosLambda, sinSigma, cosSigma, sigma, sinAlpha, cos2Alpha, cos2SigmaM;
+        let converged = false;
+
+        for (let i = 0; i < VINCENTY_MAX_ITERATIONS; i++) {
+            sinLambda = Math.sin(lambda);
+            cosLambda = Math.cos(lambda);
+            sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+            if (sinSigma === 0) {
+                return { distance: 0, initialBearing: 0, finalBearing: 0 };
+            }
+
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+            sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cos2Alpha = 1 - sinAlpha * sinAlpha;
+            // Both points on the equator: cos²α = 0
+            cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;
+
+            const C = WGS84.f / 16 * cos2Alpha * (4 + WGS84.f * (4 - 3 * cos2Alpha));
+            const previous = lambda;
+            lambda = L + (1 - C) * WGS84.f * sinAlpha *
+                (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+            if (Math.abs(lambda) > Math.PI) break;
+            if (Math.abs(lambda - previous) < VINCENTY_EPSILON) {
+                converged = true;
+                break;
+            }
+        }
+
+        if (!converged) {
+            throw new Error(`[Geodesy] Vincenty inverse did not converge for nearly antipodal points ` +
+                `(${lat1}, ${lon1}) → (${lat2}, ${lon2})`);
+        }
+
+        const u2 = cos2Alpha * WGS84.ep2;
+        const A = 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+        const B = u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+        const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (
+            cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+            B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)
+        ));
+
+        const alpha1 = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+        const alpha2 = Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda);
+
+        return {
+            distance: WGS84.b * A * (sigma - deltaSigma),
+            initialBearing: normalizeBearing(alpha1 / DEG),
+            finalBearing: normalizeBearing(alpha2 / DEG)
+        };
+    }
+
+    /**
+     * Destination after travelling `distance` meters from (lat, lon) on
+     * `bearing`. Returns { lat, lon, finalBearing }
+     */
+    static direct(lat, lon, bearing, distance) {
+        const alpha1 = bearing * DEG;
+        const sinAlpha1 = Math.sin(alpha1);
+        const cosAlpha1 = Math.cos(alpha1);
+
+        const tanU1 = (1 - WGS84.f) * Math.tan(lat * DEG);
+        const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+        const sinU1 = tanU1 * cosU1;
+        const sigma1 = Math.atan2(tanU1, cosAlpha1);
+        const sinAlpha = cosU1 * sinAlpha1;
+        const cos2Alpha = 1 - sinAlpha * sinAlpha;
+
+        const u2 = cos2Alpha * WGS84.ep2;
+        const A = 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+        const B = u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+
+        let sigma = distance / (WGS84.b * A);
+        let sinSigma, cosSigma, cos2SigmaM;
+
+        for (let i = 0; i < VINCENTY_MAX_ITERATIONS; i++) {
+            cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+            sinSigma = Math.sin(sigma);
+            cosSigma = Math.cos(sigma);
+            const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (
+                cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+                B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)
+            ));
+            const previous = sigma;
+            sigma = distance / (WGS84.b * A) + deltaSigma;
+            if (Math.abs(sigma - previous) < VINCENTY_EPSILON) break;
+        }
+
+        sinSigma = Math.sin(sigma);
+        cosSigma = Math.cos(sigma);
+        cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+
+        const tmp = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+        const phi2 = Math.atan2(
+            sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1,
+            (1 - WGS84.f) * Math.hypot(sinAlpha, tmp)
+        );
+        const lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+        const C = WGS84.f / 16 * cos2Alpha * (4 + WGS84.f * (4 - 3 * cos2Alpha));
+        const L = lambda - (1 - C) * WGS84.f * sinAlpha *
+            (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+        return {
+            lat: phi2 / DEG,
+            lon: normalizeLongitude(lon + L / DEG),
+            finalBearing: normalizeBearing(Math.atan2(sinAlpha, -tmp) / DEG)
+        };
+    }
+
+    /**
+     * Distance and bearings between two { lat, lon } landmarks
+     */
+    static between(from, to) {
+        return this.inverse(from.lat, from.lon, to.lat, to.lon);
+    }
+}
+
+export default Geodesy;
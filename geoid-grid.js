@@ -0,0 +1,122 @@
+/**
+ * GEOID GRID - Gridded geoid undulations (N) for height datum conversion
+ *
+ * Reads the NGA text grid format used by the EGM96 15' file WW15MGH.GRD
+ * (and the same layout for EGM2008 resamplings):
+ *
+ *   lat_min lat_max lon_min lon_max dlat dlon      ← header, degrees
+ *   N N N ...                                      ← meters, free format
+ *
+ * Values run row by row from lat_max south to lat_min; each row runs west
+ * to east from lon_min to lon_max inclusive. A grid spanning 360° of
+ * longitude wraps; regional grids throw outside their coverage.
+ * Lines starting with '#' are ignored (not part of the NGA format).
+ *
+ * Install with DatumConverter.setGeoidModel to replace the rough formula.
+ *
+ * Philosophy: "PRECISION REQUIRES EXPLICIT CONTRACTS. NO ASSUMPTIONS."
+ */
+
+// ===== GEOID GRID =====
+export class GeoidGrid {
+    /**
+     * header: { latMin, latMax, lonMin, lonMax, dLat, dLon }
+     * values: row-major, north to south, west to east (meters)
+     */
+    constructor(header, values, options = {}) {
+        Object.assign(this, header);
+        this.rows = Math.round((this.latMax - this.latMin) / this.dLat) + 1;
+        this.cols = Math.round((this.lonMax - this.lonMin) / this.dLon) + 1;
+        this.global = this.lonMax - this.lonMin >= 360 - 1e-9;
+        this.source = options.source || null;
+
+        if (values.length !== this.rows * this.cols) {
+            throw new Error(`[Geoid] Expected ${this.rows}×${this.cols} values, got ${values.length}`);
+        }
+        this.values = values instanceof Float32Array ? values : Float32Array.from(values);
+    }
+
+    covers(lat, lon) {
+        if (lat < this.latMin || lat > this.latMax) return false;
+        return this.global || (lon >= this.lonMin && lon <= this.lonMax);
+    }
+
+    /**
+     * Value at grid node (row from north, col from west)
+     */
+    at(row, col) {
+        return this.values[row * this.cols + col];
+    }
+
+    /**
+     * Bilinear geoid undulation (m) at a WGS84 lat/lon in degrees
+     */
+    interpolate(lat, lon) {
+        if (this.global) {
+            lon = ((lon - this.lonMin) % 360 + 360) % 360 + this.lonMin;
+        }
+        if (!this.covers(lat, lon)) {
+            throw new Error(`[Geoid] ${lat}, ${lon} is outside the grid ` +
+                `(${this.latMin}..${this.latMax}, ${this.lonMin}..${this.lonMax})`);
+        }
+
+        const r = (this.latMax - lat) / this.dLat;
+        const c = (lon - this.lonMin) / this.dLon;
+        const r0 = Math.min(Math.floor(r), this.rows - 2);
+        const c0 = Math.min(Math.floor(c), this.cols - 2);
+        const tr = r - r0;
+        const tc = c - c0;
+
+        const north = this.at(r0, c0) * (1 - tc) + this.at(r0, c0 + 1) * tc;
+        const south = this.at(r0 + 1, c0) * (1 - tc) + this.at(r0 + 1, c0 + 1) * tc;
+        return north * (1 - tr) + south * tr;
+    }
+}
+
+/**
+ * Parse an NGA-format text geoid grid (WW15MGH.GRD layout)
+ */
+export function parseGeoidGrid(text, source = null) {
+    const tokens = text
+        .split(/\r?\n/)
+        .filter(line => !line.trim().startsWith('#'))
+        .join(' ')
+        .trim()
+        .split(/\s+/)
+        .map(Number);
+
+    if (tokens.length < 6 || tokens.slice(0, 6).some(Number.isNaN)) {
+        throw new Error('[Geoid] Malformed grid header');
+    }
+
+    const [latMin, latMax, lonMin, lonMax, dLat, dLon] = tokens;
+    if (!(latMax > latMin && lonMax > lonMin && dLat > 0 && dLon > 0)) {
+        throw new Error(`[Geoid] Malformed grid header: ${tokens.slice(0, 6).join(' ')}`);
+    }
+
+    const values = tokens.slice(6);
+    const bad = values.findIndex(Number.isNaN);
+    if (bad !== -1) {
+        throw new Error(`[Geoid] Non-numeric value at position ${bad}`);
+    }
+
+    return new GeoidGrid({ latMin, latMax, lonMin, lonMax, dLat, dLon }, values, { source });
+}
+
+// ===== FILE LOADER =====
+
+/**
+ * Load a text geoid grid from a local path
+ */
+export async function loadGeoidGrid(path) {
+    const { readFile } = await import('node:fs/promises');
+    const grid = parseGeoidGrid(await readFile(path, 'utf8'), String(path));
+    console.log(`[Geoid] ✓ ${grid.rows}×${grid.cols} grid (${grid.dLat * 60}' spacing) from ${path}`);
+    return grid;
+}
+
+export default {
+    GeoidGrid,
+    parseGeoidGrid,
+    loadGeoidGrid
+};
@@ -0,0 +1,192 @@
+/**
+ * HEADLESS MODE - Run the world simulation without a browser or GPU
+ *
+ * Systems keep their logic state (positions, needs, weather, quests) separate
+ * from what they draw. When the scene is a NullScene - or there is no DOM at
+ * all, as under `node --test` or on a server - they skip canvas textures,
+ * requestAnimationFrame effects and heavy geometry, and use bare Object3D
+ * proxies so code that mirrors state onto `mesh.position` keeps working.
+ * Audio goes to a silent NullAudioContext.
+ *
+ * Usage:
+ *   const { scene, camera, renderer } = createHeadlessWorld();
+ *   const agents = new AgentManager(scene);
+ */
+
+import * as THREE from 'three';
+
+// ===== NULL SCENE =====
+/**
+ * Scene stand-in that tracks children but never renders
+ */
+export class NullScene {
+    constructor() {
+        this.isNullScene = true;
+        this.children = [];
+        this.fog = null;
+        this.background = null;
+    }
+
+    add(...objects) {
+        objects.forEach(object => {
+            if (!this.children.includes(object)) {
+                this.children.push(object);
+            }
+        });
+        return this;
+    }
+
+    remove(...objects) {
+        this.children = this.children.filter(child => !objects.includes(child));
+        return this;
+    }
+
+    clear() {
+        this.children = [];
+        return this;
+    }
+
+    traverse(callback) {
+        callback(this);
+        this.children.forEach(child => {
+            if (child.traverse) {
+                child.traverse(callback);
+            } else {
+                callback(child);
+            }
+        });
+    }
+
+    getObjectByName(name) {
+        let found;
+        this.traverse(object => {
+            if (!found && object.name === name) found = object;
+        });
+        return found;
+    }
+}
+
+// ===== NULL RENDERER =====
+/**
+ * Renderer stand-in with the properties systems configure on WebGLRenderer
+ */
+export class NullRenderer {
+    constructor() {
+        this.isNullRenderer = true;
+        this.domElement = null;
+        this.shadowMap = { enabled: false, type: null };
+        this.toneMapping = null;
+        this.toneMappingExposure = 1;
+        this.frames = 0;
+    }
+
+    render() {
+        this.frames++;
+    }
+
+    setSize() {}
+
+    setPixelRatio() {}
+
+    dispose() {}
+}
+
+// ===== NULL AUDIO =====
+function createNullParam(value) {
+    return {
+        value,
+        setValueAtTime() {},
+        linearRampToValueAtTime() {},
+        exponentialRampToValueAtTime() {}
+    };
+}
+
+function createNullNode() {
+    return {
+        gain: createNullParam(1),
+        frequency: createNullParam(440),
+        Q: createNullParam(1),
+        type: null,
+        buffer: null,
+        loop: false,
+        connect(target) {
+            return target;
+        },
+        disconnect() {},
+        start() {},
+        stop() {}
+    };
+}
+
+/**
+ * Web Audio stand-in: builds the node graph systems ask for and stays silent
+ */
+export class NullAudioContext {
+    constructor() {
+        this.isNullAudioContext = true;
+        this.sampleRate = 8000;
+        this.currentTime = 0;
+        this.destination = createNullNode();
+    }
+
+    createGain() {
+        return createNullNode();
+    }
+
+    createOscillator() {
+        return createNullNode();
+    }
+
+    createBiquadFilter() {
+        return createNullNode();
+    }
+
+    createBufferSource() {
+        return createNullNode();
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        return { numberOfChannels: channels, length, sampleRate, getChannelData: channel => data[channel] };
+    }
+
+    close() {
+        return Promise.resolve();
+    }
+}
+
+// ===== DETECTION & HELPERS =====
+
+/**
+ * True when visuals should be skipped for this scene
+ */
+export function isHeadless(scene) {
+    return Boolean(scene?.isNullScene) || typeof document === 'undefined';
+}
+
+/**
+ * Build a renderable with `build()`, or an empty Object3D proxy when headless
+ */
+export function createRenderable(scene, build) {
+    return isHeadless(scene) ? new THREE.Group() : build();
+}
+
+/**
+ * Scene, camera and renderer for simulating without a display
+ */
+export function createHeadlessWorld() {
+    return {
+        scene: new NullScene(),
+        camera: new THREE.PerspectiveCamera(75, 1, 0.1, 2000),
+        renderer: new NullRenderer()
+    };
+}
+
+export default {
+    NullScene,
+    NullRenderer,
+    NullAudioContext,
+    isHeadless,
+    createRenderable,
+    createHeadlessWorld
+};
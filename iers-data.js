@@ -0,0 +1,304 @@
+/**
+ * IERS DATA - Leap second and Earth orientation tables from IERS files
+ *
+ * Parses the two files every precise time/frame pipeline needs:
+ *   Leap_Second.dat - TAI-UTC steps, with the file's expiry date
+ *   finals2000A     - daily UT1-UTC (DUT1), polar motion xp/yp, LOD and
+ *                     celestial pole offsets dX/dY (Bulletin A, fixed width)
+ *
+ * Both produce time-indexed tables. Install them with
+ * TimeConverter.setLeapSecondTable / setEOPTable to replace the hand-typed
+ * LEAP_SECONDS and EOP_DATA constants.
+ *
+ * Dates past a table's coverage still return the nearest values, flagged
+ * `stale: true`, with a one-time console warning per table.
+ *
+ * Philosophy: "PRECISION REQUIRES EXPLICIT CONTRACTS. NO ASSUMPTIONS."
+ */
+
+const MS_PER_DAY = 86400000;
+const MJD_UNIX_EPOCH = 40587;
+
+const MONTHS = {
+    january: 0, february: 1, march: 2, april: 3, may: 4, june: 5,
+    july: 6, august: 7, september: 8, october: 9, november: 10, december: 11
+};
+
+// DUT1 steps by ~1s across a leap second; anything this large is a step, not motion
+const LEAP_JUMP_THRESHOLD = 0.5;
+
+export function dateToMJD(date) {
+    return date.getTime() / MS_PER_DAY + MJD_UNIX_EPOCH;
+}
+
+export function mjdToDate(mjd) {
+    return new Date((mjd - MJD_UNIX_EPOCH) * MS_PER_DAY);
+}
+
+// ===== LEAP SECOND TABLE =====
+export class LeapSecondTable {
+    /**
+     * entries: [{ mjd, date, offset }] where offset = TAI-UTC in seconds
+     */
+    constructor(entries, options = {}) {
+        if (!entries.length) {
+            throw new Error('[IERS] Leap second table is empty');
+        }
+
+        this.entries = [...entries].sort((a, b) => a.mjd - b.mjd);
+        this.expires = options.expires || null;
+        this.source = options.source || null;
+        this.warned = false;
+    }
+
+    /**
+     * TAI-UTC in seconds for a UTC date (10s before 1972)
+     */
+    getOffset(utcDate) {
+        this.checkCoverage(utcDate);
+
+        const mjd = dateToMJD(utcDate);
+        let offset = 10;
+        for (const entry of this.entries) {
+            if (mjd >= entry.mjd) {
+                offset = entry.offset;
+            } else {
+                break;
+            }
+        }
+        return offset;
+    }
+
+    isStale(utcDate) {
+        return Boolean(this.expires) && utcDate > this.expires;
+    }
+
+    checkCoverage(utcDate) {
+        if (this.isStale(utcDate) && !this.warned) {
+            this.warned = true;
+            console.warn(`[IERS] ⚠ Leap second table expired ${this.expires.toISOString().slice(0, 10)}; ` +
+                `${utcDate.toISOString()} may be missing a leap second`);
+        }
+    }
+
+    /**
+     * Same shape as the LEAP_SECONDS constant
+     */
+    toList() {
+        return this.entries.map(entry => ({ date: entry.date, leapSeconds: entry.offset }));
+    }
+}
+
+/**
+ * Parse IERS Leap_Second.dat text
+ */
+export function parseLeapSecondFile(text, source = null) {
+    const entries = [];
+    let expires = null;
+
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+
+        if (trimmed.startsWith('#')) {
+            const match = trimmed.match(/File expires on\s+(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})/);
+            if (match) {
+                const month = MONTHS[match[2].toLowerCase()];
+                if (month !== undefined) {
+                    expires = new Date(Date.UTC(Number(match[3]), month, Number(match[1])));
+                }
+            }
+            continue;
+        }
+
+        const fields = trimmed.split(/\s+/);
+        if (fields.length < 5) {
+            throw new Error(`[IERS] Malformed leap second line: "${trimmed}"`);
+        }
+
+        const [mjd, day, month, year, offset] = fields.map(Number);
+        if ([mjd, day, month, year, offset].some(Number.isNaN)) {
+            throw new Error(`[IERS] Malformed leap second line: "${trimmed}"`);
+        }
+
+        entries.push({
+            mjd,
+            date: new Date(Date.UTC(year, month - 1, day)),
+            offset
+        });
+    }
+
+    return new LeapSecondTable(entries, { expires, source });
+}
+
+// ===== EARTH ORIENTATION TABLE =====
+export class EOPTable {
+    /**
+     * rows: [{ mjd, xp, yp, dut1, lod, dX, dY, predicted }]
+     * xp, yp in arcseconds; dut1 in seconds; lod in ms; dX, dY in milliarcseconds
+     */
+    constructor(rows, options = {}) {
+        if (!rows.length) {
+            throw new Error('[IERS] EOP table is empty');
+        }
+
+        this.rows = [...rows].sort((a, b) => a.mjd - b.mjd);
+        this.source = options.source || null;
+        this.start = mjdToDate(this.rows[0].mjd);
+        this.end = mjdToDate(this.rows[this.rows.length - 1].mjd);
+        this.warned = false;
+    }
+
+    /**
+     * Linearly interpolated EOP for a UTC date.
+     * Returns { dut1, xp, yp, lod, dX, dY, predicted, stale }
+     */
+    interpolate(utcDate) {
+        const mjd = dateToMJD(utcDate);
+        const rows = this.rows;
+        const first = rows[0];
+        const last = rows[rows.length - 1];
+
+        if (mjd <= first.mjd || mjd >= last.mjd) {
+            const stale = mjd < first.mjd || mjd > last.mjd;
+            if (stale) this.warnStale(utcDate);
+            return this.pick(mjd <= first.mjd ? first : last, stale);
+        }
+
+        // Binary search for the bracketing rows
+        let lo = 0;
+        let hi = rows.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (rows[mid].mjd <= mjd) lo = mid;
+            else hi = mid;
+        }
+
+        const a = rows[lo];
+        const b = rows[hi];
+        const t = (mjd - a.mjd) / (b.mjd - a.mjd);
+        const lerp = (x, y) => (x === null || y === null ? (t < 0.5 ? x : y) : x + (y - x) * t);
+
+        // A leap second at the end of day `a` steps DUT1 by +1s; interpolate
+        // within that UTC day as if it hadn't happened yet
+        let dut1B = b.dut1;
+        if (dut1B - a.dut1 > LEAP_JUMP_THRESHOLD) dut1B -= 1;
+        else if (a.dut1 - dut1B > LEAP_JUMP_THRESHOLD) dut1B += 1;
+
+        return {
+            dut1: a.dut1 + (dut1B - a.dut1) * t,
+            xp: lerp(a.xp, b.xp),
+            yp: lerp(a.yp, b.yp),
+            lod: lerp(a.lod, b.lod),
+            dX: lerp(a.dX, b.dX),
+            dY: lerp(a.dY, b.dY),
+            predicted: a.predicted || b.predicted,
+            stale: false
+        };
+    }
+
+    pick(row, stale) {
+        return {
+            dut1: row.dut1,
+            xp: row.xp,
+            yp: row.yp,
+            lod: row.lod,
+            dX: row.dX,
+            dY: row.dY,
+            predicted: row.predicted,
+            stale
+        };
+    }
+
+    covers(utcDate) {
+        return utcDate >= this.start && utcDate <= this.end;
+    }
+
+    warnStale(utcDate) {
+        if (this.warned) return;
+        this.warned = true;
+        console.warn(`[IERS] ⚠ ${utcDate.toISOString()} is outside EOP coverage ` +
+            `(${this.start.toISOString().slice(0, 10)} to ${this.end.toISOString().slice(0, 10)}); ` +
+            'using nearest values');
+    }
+}
+
+/**
+ * Read a fixed-width column (1-based, inclusive) as a number, or null if blank
+ */
+function column(line, from, to) {
+    const text = line.slice(from - 1, to).trim();
+    if (!text) return null;
+
+    const value = Number(text);
+    if (Number.isNaN(value)) {
+        throw new Error(`[IERS] Bad numeric field "${text}" in columns ${from}-${to}`);
+    }
+    return value;
+}
+
+/**
+ * Parse IERS finals2000A (finals.all / finals.data / finals.daily) text.
+ * Uses Bulletin A values; rows without UT1-UTC (beyond the predictions) are skipped.
+ */
+export function parseFinals2000A(text, source = null) {
+    const rows = [];
+
+    for (const line of text.split(/\r?\n/)) {
+        if (line.trim().length < 68) continue;
+
+        const mjd = column(line, 8, 15);
+        const dut1 = column(line, 59, 68);
+        if (mjd === null || dut1 === null) continue;
+
+        rows.push({
+            mjd,
+            xp: column(line, 19, 27),
+            yp: column(line, 38, 46),
+            dut1,
+            lod: column(line, 80, 86),
+            dX: column(line, 98, 106),
+            dY: column(line, 117, 125),
+            predicted: line[57] === 'P'
+        });
+    }
+
+    return new EOPTable(rows, { source });
+}
+
+// ===== FILE LOADERS =====
+
+async function readText(path) {
+    const { readFile } = await import('node:fs/promises');
+    return readFile(path, 'utf8');
+}
+
+/**
+ * Load Leap_Second.dat from a local path
+ */
+export async function loadLeapSecondFile(path) {
+    const table = parseLeapSecondFile(await readText(path), String(path));
+    console.log(`[IERS] ✓ ${table.entries.length} leap seconds from ${path}`);
+    return table;
+}
+
+/**
+ * Load finals2000A from a local path
+ */
+export async function loadFinals2000A(path) {
+    const table = parseFinals2000A(await readText(path), String(path));
+    console.log(`[IERS] ✓ EOP ${table.start.toISOString().slice(0, 10)} to ` +
+        `${table.end.toISOString().slice(0, 10)} from ${path}`);
+    return table;
+}
+
+export default {
+    LeapSecondTable,
+    EOPTable,
+    parseLeapSecondFile,
+    parseFinals2000A,
+    loadLeapSecondFile,
+    loadFinals2000A,
+    dateToMJD,
+    mjdToDate
+};
@@ -12,19 +12,21 @@
  */
 
 import * as THREE from 'three';
+import { SeededRandom, randomSeed } from './seeded-random.js';
 
 /**
  * PERLIN NOISE
  * For natural terrain generation
  */
 class PerlinNoise {
-    constructor(seed = Math.random()) {
+    constructor(seed = randomSeed()) {
+        const rng = new SeededRandom(seed);
         this.grad3 = [[1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
                       [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
                       [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]];
         this.p = [];
         for(let i=0; i<256; i++) {
-            this.p[i] = Math.floor(Math.random() * 256);
+            this.p[i] = rng.int(0, 256);
         }
         this.perm = [];
         for(let i=0; i<512; i++) {
@@ -153,9 +155,10 @@ export const BIOMES = {
  * INFINITE BIOME GENERATOR
  */
 export class InfiniteBiomeGenerator {
-    constructor(scene) {
+    constructor(scene, rng = new SeededRandom()) {
         this.scene = scene;
-        this.noise = new PerlinNoise();
+        this.rng = rng;
+        this.noise = new PerlinNoise(rng.seed);
         this.chunks = new Map();
         this.chunkSize = 50;
         this.renderDistance = 5; // chunks
@@ -250,11 +253,14 @@ export class InfiniteBiomeGenerator {
     addBiomeFeatures(chunk, startX, startZ, biome) {
         const features = biome.features;
 
+        // Per-chunk stream so features don't depend on chunk load order
+        const rng = this.rng.fork(`chunk:${startX},${startZ}`);
+
         // Trees
         if (features.includes('trees')) {
             for (let i = 0; i < 20; i++) {
-                const x = startX + Math.random() * this.chunkSize;
-                const z = startZ + Math.random() * this.chunkSize;
+                const x = startX + rng.next() * this.chunkSize;
+                const z = startZ + rng.next() * this.chunkSize;
                 const y = this.getHeightAt(x, z);
                 this.createTree(chunk, x, y, z, biome);
             }
@@ -263,8 +269,8 @@ export class InfiniteBiomeGenerator {
         // Flowers
         if (features.includes('flowers')) {
             for (let i = 0; i < 50; i++) {
-                const x = startX + Math.random() * this.chunkSize;
-                const z = startZ + Math.random() * this.chunkSize;
+                const x = startX + rng.next() * this.chunkSize;
+                const z = startZ + rng.next() * this.chunkSize;
                 const y = this.getHeightAt(x, z);
                 this.createFlower(chunk, x, y, z, biome);
             }
@@ -273,8 +279,8 @@ export class InfiniteBiomeGenerator {
         // Crystals
         if (features.includes('giant_crystals')) {
             for (let i = 0; i < 10; i++) {
-                const x = startX + Math.random() * this.chunkSize;
-                const z = startZ + Math.random() * this.chunkSize;
+                const x = startX + rng.next() * this.chunkSize;
+                const z = startZ + rng.next() * this.chunkSize;
                 const y = this.getHeightAt(x, z);
                 this.createCrystal(chunk, x, y, z, biome);
             }
@@ -283,9 +289,9 @@ export class InfiniteBiomeGenerator {
         // Floating islands
         if (features.includes('floating_islands')) {
             for (let i = 0; i < 3; i++) {
-                const x = startX + Math.random() * this.chunkSize;
-                const z = startZ + Math.random() * this.chunkSize;
-                const y = 20 + Math.random() * 30;
+                const x = startX + rng.next() * this.chunkSize;
+                const z = startZ + rng.next() * this.chunkSize;
+                const y = rng.range(20, 50);
                 this.createFloatingIsland(chunk, x, y, z);
             }
         }
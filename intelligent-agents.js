@@ -8,6 +8,7 @@
  */
 
 import * as THREE from 'three';
+import { isHeadless } from './headless.js';
 
 // ===== AGENT PERSONALITIES =====
 export const AGENT_PROFILES = {
@@ -154,6 +155,14 @@ export class IntelligentAgent {
 
     // ===== 3D VISUALIZATION =====
     create3DModel() {
+        if (isHeadless(this.scene)) {
+            // Logic-only proxy: no geometry, shaders or canvas textures
+            this.mesh = new THREE.Group();
+            this.mesh.position.copy(this.position);
+            this.scene.add(this.mesh);
+            return;
+        }
+
         const group = new THREE.Group();
 
         // Body (capsule)
@@ -489,6 +498,8 @@ export class IntelligentAgent {
 
     // ===== PARTICLE EFFECTS =====
     emitCreationParticles() {
+        if (isHeadless(this.scene)) return;
+
         const geometry = new THREE.BufferGeometry();
         const positions = new Float32Array(30 * 3);
         const colors = new Float32Array(30 * 3);
@@ -545,6 +556,8 @@ export class IntelligentAgent {
     }
 
     emitJoyParticles() {
+        if (isHeadless(this.scene)) return;
+
         const geometry = new THREE.SphereGeometry(0.05, 8, 8);
         const material = new THREE.MeshBasicMaterial({
             color: 0xFFD700,
@@ -8,6 +8,8 @@
  * Philosophy: "MUSIC IS THE LANGUAGE OF THE UNIVERSE"
  */
 
+import { NullAudioContext, isHeadless } from './headless.js';
+
 // ===== MUSIC THEORY =====
 export const SCALES = {
     major: [0, 2, 4, 5, 7, 9, 11],           // Happy, bright
@@ -37,7 +39,9 @@ let masterGain = null;
 
 function initAudio() {
     if (!audioContext) {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        audioContext = isHeadless()
+            ? new NullAudioContext()
+            : new (window.AudioContext || window.webkitAudioContext)();
         masterGain = audioContext.createGain();
         masterGain.gain.value = 0.3;
         masterGain.connect(audioContext.destination);
@@ -192,7 +196,7 @@ export class NatureSounds {
         osc2.start();
         lfo.start();
 
-        this.activeSounds.push({ source: osc1, gain, type: 'wind' });
+        this.activeSounds.push({ source: osc1, extraSources: [osc2, lfo], gain, type: 'wind' });
 
         return { source: osc1, gain };
     }
@@ -275,12 +279,15 @@ export class NatureSounds {
     }
 
     stopAll() {
-        this.activeSounds.forEach(({ source }) => {
-            try {
-                source.stop();
-            } catch (e) {
-                // Already stopped
-            }
+        this.activeSounds.forEach(({ source, extraSources = [], gain }) => {
+            [source, ...extraSources].forEach(node => {
+                try {
+                    node.stop();
+                } catch (e) {
+                    // Already stopped
+                }
+            });
+            gain.disconnect();
         });
         this.activeSounds = [];
     }
@@ -300,6 +307,9 @@ export class BiomeSoundscape {
         if (this.isPlaying) return;
         this.isPlaying = true;
 
+        // Nothing to hear without a DOM, so don't schedule ambience loops
+        if (isHeadless()) return;
+
         switch (this.biomeType) {
             case 'forest':
                 this.forestAmbience();
@@ -513,6 +523,13 @@ export class MusicManager {
         this.currentSoundscape.start();
     }
 
+    // Per-frame hook: switch soundscape when the player's biome changes
+    update(biomeType, deltaTime) {
+        if (this.currentSoundscape?.biomeType !== biomeType) {
+            this.setBiome(biomeType);
+        }
+    }
+
     playAnimalSound(animalType) {
         switch (animalType) {
             case 'bird':
@@ -538,6 +555,15 @@ export class MusicManager {
         }
         this.natureSounds.stopAll();
     }
+
+    /**
+     * Stop every loop and oscillator and disconnect their gain nodes
+     * (for module hot-swap/teardown)
+     */
+    dispose() {
+        this.stop();
+        this.currentSoundscape = null;
+    }
 }
 
 export default MusicManager;
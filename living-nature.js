@@ -9,6 +9,9 @@
  */
 
 import * as THREE from 'three';
+import { isHeadless } from './headless.js';
+import { GAME_EVENTS } from './event-bus.js';
+import { SeededRandom } from './seeded-random.js';
 
 // ===== ANIMAL TYPES =====
 export const ANIMAL_SPECIES = {
@@ -201,6 +204,7 @@ export class LivingAnimal {
         this.mesh = null;
         this.particles = null;
         this.light = null;
+        this.bus = null;
 
         // Personality & needs
         this.emotion = EMOTIONS.PEACEFUL;
@@ -351,6 +355,14 @@ export class LivingAnimal {
     }
 
     receiveAction(action, data = {}) {
+        if (action === 'pet' || action === 'play') {
+            this.bus?.publish(GAME_EVENTS.LOVE_CREATURE, {
+                species: this.speciesName,
+                action,
+                impact: { love: 1 }
+            }, 'nature');
+        }
+
         switch (action) {
             case 'pet':
                 this.love = Math.min(1, this.love + 0.2);
@@ -401,6 +413,8 @@ export class LivingAnimal {
     }
 
     emitParticles(type) {
+        if (isHeadless(this.scene)) return;
+
         // Create emotion particles
         const particleCount = 10;
         const geometry = new THREE.BufferGeometry();
@@ -585,6 +599,8 @@ export class LivingPlant {
     }
 
     emitParticles(type) {
+        if (isHeadless(this.scene)) return;
+
         const particleCount = 15;
         const geometry = new THREE.BufferGeometry();
         const positions = new Float32Array(particleCount * 3);
@@ -623,15 +639,26 @@ export class LivingPlant {
 
 // ===== NATURE MANAGER =====
 export class NatureManager {
-    constructor(scene) {
+    constructor(scene, rng = new SeededRandom()) {
         this.scene = scene;
+        this.rng = rng; // spawn placement and species
         this.animals = [];
         this.plants = [];
         this.time = 0;
+        this.bus = null;
+    }
+
+    // Let animals publish love_creature when they are petted or played with
+    connectEvents(bus) {
+        this.bus = bus;
+        this.animals.forEach(animal => {
+            animal.bus = bus;
+        });
     }
 
     spawnAnimal(species, position) {
         const animal = new LivingAnimal(this.scene, species, position);
+        animal.bus = this.bus;
         this.animals.push(animal);
         return animal;
     }
@@ -647,9 +674,9 @@ export class NatureManager {
         // Spawn butterflies
         for (let i = 0; i < 5; i++) {
             const pos = new THREE.Vector3(
-                centerX + (Math.random() - 0.5) * radius,
-                2 + Math.random() * 3,
-                centerZ + (Math.random() - 0.5) * radius
+                centerX + this.rng.range(-radius / 2, radius / 2),
+                this.rng.range(2, 5),
+                centerZ + this.rng.range(-radius / 2, radius / 2)
             );
             this.spawnAnimal('butterfly', pos);
         }
@@ -657,9 +684,9 @@ export class NatureManager {
         // Spawn birds
         for (let i = 0; i < 3; i++) {
             const pos = new THREE.Vector3(
-                centerX + (Math.random() - 0.5) * radius,
-                5 + Math.random() * 5,
-                centerZ + (Math.random() - 0.5) * radius
+                centerX + this.rng.range(-radius / 2, radius / 2),
+                this.rng.range(5, 10),
+                centerZ + this.rng.range(-radius / 2, radius / 2)
             );
             this.spawnAnimal('bird', pos);
         }
@@ -667,9 +694,9 @@ export class NatureManager {
         // Spawn rabbits
         for (let i = 0; i < 2; i++) {
             const pos = new THREE.Vector3(
-                centerX + (Math.random() - 0.5) * radius,
+                centerX + this.rng.range(-radius / 2, radius / 2),
                 0,
-                centerZ + (Math.random() - 0.5) * radius
+                centerZ + this.rng.range(-radius / 2, radius / 2)
             );
             this.spawnAnimal('rabbit', pos);
         }
@@ -677,9 +704,9 @@ export class NatureManager {
         // Spawn bees
         for (let i = 0; i < 4; i++) {
             const pos = new THREE.Vector3(
-                centerX + (Math.random() - 0.5) * radius,
-                1 + Math.random() * 2,
-                centerZ + (Math.random() - 0.5) * radius
+                centerX + this.rng.range(-radius / 2, radius / 2),
+                this.rng.range(1, 3),
+                centerZ + this.rng.range(-radius / 2, radius / 2)
             );
             this.spawnAnimal('bee', pos);
         }
@@ -687,27 +714,27 @@ export class NatureManager {
         // Spawn flowers
         for (let i = 0; i < 15; i++) {
             const pos = new THREE.Vector3(
-                centerX + (Math.random() - 0.5) * radius,
+                centerX + this.rng.range(-radius / 2, radius / 2),
                 0,
-                centerZ + (Math.random() - 0.5) * radius
+                centerZ + this.rng.range(-radius / 2, radius / 2)
             );
-            const species = ['cherry_blossom', 'sunflower', 'rose'][Math.floor(Math.random() * 3)];
+            const species = this.rng.pick(['cherry_blossom', 'sunflower', 'rose']);
             this.spawnPlant(species, pos);
         }
 
         // Spawn mushrooms
         for (let i = 0; i < 8; i++) {
             const pos = new THREE.Vector3(
-                centerX + (Math.random() - 0.5) * radius,
+                centerX + this.rng.range(-radius / 2, radius / 2),
                 0,
-                centerZ + (Math.random() - 0.5) * radius
+                centerZ + this.rng.range(-radius / 2, radius / 2)
             );
             this.spawnPlant('mushroom', pos);
         }
     }
 
-    update() {
-        this.time += 0.016;
+    update(deltaTime = 0.016) {
+        this.time += deltaTime;
 
         // Update all creatures
         this.animals.forEach(animal => animal.update(this.time));
@@ -3,53 +3,227 @@
  *
  * This loader dynamically imports and initializes all 18 systems in the correct order
  * with proper dependency management and error handling.
+ *
+ * CORE_MODULES are always registered first; additional systems can be layered on
+ * top with ModuleLoader.register() or a JSON manifest (see loadManifest) without
+ * editing this file. Pass `{ includeCore: false }` to load only your own modules.
+ * Relative paths passed to register() resolve against this file, the same as the
+ * built-in CORE_MODULES.
+ *
+ * Lifecycle contract - a system module may export any of:
+ *   init(context)  - called once after import, in dependency order; context.signal
+ *                    aborts if the load times out
+ *   start()        - begin (or resume) running
+ *   update(dt)     - per-frame tick while running
+ *   pause()        - stop ticking without releasing resources
+ *   dispose()      - release meshes, audio nodes, listeners; called in reverse order
+ *
+ * Most modules only export classes; the instances built from them by
+ * initializeAllSystems() live in a SystemRegistry attached to the loader. When a
+ * module is disposed or reloaded, those instances get disconnectEvents() and
+ * dispose() and are unscheduled; reload() then rebuilds them from SYSTEM_DEFINITIONS.
+ */
+
+import * as THREE from 'three';
+import { SystemScheduler } from './system-scheduler.js';
+import { EventBus } from './event-bus.js';
+import { RandomService } from './seeded-random.js';
+
+/**
+ * Built-in systems, in the same shape accepted by ModuleLoader.register()
  */
+export const CORE_MODULES = [
+    // Core infrastructure (no dependencies)
+    { name: 'truth', path: './truth-contracts.js', deps: [] },
+    { name: 'verification', path: './verification-system.js', deps: ['truth'] },
+
+    // Scientific/mathematical systems
+    { name: 'celestial', path: './celestial-mechanics.js', deps: ['truth'] },
+    { name: 'physics', path: './physics-engine.js', deps: ['truth'] },
+
+    // World generation
+    { name: 'biomes', path: './infinite-biomes.js', deps: [] },
+    { name: 'particles', path: './particle-effects.js', deps: [], optional: true },
+    { name: 'transport', path: './transportation.js', deps: [], optional: true },
+
+    // Content systems
+    { name: 'nature', path: './living-nature.js', deps: ['physics'] },
+    { name: 'music', path: './living-music.js', deps: [], optional: true },
+    { name: 'graphics', path: './photorealistic-graphics.js', deps: [], optional: true },
+    { name: 'weather', path: './pangea-weather.js', deps: [], optional: true },
+
+    // Gameplay systems
+    { name: 'creation', path: './creation-powers.js', deps: ['nature'] },
+    { name: 'crafting', path: './crafting-building.js', deps: ['physics'] },
+    { name: 'dialogue', path: './dialogue-story.js', deps: [] },
+    { name: 'quests', path: './quest-system.js', deps: [] },
+
+    // AI and social
+    { name: 'agents', path: './intelligent-agents.js', deps: ['dialogue'] },
+    { name: 'multiplayer', path: './multiplayer-love.js', deps: [], optional: true },
+
+    // Meta systems
+    { name: 'evolution', path: './world-evolution.js', deps: ['nature', 'agents'] },
+    { name: 'integration', path: './game-integration.js', deps: ['*'] } // Depends on all
+];
+
+// ===== LIFECYCLE STATES =====
+export const LIFECYCLE_STATES = {
+    INITIALIZED: 'initialized',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    DISPOSED: 'disposed'
+};
+
+// ===== LOAD STATUSES =====
+export const LOAD_STATUS = {
+    LOADED: 'loaded',           // Imported and initialized
+    PLACEHOLDER: 'placeholder', // Import failed, placeholder stored instead
+    FAILED: 'failed',           // Imported, but init() threw
+    TIMED_OUT: 'timed-out',     // Import + init exceeded the module timeout
+    SKIPPED: 'skipped'          // Not attempted: a required dependency failed, or fail-fast aborted
+};
+
+/**
+ * Summary of a loadAll() run, suitable for rendering on a boot screen
+ */
+export class LoadReport {
+    constructor(results, configs) {
+        this.results = results;
+        this.counts = Object.fromEntries(Object.values(LOAD_STATUS).map(status => [status, 0]));
+        results.forEach(result => this.counts[result.status]++);
+
+        // Required modules that did not load; optional ones are reported but tolerated
+        this.failures = results.filter(result =>
+            result.status !== LOAD_STATUS.LOADED && !configs.get(result.name)?.optional
+        );
+        this.ok = this.failures.length === 0;
+    }
+
+    getByStatus(status) {
+        return this.results.filter(result => result.status === status);
+    }
+
+    summary() {
+        const parts = Object.entries(this.counts)
+            .filter(([, count]) => count > 0)
+            .map(([status, count]) => `${count} ${status}`);
+        return `${this.ok ? 'OK' : 'FAILED'}: ${parts.join(', ')}`;
+    }
+
+    toJSON() {
+        return {
+            ok: this.ok,
+            counts: this.counts,
+            results: this.results.map(({ name, status, reason, duration }) => ({ name, status, reason, duration }))
+        };
+    }
+}
+
+export const DEFAULT_MODULE_TIMEOUT = 10000; // ms
 
 export class ModuleLoader {
-    constructor() {
+    /**
+     * Options: { timeout, failFast, includeCore = true }
+     * With `includeCore: false` nothing is registered until register() is called.
+     */
+    constructor(options = {}) {
+        this.timeout = options.timeout ?? DEFAULT_MODULE_TIMEOUT;
+        this.failFast = Boolean(options.failFast);
+        this.report = null;
         this.modules = new Map();
+        this.results = new Map();
+        this.configs = new Map();
+        this.states = new Map();
+        this.loadOrder = [];
+        this.context = {};
+        this.reloadCount = 0;
+        this.registries = new Set(); // SystemRegistry instances built from our modules
         this.loadProgress = 0;
         this.onProgress = null;
         this.onComplete = null;
+
+        if (options.includeCore ?? true) {
+            CORE_MODULES.forEach(config => this.register(config));
+        }
+    }
+
+    /**
+     * Register a system to be loaded by loadAll()
+     * Config shape: { name, path, deps = [], optional = false, timeout? }
+     * Modules are required unless `optional: true` (or `required: false`) is given.
+     * `timeout` (ms) overrides the loader-wide per-module timeout. A module that
+     * finishes loading after timing out is disposed (see result.late).
+     */
+    register(config) {
+        if (!config || typeof config.name !== 'string' || !config.name) {
+            throw new Error('[ModuleLoader] Module config requires a name');
+        }
+        if (typeof config.path !== 'string' || !config.path) {
+            throw new Error(`[ModuleLoader] Module ${config.name} requires a path`);
+        }
+        if (this.configs.has(config.name)) {
+            throw new Error(`[ModuleLoader] Module ${config.name} is already registered`);
+        }
+
+        const deps = config.deps || [];
+        if (!Array.isArray(deps)) {
+            throw new Error(`[ModuleLoader] Module ${config.name} deps must be an array`);
+        }
+
+        if (config.optional !== undefined && config.required !== undefined &&
+            Boolean(config.optional) === Boolean(config.required)) {
+            throw new Error(`[ModuleLoader] Module ${config.name} cannot be both required and optional`);
+        }
+
+        const { required, ...rest } = config;
+        const entry = {
+            ...rest,
+            deps: [...deps],
+            optional: config.optional !== undefined ? Boolean(config.optional) : required === false
+        };
+
+        this.configs.set(entry.name, entry);
+        return entry;
+    }
+
+    /**
+     * Register every module listed in a manifest
+     * Accepts a manifest object ({ modules: [...] }), a bare array, or a URL to fetch.
+     * Relative paths in a fetched manifest resolve against the manifest URL.
+     */
+    async loadManifest(source) {
+        let manifest = source;
+        let baseUrl = null;
+
+        if (typeof source === 'string' || source instanceof URL) {
+            baseUrl = new URL(source, globalThis.location?.href).href;
+            const response = await fetch(baseUrl);
+            if (!response.ok) {
+                throw new Error(`[ModuleLoader] Failed to fetch manifest ${baseUrl}: ${response.status}`);
+            }
+            manifest = await response.json();
+        }
+
+        const entries = Array.isArray(manifest) ? manifest : manifest?.modules;
+        if (!Array.isArray(entries)) {
+            throw new Error('[ModuleLoader] Manifest must be an array or contain a "modules" array');
+        }
+
+        return entries.map(entry => this.register({
+            ...entry,
+            path: baseUrl ? new URL(entry.path, baseUrl).href : entry.path
+        }));
     }
 
     /**
-     * Load all systems in dependency order
+     * Load all registered systems (core plus plugins) in dependency order
+     * `context` is shared with every module's init(context).
      */
-    async loadAll() {
-        const moduleConfigs = [
-            // Core infrastructure (no dependencies)
-            { name: 'truth', path: './truth-contracts.js', deps: [] },
-            { name: 'verification', path: './verification-system.js', deps: ['truth'] },
-
-            // Scientific/mathematical systems
-            { name: 'celestial', path: './celestial-mechanics.js', deps: ['truth'] },
-            { name: 'physics', path: './physics-engine.js', deps: ['truth'] },
-
-            // World generation
-            { name: 'biomes', path: './infinite-biomes.js', deps: [] },
-            { name: 'particles', path: './particle-effects.js', deps: [] },
-            { name: 'transport', path: './transportation.js', deps: [] },
-
-            // Content systems
-            { name: 'nature', path: './living-nature.js', deps: ['physics'] },
-            { name: 'music', path: './living-music.js', deps: [] },
-            { name: 'graphics', path: './photorealistic-graphics.js', deps: [] },
-
-            // Gameplay systems
-            { name: 'creation', path: './creation-powers.js', deps: ['nature'] },
-            { name: 'crafting', path: './crafting-building.js', deps: ['physics'] },
-            { name: 'dialogue', path: './dialogue-story.js', deps: [] },
-            { name: 'quests', path: './quest-system.js', deps: [] },
-
-            // AI and social
-            { name: 'agents', path: './intelligent-agents.js', deps: ['dialogue'] },
-            { name: 'multiplayer', path: './multiplayer-love.js', deps: [] },
-
-            // Meta systems
-            { name: 'evolution', path: './world-evolution.js', deps: ['nature', 'agents'] },
-            { name: 'integration', path: './game-integration.js', deps: ['*'] } // Depends on all
-        ];
+    async loadAll(context = {}) {
+        this.context = context;
+
+        const moduleConfigs = [...this.configs.values()];
 
         const totalModules = moduleConfigs.length;
         let loadedCount = 0;
@@ -59,83 +233,425 @@ export class ModuleLoader {
 
         // Topological sort for load order
         const loadOrder = this.topologicalSort(graph);
+        this.loadOrder = loadOrder.filter(name => this.configs.has(name));
 
-        // Load modules in order
-        for (const moduleName of loadOrder) {
-            const config = moduleConfigs.find(c => c.name === moduleName);
-            if (!config) continue;
+        let abortReason = null;
 
-            try {
-                console.log(`[ModuleLoader] Loading ${moduleName}...`);
-                const module = await this.loadModule(config);
-                this.modules.set(moduleName, module);
+        // Modules within a level only depend on earlier levels, so load each level concurrently
+        for (const level of this.buildLoadLevels(graph, this.loadOrder)) {
+            await Promise.all(level.map(async (moduleName) => {
+                const config = this.configs.get(moduleName);
+                const skipReason = abortReason || this.findBlockedReason(graph.get(moduleName).deps);
+
+                let result;
+                if (skipReason) {
+                    result = this.skipEntry(config, skipReason);
+                } else {
+                    console.log(`[ModuleLoader] Loading ${moduleName}...`);
+                    result = await this.loadEntry(config);
+                }
+
+                if (result.status !== LOAD_STATUS.LOADED && !config.optional && this.failFast && !abortReason) {
+                    abortReason = `Load aborted after required module "${moduleName}" ${result.status}`;
+                }
+
+                this.modules.set(moduleName, result.module);
+                if (result.status === LOAD_STATUS.LOADED) {
+                    this.states.set(moduleName, LIFECYCLE_STATES.INITIALIZED);
+                }
 
                 loadedCount++;
                 this.loadProgress = loadedCount / totalModules;
 
                 if (this.onProgress) {
-                    this.onProgress(moduleName, this.loadProgress);
+                    this.onProgress(moduleName, this.loadProgress, result);
                 }
 
-                console.log(`[ModuleLoader] ✓ ${moduleName} loaded (${Math.round(this.loadProgress * 100)}%)`);
-            } catch (error) {
-                console.error(`[ModuleLoader] ✗ Failed to load ${moduleName}:`, error);
-                // Continue loading other modules even if one fails
-            }
+                if (result.status === LOAD_STATUS.LOADED) {
+                    console.log(`[ModuleLoader] ✓ ${moduleName} loaded in ${Math.round(result.duration)}ms (${Math.round(this.loadProgress * 100)}%)`);
+                } else if (config.optional) {
+                    console.warn(`[ModuleLoader] ${moduleName} (optional) ${result.status}: ${result.reason}`);
+                } else {
+                    console.error(`[ModuleLoader] ✗ ${moduleName} ${result.status}: ${result.reason}`);
+                }
+            }));
         }
 
-        console.log('[ModuleLoader] All modules loaded!');
+        this.report = new LoadReport(this.getResults(), this.configs);
+        console.log(`[ModuleLoader] Load complete - ${this.report.summary()}`);
 
         if (this.onComplete) {
-            this.onComplete(this.modules);
+            this.onComplete(this.modules, this.report);
         }
 
         return this.modules;
     }
 
+    /**
+     * Group a load order into levels: level 0 has no deps, level N only
+     * depends on levels below N
+     */
+    buildLoadLevels(graph, loadOrder) {
+        const depth = new Map();
+        const levels = [];
+
+        for (const name of loadOrder) {
+            const deps = graph.get(name)?.deps || [];
+            const level = deps.reduce((max, dep) => Math.max(max, (depth.get(dep) ?? -1) + 1), 0);
+
+            depth.set(name, level);
+            if (!levels[level]) levels[level] = [];
+            levels[level].push(name);
+        }
+
+        return levels.filter(Boolean);
+    }
+
     /**
      * Load a single module
      */
-    async loadModule(config) {
-        try {
-            // Dynamically import the module
-            const module = await import(config.path);
+    async loadModule(config, context = this.createContext(config)) {
+        const result = await this.loadEntry(config, context);
+        return result.module;
+    }
+
+    /**
+     * Import and init a module under its timeout, returning a structured result:
+     * { name, status, module, error, reason, duration }
+     */
+    async loadEntry(config, context = this.createContext(config)) {
+        const startTime = performance.now();
+        const timeout = config.timeout ?? this.timeout;
+        // Aborted on timeout so a well-behaved init() can stop its work early
+        const controller = new AbortController();
+        const loadContext = { ...context, signal: controller.signal };
+
+        const load = async () => {
+            let module;
+            try {
+                // Dynamically import the module
+                module = await import(config.path);
+            } catch (error) {
+                // If module doesn't exist, fall back to a placeholder
+                console.warn(`[ModuleLoader] Module ${config.name} not found, using placeholder`);
+                return { status: LOAD_STATUS.PLACEHOLDER, module: null, error };
+            }
 
             // Initialize if it has an init function
             if (module.init && typeof module.init === 'function') {
-                await module.init();
+                try {
+                    await module.init(loadContext);
+                } catch (error) {
+                    return { status: LOAD_STATUS.FAILED, module: null, error };
+                }
             }
 
-            return module;
+            return { status: LOAD_STATUS.LOADED, module, error: null };
+        };
+
+        let timer = null;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve({
+                status: LOAD_STATUS.TIMED_OUT,
+                module: null,
+                error: new Error(`Module ${config.name} did not load within ${timeout}ms`)
+            }), timeout);
+        });
+
+        const pending = load();
+        const outcome = await Promise.race([pending, timedOut]);
+        clearTimeout(timer);
+
+        const result = {
+            name: config.name,
+            ...outcome,
+            reason: outcome.error ? outcome.error.message : null,
+            // Anything not LOADED gets a placeholder so lookups stay safe
+            module: outcome.module || { placeholder: true, name: config.name },
+            duration: performance.now() - startTime
+        };
+
+        if (outcome.status === LOAD_STATUS.TIMED_OUT) {
+            controller.abort(outcome.error);
+            result.late = this.disposeLateLoad(config, pending);
+        }
+
+        this.results.set(config.name, result);
+        return result;
+    }
+
+    /**
+     * Dispose a module whose import/init finishes after it timed out
+     * It was replaced by a placeholder, so nothing else will ever release it.
+     * Resolves with the late outcome once any cleanup is done.
+     */
+    async disposeLateLoad(config, pending) {
+        const late = await pending;
+        if (late.status !== LOAD_STATUS.LOADED || typeof late.module.dispose !== 'function') {
+            return late;
+        }
+
+        console.warn(`[ModuleLoader] ⚠ ${config.name} finished after timing out, disposing`);
+        try {
+            await late.module.dispose();
         } catch (error) {
-            // If module doesn't exist, return a placeholder
-            console.warn(`[ModuleLoader] Module ${config.name} not found, using placeholder`);
-            return { placeholder: true, name: config.name };
+            console.error(`[ModuleLoader] ✗ ${config.name} dispose after timeout failed:`, error);
+        }
+        return late;
+    }
+
+    /**
+     * Why a module cannot load given its deps' results, or null if it can.
+     * Failed optional deps are tolerated (dependents see their placeholder);
+     * failed or skipped required deps and unregistered deps block.
+     */
+    findBlockedReason(deps) {
+        for (const dep of deps) {
+            const depConfig = this.configs.get(dep);
+            if (!depConfig) {
+                return `Dependency "${dep}" is not registered`;
+            }
+
+            const depResult = this.results.get(dep);
+            if (!depResult || depResult.status === LOAD_STATUS.LOADED || depConfig.optional) continue;
+
+            return depResult.status === LOAD_STATUS.SKIPPED
+                ? `Required dependency "${dep}" was skipped (${depResult.reason})`
+                : `Required dependency "${dep}" ${depResult.status}: ${depResult.reason}`;
+        }
+
+        return null;
+    }
+
+    skipEntry(config, reason) {
+        const result = {
+            name: config.name,
+            status: LOAD_STATUS.SKIPPED,
+            module: { placeholder: true, name: config.name },
+            error: null,
+            reason,
+            duration: 0
+        };
+
+        this.results.set(config.name, result);
+        return result;
+    }
+
+    /**
+     * Final report of the last loadAll()
+     */
+    getReport() {
+        return this.report;
+    }
+
+    /**
+     * Structured load results, in load order
+     */
+    getResults() {
+        return this.loadOrder
+            .filter(name => this.results.has(name))
+            .map(name => this.results.get(name));
+    }
+
+    /**
+     * Context handed to a module's init()
+     */
+    createContext(config) {
+        return {
+            ...this.context,
+            name: config.name,
+            loader: this,
+            get: (name) => this.get(name)
+        };
+    }
+
+    // ===== LIFECYCLE =====
+
+    /**
+     * Call a lifecycle hook on one module, logging (not throwing) on failure
+     */
+    async callHook(name, hook, ...args) {
+        const module = this.modules.get(name);
+        if (!module || module.placeholder || typeof module[hook] !== 'function') {
+            return true;
+        }
+
+        try {
+            await module[hook](...args);
+            return true;
+        } catch (error) {
+            console.error(`[ModuleLoader] ✗ ${name}.${hook}() failed:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Start (or resume) every initialized or paused module in dependency order
+     */
+    async startAll() {
+        for (const name of this.loadOrder) {
+            await this.start(name);
+        }
+    }
+
+    async start(name) {
+        const state = this.states.get(name);
+        if (state !== LIFECYCLE_STATES.INITIALIZED && state !== LIFECYCLE_STATES.PAUSED) {
+            return false;
+        }
+
+        await this.callHook(name, 'start');
+        this.states.set(name, LIFECYCLE_STATES.RUNNING);
+        return true;
+    }
+
+    /**
+     * Tick every running module in dependency order
+     */
+    updateAll(deltaTime) {
+        for (const name of this.loadOrder) {
+            if (this.states.get(name) !== LIFECYCLE_STATES.RUNNING) continue;
+
+            const module = this.modules.get(name);
+            if (typeof module.update !== 'function') continue;
+
+            try {
+                module.update(deltaTime);
+            } catch (error) {
+                console.error(`[ModuleLoader] ✗ ${name}.update() failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Pause every running module in dependency order
+     */
+    async pauseAll() {
+        for (const name of this.loadOrder) {
+            await this.pause(name);
+        }
+    }
+
+    async pause(name) {
+        if (this.states.get(name) !== LIFECYCLE_STATES.RUNNING) {
+            return false;
+        }
+
+        await this.callHook(name, 'pause');
+        this.states.set(name, LIFECYCLE_STATES.PAUSED);
+        return true;
+    }
+
+    /**
+     * Dispose every module in reverse dependency order and forget it
+     * Systems built from a module by an attached SystemRegistry are disposed first.
+     */
+    async disposeAll() {
+        for (const name of [...this.loadOrder].reverse()) {
+            await this.dispose(name);
+        }
+    }
+
+    async dispose(name) {
+        if (!this.modules.has(name)) {
+            return false;
+        }
+
+        for (const registry of this.registries) {
+            await registry.disposeModule(name);
+        }
+        await this.callHook(name, 'dispose');
+        this.modules.delete(name);
+        this.states.set(name, LIFECYCLE_STATES.DISPOSED);
+        return true;
+    }
+
+    /**
+     * Hot-swap a module: dispose it and its dependents (reverse order), re-import
+     * fresh copies, then re-init them in dependency order. Modules that were
+     * running before the swap are started again, and systems that attached
+     * registries built from them are recreated from the new exports.
+     */
+    async reload(name) {
+        const config = this.configs.get(name);
+        if (!config) {
+            throw new Error(`[ModuleLoader] Cannot reload unregistered module: ${name}`);
+        }
+
+        const graph = this.buildDependencyGraph([...this.configs.values()]);
+        const affected = new Set([name]);
+        for (const candidate of this.loadOrder) {
+            if (graph.get(candidate).deps.some(dep => affected.has(dep))) {
+                affected.add(candidate);
+            }
+        }
+        const order = this.loadOrder.filter(candidate => affected.has(candidate));
+
+        const wasRunning = new Set(order.filter(
+            candidate => this.states.get(candidate) === LIFECYCLE_STATES.RUNNING
+        ));
+
+        for (const candidate of [...order].reverse()) {
+            await this.dispose(candidate);
+        }
+
+        // ES modules are cached per URL, so bust the cache to get a fresh instance
+        this.reloadCount++;
+        for (const candidate of order) {
+            const candidateConfig = this.configs.get(candidate);
+            const separator = candidateConfig.path.includes('?') ? '&' : '?';
+            const module = await this.loadModule({
+                ...candidateConfig,
+                path: `${candidateConfig.path}${separator}reload=${this.reloadCount}`
+            }, this.createContext(candidateConfig));
+
+            this.modules.set(candidate, module);
+            if (!module.placeholder) {
+                this.states.set(candidate, LIFECYCLE_STATES.INITIALIZED);
+                this.registries.forEach(registry => registry.rebuildModule(candidate));
+                if (wasRunning.has(candidate)) {
+                    await this.start(candidate);
+                }
+            }
         }
+
+        return this.modules.get(name);
+    }
+
+    /**
+     * Get lifecycle state of a module
+     */
+    getState(name) {
+        return this.states.get(name) || null;
     }
 
     /**
      * Build dependency graph from module configs
+     * A '*' dependency expands to every other config that does not itself use '*',
+     * so catch-all modules like integration load after everything they import.
      */
     buildDependencyGraph(configs) {
         const graph = new Map();
-
-        for (const config of configs) {
-            if (!graph.has(config.name)) {
-                graph.set(config.name, { deps: [], dependents: [] });
+        const ensureNode = (name) => {
+            if (!graph.has(name)) {
+                graph.set(name, { deps: [], dependents: [] });
             }
+            return graph.get(name);
+        };
 
-            const node = graph.get(config.name);
+        const isWildcard = (config) => config.deps.includes('*');
+        const concreteNames = configs.filter(c => !isWildcard(c)).map(c => c.name);
 
-            for (const dep of config.deps) {
-                if (dep === '*') continue; // Handle wildcard separately
+        for (const config of configs) {
+            const node = ensureNode(config.name);
 
-                node.deps.push(dep);
+            const deps = config.deps.flatMap(dep =>
+                dep === '*' ? concreteNames.filter(name => name !== config.name) : [dep]
+            );
 
-                if (!graph.has(dep)) {
-                    graph.set(dep, { deps: [], dependents: [] });
-                }
-                graph.get(dep).dependents.push(config.name);
+            for (const dep of new Set(deps)) {
+                node.deps.push(dep);
+                ensureNode(dep).dependents.push(config.name);
             }
         }
 
@@ -144,19 +660,25 @@ export class ModuleLoader {
 
     /**
      * Topological sort for load order
+     * Throws with the full cycle path (e.g. "a → b → c → a") on circular dependencies.
      */
     topologicalSort(graph) {
         const sorted = [];
         const visited = new Set();
-        const visiting = new Set();
+        const path = [];
 
         const visit = (name) => {
             if (visited.has(name)) return;
-            if (visiting.has(name)) {
-                throw new Error(`Circular dependency detected: ${name}`);
+
+            const cycleStart = path.indexOf(name);
+            if (cycleStart !== -1) {
+                const cycle = [...path.slice(cycleStart), name];
+                const error = new Error(`Circular dependency detected: ${cycle.join(' → ')}`);
+                error.cycle = cycle;
+                throw error;
             }
 
-            visiting.add(name);
+            path.push(name);
 
             const node = graph.get(name);
             if (node) {
@@ -165,7 +687,7 @@ export class ModuleLoader {
                 }
             }
 
-            visiting.delete(name);
+            path.pop();
             visited.add(name);
             sorted.push(name);
         };
@@ -199,15 +721,353 @@ export class ModuleLoader {
     }
 }
 
+// ===== SYSTEM DEFINITIONS =====
+/**
+ * How each runtime system is built from its loaded module, in construction order.
+ *   module - ModuleLoader module name providing the exports
+ *   create(exports, context) - returns the system instance
+ *   update(system, deltaTime, context) - optional tick
+ *   rate / fixed / priority - scheduling, see SystemScheduler (default: every frame)
+ * `context` carries scene, camera, renderer, gameState, loader and the registry
+ * being built, so later systems can look up earlier ones.
+ */
+export const SYSTEM_DEFINITIONS = [
+    {
+        name: 'verification',
+        module: 'verification',
+        create: ({ VerificationManager }) => new VerificationManager()
+    },
+    {
+        name: 'physics',
+        module: 'physics',
+        create: ({ PhysicsEngine }, context) => new PhysicsEngine(context.scene),
+        update: (physics, deltaTime) => physics.update(deltaTime),
+        rate: 60,
+        fixed: true,
+        priority: 100
+    },
+    {
+        name: 'biomes',
+        module: 'biomes',
+        create: ({ InfiniteBiomeGenerator }, context) =>
+            new InfiniteBiomeGenerator(context.scene, context.random.stream('biomes')),
+        update: (biomes, deltaTime, context) => {
+            const position = context.gameState.playerPosition;
+            biomes.update(position.x, position.z);
+        },
+        rate: 4
+    },
+    {
+        name: 'particles',
+        module: 'particles',
+        create: ({ ParticleManager }, context) => new ParticleManager(context.scene),
+        update: (particles) => particles.update()
+    },
+    {
+        name: 'transport',
+        module: 'transport',
+        create: ({ TransportationSystem }, context) =>
+            new TransportationSystem(context.scene, context.camera, context.controls)
+    },
+    {
+        name: 'nature',
+        module: 'nature',
+        create: ({ NatureManager }, context) => new NatureManager(context.scene, context.random.stream('nature')),
+        update: (nature, deltaTime) => nature.update(deltaTime),
+        rate: 30
+    },
+    {
+        name: 'music',
+        module: 'music',
+        create: ({ MusicManager }) => new MusicManager(),
+        update: (music, deltaTime, context) => music.update(context.gameState.currentBiome, deltaTime),
+        rate: 2
+    },
+    {
+        name: 'dayNight',
+        module: 'weather',
+        create: ({ DayNightCycle }, context) => new DayNightCycle(context.scene),
+        update: (dayNight, deltaTime) => dayNight.update(deltaTime),
+        rate: 10
+    },
+    {
+        name: 'weather',
+        module: 'weather',
+        create: ({ WeatherSystem }, context) =>
+            new WeatherSystem(context.scene, context.terrain, context.random.stream('weather')),
+        update: (weather, deltaTime, context) => {
+            const position = context.gameState.playerPosition;
+            weather.update(deltaTime, position, context.registry.get('biomes')?.getBiomeAt(position.x, position.z));
+        }
+    },
+    {
+        name: 'graphics',
+        module: 'graphics',
+        create: ({ PhotorealisticGraphics }, context) =>
+            new PhotorealisticGraphics(context.renderer, context.scene, context.camera)
+    },
+    {
+        name: 'creation',
+        module: 'creation',
+        create: ({ CreationManager }, context) =>
+            new CreationManager(context.scene, context.registry.get('nature')),
+        update: (creation, deltaTime, context) => creation.updatePets(context.gameState.playerPosition),
+        priority: -10
+    },
+    {
+        name: 'inventory',
+        module: 'crafting',
+        create: ({ Inventory }) => new Inventory()
+    },
+    {
+        name: 'crafting',
+        module: 'crafting',
+        create: ({ CraftingManager }, context) => new CraftingManager(context.registry.get('inventory')),
+        update: (crafting, deltaTime) => crafting.updateCrafting(deltaTime),
+        rate: 10
+    },
+    {
+        name: 'building',
+        module: 'crafting',
+        create: ({ BuildingSystem }, context) =>
+            new BuildingSystem(context.scene, context.registry.get('inventory'))
+    },
+    {
+        name: 'dialogue',
+        module: 'dialogue',
+        create: ({ DialogueManager }) => new DialogueManager()
+    },
+    {
+        name: 'story',
+        module: 'dialogue',
+        create: ({ StoryManager }) => new StoryManager()
+    },
+    {
+        name: 'quests',
+        module: 'quests',
+        create: ({ QuestManager }) => new QuestManager()
+    },
+    {
+        name: 'agents',
+        module: 'agents',
+        create: ({ AgentManager }, context) => new AgentManager(context.scene),
+        update: (agents, deltaTime) => agents.update(deltaTime),
+        rate: 10,
+        priority: 50
+    },
+    {
+        name: 'multiplayer',
+        module: 'multiplayer',
+        create: ({ MultiplayerManager }, context) => new MultiplayerManager(context.scene)
+    },
+    {
+        name: 'evolution',
+        module: 'evolution',
+        create: ({ WorldEvolutionManager }, context) =>
+            new WorldEvolutionManager(context.scene, context.random.stream('evolution')),
+        update: (evolution, deltaTime) => evolution.update(deltaTime),
+        rate: 1
+    }
+];
+
+// ===== SYSTEM REGISTRY =====
+/**
+ * Named collection of constructed systems; ticking is delegated to a SystemScheduler
+ */
+export class SystemRegistry {
+    constructor(options = {}) {
+        this.entries = new Map();
+        this.skipped = new Map(); // name -> reason
+        this.scheduler = new SystemScheduler(options);
+        this.loader = null;
+        this.definitions = [];
+        this.context = {};
+    }
+
+    /**
+     * Build instances from `definitions` using `loader`'s modules, and follow its
+     * lifecycle: ModuleLoader.dispose()/reload() dispose and rebuild our instances
+     */
+    attach(loader, definitions, context) {
+        this.loader = loader;
+        this.definitions = definitions;
+        this.context = context;
+        loader.registries.add(this);
+    }
+
+    /**
+     * Create, connect and register one definition's system (null if skipped)
+     */
+    build(definition) {
+        const module = this.loader.get(definition.module);
+        if (!module || module.placeholder) {
+            this.skip(definition.name, `Module "${definition.module}" is not loaded`);
+            console.warn(`[Systems] Skipping ${definition.name}: module ${definition.module} not loaded`);
+            return null;
+        }
+
+        try {
+            const system = definition.create(module, this.context);
+            if (typeof system?.connectEvents === 'function') {
+                system.connectEvents(this.context.events);
+            }
+            this.register(definition.name, system, definition);
+            this.entries.get(definition.name).definition = definition;
+            this.skipped.delete(definition.name);
+            this.context[definition.name] = system;
+            return system;
+        } catch (error) {
+            this.skip(definition.name, error.message);
+            console.error(`[Systems] ✗ Failed to create ${definition.name}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Dispose and unregister every system built from `moduleName`, newest first
+     */
+    async disposeModule(moduleName) {
+        const built = [...this.entries.values()]
+            .filter(entry => entry.definition?.module === moduleName)
+            .reverse();
+
+        for (const { name, system } of built) {
+            try {
+                system?.disconnectEvents?.();
+                await system?.dispose?.();
+            } catch (error) {
+                console.error(`[Systems] ✗ ${name}.dispose() failed:`, error);
+            }
+
+            this.scheduler.remove(name);
+            this.entries.delete(name);
+            if (this.context[name] === system) {
+                delete this.context[name];
+            }
+        }
+        return built.length;
+    }
+
+    /**
+     * Recreate the systems defined by `moduleName` from its (re)loaded exports
+     */
+    rebuildModule(moduleName) {
+        return this.definitions
+            .filter(definition => definition.module === moduleName)
+            .map(definition => this.build(definition))
+            .filter(Boolean);
+    }
+
+    /**
+     * Add a system; `schedule` is { update(system, dt, context), rate, fixed, priority }
+     */
+    register(name, system, schedule = {}) {
+        const { update, rate = 0, fixed = false, priority = 0 } = schedule;
+
+        this.entries.set(name, { name, system });
+        if (update) {
+            this.scheduler.add(name, (deltaTime, context) => update(system, deltaTime, context), {
+                rate,
+                fixed,
+                priority
+            });
+        }
+        return system;
+    }
+
+    skip(name, reason) {
+        this.skipped.set(name, reason);
+    }
+
+    get(name) {
+        return this.entries.get(name)?.system;
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    names() {
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * Advance one frame of the scheduler
+     */
+    update(deltaTime, context) {
+        this.scheduler.tick(deltaTime, context);
+    }
+
+    /**
+     * Per-system timing stats, for a profiler overlay
+     */
+    getStats() {
+        return this.scheduler.getStats();
+    }
+}
+
+export const DEFAULT_OPTION_SYSTEM_RATE = 0; // Hz; 0 = every frame
+
+/**
+ * Schedule for a system passed in through initializeAllSystems options
+ * Reuses the matching definition's schedule (e.g. music's biome argument); arrays
+ * tick each item with update(dt); anything else with update(dt) runs every frame.
+ */
+function optionSchedule(system, definition) {
+    if (definition?.update) {
+        return definition;
+    }
+    if (Array.isArray(system)) {
+        return {
+            update: (items, deltaTime) => items.forEach(item => item?.update?.(deltaTime)),
+            rate: DEFAULT_OPTION_SYSTEM_RATE
+        };
+    }
+    if (typeof system?.update === 'function') {
+        return {
+            update: (target, deltaTime) => target.update(deltaTime),
+            rate: DEFAULT_OPTION_SYSTEM_RATE
+        };
+    }
+    return null;
+}
+
 /**
  * Initialize all systems with a scene
+ * Uses options.loader if it has already loaded, otherwise loads a new one (CORE_MODULES).
+ * options.scheduler is passed to SystemScheduler (e.g. { maxCatchUpSteps }).
+ * Systems with connectEvents(bus) are attached to options.events (or a new EventBus).
+ * options.seed (or options.random, a RandomService) makes generators reproducible;
+ * definitions take their named stream from context.random.
+ * Other options that have update(dt), or are arrays of such, are scheduled too.
+ * Returns { scene, camera, renderer, gameState, registry, loader, events, random, <system>... }
  */
 export async function initializeAllSystems(scene, camera, renderer, options = {}) {
+    const {
+        loader: providedLoader,
+        definitions = SYSTEM_DEFINITIONS,
+        scheduler = {},
+        events = new EventBus(),
+        seed,
+        random = new RandomService(seed),
+        ...rest
+    } = options;
+
+    const loader = providedLoader || new ModuleLoader();
+    if (!loader.getReport()) {
+        await loader.loadAll({ scene, camera, renderer });
+    }
+
+    const registry = new SystemRegistry(scheduler);
     const systems = {
         // Core
         scene,
         camera,
         renderer,
+        loader,
+        registry,
+        events,
+        random,
 
         // Game state
         gameState: {
@@ -223,18 +1083,24 @@ export async function initializeAllSystems(scene, camera, renderer, options = {}
             }
         },
 
-        // Systems containers
-        agents: [],
-        creatures: [],
-        plants: [],
-        particles: [],
-        quests: [],
-
         // Options
-        ...options
+        ...rest
     };
 
-    console.log('[Systems] Initialization complete');
+    registry.attach(loader, definitions, systems);
+    definitions.forEach(definition => registry.build(definition));
+
+    // Systems supplied through options keep ticking unless a definition replaced them
+    for (const [name, system] of Object.entries(rest)) {
+        if (registry.has(name) || systems[name] !== system) continue;
+
+        const schedule = optionSchedule(system, definitions.find(definition => definition.name === name));
+        if (schedule) {
+            registry.register(name, system, schedule);
+        }
+    }
+
+    console.log(`[Systems] Initialization complete (${registry.names().length} systems)`);
     return systems;
 }
 
@@ -247,41 +1113,7 @@ export function updateAllSystems(systems, deltaTime) {
     // Update game time
     systems.gameState.time += deltaTime;
 
-    // Update physics
-    if (systems.physics && systems.physics.update) {
-        systems.physics.update(deltaTime);
-    }
-
-    // Update agents
-    if (systems.agents) {
-        for (const agent of systems.agents) {
-            if (agent.update) agent.update(deltaTime);
-        }
-    }
-
-    // Update creatures
-    if (systems.creatures) {
-        for (const creature of systems.creatures) {
-            if (creature.update) creature.update(deltaTime);
-        }
-    }
-
-    // Update particles
-    if (systems.particles) {
-        for (const particle of systems.particles) {
-            if (particle.update) particle.update(deltaTime);
-        }
-    }
-
-    // Update music based on biome
-    if (systems.music && systems.music.update) {
-        systems.music.update(systems.gameState.currentBiome, deltaTime);
-    }
-
-    // Update world evolution
-    if (systems.evolution && systems.evolution.update) {
-        systems.evolution.update(deltaTime);
-    }
+    systems.registry.update(deltaTime, systems);
 }
 
 export default ModuleLoader;
@@ -8,6 +8,7 @@
  */
 
 import * as THREE from 'three';
+import { GAME_EVENTS } from './event-bus.js';
 
 // ===== PLAYER AVATAR =====
 export class PlayerAvatar {
@@ -328,6 +329,7 @@ export class CommunityGarden {
 export class GiftSystem {
     constructor() {
         this.giftHistory = [];
+        this.bus = null;
     }
 
     // Give a gift to another player
@@ -345,6 +347,12 @@ export class GiftSystem {
 
         this.giftHistory.push(gift);
 
+        this.bus?.publish(GAME_EVENTS.GIVE_GIFT, {
+            giftType,
+            to: toUserId,
+            impact: { love: 1 }
+        }, 'multiplayer');
+
         return {
             success: true,
             message: `Gift sent! ${this.getGiftEmoji(giftType)}`,
@@ -520,6 +528,11 @@ export class MultiplayerManager {
         this.websocket = null;
     }
 
+    // Publish gifts on the local event bus
+    connectEvents(bus) {
+        this.giftSystem.bus = bus;
+    }
+
     // Connect to multiplayer server
     connect(serverUrl, userId, username) {
         this.localPlayerId = userId;
@@ -0,0 +1,526 @@
+/**
+ * N-BODY SIMULATOR - Reference gravity integrator for the verification suite
+ *
+ * Barycentric Newtonian N-body integration implementing the interface that
+ * AutomatedTestSuite expects: calculateTotalEnergy, calculateAngularMomentum,
+ * step(days), getBodies, getPosition, measureOrbitalPeriod and
+ * getLandmarkPosition.
+ *
+ * Two integrators:
+ * - LEAPFROG: kick-drift-kick, symplectic and time-reversible. Energy error
+ *   stays bounded (no secular drift) and angular momentum is conserved to
+ *   round-off, at a fixed step.
+ * - RK45: adaptive Dormand-Prince 5(4) for when a step size shouldn't have
+ *   to be chosen by hand; errors are small but drift slowly.
+ *
+ * Units: km, km/s, seconds internally; bodies carry GM (km³/s²), not mass.
+ * The default system is an idealized Sun-Earth-Moon built from the mean
+ * elements in ASTRO_CONSTANTS, starting at perihelion/perigee - a physics
+ * benchmark, not an ephemeris. fromEphemeris seeds real states instead, so
+ * the suite's position tests compare against the same ephemeris later on.
+ *
+ * Philosophy: "TRUTH IS MEASURABLE. WE VERIFY AGAINST REALITY."
+ */
+
+import { Geodesy } from './geodesy.js';
+import { TIME_SCALES, JulianDate } from './truth-contracts.js';
+import {
+    ASTRO_CONSTANTS,
+    PHYSICS_BENCHMARKS,
+    WGS84_LANDMARKS,
+    landmarkEllipsoidalHeight
+} from './verification-system.js';
+
+export const INTEGRATORS = {
+    LEAPFROG: 'leapfrog',
+    RK45: 'rk45'
+};
+
+const DAY_S = 86400;
+const DEG = Math.PI / 180;
+const TWO_PI = 2 * Math.PI;
+
+// Dormand-Prince 5(4) tableau (gravity is autonomous, so no c nodes)
+const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+// 5th-order weights minus the embedded 4th-order ones
+const DP_ERROR = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+// ===== VECTOR HELPERS =====
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function norm(a) {
+    return Math.hypot(a[0], a[1], a[2]);
+}
+
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+/**
+ * Relative state at periapsis for elements (a km, e, i deg) under mu.
+ * Periapsis on +x, ascending node on +x.
+ */
+function periapsisState(mu, a, e, inclination) {
+    const r = a * (1 - e);
+    const v = Math.sqrt(mu * (1 + e) / r);
+    const i = inclination * DEG;
+    return { position: [r, 0, 0], velocity: [0, v * Math.cos(i), v * Math.sin(i)] };
+}
+
+/**
+ * Split a relative orbit between two bodies about their common barycenter
+ * at `center` / `centerVelocity`
+ */
+function splitPair(gmA, gmB, relative, center = [0, 0, 0], centerVelocity = [0, 0, 0]) {
+    const fA = gmB / (gmA + gmB);
+    const fB = gmA / (gmA + gmB);
+    const offset = (base, v, f) => base.map((value, k) => value + f * v[k]);
+    return [
+        { position: offset(center, relative.position, -fA), velocity: offset(centerVelocity, relative.velocity, -fA) },
+        { position: offset(center, relative.position, fB), velocity: offset(centerVelocity, relative.velocity, fB) }
+    ];
+}
+
+// ===== N-BODY SIMULATOR =====
+export class NBodySimulator {
+    /**
+     * bodies: [{ name, gm (km³/s²), position [km], velocity [km/s], primary }]
+     *   `primary` names the body it orbits (null for the central body).
+     *   Defaults to the Sun-Earth-Moon system from ASTRO_CONSTANTS.
+     * options: { integrator, timeStep (s, leapfrog), tolerance (rk45),
+     *            epoch (UTC Date or JulianDate of the initial state; J2000) }
+     */
+    constructor(bodies = null, options = {}) {
+        this.integrator = options.integrator || INTEGRATORS.LEAPFROG;
+        this.timeStep = options.timeStep || 3600;
+        this.tolerance = options.tolerance || 1e-12;
+        const epoch = options.epoch instanceof Date ? JulianDate.fromDate(options.epoch) : options.epoch;
+        this.epoch = epoch ? epoch.to(TIME_SCALES.TDB) : JulianDate.fromJD(ASTRO_CONSTANTS.J2000, TIME_SCALES.TDB);
+        if (!Object.values(INTEGRATORS).includes(this.integrator)) {
+            throw new Error(`[NBody] Unknown integrator: ${this.integrator}`);
+        }
+
+        this.bodies = (bodies || NBodySimulator.sunEarthMoon()).map(body => ({
+            name: body.name,
+            gm: body.gm,
+            primary: body.primary || null,
+            position: [...body.position],
+            velocity: [...body.velocity]
+        }));
+        this.elapsed = 0; // seconds
+        this.rk45Step = this.timeStep;
+        this.moveToBarycenter();
+    }
+
+    /**
+     * Sun, Earth and Moon from the mean elements in ASTRO_CONSTANTS, Earth
+     * at perihelion and the Moon at perigee
+     */
+    static sunEarthMoon() {
+        const { GM_SUN, GM_EARTH, GM_MOON, AU, EARTH_ORBIT, MOON_ORBIT } = ASTRO_CONSTANTS;
+
+        const [sun, earthMoon] = splitPair(GM_SUN, GM_EARTH + GM_MOON, periapsisState(
+            GM_SUN + GM_EARTH + GM_MOON, EARTH_ORBIT.a * AU, EARTH_ORBIT.e, EARTH_ORBIT.i
+        ));
+        const [earth, moon] = splitPair(GM_EARTH, GM_MOON, periapsisState(
+            GM_EARTH + GM_MOON, MOON_ORBIT.a, MOON_ORBIT.e, MOON_ORBIT.i
+        ), earthMoon.position, earthMoon.velocity);
+
+        return [
+            { name: 'sun', gm: GM_SUN, primary: null, ...sun },
+            { name: 'earth', gm: GM_EARTH, primary: 'sun', ...earth },
+            { name: 'moon', gm: GM_MOON, primary: 'earth', ...moon }
+        ];
+    }
+
+    /**
+     * Simulator seeded from a PHYSICS_BENCHMARKS entry (earth_moon_2body)
+     */
+    static fromBenchmark(name = 'earth_moon_2body', options = {}) {
+        const benchmark = PHYSICS_BENCHMARKS[name];
+        if (!benchmark || !benchmark.initial_conditions) {
+            throw new Error(`[NBody] No initial conditions for benchmark: ${name}`);
+        }
+
+        const { earth_pos, moon_pos, moon_vel } = benchmark.initial_conditions;
+        const { GM_EARTH, GM_MOON } = ASTRO_CONSTANTS;
+        // Given in Earth's rest frame; the constructor moves to the barycenter
+        return new NBodySimulator([
+            { name: 'earth', gm: GM_EARTH, primary: null, position: earth_pos, velocity: [0, 0, 0] },
+            { name: 'moon', gm: GM_MOON, primary: 'earth', position: moon_pos, velocity: moon_vel }
+        ], options);
+    }
+
+    /**
+     * Sun, Earth and Moon seeded from a reference ephemeris (see
+     * HorizonsAPI) at `epoch`, heliocentric in the ephemeris' axes
+     */
+    static fromEphemeris(ephemeris, epoch, options = {}) {
+        const { GM_SUN, GM_EARTH, GM_MOON } = ASTRO_CONSTANTS;
+        const seed = (name, gm, primary) => {
+            const state = ephemeris.state(name, epoch, 'sun');
+            const { position: p, velocity: v } = state;
+            return { name, gm, primary, position: [p.x, p.y, p.z], velocity: [v.x, v.y, v.z] };
+        };
+
+        return new NBodySimulator([
+            { name: 'sun', gm: GM_SUN, primary: null, position: [0, 0, 0], velocity: [0, 0, 0] },
+            seed('earth', GM_EARTH, 'sun'),
+            seed('moon', GM_MOON, 'earth')
+        ], { ...options, epoch });
+    }
+
+    clone() {
+        const copy = new NBodySimulator(this.bodies, {
+            integrator: this.integrator,
+            timeStep: this.timeStep,
+            tolerance: this.tolerance,
+            epoch: this.epoch
+        });
+        copy.elapsed = this.elapsed;
+        copy.rk45Step = this.rk45Step;
+        return copy;
+    }
+
+    moveToBarycenter() {
+        const totalGM = this.bodies.reduce((sum, body) => sum + body.gm, 0);
+        for (const key of ['position', 'velocity']) {
+            const center = [0, 1, 2].map(k =>
+                this.bodies.reduce((sum, body) => sum + body.gm * body[key][k], 0) / totalGM
+            );
+            this.bodies.forEach(body => {
+                body[key] = sub(body[key], center);
+            });
+        }
+    }
+
+    getBody(name) {
+        const body = this.bodies.find(b => b.name === name);
+        if (!body) {
+            throw new Error(`[NBody] Unknown body: ${name}`);
+        }
+        return body;
+    }
+
+    // ===== DYNAMICS =====
+
+    /**
+     * Accelerations (km/s²) for flat positions [x0, y0, z0, x1, ...]
+     */
+    accelerations(positions) {
+        const n = this.bodies.length;
+        const acc = new Float64Array(3 * n);
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const dx = positions[3 * j] - positions[3 * i];
+                const dy = positions[3 * j + 1] - positions[3 * i + 1];
+                const dz = positions[3 * j + 2] - positions[3 * i + 2];
+                const r2 = dx * dx + dy * dy + dz * dz;
+                const inv3 = 1 / (r2 * Math.sqrt(r2));
+                const gi = this.bodies[i].gm * inv3;
+                const gj = this.bodies[j].gm * inv3;
+
+                acc[3 * i] += gj * dx;
+                acc[3 * i + 1] += gj * dy;
+                acc[3 * i + 2] += gj * dz;
+                acc[3 * j] -= gi * dx;
+                acc[3 * j + 1] -= gi * dy;
+                acc[3 * j + 2] -= gi * dz;
+            }
+        }
+        return acc;
+    }
+
+    packState() {
+        const n = this.bodies.length;
+        const state = new Float64Array(6 * n);
+        this.bodies.forEach((body, i) => {
+            state.set(body.position, 3 * i);
+            state.set(body.velocity, 3 * n + 3 * i);
+        });
+        return state;
+    }
+
+    unpackState(state) {
+        const n = this.bodies.length;
+        this.bodies.forEach((body, i) => {
+            body.position = Array.from(state.subarray(3 * i, 3 * i + 3));
+            body.velocity = Array.from(state.subarray(3 * n + 3 * i, 3 * n + 3 * i + 3));
+        });
+    }
+
+    /**
+     * d/dt [positions, velocities] = [velocities, accelerations]
+     */
+    derivative(state) {
+        const half = state.length / 2;
+        const rate = new Float64Array(state.length);
+        rate.set(state.subarray(half), 0);
+        rate.set(this.accelerations(state.subarray(0, half)), half);
+        return rate;
+    }
+
+    /**
+     * Advance by `days` of simulated time
+     */
+    step(days) {
+        const total = days * DAY_S;
+        if (total <= 0) return this;
+
+        if (this.integrator === INTEGRATORS.LEAPFROG) {
+            const count = Math.ceil(total / this.timeStep);
+            this.leapfrog(total / count, count);
+        } else {
+            this.rk45(total);
+        }
+        this.elapsed += total;
+        return this;
+    }
+
+    /**
+     * Simulated instant (TDB JulianDate): epoch plus elapsed time
+     */
+    currentTime() {
+        return this.epoch.addSeconds(this.elapsed);
+    }
+
+    /**
+     * Kick-drift-kick leapfrog, `count` steps of `dt` seconds
+     */
+    leapfrog(dt, count) {
+        const state = this.packState();
+        const half = state.length / 2;
+        const positions = state.subarray(0, half);
+        const velocities = state.subarray(half);
+        let acc = this.accelerations(positions);
+
+        for (let s = 0; s < count; s++) {
+            for (let k = 0; k < half; k++) {
+                velocities[k] += 0.5 * dt * acc[k];
+                positions[k] += dt * velocities[k];
+            }
+            acc = this.accelerations(positions);
+            for (let k = 0; k < half; k++) {
+                velocities[k] += 0.5 * dt * acc[k];
+            }
+        }
+        this.unpackState(state);
+    }
+
+    /**
+     * Adaptive Dormand-Prince over `total` seconds. The error of each step,
+     * relative to every body's distance and speed, is held under `tolerance`.
+     */
+    rk45(total) {
+        let state = this.packState();
+        const n = this.bodies.length;
+        let done = 0;
+        let h = this.rk45Step;
+
+        while (done < total) {
+            h = Math.min(h, total - done);
+
+            const k = [this.derivative(state)];
+            for (let stage = 1; stage < 7; stage++) {
+                const trial = Float64Array.from(state);
+                DP_A[stage].forEach((a, j) => {
+                    if (a === 0) return;
+                    for (let m = 0; m < trial.length; m++) trial[m] += h * a * k[j][m];
+                });
+                k.push(this.derivative(trial));
+            }
+
+            // 5th-order solution is the 7th stage's input (FSAL)
+            const next = Float64Array.from(state);
+            DP_A[6].forEach((a, j) => {
+                for (let m = 0; m < next.length; m++) next[m] += h * a * k[j][m];
+            });
+
+            let error = 0;
+            for (let i = 0; i < 2 * n; i++) {
+                const scale = Math.max(Math.hypot(next[3 * i], next[3 * i + 1], next[3 * i + 2]),
+                    i < n ? 1 : 1e-6);
+                const e = [0, 1, 2].map(axis =>
+                    h * DP_ERROR.reduce((sum, c, j) => sum + c * k[j][3 * i + axis], 0));
+                error = Math.max(error, Math.hypot(e[0], e[1], e[2]) / scale);
+            }
+
+            if (error <= this.tolerance) {
+                state = next;
+                done += h;
+            }
+            const factor = error === 0 ? 5 : 0.9 * Math.pow(this.tolerance / error, 1 / 5);
+            h *= Math.min(5, Math.max(0.2, factor));
+            if (done < total) this.rk45Step = h;
+        }
+
+        this.unpackState(state);
+    }
+
+    // ===== CONSERVED QUANTITIES =====
+
+    /**
+     * Total energy times G (km⁵/s⁴): Σ ½ GMᵢ vᵢ² - Σ GMᵢ GMⱼ / rᵢⱼ
+     * (GM stands in for mass, so only relative changes are meaningful)
+     */
+    calculateTotalEnergy() {
+        let kinetic = 0;
+        let potential = 0;
+        this.bodies.forEach((body, i) => {
+            kinetic += 0.5 * body.gm * dot(body.velocity, body.velocity);
+            for (let j = i + 1; j < this.bodies.length; j++) {
+                const other = this.bodies[j];
+                potential -= body.gm * other.gm / norm(sub(body.position, other.position));
+            }
+        });
+        return kinetic + potential;
+    }
+
+    /**
+     * Total angular momentum about the barycenter, times G: Σ GMᵢ rᵢ × vᵢ
+     */
+    calculateAngularMomentum() {
+        const L = this.bodies.reduce((sum, body) => {
+            const l = cross(body.position, body.velocity);
+            return sum.map((value, k) => value + body.gm * l[k]);
+        }, [0, 0, 0]);
+        return { x: L[0], y: L[1], z: L[2] };
+    }
+
+    // ===== ORBITS =====
+
+    /**
+     * A body with its satellites, as one point: { gm, position, velocity }
+     */
+    system(name) {
+        const members = this.bodies.filter(b => b.name === name || b.primary === name);
+        const gm = members.reduce((sum, b) => sum + b.gm, 0);
+        const weighted = key => [0, 1, 2].map(k => members.reduce((sum, b) => sum + b.gm * b[key][k], 0) / gm);
+        return { gm, position: weighted('position'), velocity: weighted('velocity') };
+    }
+
+    /**
+     * State of `name` (with its satellites) relative to its primary
+     */
+    relativeOrbit(name) {
+        const body = this.getBody(name);
+        if (!body.primary) {
+            throw new Error(`[NBody] ${name} has no primary to orbit`);
+        }
+        const primary = this.getBody(body.primary);
+        const system = this.system(name);
+        return {
+            mu: primary.gm + system.gm,
+            position: sub(system.position, primary.position),
+            velocity: sub(system.velocity, primary.velocity)
+        };
+    }
+
+    /**
+     * Osculating semi-major axis (km) and eccentricity about the primary
+     */
+    orbitalElements(name) {
+        const { mu, position, velocity } = this.relativeOrbit(name);
+        const r = norm(position);
+        const v2 = dot(velocity, velocity);
+        const semiMajorAxis = 1 / (2 / r - v2 / mu);
+        const h = cross(position, velocity);
+        const eccentricity = Math.sqrt(Math.max(0, 1 - dot(h, h) / (mu * semiMajorAxis)));
+        return { semiMajorAxis, eccentricity };
+    }
+
+    /**
+     * Sidereal period in days: integrate a copy until the orbit has swept
+     * 360° in its own plane, interpolating the last step
+     */
+    measureOrbitalPeriod(name) {
+        const sim = this.clone();
+        const start = sim.relativeOrbit(name);
+        const normal = cross(start.position, start.velocity);
+        const { semiMajorAxis } = sim.orbitalElements(name);
+        const estimate = TWO_PI * Math.sqrt(semiMajorAxis ** 3 / start.mu);
+        const dt = Math.min(sim.timeStep, estimate / 500);
+
+        let previous = start.position;
+        let swept = 0;
+        let elapsed = 0;
+        while (elapsed < 3 * estimate) {
+            sim.step(dt / DAY_S);
+            elapsed += dt;
+
+            const current = sim.relativeOrbit(name).position;
+            const angle = Math.atan2(dot(cross(previous, current), normal) / norm(normal), dot(previous, current));
+            if (swept + angle >= TWO_PI) {
+                return (elapsed - dt + dt * (TWO_PI - swept) / angle) / DAY_S;
+            }
+            swept += angle;
+            previous = current;
+        }
+
+        throw new Error(`[NBody] ${name} did not complete an orbit`);
+    }
+
+    /**
+     * Bodies orbiting the central body, for Kepler's third law:
+     * [{ name, gm, semiMajorAxis (km), eccentricity, period (s) }]
+     * The period is measured by integration, not derived from a.
+     */
+    getBodies() {
+        const central = this.bodies.find(b => !b.primary);
+        return this.bodies
+            .filter(body => central && body.primary === central.name)
+            .map(body => ({
+                name: body.name,
+                gm: body.gm,
+                ...this.orbitalElements(body.name),
+                period: this.measureOrbitalPeriod(body.name) * DAY_S
+            }));
+    }
+
+    /**
+     * Barycentric position { x, y, z } in km, or relative to another body
+     */
+    getPosition(name, relativeTo = null) {
+        const p = this.getBody(name).position;
+        const origin = relativeTo ? this.getBody(relativeTo).position : [0, 0, 0];
+        return { x: p[0] - origin[0], y: p[1] - origin[1], z: p[2] - origin[2] };
+    }
+
+    getVelocity(name, relativeTo = null) {
+        const v = this.getBody(name).velocity;
+        const origin = relativeTo ? this.getBody(relativeTo).velocity : [0, 0, 0];
+        return { x: v[0] - origin[0], y: v[1] - origin[1], z: v[2] - origin[2] };
+    }
+
+    /**
+     * ECEF position (km) of a WGS84_LANDMARKS entry, from its height above the ellipsoid
+     */
+    getLandmarkPosition(landmark) {
+        const ref = WGS84_LANDMARKS[landmark];
+        if (!ref) {
+            throw new Error(`[NBody] Unknown landmark: ${landmark}`);
+        }
+        const ecef = Geodesy.geodeticToECEF(ref.lat, ref.lon, landmarkEllipsoidalHeight(ref));
+        return { x: ecef.x / 1000, y: ecef.y / 1000, z: ecef.z / 1000 };
+    }
+}
+
+export default {
+    NBodySimulator,
+    INTEGRATORS
+};
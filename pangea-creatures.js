@@ -10,6 +10,8 @@
  */
 
 import * as THREE from 'three';
+import { createRenderable } from './headless.js';
+import { SeededRandom } from './seeded-random.js';
 
 /**
  * CREATURE AI BEHAVIORS
@@ -164,15 +166,16 @@ export const CREATURE_TYPES = {
  * Individual creature with AI and animation
  */
 export class LivingCreature {
-    constructor(type, position, scene, terrain) {
+    constructor(type, position, scene, terrain, rng = new SeededRandom()) {
         this.type = CREATURE_TYPES[type];
         this.scene = scene;
         this.terrain = terrain;
+        this.rng = rng;
 
         // State
         this.position = position.clone();
         this.velocity = new THREE.Vector3();
-        this.rotation = Math.random() * Math.PI * 2;
+        this.rotation = this.rng.next() * Math.PI * 2;
         this.health = 1.0;
         this.energy = 1.0;
         this.hunger = 0.0;
@@ -185,11 +188,11 @@ export class LivingCreature {
         this.soundTimer = 0;
 
         // Animation
-        this.animationTime = Math.random() * Math.PI * 2;
-        this.animationSpeed = 1 + Math.random();
+        this.animationTime = this.rng.next() * Math.PI * 2;
+        this.animationSpeed = 1 + this.rng.next();
 
         // Create 3D model
-        this.mesh = this.createMesh(type);
+        this.mesh = createRenderable(scene, () => this.createMesh(type));
         this.mesh.position.copy(position);
         this.mesh.rotation.y = this.rotation;
         scene.add(this.mesh);
@@ -581,7 +584,7 @@ export class LivingCreature {
         // Decide behavior
         if (this.behaviorTimer <= 0) {
             this.decideBehavior(creatures);
-            this.behaviorTimer = 3 + Math.random() * 7; // 3-10 seconds
+            this.behaviorTimer = 3 + this.rng.next() * 7; // 3-10 seconds
         }
 
         // Execute behavior
@@ -615,7 +618,7 @@ export class LivingCreature {
         }
 
         // Random behavior from available
-        this.behavior = behaviors[Math.floor(Math.random() * behaviors.length)];
+        this.behavior = behaviors[Math.floor(this.rng.next() * behaviors.length)];
     }
 
     executeBehavior(delta) {
@@ -647,9 +650,9 @@ export class LivingCreature {
         // Random walk
         if (!this.targetPosition || this.position.distanceTo(this.targetPosition) < 2) {
             this.targetPosition = new THREE.Vector3(
-                this.position.x + (Math.random() - 0.5) * 40,
+                this.position.x + (this.rng.next() - 0.5) * 40,
                 this.position.y,
-                this.position.z + (Math.random() - 0.5) * 40
+                this.position.z + (this.rng.next() - 0.5) * 40
             );
         }
 
@@ -658,22 +661,22 @@ export class LivingCreature {
 
     graze(delta) {
         // Move slowly, eating
-        if (Math.random() < 0.1) {
+        if (this.rng.next() < 0.1) {
             this.hunger = Math.max(0, this.hunger - 0.1);
         }
 
-        if (Math.random() < 0.3) {
+        if (this.rng.next() < 0.3) {
             this.wander(delta);
         }
     }
 
     hunt(delta) {
         // Look for prey (simplified)
-        if (!this.targetPosition || Math.random() < 0.1) {
+        if (!this.targetPosition || this.rng.next() < 0.1) {
             this.targetPosition = new THREE.Vector3(
-                this.position.x + (Math.random() - 0.5) * 60,
+                this.position.x + (this.rng.next() - 0.5) * 60,
                 this.position.y,
-                this.position.z + (Math.random() - 0.5) * 60
+                this.position.z + (this.rng.next() - 0.5) * 60
             );
         }
 
@@ -684,9 +687,9 @@ export class LivingCreature {
         // Undulating movement in water
         if (!this.targetPosition || this.position.distanceTo(this.targetPosition) < 3) {
             this.targetPosition = new THREE.Vector3(
-                this.position.x + (Math.random() - 0.5) * 50,
-                -5 - Math.random() * 20, // Stay underwater
-                this.position.z + (Math.random() - 0.5) * 50
+                this.position.x + (this.rng.next() - 0.5) * 50,
+                -5 - this.rng.next() * 20, // Stay underwater
+                this.position.z + (this.rng.next() - 0.5) * 50
             );
         }
 
@@ -700,9 +703,9 @@ export class LivingCreature {
         // Flying in air
         if (!this.targetPosition || this.position.distanceTo(this.targetPosition) < 5) {
             this.targetPosition = new THREE.Vector3(
-                this.position.x + (Math.random() - 0.5) * 80,
-                20 + Math.random() * 30, // High altitude
-                this.position.z + (Math.random() - 0.5) * 80
+                this.position.x + (this.rng.next() - 0.5) * 80,
+                20 + this.rng.next() * 30, // High altitude
+                this.position.z + (this.rng.next() - 0.5) * 80
             );
         }
 
@@ -790,16 +793,17 @@ export class LivingCreature {
  * Spawns and manages all creatures in the world
  */
 export class CreatureManager {
-    constructor(scene, terrain) {
+    constructor(scene, terrain, rng = new SeededRandom()) {
         this.scene = scene;
         this.terrain = terrain;
+        this.rng = rng;
         this.creatures = [];
         this.maxCreatures = 50;
         this.spawnRadius = 150;
     }
 
     spawnCreature(type, position) {
-        const creature = new LivingCreature(type, position, this.scene, this.terrain);
+        const creature = new LivingCreature(type, position, this.scene, this.terrain, this.rng);
         this.creatures.push(creature);
         return creature;
     }
@@ -811,7 +815,7 @@ export class CreatureManager {
         for (let i = 0; i < count; i++) {
             if (this.creatures.length >= this.maxCreatures) break;
 
-            const type = creatureTypes[Math.floor(Math.random() * creatureTypes.length)];
+            const type = creatureTypes[Math.floor(this.rng.next() * creatureTypes.length)];
             const position = this.findSpawnPosition(biome);
 
             if (position) {
@@ -838,8 +842,8 @@ export class CreatureManager {
     findSpawnPosition(biome) {
         // Find valid spawn location
         for (let attempts = 0; attempts < 10; attempts++) {
-            const x = (Math.random() - 0.5) * this.spawnRadius;
-            const z = (Math.random() - 0.5) * this.spawnRadius;
+            const x = (this.rng.next() - 0.5) * this.spawnRadius;
+            const z = (this.rng.next() - 0.5) * this.spawnRadius;
             const y = this.terrain.getElevation(x, z);
 
             // Check if valid for biome
@@ -880,25 +884,25 @@ export class CreatureManager {
     spawnRandomCreatures(count) {
         const types = Object.keys(CREATURE_TYPES);
         for (let i = 0; i < count; i++) {
-            const type = types[Math.floor(Math.random() * types.length)];
+            const type = types[Math.floor(this.rng.next() * types.length)];
             const typeData = CREATURE_TYPES[type];
 
             let position;
             if (typeData.aquatic) {
                 position = new THREE.Vector3(
-                    (Math.random() - 0.5) * this.spawnRadius,
-                    -10 - Math.random() * 20,
-                    (Math.random() - 0.5) * this.spawnRadius
+                    (this.rng.next() - 0.5) * this.spawnRadius,
+                    -10 - this.rng.next() * 20,
+                    (this.rng.next() - 0.5) * this.spawnRadius
                 );
             } else if (typeData.flying) {
                 position = new THREE.Vector3(
-                    (Math.random() - 0.5) * this.spawnRadius,
-                    20 + Math.random() * 20,
-                    (Math.random() - 0.5) * this.spawnRadius
+                    (this.rng.next() - 0.5) * this.spawnRadius,
+                    20 + this.rng.next() * 20,
+                    (this.rng.next() - 0.5) * this.spawnRadius
                 );
             } else {
-                const x = (Math.random() - 0.5) * this.spawnRadius;
-                const z = (Math.random() - 0.5) * this.spawnRadius;
+                const x = (this.rng.next() - 0.5) * this.spawnRadius;
+                const z = (this.rng.next() - 0.5) * this.spawnRadius;
                 const y = this.terrain.getElevation(x, z);
                 if (y > 0) {
                     position = new THREE.Vector3(x, y, z);
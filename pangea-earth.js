@@ -15,6 +15,7 @@
  */
 
 import * as THREE from 'three';
+import { SeededRandom } from './seeded-random.js';
 
 /**
  * PANGEA GEOLOGICAL CONSTANTS
@@ -311,8 +312,9 @@ export const PANGEA_BIOMES = {
  * Generates geologically accurate Pangea landmass
  */
 export class PangeaTerrainGenerator {
-    constructor(scene) {
+    constructor(scene, rng = new SeededRandom()) {
         this.scene = scene;
+        this.rng = rng;
         this.noise = this.createPerlinNoise();
         this.chunks = new Map();
         this.chunkSize = 100; // Larger chunks for continental scale
@@ -359,7 +361,7 @@ export class PangeaTerrainGenerator {
                       [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]];
         const p = [];
         for(let i=0; i<256; i++) {
-            p[i] = Math.floor(Math.random() * 256);
+            p[i] = this.rng.int(0, 256);
         }
         const perm = [];
         for(let i=0; i<512; i++) {
@@ -738,31 +740,34 @@ export class PangeaTerrainGenerator {
         // Skip oceans for now (add marine life later)
         if (centerElevation < 0) return;
 
+        // Per-chunk stream: the same chunk gets the same features whatever order chunks load in
+        const rng = this.rng.fork(`chunk:${startX},${startZ}`);
+
         // Add flora based on biome
         if (biome.flora) {
             const floraCount = Math.floor(biome.density * 30);
             for (let i = 0; i < floraCount; i++) {
-                const x = startX + Math.random() * this.chunkSize;
-                const z = startZ + Math.random() * this.chunkSize;
+                const x = startX + rng.next() * this.chunkSize;
+                const z = startZ + rng.next() * this.chunkSize;
                 const y = this.getElevation(x, z);
 
                 if (y > 0) {  // Only on land
-                    const floraType = biome.flora[Math.floor(Math.random() * biome.flora.length)];
+                    const floraType = rng.pick(biome.flora);
                     this.createFlora(chunk, x, y, z, floraType, biome);
                 }
             }
         }
 
         // Add fauna
-        if (biome.fauna && Math.random() < 0.3) {  // Sparse fauna
+        if (biome.fauna && rng.chance(0.3)) {  // Sparse fauna
             const faunaCount = Math.floor(biome.density * 5);
             for (let i = 0; i < faunaCount; i++) {
-                const x = startX + Math.random() * this.chunkSize;
-                const z = startZ + Math.random() * this.chunkSize;
+                const x = startX + rng.next() * this.chunkSize;
+                const z = startZ + rng.next() * this.chunkSize;
                 const y = this.getElevation(x, z);
 
                 if (y > 0) {
-                    const faunaType = biome.fauna[Math.floor(Math.random() * biome.fauna.length)];
+                    const faunaType = rng.pick(biome.fauna);
                     this.createFauna(chunk, x, y, z, faunaType, biome);
                 }
             }
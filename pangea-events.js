@@ -11,6 +11,7 @@
  */
 
 import * as THREE from 'three';
+import { SeededRandom } from './seeded-random.js';
 
 /**
  * EARTHQUAKE SYSTEM
@@ -172,9 +173,10 @@ export class EarthquakeSystem {
  * METEOR IMPACT SYSTEM
  */
 export class MeteorImpactSystem {
-    constructor(scene, terrain) {
+    constructor(scene, terrain, rng = new SeededRandom()) {
         this.scene = scene;
         this.terrain = terrain;
+        this.rng = rng;
         this.meteors = [];
         this.impacts = [];
     }
@@ -184,9 +186,9 @@ export class MeteorImpactSystem {
 
         // Start high in sky
         const startPosition = new THREE.Vector3(
-            targetPosition.x + (Math.random() - 0.5) * 100,
-            200 + Math.random() * 100,
-            targetPosition.z + (Math.random() - 0.5) * 100
+            targetPosition.x + this.rng.range(-50, 50),
+            this.rng.range(200, 300),
+            targetPosition.z + this.rng.range(-50, 50)
         );
 
         // Create meteor mesh
@@ -367,8 +369,8 @@ export class MeteorImpactSystem {
     }
 
     randomImpact(size = 1.0) {
-        const x = (Math.random() - 0.5) * 200;
-        const z = (Math.random() - 0.5) * 200;
+        const x = this.rng.range(-100, 100);
+        const z = this.rng.range(-100, 100);
         const y = this.terrain.getElevation(x, z);
         this.spawnMeteor(new THREE.Vector3(x, y, z), size);
     }
@@ -379,17 +381,18 @@ export class MeteorImpactSystem {
  * Coordinates all catastrophic events
  */
 export class CatastrophicEventManager {
-    constructor(scene, camera, terrain) {
+    constructor(scene, camera, terrain, rng = new SeededRandom()) {
         this.scene = scene;
         this.camera = camera;
         this.terrain = terrain;
+        this.rng = rng;
 
         this.earthquakeSystem = new EarthquakeSystem(scene, camera, terrain);
-        this.meteorSystem = new MeteorImpactSystem(scene, terrain);
+        this.meteorSystem = new MeteorImpactSystem(scene, terrain, rng.fork('meteors'));
 
         // Event probabilities
         this.eventTimer = 0;
-        this.nextEventTime = 30 + Math.random() * 60;
+        this.nextEventTime = this.rng.range(30, 90);
     }
 
     update(delta) {
@@ -400,14 +403,14 @@ export class CatastrophicEventManager {
         this.eventTimer += delta;
         if (this.eventTimer >= this.nextEventTime) {
             this.triggerRandomEvent();
-            this.nextEventTime = 30 + Math.random() * 60;
+            this.nextEventTime = this.rng.range(30, 90);
             this.eventTimer = 0;
         }
     }
 
     triggerRandomEvent() {
         const events = ['earthquake', 'meteor'];
-        const event = events[Math.floor(Math.random() * events.length)];
+        const event = this.rng.pick(events);
 
         switch (event) {
             case 'earthquake':
@@ -420,16 +423,16 @@ export class CatastrophicEventManager {
     }
 
     triggerEarthquake() {
-        const x = this.camera.position.x + (Math.random() - 0.5) * 100;
-        const z = this.camera.position.z + (Math.random() - 0.5) * 100;
+        const x = this.camera.position.x + this.rng.range(-50, 50);
+        const z = this.camera.position.z + this.rng.range(-50, 50);
         const y = this.terrain.getElevation(x, z);
-        const magnitude = 4 + Math.random() * 4; // 4-8 magnitude
+        const magnitude = this.rng.range(4, 8); // 4-8 magnitude
 
         this.earthquakeSystem.trigger(new THREE.Vector3(x, y, z), magnitude);
     }
 
     triggerMeteorStrike() {
-        const size = 0.5 + Math.random() * 2; // 0.5-2.5 size
+        const size = this.rng.range(0.5, 2.5); // 0.5-2.5 size
         this.meteorSystem.randomImpact(size);
     }
 
@@ -17,6 +17,7 @@
  */
 
 import * as THREE from 'three';
+import { SeededRandom } from './seeded-random.js';
 
 /**
  * GEOLOGICAL TIME PERIODS
@@ -152,8 +153,9 @@ export const TIME_PERIODS = {
  * TIME TRAVEL MANAGER
  */
 export class TimeTravelSystem {
-    constructor(scene, terrain, weatherSystem, creatureManager) {
+    constructor(scene, terrain, weatherSystem, creatureManager, rng = new SeededRandom()) {
         this.scene = scene;
+        this.rng = rng; // extinction survivors
         this.terrain = terrain;
         this.weatherSystem = weatherSystem;
         this.creatureManager = creatureManager;
@@ -351,7 +353,7 @@ export class TimeTravelSystem {
         // Remove creatures based on severity
         const survivalRate = 1 - extinction.severity;
         this.creatureManager.creatures.forEach(creature => {
-            if (Math.random() > survivalRate) {
+            if (!this.rng.chance(survivalRate)) {
                 creature.health = 0; // Mark for deletion
             }
         });
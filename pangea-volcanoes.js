@@ -12,6 +12,9 @@
  */
 
 import * as THREE from 'three';
+import { isHeadless } from './headless.js';
+import { GAME_EVENTS } from './event-bus.js';
+import { SeededRandom } from './seeded-random.js';
 
 /**
  * VOLCANIC ACTIVITY TYPES
@@ -29,9 +32,10 @@ export const ERUPTION_TYPES = {
  * Individual volcano with eruption mechanics
  */
 export class Volcano {
-    constructor(position, scene, type = 'shield') {
+    constructor(position, scene, type = 'shield', rng = new SeededRandom()) {
         this.position = position.clone();
         this.scene = scene;
+        this.rng = rng; // eruption timing and lava flows; particle jitter stays cosmetic
         this.type = type; // shield, stratovolcano, cinder_cone
         this.active = false;
         this.eruptionType = ERUPTION_TYPES.DORMANT;
@@ -49,13 +53,15 @@ export class Volcano {
 
         // Timing
         this.eruptionTimer = 0;
-        this.nextEruption = 60 + Math.random() * 180; // 1-4 minutes
+        this.nextEruption = this.rng.range(60, 240); // 1-4 minutes
 
         // Visual elements
         this.mesh = null;
         this.crater = null;
         this.glow = null;
 
+        this.bus = null;
+
         this.createVolcano();
         this.createParticleSystems();
     }
@@ -289,7 +295,7 @@ export class Volcano {
         this.eruptionTimer = 0;
 
         // Determine eruption type based on pressure and random chance
-        const rand = Math.random();
+        const rand = this.rng.next();
         if (this.magmaPressure > 0.95 && rand < 0.3) {
             this.eruptionType = ERUPTION_TYPES.EXPLOSIVE;
             this.eruptionIntensity = 1.0;
@@ -308,6 +314,12 @@ export class Volcano {
 
         // Create lava flows
         this.createLavaFlow();
+
+        this.bus?.publish(GAME_EVENTS.ERUPTION_START, {
+            eruptionType: this.eruptionType,
+            intensity: this.eruptionIntensity,
+            position: this.position.clone()
+        }, 'volcanoes');
     }
 
     updateEruption(delta) {
@@ -441,8 +453,10 @@ export class Volcano {
         this.eruptionType = ERUPTION_TYPES.DORMANT;
         this.ashParticles.visible = false;
         this.lavaParticles.visible = false;
-        this.nextEruption = 60 + Math.random() * 180;
+        this.nextEruption = this.rng.range(60, 240);
         this.eruptionTimer = 0;
+
+        this.bus?.publish(GAME_EVENTS.ERUPTION_END, { position: this.position.clone() }, 'volcanoes');
     }
 
     createLavaFlow() {
@@ -460,7 +474,7 @@ export class Volcano {
         flow.rotation.x = -Math.PI / 2;
 
         // Random direction down the slope
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.rng.range(0, Math.PI * 2);
         flow.position.set(
             this.position.x + Math.cos(angle) * 10,
             this.position.y + 10,
@@ -472,7 +486,7 @@ export class Volcano {
         this.lavaFlows.push({
             mesh: flow,
             age: 0,
-            speed: 2 + Math.random() * 3,
+            speed: this.rng.range(2, 5),
             direction: new THREE.Vector3(Math.cos(angle), -0.5, Math.sin(angle))
         });
 
@@ -484,6 +498,8 @@ export class Volcano {
     }
 
     createVolcanicLightning() {
+        if (isHeadless(this.scene)) return;
+
         // Create lightning flash in ash cloud
         const lightning = new THREE.PointLight(0x66ccff, 100, 50);
         lightning.position.set(
@@ -512,13 +528,15 @@ export class Volcano {
  * Manages all volcanoes in the world
  */
 export class VolcanicSystem {
-    constructor(scene, terrain) {
+    constructor(scene, terrain, rng = new SeededRandom()) {
         this.scene = scene;
         this.terrain = terrain;
+        this.rng = rng;
         this.volcanoes = [];
 
         // Siberian Traps location (based on Pangea geography)
         this.siberianTrapsCenter = { x: 50, z: 60 };
+        this.bus = null;
 
         this.initializeVolcanoes();
     }
@@ -530,7 +548,7 @@ export class VolcanicSystem {
 
         for (let i = 0; i < volcanoCount; i++) {
             const angle = (i / volcanoCount) * Math.PI * 2;
-            const distance = radius * (0.5 + Math.random() * 0.5);
+            const distance = radius * this.rng.range(0.5, 1);
 
             const x = this.siberianTrapsCenter.x + Math.cos(angle) * distance;
             const z = this.siberianTrapsCenter.z + Math.sin(angle) * distance;
@@ -538,12 +556,13 @@ export class VolcanicSystem {
 
             if (y > 0) {
                 const types = ['shield', 'stratovolcano', 'cinder_cone'];
-                const type = types[Math.floor(Math.random() * types.length)];
+                const type = this.rng.pick(types);
 
                 const volcano = new Volcano(
                     new THREE.Vector3(x, y, z),
                     this.scene,
-                    type
+                    type,
+                    this.rng.fork(`volcano:${i}`)
                 );
 
                 this.volcanoes.push(volcano);
@@ -553,6 +572,16 @@ export class VolcanicSystem {
         console.log(`Created ${this.volcanoes.length} volcanoes in Siberian Traps`);
     }
 
+    /**
+     * Publish eruptions from every volcano on the event bus
+     */
+    connectEvents(bus) {
+        this.bus = bus;
+        this.volcanoes.forEach(volcano => {
+            volcano.bus = bus;
+        });
+    }
+
     update(delta) {
         this.volcanoes.forEach(volcano => {
             volcano.update(delta);
@@ -13,6 +13,9 @@
  */
 
 import * as THREE from 'three';
+import { isHeadless } from './headless.js';
+import { GAME_EVENTS } from './event-bus.js';
+import { SeededRandom } from './seeded-random.js';
 
 /**
  * WEATHER TYPES
@@ -37,6 +40,8 @@ export class DayNightCycle {
         this.time = 0.25; // Start at dawn (0-1 range, 0=midnight, 0.5=noon)
         this.dayLength = 600; // 10 minutes per day
         this.speed = 1.0;
+        this.observer = null; // SkyObserver, see setObserver
+        this.date = null;
 
         // Create sun
         this.sun = new THREE.DirectionalLight(0xfff5e6, 1.5);
@@ -72,26 +77,32 @@ export class DayNightCycle {
     }
 
     update(delta) {
-        // Advance time
-        this.time += (delta / this.dayLength) * this.speed;
-        if (this.time > 1) this.time -= 1;
-
-        // Update sun position
-        const sunAngle = this.time * Math.PI * 2;
-        const sunRadius = 200;
-        this.sun.position.set(
-            Math.cos(sunAngle) * sunRadius,
-            Math.sin(sunAngle) * sunRadius,
-            50
-        );
-
-        // Update moon position (opposite sun)
-        const moonAngle = sunAngle + Math.PI;
-        this.moon.position.set(
-            Math.cos(moonAngle) * sunRadius,
-            Math.sin(moonAngle) * sunRadius,
-            50
-        );
+        if (this.observer) {
+            // One simulated day per dayLength seconds
+            this.date = new Date(this.date.getTime() + (delta / this.dayLength) * this.speed * 86400000);
+            this.updateFromObserver();
+        } else {
+            // Advance time
+            this.time += (delta / this.dayLength) * this.speed;
+            if (this.time > 1) this.time -= 1;
+
+            // Update sun position
+            const sunAngle = this.time * Math.PI * 2;
+            const sunRadius = 200;
+            this.sun.position.set(
+                Math.cos(sunAngle) * sunRadius,
+                Math.sin(sunAngle) * sunRadius,
+                50
+            );
+
+            // Update moon position (opposite sun)
+            const moonAngle = sunAngle + Math.PI;
+            this.moon.position.set(
+                Math.cos(moonAngle) * sunRadius,
+                Math.sin(moonAngle) * sunRadius,
+                50
+            );
+        }
 
         // Update sky color
         this.updateSkyColor();
@@ -100,6 +111,31 @@ export class DayNightCycle {
         this.updateLighting();
     }
 
+    /**
+     * Drive the cycle from a SkyObserver instead of the spinning angle:
+     * lights follow the real Sun and Moon at the observer from `date`, and
+     * `time` becomes local apparent solar time. Pass null to go back.
+     */
+    setObserver(observer, date = new Date()) {
+        this.observer = observer;
+        this.date = date;
+        this.sunAltitude = null;
+        this.moonAltitude = null;
+        if (observer) this.updateFromObserver();
+    }
+
+    updateFromObserver() {
+        const radius = 200;
+        const sun = this.observer.horizontal('sun', this.date);
+        const moon = this.observer.horizontal('moon', this.date);
+
+        this.sun.position.copy(sun.direction).multiplyScalar(radius);
+        this.moon.position.copy(moon.direction).multiplyScalar(radius);
+        this.sunAltitude = sun.altitude;
+        this.moonAltitude = moon.altitude;
+        this.time = this.observer.localSolarTime(this.date);
+    }
+
     updateSkyColor() {
         let color;
 
@@ -131,12 +167,16 @@ export class DayNightCycle {
     }
 
     updateLighting() {
-        // Sun intensity based on height
-        const sunHeight = Math.sin(this.time * Math.PI * 2);
+        // Sun intensity based on height (real altitudes with an observer)
+        const sunHeight = this.observer
+            ? Math.sin(this.sunAltitude * Math.PI / 180)
+            : Math.sin(this.time * Math.PI * 2);
         this.sun.intensity = Math.max(0, sunHeight * 1.5);
 
         // Moon intensity (opposite)
-        const moonHeight = Math.sin((this.time + 0.5) * Math.PI * 2);
+        const moonHeight = this.observer
+            ? Math.sin(this.moonAltitude * Math.PI / 180)
+            : Math.sin((this.time + 0.5) * Math.PI * 2);
         this.moon.intensity = Math.max(0, moonHeight * 0.4);
 
         // Ambient based on time
@@ -167,15 +207,26 @@ export class DayNightCycle {
     setSpeed(speed) {
         this.speed = speed;
     }
+
+    /**
+     * Remove lights from the scene (for module hot-swap/teardown)
+     */
+    dispose() {
+        [this.sun, this.moon, this.ambient, this.hemi].forEach(light => {
+            this.scene.remove(light);
+            light.dispose();
+        });
+    }
 }
 
 /**
  * WEATHER SYSTEM
  */
 export class WeatherSystem {
-    constructor(scene, terrain) {
+    constructor(scene, terrain, rng = new SeededRandom()) {
         this.scene = scene;
         this.terrain = terrain;
+        this.rng = rng; // weather sequence; particle jitter stays cosmetic
         this.currentWeather = WEATHER_TYPES.CLEAR;
         this.weatherDuration = 0;
         this.transitionTime = 0;
@@ -191,8 +242,12 @@ export class WeatherSystem {
         this.windSpeed = 0;
         this.windDirection = new THREE.Vector2(1, 0);
 
-        // Initialize particle systems
-        this.initializeParticleSystems();
+        this.bus = null;
+
+        // Initialize particle systems (weather state still runs headless)
+        if (!isHeadless(scene)) {
+            this.initializeParticleSystems();
+        }
     }
 
     initializeParticleSystems() {
@@ -351,8 +406,17 @@ export class WeatherSystem {
             }
         }
 
-        this.currentWeather = possibleWeather[Math.floor(Math.random() * possibleWeather.length)];
-        this.weatherDuration = 30 + Math.random() * 90; // 30-120 seconds
+        const previousWeather = this.currentWeather;
+        this.currentWeather = this.rng.pick(possibleWeather);
+        this.weatherDuration = this.rng.range(30, 120); // 30-120 seconds
+
+        if (this.currentWeather !== previousWeather) {
+            this.bus?.publish(GAME_EVENTS.WEATHER_CHANGE, {
+                from: previousWeather,
+                to: this.currentWeather,
+                duration: this.weatherDuration
+            }, 'weather');
+        }
 
         // Hide all weather effects
         if (this.rainParticles) this.rainParticles.visible = false;
@@ -404,7 +468,7 @@ export class WeatherSystem {
         }
 
         // Update wind direction
-        this.windDirection.set(Math.random() - 0.5, Math.random() - 0.5).normalize();
+        this.windDirection.set(this.rng.next() - 0.5, this.rng.next() - 0.5).normalize();
     }
 
     updateWeatherEffects(delta, cameraPosition) {
@@ -509,6 +573,8 @@ export class WeatherSystem {
     }
 
     createLightning(nearPosition) {
+        if (isHeadless(this.scene)) return;
+
         // Create lightning flash
         const lightningLight = new THREE.PointLight(0xffffff, 50, 200);
         lightningLight.position.set(
@@ -517,15 +583,23 @@ export class WeatherSystem {
             nearPosition.z + (Math.random() - 0.5) * 100
         );
         this.scene.add(lightningLight);
+        this.lightning.push(lightningLight);
 
         // Flash and remove
         setTimeout(() => {
-            this.scene.remove(lightningLight);
+            this.removeLightning(lightningLight);
         }, 100);
 
         // Thunder sound would go here
     }
 
+    /**
+     * Publish weather changes on the event bus
+     */
+    connectEvents(bus) {
+        this.bus = bus;
+    }
+
     getWeatherInfo() {
         return {
             type: this.currentWeather,
@@ -539,6 +613,35 @@ export class WeatherSystem {
         this.currentWeather = type;
         this.weatherDuration = 60;
     }
+
+    removeLightning(light) {
+        const index = this.lightning.indexOf(light);
+        if (index === -1) return;
+
+        this.lightning.splice(index, 1);
+        this.scene.remove(light);
+        light.dispose();
+    }
+
+    /**
+     * Remove particle systems and lightning, freeing GPU buffers
+     */
+    dispose() {
+        [...this.lightning].forEach(light => this.removeLightning(light));
+
+        [this.rainParticles, this.snowParticles, this.sandParticles, this.ashParticles]
+            .filter(Boolean)
+            .forEach(points => {
+                this.scene.remove(points);
+                points.geometry.dispose();
+                points.material.dispose();
+            });
+
+        this.rainParticles = null;
+        this.snowParticles = null;
+        this.sandParticles = null;
+        this.ashParticles = null;
+    }
 }
 
 export default { DayNightCycle, WeatherSystem };
@@ -281,6 +281,7 @@ export class AdvancedLighting {
     constructor(scene) {
         this.scene = scene;
         this.lights = [];
+        this.observer = null; // SkyObserver, see setObserver
     }
 
     // Create realistic sun
@@ -354,22 +355,34 @@ export class AdvancedLighting {
         return spot;
     }
 
-    // Update sun position based on time
+    // Follow the real Sun for a SkyObserver (updateSunPosition then takes a Date)
+    setObserver(observer) {
+        this.observer = observer;
+    }
+
+    // Update sun position based on time: 0-1 fraction of day, or a Date with an observer
     updateSunPosition(timeOfDay) {
         const sun = this.lights.find(l => l.type === 'sun')?.light;
         if (!sun) return;
 
-        const angle = timeOfDay * Math.PI * 2;
         const distance = 100;
+        let t;
 
-        sun.position.set(
-            Math.cos(angle) * distance,
-            Math.sin(angle) * distance,
-            50
-        );
+        if (this.observer && timeOfDay instanceof Date) {
+            const { direction, altitude } = this.observer.horizontal('sun', timeOfDay);
+            sun.position.copy(direction).multiplyScalar(distance);
+            t = Math.sin(altitude * Math.PI / 180);
+        } else {
+            const angle = timeOfDay * Math.PI * 2;
+            sun.position.set(
+                Math.cos(angle) * distance,
+                Math.sin(angle) * distance,
+                50
+            );
+            t = Math.sin(angle);
+        }
 
         // Color temperature changes
-        const t = Math.sin(angle);
         if (t > 0) {
             // Daytime - warm white
             sun.color.setRGB(1.0, 0.98, 0.94);
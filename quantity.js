@@ -0,0 +1,191 @@
+/**
+ * QUANTITY - Numbers that carry their units
+ *
+ * km vs m, arcseconds vs degrees, days vs seconds used to live only in
+ * comments. A Quantity keeps the unit with the value:
+ *
+ *   const d = new Quantity(384400, 'km');
+ *   d.in('m')                        // 384400000
+ *   d.add(new Quantity(5, 'm'))      // throws: convert explicitly first
+ *   d.add(new Quantity(5, 'm').to('km'))
+ *
+ * Arithmetic demands identical units, so a km value can never meet an m
+ * value without someone writing .to(). APIs that predate Quantity still take
+ * plain numbers in their documented unit, but won't mix the two.
+ *
+ * Philosophy: "PRECISION REQUIRES EXPLICIT CONTRACTS. NO ASSUMPTIONS."
+ */
+
+// ===== UNIT TABLE =====
+// value in base unit = value * factor + offset
+export const UNITS = {
+    // Length (base m)
+    m: { dimension: 'length', factor: 1 },
+    km: { dimension: 'length', factor: 1000 },
+    au: { dimension: 'length', factor: 149597870700 },
+
+    // Angle (base rad)
+    rad: { dimension: 'angle', factor: 1 },
+    deg: { dimension: 'angle', factor: Math.PI / 180 },
+    arcmin: { dimension: 'angle', factor: Math.PI / 180 / 60 },
+    arcsec: { dimension: 'angle', factor: Math.PI / 180 / 3600 },
+    mas: { dimension: 'angle', factor: Math.PI / 180 / 3600000 },
+
+    // Time (base s)
+    s: { dimension: 'time', factor: 1 },
+    ms: { dimension: 'time', factor: 0.001 },
+    min: { dimension: 'time', factor: 60 },
+    h: { dimension: 'time', factor: 3600 },
+    d: { dimension: 'time', factor: 86400 },
+
+    // Speed (base m/s)
+    'm/s': { dimension: 'speed', factor: 1 },
+    'km/s': { dimension: 'speed', factor: 1000 },
+
+    // Pressure (base Pa)
+    Pa: { dimension: 'pressure', factor: 1 },
+    hPa: { dimension: 'pressure', factor: 100 },
+    mbar: { dimension: 'pressure', factor: 100 },
+
+    // Temperature (base K)
+    K: { dimension: 'temperature', factor: 1 },
+    degC: { dimension: 'temperature', factor: 1, offset: 273.15 }
+};
+
+function unitInfo(unit) {
+    const info = UNITS[unit];
+    if (!info) {
+        throw new Error(`Unknown unit: ${unit}`);
+    }
+    return info;
+}
+
+// ===== QUANTITY =====
+export class Quantity {
+    constructor(value, unit) {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw new Error(`Quantity value must be a number, got ${value}`);
+        }
+        this.value = value;
+        this.unit = unit;
+        this.dimension = unitInfo(unit).dimension;
+
+        Object.freeze(this);
+    }
+
+    /**
+     * Same quantity in another unit of the same dimension
+     */
+    to(unit) {
+        if (unit === this.unit) return this;
+
+        const from = unitInfo(this.unit);
+        const to = unitInfo(unit);
+        if (from.dimension !== to.dimension) {
+            throw new Error(`Cannot convert ${this.unit} (${from.dimension}) to ${unit} (${to.dimension})`);
+        }
+
+        const base = this.value * from.factor + (from.offset || 0);
+        return new Quantity((base - (to.offset || 0)) / to.factor, unit);
+    }
+
+    /**
+     * Plain number in `unit`
+     */
+    in(unit) {
+        return this.to(unit).value;
+    }
+
+    /**
+     * Throws unless `other` is a Quantity in exactly this unit
+     */
+    requireSameUnit(other, operation) {
+        if (!(other instanceof Quantity)) {
+            throw new Error(`Cannot ${operation} ${this.unit} and a bare number (${other})`);
+        }
+        if (other.unit !== this.unit) {
+            throw new Error(`Unit mismatch: cannot ${operation} ${this.unit} and ${other.unit}; ` +
+                `convert with .to('${this.unit}') first`);
+        }
+    }
+
+    add(other) {
+        this.requireSameUnit(other, 'add');
+        return new Quantity(this.value + other.value, this.unit);
+    }
+
+    sub(other) {
+        this.requireSameUnit(other, 'subtract');
+        return new Quantity(this.value - other.value, this.unit);
+    }
+
+    /**
+     * Multiply by a dimensionless factor
+     */
+    scale(factor) {
+        if (typeof factor !== 'number') {
+            throw new Error(`Quantity.scale takes a plain number, got ${factor}`);
+        }
+        return new Quantity(this.value * factor, this.unit);
+    }
+
+    /**
+     * Dimensionless ratio of two quantities in the same unit
+     */
+    ratio(other) {
+        this.requireSameUnit(other, 'divide');
+        return this.value / other.value;
+    }
+
+    abs() {
+        return new Quantity(Math.abs(this.value), this.unit);
+    }
+
+    compare(other) {
+        this.requireSameUnit(other, 'compare');
+        return Math.sign(this.value - other.value);
+    }
+
+    toString() {
+        return `${this.value} ${this.unit}`;
+    }
+}
+
+// ===== API EDGE HELPERS =====
+
+/**
+ * Number in `unit` from a Quantity, or a plain number taken to already be
+ * in `unit` (the documented unit of the API receiving it)
+ */
+export function toUnit(value, unit) {
+    return value instanceof Quantity ? value.in(unit) : value;
+}
+
+/**
+ * Throw if some arguments are Quantities and others bare numbers - the
+ * bare ones' units would be a guess
+ */
+export function requireConsistent(values, context) {
+    const tagged = values.filter(value => value instanceof Quantity).length;
+    if (tagged > 0 && tagged < values.length) {
+        throw new Error(`${context}: mix of Quantities and bare numbers; tag every value with a unit`);
+    }
+    return tagged > 0;
+}
+
+/**
+ * { x, y, z } of Quantities (all one unit) or of plain numbers.
+ * Returns the unit string, or null for plain numbers.
+ */
+export function vectorUnit(vector, context) {
+    const components = [vector.x, vector.y, vector.z];
+    if (!requireConsistent(components, context)) return null;
+
+    const units = new Set(components.map(c => c.unit));
+    if (units.size > 1) {
+        throw new Error(`${context}: vector components in ${[...units].join(' and ')}`);
+    }
+    return vector.x.unit;
+}
+
+export default Quantity;
@@ -7,6 +7,8 @@
  * Philosophy: "EVERY JOURNEY IS UNIQUE. YOUR STORY UNFOLDS AS YOU CHOOSE."
  */
 
+import { GAME_EVENTS } from './event-bus.js';
+
 // ===== QUEST TYPES =====
 export const QUEST_TYPES = {
     EXPLORATION: 'exploration',
@@ -331,6 +333,25 @@ export class QuestManager {
         this.experienceToNext = 100;
         this.titles = [];
         this.inventory = [];
+
+        this.bus = null;
+        this.unsubscribeBus = null;
+    }
+
+    // ===== EVENT BUS =====
+    /**
+     * Track every gameplay event and publish quest progression
+     */
+    connectEvents(bus) {
+        this.disconnectEvents();
+        this.bus = bus;
+        this.unsubscribeBus = bus.on('*', event => this.trackAction(event.type, event.payload));
+    }
+
+    disconnectEvents() {
+        if (this.unsubscribeBus) this.unsubscribeBus();
+        this.unsubscribeBus = null;
+        this.bus = null;
     }
 
     // ===== QUEST MANAGEMENT =====
@@ -396,6 +417,7 @@ export class QuestManager {
         this.activeQuests.splice(questIndex, 1);
 
         console.log(`✅ Completed quest: ${quest.name}!`);
+        this.bus?.publish(GAME_EVENTS.QUEST_COMPLETE, { questId, name: quest.name }, 'quests');
         return true;
     }
 
@@ -430,6 +452,7 @@ export class QuestManager {
         achievement.timestamp = Date.now();
 
         console.log(`🏆 Achievement Unlocked: ${achievement.name} ${achievement.icon}`);
+        this.bus?.publish(GAME_EVENTS.ACHIEVEMENT_UNLOCKED, { achievementId, name: achievement.name }, 'quests');
         return true;
     }
 
@@ -464,6 +487,7 @@ export class QuestManager {
         this.experienceToNext = Math.floor(this.experienceToNext * 1.5);
 
         console.log(`🎉 LEVEL UP! You are now level ${this.level}!`);
+        this.bus?.publish(GAME_EVENTS.LEVEL_UP, { level: this.level }, 'quests');
 
         // Unlock new quests based on level
         this.checkLevelUnlocks();
@@ -0,0 +1,161 @@
+/**
+ * SEEDED RANDOM - Deterministic randomness from a single world seed
+ *
+ * One RandomService per world. Each system draws from its own named
+ * sub-stream ('terrain', 'creatures', 'weather', ...) derived from the world
+ * seed, so systems don't disturb each other's sequences: adding a creature
+ * never changes the weather, and the same seed always rebuilds the same
+ * coastline, volcano placement, spawns and weather for bug reports and tests.
+ *
+ * Purely cosmetic jitter (particle positions, mesh rotation, camera shake)
+ * stays on Math.random: it never feeds back into simulation state, and
+ * drawing it from a stream would make headless and rendered runs diverge.
+ *
+ * Usage:
+ *   const random = new RandomService('pangea-42');
+ *   const terrain = new PangeaTerrainGenerator(scene, random.stream('terrain'));
+ *
+ * Philosophy: "THE SAME SEED GROWS THE SAME WORLD"
+ */
+
+/**
+ * 32-bit FNV-1a hash of any seed value (numbers and strings alike)
+ */
+export function hashSeed(value) {
+    const text = String(value);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Fresh seed for worlds that don't ask for one
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// ===== RANDOM STREAM =====
+/**
+ * Mulberry32 generator - small, fast and good enough for gameplay
+ */
+export class SeededRandom {
+    constructor(seed = randomSeed()) {
+        this.reseed(seed);
+    }
+
+    reseed(seed) {
+        this.seed = seed;
+        this.state = hashSeed(seed);
+    }
+
+    /**
+     * Float in [0, 1) - drop-in for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [min, max)
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max));
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Fisher-Yates shuffle in place
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Independent child stream, e.g. one per spawned creature
+     */
+    fork(name) {
+        return new SeededRandom(`${this.seed}/${name}`);
+    }
+
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState({ seed, state }) {
+        this.seed = seed;
+        this.state = state >>> 0;
+    }
+}
+
+// ===== RANDOM SERVICE =====
+/**
+ * World seed plus its named sub-streams
+ */
+export class RandomService {
+    constructor(seed = randomSeed()) {
+        this.seed = seed;
+        this.streams = new Map();
+    }
+
+    /**
+     * Named sub-stream; the same name always returns the same stream
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new SeededRandom(`${this.seed}/${name}`));
+        }
+        return this.streams.get(name);
+    }
+
+    /**
+     * Restart every stream from a (new) seed. Streams already handed out
+     * are reseeded in place, so systems holding them stay in sync.
+     */
+    reset(seed = this.seed) {
+        this.seed = seed;
+        this.streams.forEach((stream, name) => stream.reseed(`${seed}/${name}`));
+    }
+
+    getState() {
+        const streams = {};
+        this.streams.forEach((stream, name) => {
+            streams[name] = stream.getState();
+        });
+        return { seed: this.seed, streams };
+    }
+
+    setState(state) {
+        this.seed = state.seed;
+        Object.entries(state.streams).forEach(([name, streamState]) => {
+            this.stream(name).setState(streamState);
+        });
+    }
+}
+
+export default RandomService;
@@ -0,0 +1,248 @@
+/**
+ * SKY OBSERVER - Where is the Sun (or Moon) in my sky right now?
+ *
+ * Topocentric apparent altitude/azimuth for a WGS84 observer, built on the
+ * analytic ephemeris and IAU 2000B chain in celestial-mechanics.js:
+ *
+ *   body at t - τ (LightTime) minus the observer, both GCRF
+ *     → ECEF (celestialToTerrestrialMatrix, with polar motion)
+ *     → local east/north/up → azimuth/elevation (Geodesy)
+ *     → + refraction (Refraction, at the observer's pressure/temperature)
+ *
+ * Annual aberration (up to 20.5") is not applied, which bounds the accuracy
+ * of the Sun to ~20"; the Moon is limited by its ~10" ephemeris.
+ *
+ * Rise, set and transit follow almanac convention: the geometric altitude
+ * of the center crosses h0, which folds in 34' of horizon refraction and
+ * the semidiameter (and, for the Moon, its parallax).
+ *
+ * Philosophy: "MEASURE WHAT YOU CLAIM. CLAIM WHAT YOU MEASURE."
+ */
+
+import * as THREE from 'three';
+import { TIME_SCALES, FRAMES, TimeConverter } from './truth-contracts.js';
+import {
+    Ephemeris, IAUTransform, LightTime, Refraction, CelestialContract, ORIGINS
+} from './celestial-mechanics.js';
+import { Geodesy } from './geodesy.js';
+
+const DEG = Math.PI / 180;
+const DAY_S = 86400;
+const EARTH_RADIUS_KM = 6378.14;
+
+// Standard altitude of the center at rise/set (deg), Meeus ch. 15
+const STANDARD_ALTITUDE = {
+    sun: -0.8333,    // 34' refraction + 16' semidiameter
+    planet: -0.5667  // refraction only
+};
+
+// Rise/set scan: coarse steps, then bisection
+const SCAN_STEP_S = 600;
+const SEARCH_PRECISION_S = 1;
+
+// Arcseconds of direction error: aberration for the Sun, ephemeris for the Moon
+const ANGLE_TOLERANCE_ARCSEC = { sun: 25, moon: 30, planet: 600 };
+
+function geometricPosition(body, jdTT) {
+    if (body === 'sun') return Ephemeris.sunPosition(jdTT);
+    if (body === 'moon') return Ephemeris.moonPosition(jdTT);
+    return Ephemeris.planetPosition(body, jdTT);
+}
+
+function bisect(f, a, b, fa) {
+    while (b.diffSeconds(a) > SEARCH_PRECISION_S) {
+        const mid = a.addSeconds(b.diffSeconds(a) / 2);
+        const fm = f(mid);
+        if (Math.sign(fm) === Math.sign(fa)) {
+            a = mid;
+            fa = fm;
+        } else {
+            b = mid;
+        }
+    }
+    return a.addSeconds(b.diffSeconds(a) / 2);
+}
+
+// ===== SKY OBSERVER =====
+export class SkyObserver {
+    /**
+     * site: { lat, lon (deg), height (m above the ellipsoid),
+     *         pressure (mbar), temperature (°C) }
+     * eopData: fixed { xp, yp, dut1 }; defaults to the installed IERS table
+     */
+    constructor({ lat, lon, height = 0, pressure = 1013.25, temperature = 10 }, eopData = null) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90) {
+            throw new Error(`[Sky] Invalid observer position: ${lat}, ${lon}`);
+        }
+        this.site = { lat, lon, height };
+        this.pressure = pressure;
+        this.temperature = temperature;
+        this.eopData = eopData;
+
+        const ecef = Geodesy.geodeticToECEF(lat, lon, height);
+        this.ecef = new THREE.Vector3(ecef.x, ecef.y, ecef.z).divideScalar(1000); // km
+    }
+
+    /**
+     * Geometric topocentric east/north/up (km) of `body` at a UTC JulianDate,
+     * with the light-time it took to get here
+     */
+    topocentric(body, utc) {
+        const eop = this.eopData || TimeConverter.getEOP(utc);
+        const jdTT = TimeConverter.convert(utc, TIME_SCALES.UTC, TIME_SCALES.TT);
+        const jdUT1 = TimeConverter.convert(utc, TIME_SCALES.UTC, TIME_SCALES.UT1);
+        const toEarthFixed = IAUTransform.celestialToTerrestrialMatrix(jdTT, jdUT1, eop.xp, eop.yp);
+        const site = this.ecef.clone().applyMatrix4(toEarthFixed.clone().transpose());
+
+        // Planets come back already light-time corrected to the geocenter
+        let target = geometricPosition(body, jdTT);
+        let lightTime = 0;
+        if (body === 'sun' || body === 'moon') {
+            for (let i = 0; i < 2; i++) {
+                lightTime = LightTime.correctForLightTime(site, target).lightTime;
+                target = geometricPosition(body, jdTT.addSeconds(-lightTime));
+            }
+        }
+
+        const local = new THREE.Vector3(target.x, target.y, target.z).sub(site).applyMatrix4(toEarthFixed);
+        // ecefToENU works on points in meters; offsetting from the site leaves only the rotation
+        const enu = Geodesy.ecefToENU({
+            x: (this.ecef.x + local.x) * 1000,
+            y: (this.ecef.y + local.y) * 1000,
+            z: (this.ecef.z + local.z) * 1000
+        }, this.site);
+
+        return {
+            east: enu.x / 1000,
+            north: enu.y / 1000,
+            up: enu.z / 1000,
+            distance: local.length(),
+            lightTime
+        };
+    }
+
+    /**
+     * Apparent altitude/azimuth of 'sun', 'moon' or a planet at `time`
+     * (UTC Date or JulianDate). Azimuth from north through east, degrees.
+     * direction: unit vector in scene axes (x east, y up, -z north).
+     * options.refraction: false for the airless (geometric) altitude
+     */
+    horizontal(body, time, options = {}) {
+        const utc = TimeConverter.toJulianDate(time, TIME_SCALES.UTC);
+        const local = this.topocentric(body, utc);
+        const { az, el } = Geodesy.enuToAER({ x: local.east, y: local.north, z: local.up });
+
+        // Bennett's refraction is a function of the apparent altitude: iterate
+        let refraction = 0;
+        if (options.refraction !== false) {
+            for (let i = 0; i < 3; i++) {
+                refraction = Refraction.atmosphericRefraction(el + refraction, this.pressure, this.temperature);
+            }
+        }
+        const altitude = el + refraction;
+
+        return {
+            body,
+            time: utc.toDate(),
+            altitude,
+            azimuth: az,
+            geometricAltitude: el,
+            refraction,
+            distance: local.distance,
+            lightTime: local.lightTime,
+            direction: new THREE.Vector3(
+                Math.cos(altitude * DEG) * Math.sin(az * DEG),
+                Math.sin(altitude * DEG),
+                -Math.cos(altitude * DEG) * Math.cos(az * DEG)
+            ),
+            frame: FRAMES.TOPOCENTRIC,
+            origin: ORIGINS.TOPOCENTRIC,
+            contract: new CelestialContract({
+                frame: FRAMES.TOPOCENTRIC,
+                timeScale: TIME_SCALES.UTC,
+                origin: ORIGINS.TOPOCENTRIC,
+                tolerance: { angle_arcsec: ANGLE_TOLERANCE_ARCSEC[body] || ANGLE_TOLERANCE_ARCSEC.planet }
+            })
+        };
+    }
+
+    /**
+     * Local hour angle of `body` in degrees, -180..180 (0 at upper transit)
+     */
+    hourAngle(body, time) {
+        const utc = TimeConverter.toJulianDate(time, TIME_SCALES.UTC);
+        const { east, north, up } = this.topocentric(body, utc);
+        const phi = this.site.lat * DEG;
+        return Math.atan2(-east, Math.cos(phi) * up - Math.sin(phi) * north) / DEG;
+    }
+
+    /**
+     * Local apparent solar time as a fraction of the day (0 = midnight, 0.5 = noon)
+     */
+    localSolarTime(time) {
+        return ((this.hourAngle('sun', time) / 360 + 0.5) % 1 + 1) % 1;
+    }
+
+    /**
+     * Standard rise/set altitude h0 (deg) for `body` at `distance` km
+     */
+    standardAltitude(body, distance) {
+        if (body === 'moon') {
+            const parallax = Math.asin(EARTH_RADIUS_KM / distance) / DEG;
+            return 0.7275 * parallax + STANDARD_ALTITUDE.planet;
+        }
+        return body === 'sun' ? STANDARD_ALTITUDE.sun : STANDARD_ALTITUDE.planet;
+    }
+
+    /**
+     * Rise, upper transit and set in the 24 hours from `date` (UTC Date or
+     * JulianDate; pass local midnight for a civil day). Each is a Date or
+     * null; alwaysUp / alwaysDown flag days without a rise or set.
+     */
+    riseTransitSet(body, date) {
+        const start = TimeConverter.toJulianDate(date, TIME_SCALES.UTC);
+
+        const aboveHorizon = t => {
+            const local = this.topocentric(body, t);
+            const altitude = Math.asin(local.up / local.distance) / DEG;
+            return altitude - this.standardAltitude(body, local.distance);
+        };
+        // East component falls through zero at upper transit
+        const westward = t => -this.topocentric(body, t).east;
+
+        let rise = null, set = null, transit = null;
+        let a = start;
+        let fa = aboveHorizon(a);
+        let wa = westward(a);
+        const firstAbove = fa;
+
+        for (let step = 1; step * SCAN_STEP_S <= DAY_S; step++) {
+            const b = start.addSeconds(step * SCAN_STEP_S);
+            const fb = aboveHorizon(b);
+            const wb = westward(b);
+
+            if (!rise && fa < 0 && fb >= 0) rise = bisect(aboveHorizon, a, b, fa);
+            if (!set && fa >= 0 && fb < 0) set = bisect(aboveHorizon, a, b, fa);
+            if (!transit && wa < 0 && wb >= 0) transit = bisect(westward, a, b, wa);
+
+            a = b;
+            fa = fb;
+            wa = wb;
+        }
+
+        const noCrossing = !rise && !set;
+        return {
+            body,
+            rise: rise && rise.toDate(),
+            transit: transit && transit.toDate(),
+            set: set && set.toDate(),
+            transitAltitude: transit ? this.horizontal(body, transit).altitude : null,
+            alwaysUp: noCrossing && firstAbove >= 0,
+            alwaysDown: noCrossing && firstAbove < 0
+        };
+    }
+}
+
+export default {
+    SkyObserver
+};
@@ -0,0 +1,172 @@
+/**
+ * SYSTEM SCHEDULER - Per-system tick rates for the game loop
+ *
+ * Each system declares how often it wants to run:
+ *   rate: 0        - every frame, with the raw frame delta
+ *   rate: N        - N times per second; time accumulates between runs and the
+ *                    whole accumulated delta is passed in one call (agents, ecosystem)
+ *   rate: N, fixed - exactly 1/N seconds per call; a slow frame runs several
+ *                    catch-up steps, capped at maxCatchUpSteps (physics)
+ *
+ * Higher priority runs first each frame; ties keep insertion order.
+ * Per-system timing stats are kept for profiler overlays.
+ */
+
+export const DEFAULT_MAX_CATCH_UP_STEPS = 5;
+
+// Smoothing factor for the moving average in stats
+const AVERAGE_WEIGHT = 0.1;
+
+// Tolerance so e.g. six 1/60s frames count as a full 10 Hz interval despite rounding
+const EPSILON = 1e-9;
+
+export class SystemScheduler {
+    constructor(options = {}) {
+        this.maxCatchUpSteps = options.maxCatchUpSteps ?? DEFAULT_MAX_CATCH_UP_STEPS;
+        this.tasks = [];
+        this.insertCount = 0;
+    }
+
+    /**
+     * Schedule update(deltaTime, ...args) under a name
+     */
+    add(name, update, { rate = 0, fixed = false, priority = 0 } = {}) {
+        if (this.tasks.some(task => task.name === name)) {
+            throw new Error(`[Scheduler] System ${name} is already scheduled`);
+        }
+        if (rate < 0) {
+            throw new Error(`[Scheduler] System ${name} rate must be >= 0`);
+        }
+        if (fixed && rate === 0) {
+            throw new Error(`[Scheduler] Fixed-step system ${name} needs a rate`);
+        }
+
+        const task = {
+            name,
+            update,
+            rate,
+            fixed,
+            priority,
+            interval: rate > 0 ? 1 / rate : 0,
+            accumulator: 0,
+            order: this.insertCount++,
+            stats: this.createStats()
+        };
+
+        this.tasks.push(task);
+        this.tasks.sort((a, b) => b.priority - a.priority || a.order - b.order);
+        return task;
+    }
+
+    remove(name) {
+        const index = this.tasks.findIndex(task => task.name === name);
+        if (index === -1) return false;
+
+        this.tasks.splice(index, 1);
+        return true;
+    }
+
+    has(name) {
+        return this.tasks.some(task => task.name === name);
+    }
+
+    /**
+     * Advance one frame
+     */
+    tick(deltaTime, ...args) {
+        for (const task of this.tasks) {
+            if (task.rate === 0) {
+                this.run(task, deltaTime, args);
+                continue;
+            }
+
+            task.accumulator += deltaTime;
+
+            if (!task.fixed) {
+                if (task.accumulator + EPSILON >= task.interval) {
+                    const elapsed = task.accumulator;
+                    task.accumulator = 0;
+                    this.run(task, elapsed, args);
+                }
+                continue;
+            }
+
+            let steps = 0;
+            while (task.accumulator + EPSILON >= task.interval && steps < this.maxCatchUpSteps) {
+                this.run(task, task.interval, args);
+                task.accumulator = Math.max(0, task.accumulator - task.interval);
+                steps++;
+            }
+
+            // Spiral-of-death guard: drop time we could not catch up on
+            if (task.accumulator + EPSILON >= task.interval) {
+                const dropped = Math.floor((task.accumulator + EPSILON) / task.interval);
+                task.stats.droppedSteps += dropped;
+                task.accumulator = Math.max(0, task.accumulator - dropped * task.interval);
+            }
+        }
+    }
+
+    run(task, deltaTime, args) {
+        const start = performance.now();
+
+        try {
+            task.update(deltaTime, ...args);
+        } catch (error) {
+            task.stats.errors++;
+            console.error(`[Scheduler] ✗ ${task.name} update failed:`, error);
+        }
+
+        const elapsed = performance.now() - start;
+        const stats = task.stats;
+        stats.calls++;
+        stats.simulatedTime += deltaTime;
+        stats.lastMs = elapsed;
+        stats.maxMs = Math.max(stats.maxMs, elapsed);
+        stats.avgMs = stats.calls === 1 ? elapsed : stats.avgMs + (elapsed - stats.avgMs) * AVERAGE_WEIGHT;
+        stats.totalMs += elapsed;
+    }
+
+    createStats() {
+        return {
+            calls: 0,
+            simulatedTime: 0,
+            droppedSteps: 0,
+            errors: 0,
+            lastMs: 0,
+            avgMs: 0,
+            maxMs: 0,
+            totalMs: 0
+        };
+    }
+
+    /**
+     * Fraction of a fixed step left in the accumulator (0..1), for render interpolation
+     */
+    getInterpolation(name) {
+        const task = this.tasks.find(t => t.name === name);
+        if (!task || !task.fixed) return 0;
+        return task.accumulator / task.interval;
+    }
+
+    /**
+     * Timing stats per system, in run order
+     */
+    getStats() {
+        return this.tasks.map(task => ({
+            name: task.name,
+            rate: task.rate,
+            fixed: task.fixed,
+            priority: task.priority,
+            ...task.stats
+        }));
+    }
+
+    resetStats() {
+        this.tasks.forEach(task => {
+            task.stats = this.createStats();
+        });
+    }
+}
+
+export default SystemScheduler;
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { EclipseGeometry } from '../celestial-mechanics.js';
+import { FRAMES } from '../truth-contracts.js';
+
+// Total solar eclipse of 2024 April 8 - reference values from the NASA
+// eclipse bulletin (Espenak): elements at t0 = 18:00 TDT, ΔT = 69.2 s
+const T0_UTC = new Date('2024-04-08T17:58:50.816Z');
+const GREATEST = new Date('2024-04-08T18:17:16Z');
+const MU_RATE = 15.0040817 / 3600; // degrees per second
+
+test('Besselian elements match the published set', () => {
+    const el = EclipseGeometry.besselianElements(T0_UTC);
+
+    assert.ok(Math.abs(el.x - -0.318244) < 2e-3, `x ${el.x}`);
+    assert.ok(Math.abs(el.y - 0.219764) < 2e-3, `y ${el.y}`);
+    assert.ok(Math.abs(el.d - 7.5862) < 1e-3, `d ${el.d}`);
+    // NASA tabulates μ against TDT as if it were UT; ours is the true hour angle
+    assert.ok(Math.abs(el.mu + 69.184 * MU_RATE - 89.591217) < 5e-3, `mu ${el.mu}`);
+    assert.ok(Math.abs(el.l1 - 0.535814) < 1e-4);
+    assert.ok(Math.abs(el.l2 - -0.010272) < 1e-4);
+    assert.ok(Math.abs(el.tanF1 - 0.0046683) < 1e-6);
+    assert.ok(Math.abs(el.tanF2 - 0.0046450) < 1e-6);
+});
+
+test('ground track at greatest eclipse: centerline, limits, width and duration', () => {
+    const track = EclipseGeometry.shadowGroundTrack(GREATEST, GREATEST);
+    assert.equal(track.contract.frame, FRAMES.ECEF);
+    assert.equal(track.centerline.length, 1);
+
+    // Greatest eclipse 25°17.4'N 104°08.3'W, 4m28s, path 197.5 km wide
+    const [center] = track.centerline;
+    assert.ok(Math.abs(center.lat - 25.29) < 0.1, `lat ${center.lat}`);
+    assert.ok(Math.abs(center.lon - -104.14) < 0.15, `lon ${center.lon}`);
+    assert.ok(Math.abs(center.duration - 268.1) < 3, `duration ${center.duration}`);
+    assert.ok(Math.abs(center.width - 197.5) < 3, `width ${center.width}`);
+
+    const [north] = track.northernLimit;
+    const [south] = track.southernLimit;
+    assert.ok(north.lat > center.lat && south.lat < center.lat);
+    // Penumbral limits reach far beyond the path of totality
+    assert.ok(track.penumbra.northernLimit[0].lat > north.lat + 15);
+});
+
+test('centerline crosses Mexico, Texas and up to Maine', () => {
+    const track = EclipseGeometry.shadowGroundTrack(
+        new Date('2024-04-08T18:00:00Z'), new Date('2024-04-08T19:30:00Z'), 600
+    );
+    assert.equal(track.centerline.length, 10);
+
+    // Northeastward throughout
+    for (let i = 1; i < track.centerline.length; i++) {
+        assert.ok(track.centerline[i].lat > track.centerline[i - 1].lat);
+        assert.ok(track.centerline[i].lon > track.centerline[i - 1].lon);
+    }
+    assert.ok(track.northernLimit.length === track.centerline.length);
+
+    // Outside the eclipse there is no central line at all
+    assert.equal(EclipseGeometry.shadowGroundTrack(
+        new Date('2024-04-08T12:00:00Z'), new Date('2024-04-08T12:10:00Z'), 300
+    ).centerline.length, 0);
+});
+
+test('local circumstances: total, partial and not visible', () => {
+    const onCenterline = EclipseGeometry.localCircumstances({ lat: 25.29, lon: -104.14 }, GREATEST);
+    assert.equal(onCenterline.type, 'total');
+    assert.ok(Math.abs(onCenterline.duration - 268) < 4, `duration ${onCenterline.duration}`);
+    assert.ok(onCenterline.C1 < onCenterline.C2 && onCenterline.C2 < onCenterline.maximum);
+    assert.ok(onCenterline.maximum < onCenterline.C3 && onCenterline.C3 < onCenterline.C4);
+    assert.ok(onCenterline.magnitude > 1);
+    assert.ok(onCenterline.sunAltitude > 65);
+
+    // New York: ~0.91 magnitude, maximum 3:25 pm EDT
+    const newYork = EclipseGeometry.localCircumstances({ lat: 40.7128, lon: -74.006 }, GREATEST);
+    assert.equal(newYork.type, 'partial');
+    assert.equal(newYork.C2, null);
+    assert.equal(newYork.duration, 0);
+    assert.ok(Math.abs(newYork.magnitude - 0.91) < 0.01, `magnitude ${newYork.magnitude}`);
+    assert.ok(Math.abs(newYork.maximum - new Date('2024-04-08T19:25:30Z')) < 60000);
+
+    // Sydney is on the night side
+    const sydney = EclipseGeometry.localCircumstances({ lat: -33.87, lon: 151.21 }, GREATEST);
+    assert.equal(sydney.type, 'none');
+    assert.equal(sydney.C1, null);
+    assert.equal(sydney.maximum, null);
+});
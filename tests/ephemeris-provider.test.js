@@ -0,0 +1,256 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+    OfflineEphemeris, loadHorizonsVectors, parseHorizonsVectors, parseSPK, ephemerisTime, AXES
+} from '../ephemeris-provider.js';
+import { Ephemeris } from '../celestial-mechanics.js';
+import { FRAMES, TIME_SCALES, JulianDate } from '../truth-contracts.js';
+import { NBodySimulator, INTEGRATORS } from '../nbody-simulator.js';
+import { AutomatedTestSuite, HorizonsAPI } from '../verification-system.js';
+
+const MOON_FILE = new URL('./fixtures/horizons-moon.txt', import.meta.url);
+const EARTH_FILE = new URL('./fixtures/horizons-earth.txt', import.meta.url);
+
+async function quietly(fn) {
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+async function fixtures() {
+    return quietly(() => OfflineEphemeris.load(MOON_FILE, EARTH_FILE));
+}
+
+/**
+ * Minimal DAF/SPK kernel: one summary record, one name record, then data.
+ * segments: [{ target, center, frame, type, init, intervalLength, records: [[mid, radius, ...coefficients]] }]
+ */
+function buildSPK(segments, littleEndian = true) {
+    const data = [];
+    const summaries = segments.map(segment => {
+        const begin = 3 * 128 + data.length + 1;
+        segment.records.forEach(record => data.push(...record));
+        data.push(segment.init, segment.intervalLength, segment.records[0].length, segment.records.length);
+        return { ...segment, begin, end: 3 * 128 + data.length };
+    });
+
+    const view = new DataView(new ArrayBuffer(3 * 1024 + data.length * 8));
+    const write = (offset, text) => [...text].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+    write(0, 'DAF/SPK ');
+    view.setInt32(8, 2, littleEndian);
+    view.setInt32(12, 6, littleEndian);
+    view.setInt32(76, 2, littleEndian);
+    write(88, littleEndian ? 'LTL-IEEE' : 'BIG-IEEE');
+
+    view.setFloat64(1024, 0, littleEndian);
+    view.setFloat64(1024 + 16, summaries.length, littleEndian);
+    summaries.forEach((s, i) => {
+        const offset = 1024 + 24 + i * 40;
+        view.setFloat64(offset, s.init, littleEndian);
+        view.setFloat64(offset + 8, s.init + s.intervalLength * s.records.length, littleEndian);
+        [s.target, s.center, s.frame, s.type, s.begin, s.end]
+            .forEach((value, k) => view.setInt32(offset + 16 + k * 4, value, littleEndian));
+        write(2048 + i * 40, `SEGMENT ${i}`);
+    });
+    data.forEach((value, i) => view.setFloat64(3072 + i * 8, value, littleEndian));
+    return new Uint8Array(view.buffer);
+}
+
+function chebyshev(c, s) {
+    return c[0] + c[1] * s + c[2] * (2 * s * s - 1);
+}
+
+test('Horizons text table: header, units and Hermite interpolation', async () => {
+    const table = await quietly(() => loadHorizonsVectors(MOON_FILE));
+    assert.equal(table.target, 301);
+    assert.equal(table.center, 399);
+    assert.equal(table.axes, AXES.EQUATORIAL);
+    assert.equal(table.records.length, 25);
+    assert.equal(table.hasVelocity, true);
+
+    // Records are TDB; 00:00 UTC is 00:01:09.184 TDB
+    const first = new JulianDate(2460408, 0.5, TIME_SCALES.TDB);
+    assert.equal(table.start, ephemerisTime(first));
+    assert.ok(Math.abs(ephemerisTime(new Date('2024-04-08T00:00:00Z')) - (table.start + 69.184)) < 0.01);
+
+    // Between 2-hour records the fixture's source series is reproduced to meters
+    const time = new Date('2024-04-08T13:17:00Z');
+    const state = table.state(ephemerisTime(time));
+    const truth = Ephemeris.moonPosition(time);
+    const position = { x: state.position[0], y: state.position[1], z: state.position[2] };
+    assert.ok(distance(position, truth) < 0.01);
+    assert.ok(table.tolerance < 10, `${table.tolerance} m`);
+
+    const later = Ephemeris.moonPosition(new Date(time.getTime() + 1000));
+    const earlier = Ephemeris.moonPosition(new Date(time.getTime() - 1000));
+    ['x', 'y', 'z'].forEach((axis, k) => {
+        assert.ok(Math.abs(state.velocity[k] - (later[axis] - earlier[axis]) / 2) < 1e-5);
+    });
+
+    assert.throws(() => table.state(table.end + 1), /outside the table/);
+});
+
+test('CSV AU-D table and position-only Lagrange tables', async () => {
+    const ephemeris = await fixtures();
+    const time = new Date('2024-04-05T07:00:00Z');
+    const earth = ephemeris.state('earth', time);
+    const sun = Ephemeris.sunPosition(time);
+
+    assert.equal(earth.center, 'sun');
+    assert.ok(distance(earth.position, { x: -sun.x, y: -sun.y, z: -sun.z }) < 0.5);
+    // ~29.8 km/s, converted from AU/day
+    assert.ok(Math.abs(Math.hypot(earth.velocity.x, earth.velocity.y, earth.velocity.z) - 29.8) < 0.2);
+
+    // Same states with VEC_TABLE=1: positions only, 8-point Lagrange
+    const table = ephemeris.segments.find(s => s.target === 399);
+    const lines = table.records.map(r =>
+        `${(r.et / 86400 + 2451545).toFixed(9)} = A.D. TDB\n X =${r.position[0]} Y =${r.position[1]} Z =${r.position[2]}`);
+    const positions = parseHorizonsVectors([
+        'Target body name: Earth (399)',
+        'Center body name: Sun (10)',
+        'Output units    : KM-S',
+        'JDTDB',
+        '$$SOE', ...lines, '$$EOE'
+    ].join('\n'));
+    assert.equal(positions.hasVelocity, false);
+
+    const et = ephemerisTime(time);
+    const lagrange = positions.state(et);
+    const hermite = table.state(et);
+    assert.ok(Math.hypot(...lagrange.position.map((p, k) => p - hermite.position[k])) < 0.5);
+    assert.ok(Math.hypot(...lagrange.velocity.map((v, k) => v - hermite.velocity[k])) < 1e-5);
+});
+
+test('states chain through shared centers and carry a contract', async () => {
+    const ephemeris = await fixtures();
+    const time = new Date('2024-04-09T06:00:00Z');
+
+    const moon = ephemeris.state('moon', time);
+    assert.equal(moon.center, 'earth');
+    assert.equal(moon.contract.frame, FRAMES.ECI);
+    assert.equal(moon.contract.origin, 'GEOCENTRIC');
+    assert.equal(moon.contract.timeScale, TIME_SCALES.TDB);
+    assert.equal(moon.files.length, 1);
+
+    // Moon from Sun = Moon from Earth + Earth from Sun
+    const earth = ephemeris.state('earth', time);
+    const heliocentric = ephemeris.state(301, time, 'sun');
+    assert.ok(distance(heliocentric.position, {
+        x: moon.position.x + earth.position.x,
+        y: moon.position.y + earth.position.y,
+        z: moon.position.z + earth.position.z
+    }) < 1e-6);
+    assert.equal(heliocentric.contract.origin, 'HELIOCENTRIC');
+    assert.equal(heliocentric.files.length, 2);
+
+    // The Earth-from-Sun link cancels and adds nothing to the error budget
+    const sun = ephemeris.state('sun', time, 'moon');
+    assert.equal(sun.contract.frame, FRAMES.MOON_CENTERED);
+    assert.equal(ephemeris.state('sun', time, 'earth').files.length, 1);
+    assert.equal(moon.contract.tolerance.position_m, ephemeris.segments[0].tolerance);
+
+    assert.equal(ephemeris.covers('moon', time), true);
+    assert.equal(ephemeris.covers('moon', new Date('2024-04-11T00:00:00Z')), false);
+    assert.throws(() => ephemeris.state('mars', time), /No data for mars/);
+    assert.throws(() => ephemeris.state('moon', time, 'jupiter'), /No path from jupiter to moon/);
+    assert.throws(() => ephemeris.state('pluto', time), /Unknown body: pluto/);
+});
+
+test('SPK type 2 and type 3 Chebyshev segments, either byte order', async () => {
+    const x = [1000, 200, -30], y = [-500, 40, 6], z = [20, -3, 0.5];
+    const velocity = [0.1, 0.2, 0.3].map(c => [c, 0, 0]);
+    const segments = [
+        // Two 1-day records, 3 coefficients each, Moon from Earth
+        { target: 301, center: 399, frame: 1, type: 2, init: 0, intervalLength: 86400,
+            records: [[43200, 43200, ...x, ...y, ...z], [129600, 43200, ...z, ...y, ...x]] },
+        // Earth from Sun with its own velocity series
+        { target: 399, center: 10, frame: 1, type: 3, init: 0, intervalLength: 172800,
+            records: [[86400, 86400, ...x, ...y, ...z, ...velocity.flat()]] },
+        // Unsupported type: skipped with a warning
+        { target: 499, center: 10, frame: 1, type: 13, init: 0, intervalLength: 86400,
+            records: [[0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]] }
+    ];
+
+    for (const littleEndian of [true, false]) {
+        const parsed = await quietly(() => parseSPK(buildSPK(structuredClone(segments), littleEndian)));
+        assert.equal(parsed.length, 2);
+        assert.equal(parsed[0].name, 'SEGMENT 0');
+
+        const ephemeris = new OfflineEphemeris(parsed);
+        // J2000 + 1.75 d TDB: second record of the type 2 segment, s = 0.5
+        const time = JulianDate.fromJD(2451545 + 1.75, TIME_SCALES.TDB);
+        const moon = ephemeris.state('moon', time);
+        assert.ok(Math.abs(moon.position.x - chebyshev(z, 0.5)) < 1e-9);
+        assert.ok(Math.abs(moon.position.z - chebyshev(x, 0.5)) < 1e-9);
+        // d/dt = (c1 + 4 c2 s) / radius
+        assert.ok(Math.abs(moon.velocity.z - (x[1] + 4 * x[2] * 0.5) / 43200) < 1e-12);
+
+        const earth = ephemeris.state('earth', time);
+        assert.ok(Math.abs(earth.position.y - chebyshev(y, 0.75)) < 1e-9);
+        assert.ok(Math.abs(earth.velocity.x - 0.1) < 1e-12);
+        assert.equal(earth.contract.origin, 'HELIOCENTRIC');
+    }
+
+    assert.throws(() => parseSPK(new Uint8Array(2048)), /Not a DAF\/SPK file/);
+});
+
+test('HorizonsAPI serves the offline ephemeris', async () => {
+    const ephemeris = await fixtures();
+    const horizons = new HorizonsAPI(ephemeris);
+    const time = new Date('2024-04-08T12:00:00Z');
+
+    const moon = await horizons.fetchPosition('moon', time);
+    assert.equal(moon.source, 'JPL_OFFLINE');
+    assert.equal(moon.center, 'earth');
+    assert.equal(moon.contract.frame, FRAMES.ECI);
+    assert.ok(distance(moon.position, Ephemeris.moonPosition(time)) < 0.01);
+
+    const series = await horizons.fetchEphemeris('moon', time, new Date('2024-04-09T12:00:00Z'), '6 h', 'sun');
+    assert.equal(series.data.length, 5);
+    assert.equal(series.data[4].center, 'sun');
+    await assert.rejects(() => horizons.fetchEphemeris('moon', time, time, 'fortnight'), /Invalid step size/);
+    for (const step of ['1mo', '1 month', '1y', '2 years', '5ms']) {
+        await assert.rejects(() => horizons.fetchEphemeris('moon', time, time, step), /Invalid step size/, step);
+    }
+    const nextDay = new Date('2024-04-09T12:00:00Z');
+    for (const step of ['1 day', '24 hours', '1440min', '86400 secs']) {
+        assert.equal((await horizons.fetchEphemeris('moon', time, nextDay, step)).data.length, 2, step);
+    }
+
+    // Without a provider it is still the mock
+    const mock = await quietly(() => new HorizonsAPI().fetchPosition('moon', time));
+    assert.equal(mock.source, 'JPL_HORIZONS_MOCK');
+});
+
+test('position tests compare a seeded simulator at its own clock', async () => {
+    const ephemeris = await fixtures();
+    const epoch = new Date('2024-04-08T00:00:00Z');
+    const sim = NBodySimulator.fromEphemeris(ephemeris, epoch, { integrator: INTEGRATORS.RK45 });
+    assert.equal(sim.currentTime().scale, TIME_SCALES.TDB);
+    assert.ok(Math.abs(ephemerisTime(sim.currentTime()) - ephemerisTime(epoch)) < 1e-6);
+    assert.ok(distance(sim.getPosition('moon', 'earth'), ephemeris.state('moon', epoch).position) < 1e-6);
+
+    sim.step(1);
+    const suite = new AutomatedTestSuite(sim, ephemeris);
+    await quietly(async () => {
+        await suite.testEarthPosition();
+        await suite.testMoonPosition();
+    });
+
+    const [earth, moon] = suite.verifier.testResults;
+    assert.equal(earth.passed, true, `${earth.error} km`);
+    assert.equal(moon.passed, true, `${moon.error} km`);
+    // A day of three-body motion against the full series: kilometers
+    assert.ok(earth.error < 20 && moon.error < 5);
+});
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { Ephemeris, EclipseGeometry, LightTime, ORIGINS } from '../celestial-mechanics.js';
+import { FrameTransformer, FRAMES, JulianDate, TIME_SCALES } from '../truth-contracts.js';
+
+const OBLIQUITY_J2000 = 84381.448 / 3600 * Math.PI / 180;
+
+function eclipticLatitudeJ2000(p) {
+    const z = -Math.sin(OBLIQUITY_J2000) * p.y + Math.cos(OBLIQUITY_J2000) * p.z;
+    return Math.asin(z / Math.hypot(p.x, p.y, p.z)) * 180 / Math.PI;
+}
+
+test('Sun matches Meeus example 25.b (VSOP87)', () => {
+    // 1992 Oct 13.0 TD
+    const sun = Ephemeris.sunEcliptic(new JulianDate(2448908.5, 0, TIME_SCALES.TT));
+    assert.ok(Math.abs(sun.lon - 199.907347) < 2e-6, `lon ${sun.lon}`);
+    assert.ok(Math.abs(sun.lat * 3600 - 0.62) < 0.01, `lat ${sun.lat * 3600}"`);
+    assert.ok(Math.abs(sun.distance / 149597870.7 - 0.99760775) < 1e-8);
+});
+
+test('Moon matches Meeus example 47.a (ELP-2000/82)', () => {
+    // 1992 April 12, 0h TD
+    const moon = Ephemeris.moonEcliptic(2448724.5);
+    assert.ok(Math.abs(moon.lon - 133.162655) < 1e-6, `lon ${moon.lon}`);
+    assert.ok(Math.abs(moon.lat - -3.229126) < 1e-6, `lat ${moon.lat}`);
+    assert.ok(Math.abs(moon.distance - 368409.7) < 0.1, `distance ${moon.distance}`);
+});
+
+test('GCRF positions carry contracts and sit on the J2000 ecliptic', () => {
+    const date = new Date('2024-06-21T12:00:00Z');
+    const sun = Ephemeris.sunPosition(date);
+
+    assert.equal(sun.frame, FRAMES.ECI);
+    assert.equal(sun.origin, ORIGINS.GEOCENTRIC);
+    assert.equal(sun.contract.timeScale, TIME_SCALES.TT);
+    assert.equal(sun.time.scale, TIME_SCALES.TT);
+    assert.ok(Math.abs(Math.hypot(sun.x, sun.y, sun.z) - sun.distance) < 1e-6);
+    // The ecliptic of date tilts ~47"/century away from J2000's: ~12" by 2024
+    assert.ok(Math.abs(eclipticLatitudeJ2000(sun)) < 15 / 3600);
+    // Near the June solstice: RA ~90°
+    assert.ok(Math.abs(Math.atan2(sun.y, sun.x) * 180 / Math.PI - 90) < 1);
+
+    const moon = Ephemeris.moonPosition(date);
+    assert.ok(Math.abs(eclipticLatitudeJ2000(moon)) < 5.3);
+    assert.ok(moon.distance > 356000 && moon.distance < 407000);
+
+    // Feeds LightTime directly: ~1.3 s to the Moon, ~8.3 min to the Sun
+    const earth = { x: 0, y: 0, z: 0 };
+    assert.ok(Math.abs(LightTime.correctForLightTime(earth, moon).lightTime - moon.distance / 299792.458) < 1e-9);
+    assert.ok(Math.abs(LightTime.correctForLightTime(earth, sun).lightTime - 499) < 10);
+});
+
+test('the ephemeris drives the shadow cone for the 2024-04-08 eclipse', () => {
+    // Greatest eclipse 18:17:16 UT, gamma 0.3431
+    const cone = EclipseGeometry.calculateShadowCone(new Date('2024-04-08T18:17:16Z'));
+
+    // Distance of Earth's center from the shadow axis is gamma Earth radii
+    const { moon, axis } = cone;
+    const along = -(moon.x * axis.x + moon.y * axis.y + moon.z * axis.z);
+    const miss = Math.hypot(moon.x + along * axis.x, moon.y + along * axis.y, moon.z + along * axis.z);
+    assert.ok(Math.abs(miss / 6378.137 - 0.3431) < 0.01, `gamma ${miss / 6378.137}`);
+
+    // Total: the umbra reaches past the Earth's surface
+    assert.ok(cone.umbraLength > along - 6378.137);
+});
+
+test('the ephemeris plugs into FrameTransformer as moonPosition', () => {
+    const epoch = new Date('2024-04-08T18:17:16Z');
+    const moon = Ephemeris.moonPosition(epoch);
+
+    const result = FrameTransformer.transform(
+        { x: moon.x, y: moon.y, z: moon.z, unit: 'km', frame: FRAMES.ECI },
+        FRAMES.MOON_CENTERED,
+        { epoch, moonPosition: jdTT => Ephemeris.moonPosition(jdTT) }
+    );
+    assert.ok(Math.hypot(result.x, result.y, result.z) < 1e-6);
+});
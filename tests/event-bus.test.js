@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import * as THREE from 'three';
+import { EventBus, GAME_EVENTS } from '../event-bus.js';
+import { NullScene } from '../headless.js';
+import { QuestManager } from '../quest-system.js';
+import { DialogueManager, StoryManager } from '../dialogue-story.js';
+import { WorldEvolutionManager } from '../world-evolution.js';
+import { Inventory, CraftingManager } from '../crafting-building.js';
+import { NatureManager } from '../living-nature.js';
+import { Volcano } from '../pangea-volcanoes.js';
+
+test('publish validates event types and payload fields', () => {
+    const bus = new EventBus();
+
+    assert.throws(() => bus.publish('teleport', {}), /Unknown event type: teleport/);
+    assert.throws(() => bus.publish(GAME_EVENTS.PLANT, {}), /plant\.species must be a string/);
+    assert.throws(() => bus.publish(GAME_EVENTS.MOVE, null), /payload must be an object/);
+    assert.throws(() => bus.on('teleport', () => {}), /Unknown event type/);
+
+    bus.define('teleport', { to: 'string' });
+    const event = bus.publish('teleport', { to: 'moon' }, 'test');
+    assert.equal(event.seq, 1);
+    assert.equal(event.source, 'test');
+});
+
+test('exact, prefix and wildcard subscriptions', () => {
+    const bus = new EventBus();
+    const seen = { exact: [], prefix: [], all: [] };
+
+    bus.on(GAME_EVENTS.ERUPTION_START, e => seen.exact.push(e.type));
+    bus.on('eruption_*', e => seen.prefix.push(e.type));
+    bus.on('*', e => seen.all.push(e.type));
+
+    bus.publish(GAME_EVENTS.ERUPTION_START, { eruptionType: 'effusive', intensity: 0.4 });
+    bus.publish(GAME_EVENTS.ERUPTION_END);
+    bus.publish(GAME_EVENTS.MOVE);
+
+    assert.deepEqual(seen.exact, ['eruption_start']);
+    assert.deepEqual(seen.prefix, ['eruption_start', 'eruption_end']);
+    assert.deepEqual(seen.all, ['eruption_start', 'eruption_end', 'move']);
+});
+
+test('once, unsubscribe and failing handlers', () => {
+    const bus = new EventBus();
+    const calls = [];
+
+    bus.once(GAME_EVENTS.MOVE, () => calls.push('once'));
+    const unsubscribe = bus.on(GAME_EVENTS.MOVE, () => calls.push('on'));
+    bus.on(GAME_EVENTS.MOVE, () => {
+        throw new Error('boom');
+    });
+    bus.on(GAME_EVENTS.MOVE, () => calls.push('after'));
+
+    bus.publish(GAME_EVENTS.MOVE);
+    unsubscribe();
+    bus.publish(GAME_EVENTS.MOVE);
+
+    assert.deepEqual(calls, ['once', 'on', 'after', 'after']);
+});
+
+test('event log is bounded, filterable and replayable', () => {
+    const bus = new EventBus({ maxLog: 3 });
+    bus.publish(GAME_EVENTS.MOVE);
+    bus.publish(GAME_EVENTS.PLANT, { species: 'rose' }, 'garden');
+    bus.publish(GAME_EVENTS.PLANT, { species: 'lotus' }, 'garden');
+    bus.publish(GAME_EVENTS.LEVEL_UP, { level: 2 });
+
+    assert.deepEqual(bus.getLog().map(e => e.seq), [2, 3, 4]);
+    assert.equal(bus.getLog({ type: GAME_EVENTS.PLANT }).length, 2);
+    assert.equal(bus.getLog({ since: 3 }).length, 1);
+
+    const debug = new EventBus();
+    const replayed = [];
+    debug.on('*', e => replayed.push(e));
+
+    assert.equal(bus.replay({ source: 'garden' }, debug), 2);
+    assert.deepEqual(replayed.map(e => e.payload.species), ['rose', 'lotus']);
+    assert.ok(replayed.every(e => e.replayed));
+    assert.equal(debug.getLog().length, 0);
+});
+
+test('managers publish to and react through the bus', () => {
+    const bus = new EventBus();
+    const quests = new QuestManager();
+    const story = new StoryManager();
+    const world = new WorldEvolutionManager(new NullScene());
+    const nature = new NatureManager(new NullScene());
+    [quests, story, world, nature].forEach(system => system.connectEvents(bus));
+
+    quests.startQuest('first_love');
+    const bunny = nature.spawnAnimal('rabbit', new THREE.Vector3());
+    bunny.receiveAction('pet');
+
+    assert.ok(quests.completedQuests.includes('first_love'));
+    assert.equal(story.narrativeState.love, 1);
+    assert.equal(world.events.worldStats.love, 1);
+    assert.deepEqual(bus.getLog().map(e => e.type), ['love_creature', 'quest_complete']);
+});
+
+test('dialogue choices, crafting and eruptions are published', () => {
+    const bus = new EventBus();
+    const dialogue = new DialogueManager();
+    const crafting = new CraftingManager(new Inventory());
+    const volcano = new Volcano(new THREE.Vector3(), new NullScene());
+    const story = new StoryManager();
+    [dialogue, crafting, story].forEach(system => system.connectEvents(bus));
+    volcano.bus = bus;
+
+    dialogue.startConversation('alice', 'greeting_first_choice');
+    dialogue.selectChoice(0);
+    crafting.currentCraft = { recipe: Object.keys(crafting.recipes)[0], timeRemaining: 0 };
+    crafting.completeCrafting();
+    volcano.startEruption();
+
+    const [choice, craft, eruption] = bus.getLog();
+    assert.equal(choice.type, GAME_EVENTS.STORY_CHOICE);
+    assert.equal(choice.payload.character, 'alice');
+    assert.equal(story.playerChoices[0].choice, choice.payload.choice);
+    assert.equal(craft.type, GAME_EVENTS.CRAFT_COMPLETE);
+    assert.equal(eruption.type, GAME_EVENTS.ERUPTION_START);
+    assert.equal(eruption.payload.eruptionType, volcano.eruptionType);
+});
@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { findNextEvent, EVENT_TYPES } from '../celestial-events.js';
+import { AutomatedTestSuite } from '../verification-system.js';
+
+async function quietly(fn) {
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+function assertNear(actual, expectedIso, toleranceSeconds) {
+    const error = Math.abs(actual.getTime() - Date.parse(expectedIso)) / 1000;
+    assert.ok(error < toleranceSeconds, `${actual.toISOString()} vs ${expectedIso} (${error.toFixed(1)} s)`);
+}
+
+test('equinox and solstice times match USNO', () => {
+    const from = new Date('2025-01-01T00:00:00Z');
+    assertNear(findNextEvent(EVENT_TYPES.VERNAL_EQUINOX, from).time, '2025-03-20T09:01:00Z', 90);
+    assertNear(findNextEvent(EVENT_TYPES.SUMMER_SOLSTICE, from).time, '2025-06-21T02:42:00Z', 90);
+    assertNear(findNextEvent(EVENT_TYPES.WINTER_SOLSTICE, from).time, '2025-12-21T15:03:00Z', 90);
+});
+
+test('lunar phases match USNO', () => {
+    assertNear(findNextEvent(EVENT_TYPES.FULL_MOON, new Date('2025-03-01T00:00:00Z')).time,
+        '2025-03-14T06:55:00Z', 90);
+    assertNear(findNextEvent(EVENT_TYPES.NEW_MOON, new Date('2024-04-01T00:00:00Z')).time,
+        '2024-04-08T18:21:00Z', 90);
+    assertNear(findNextEvent(EVENT_TYPES.FIRST_QUARTER, new Date('2024-04-08T19:00:00Z')).time,
+        '2024-04-15T19:13:00Z', 90);
+});
+
+test('solar eclipses: greatest eclipse and kind match NASA', () => {
+    // 2024 Apr 08: greatest eclipse 18:18:29 TD (ΔT 69.2 s), γ 0.3431, 4m28s
+    const total = findNextEvent(EVENT_TYPES.SOLAR_ECLIPSE, new Date('2024-03-01T00:00:00Z'));
+    assert.equal(total.type, EVENT_TYPES.TOTAL_SOLAR_ECLIPSE);
+    assertNear(total.time, '2024-04-08T18:17:20Z', 30);
+    assert.ok(Math.abs(total.gamma - 0.3431) < 0.002);
+    assert.ok(Math.abs(total.magnitude - 1.0566) < 0.002);
+    assert.ok(Math.abs(total.duration - 268) < 3);
+
+    // 2024 Oct 02 annular (γ -0.3509, 7m25s); 2025 Mar 29 partial (γ 1.0405)
+    const annular = findNextEvent(EVENT_TYPES.SOLAR_ECLIPSE, total.time);
+    assert.equal(annular.type, EVENT_TYPES.ANNULAR_SOLAR_ECLIPSE);
+    assertNear(annular.time, '2024-10-02T18:45:04Z', 30);
+    assert.ok(Math.abs(annular.gamma - -0.3509) < 0.002);
+    assert.ok(Math.abs(annular.duration - 445) < 5);
+
+    const partial = findNextEvent(EVENT_TYPES.PARTIAL_SOLAR_ECLIPSE, annular.time);
+    assertNear(partial.time, '2025-03-29T10:47:27Z', 60);
+    assert.equal(partial.location, null);
+    assert.ok(Math.abs(partial.magnitude - 0.9376) < 0.01);
+});
+
+test('lunar eclipses: greatest eclipse and magnitudes match NASA', () => {
+    const total = findNextEvent(EVENT_TYPES.TOTAL_LUNAR_ECLIPSE, new Date('2025-01-01T00:00:00Z'));
+    assertNear(total.time, '2025-03-14T06:58:43Z', 30);
+    assert.ok(Math.abs(total.umbralMagnitude - 1.1784) < 0.01);
+    assert.ok(Math.abs(total.penumbralMagnitude - 2.2595) < 0.01);
+
+    const partial = findNextEvent(EVENT_TYPES.LUNAR_ECLIPSE, new Date('2024-08-01T00:00:00Z'));
+    assert.equal(partial.type, EVENT_TYPES.PARTIAL_LUNAR_ECLIPSE);
+    assertNear(partial.time, '2024-09-18T02:44:18Z', 30);
+    assert.ok(Math.abs(partial.umbralMagnitude - 0.0848) < 0.01);
+
+    const penumbral = findNextEvent(EVENT_TYPES.LUNAR_ECLIPSE, new Date('2024-03-01T00:00:00Z'));
+    assert.equal(penumbral.type, EVENT_TYPES.PENUMBRAL_LUNAR_ECLIPSE);
+    assert.ok(penumbral.umbralMagnitude < 0);
+    assert.ok(Math.abs(penumbral.penumbralMagnitude - 0.9577) < 0.01);
+});
+
+test('great conjunction of 2020 from Keplerian elements', () => {
+    const conjunction = findNextEvent(EVENT_TYPES.GREAT_CONJUNCTION, new Date('2019-01-01T00:00:00Z'));
+    assertNear(conjunction.time, '2020-12-21T18:20:00Z', 86400);
+    assert.deepEqual(conjunction.bodies, ['jupiter', 'saturn']);
+    assert.ok(Math.abs(conjunction.separation - 0.1) < 0.02);
+
+    // Sun-Moon conjunction is the new moon
+    const newMoon = findNextEvent(EVENT_TYPES.CONJUNCTION, new Date('2024-04-01T00:00:00Z'), { bodies: ['moon', 'sun'] });
+    assertNear(newMoon.time, '2024-04-08T18:21:00Z', 600);
+});
+
+test('unknown types and exhausted searches throw', () => {
+    const from = new Date('2025-01-01T00:00:00Z');
+    assert.throws(() => findNextEvent('transit_of_venus', from), /Unknown event type: transit_of_venus/);
+    assert.throws(() => findNextEvent(EVENT_TYPES.FULL_MOON, from, { maxDays: 5 }), /No full_moon within 5 days/);
+    assert.throws(() => findNextEvent(EVENT_TYPES.TOTAL_SOLAR_ECLIPSE, from, { maxDays: 100 }),
+        /No total_solar_eclipse within 100 days/);
+    assert.throws(() => findNextEvent(EVENT_TYPES.CONJUNCTION, from, { bodies: ['pluto', 'sun'] }),
+        /Unknown planet: pluto/);
+});
+
+test('AutomatedTestSuite verifies known events, skipping documented limitations', async () => {
+    const suite = new AutomatedTestSuite(null);
+    await quietly(() => suite.testEventPredictions());
+
+    const results = suite.verifier.testResults;
+    assert.equal(results.length, 4);
+    assert.deepEqual([...suite.skipped.keys()], ['jupiter_saturn_2020']);
+    assert.match(suite.skipped.get('jupiter_saturn_2020'), /VSOP87/);
+    for (const result of results) {
+        assert.equal(result.passed, true, `${result.eventId}: ${JSON.stringify(result.details)}`);
+    }
+    const lunar = results.find(result => result.eventId === 'lunar_eclipse_2025');
+    assert.ok(lunar.details.magnitudeError < 0.01);
+});
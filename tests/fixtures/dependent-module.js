@@ -0,0 +1,14 @@
+let log = null;
+
+export function init(context) {
+    log = context.log;
+    log.push(`${context.name}:init:${context.get('lifecycle') ? 'with-dep' : 'no-dep'}`);
+}
+
+export function start() {
+    log.push('dependent:start');
+}
+
+export function dispose() {
+    log.push('dependent:dispose');
+}
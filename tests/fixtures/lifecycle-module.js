@@ -0,0 +1,22 @@
+let log = null;
+
+export async function init(context) {
+    log = context.log;
+    log.push(`${context.name}:init`);
+}
+
+export function start() {
+    log.push('lifecycle:start');
+}
+
+export function update(dt) {
+    log.push(`lifecycle:update:${dt}`);
+}
+
+export function pause() {
+    log.push('lifecycle:pause');
+}
+
+export function dispose() {
+    log.push('lifecycle:dispose');
+}
@@ -0,0 +1,22 @@
+let context = null;
+
+function record(entry) {
+    context.log.push(entry);
+    context.onLog?.(entry);
+}
+
+export async function init(loadContext) {
+    context = loadContext;
+    context.signal?.addEventListener('abort', () => record(`${context.name}:aborted`));
+    record(`${context.name}:start`);
+    await context.gates?.[context.name];
+
+    if (context.fail?.includes(context.name)) {
+        throw new Error(`${context.name} init failed`);
+    }
+    record(`${context.name}:end`);
+}
+
+export function dispose() {
+    record(`${context.name}:dispose`);
+}
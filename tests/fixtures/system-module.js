@@ -0,0 +1,21 @@
+export class Counter {
+    constructor(scene) {
+        this.scene = scene;
+        this.ticks = 0;
+        this.bus = null;
+    }
+
+    connectEvents(bus) {
+        this.bus = bus;
+    }
+
+    update(deltaTime) {
+        this.ticks += deltaTime;
+    }
+}
+
+export class Broken {
+    constructor() {
+        throw new Error('cannot construct');
+    }
+}
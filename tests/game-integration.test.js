@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { BlackRoadGame } from '../game-integration.js';
+import { GAME_EVENTS } from '../event-bus.js';
+
+test('BlackRoadGame connects every manager that has connectEvents', () => {
+    const game = new BlackRoadGame('game', { headless: true });
+    const connected = ['nature', 'creation', 'crafting', 'dialogue', 'story', 'quests',
+        'evolution', 'weather', 'volcanoes'];
+
+    connected.forEach(name => assert.equal(game[name].bus, game.events, `${name} not connected`));
+    assert.equal(game.multiplayer.giftSystem.bus, game.events);
+    assert.equal(typeof game.ui.unsubscribeBus, 'function');
+});
+
+test('events from one manager reach the others through BlackRoadGame', () => {
+    const game = new BlackRoadGame('game', { headless: true });
+
+    game.quests.startQuest('first_love');
+    game.nature.animals[0].receiveAction('pet');
+
+    assert.ok(game.quests.completedQuests.includes('first_love'));
+    assert.equal(game.story.narrativeState.love, 1);
+    assert.equal(game.evolution.events.worldStats.love, 1);
+    assert.equal(game.gameState.player.stats.creaturesLoved, 1);
+
+    game.crafting.currentCraft = { recipe: Object.keys(game.crafting.recipes)[0], timeRemaining: 0 };
+    game.crafting.completeCrafting();
+    const messages = game.ui.notifications.map(notification => notification.message);
+    assert.ok(messages.includes('✅ Quest complete: First Love'));
+    assert.ok(messages.some(message => message.startsWith('🔨 Crafted')));
+    assert.deepEqual(
+        game.events.getLog().map(event => event.type).slice(0, 3),
+        [GAME_EVENTS.LOVE_CREATURE, GAME_EVENTS.QUEST_COMPLETE, GAME_EVENTS.CRAFT_COMPLETE]
+    );
+});
+
+test('a headless game advances without a DOM', () => {
+    const game = new BlackRoadGame('game', { headless: true });
+
+    for (let frame = 0; frame < 60; frame++) {
+        game.update(1 / 30);
+    }
+
+    assert.equal(game.renderer.frames, 0);
+    assert.ok(game.gameState.player.stats.timeInWorld > 1.9);
+    assert.equal(typeof game.gameState.player.currentBiome, 'string');
+    assert.equal(game.music.currentSoundscape.biomeType, game.gameState.player.currentBiome);
+});
+
+function playSeeded(seed) {
+    const game = new BlackRoadGame('game', { headless: true, seed });
+    game.nature.populateArea(0, 0);
+    for (let frame = 0; frame < 60; frame++) {
+        game.update(1 / 30);
+    }
+
+    return {
+        volcanoes: game.volcanoes.volcanoes.map(v => [v.type, v.position.x, v.position.z]),
+        plants: game.nature.plants.map(p => [p.speciesName, p.mesh.position.x, p.mesh.position.z]),
+        weather: game.weather.currentWeather,
+        biome: game.gameState.player.currentBiome
+    };
+}
+
+test('the same seed reproduces a BlackRoadGame world', () => {
+    const first = playSeeded('blackroad-7');
+    const second = playSeeded('blackroad-7');
+    const other = playSeeded('blackroad-8');
+
+    assert.deepEqual(second, first);
+    assert.notDeepEqual(other.plants, first.plants);
+});
@@ -0,0 +1,158 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { Geodesy, WGS84 } from '../geodesy.js';
+import { VerificationManager, WGS84_LANDMARKS, landmarkEllipsoidalHeight } from '../verification-system.js';
+import { IAUTransform } from '../celestial-mechanics.js';
+import { DatumConverter } from '../truth-contracts.js';
+import { NBodySimulator } from '../nbody-simulator.js';
+
+function dms(degrees, minutes, seconds) {
+    const sign = degrees < 0 ? -1 : 1;
+    return sign * (Math.abs(degrees) + minutes / 60 + seconds / 3600);
+}
+
+test('geodetic to ECEF hits the WGS84 axes', () => {
+    const equator = Geodesy.geodeticToECEF(0, 0, 0);
+    assert.equal(equator.x, WGS84.a);
+    assert.ok(Math.abs(equator.y) < 1e-9 && Math.abs(equator.z) < 1e-9);
+
+    const pole = Geodesy.geodeticToECEF(90, 0, 0);
+    assert.ok(Math.abs(pole.z - 6356752.314245) < 1e-6);
+    assert.ok(Math.abs(pole.x) < 1e-6);
+});
+
+test('ECEF to geodetic round-trips from the pole to GEO altitude', () => {
+    const points = [
+        [0, 0, 0],
+        [51.4778, -0.0014, 46],
+        [27.988056, 86.925278, 8877.69],
+        [-33.8688, 151.2093, -30],
+        [89.9999, 45, 100],
+        [-90, 0, 0],
+        [45, -120, 35786000]
+    ];
+
+    for (const [lat, lon, height] of points) {
+        const back = Geodesy.ecefToGeodetic(Geodesy.geodeticToECEF(lat, lon, height));
+        assert.ok(Math.abs(back.lat - lat) < 1e-10, `lat ${lat}`);
+        assert.ok(Math.abs(back.height - height) < 1e-4, `height at ${lat}: ${back.height}`);
+        if (Math.abs(lat) < 90) {
+            assert.ok(Math.abs(back.lon - lon) < 1e-10, `lon ${lon}`);
+        }
+    }
+});
+
+test('ENU and AER between nearby points', () => {
+    const observer = { lat: 45, lon: 7, height: 200 };
+
+    const above = Geodesy.geodeticToAER(observer, { lat: 45, lon: 7, height: 1200 });
+    assert.ok(Math.abs(above.el - 90) < 1e-9);
+    assert.ok(Math.abs(above.range - 1000) < 1e-6);
+
+    const enu = { x: 300, y: -400, z: 50 };
+    const ecef = Geodesy.enuToECEF(enu, observer);
+    const back = Geodesy.ecefToENU(ecef, observer);
+    assert.ok(Math.hypot(back.x - 300, back.y + 400, back.z - 50) < 1e-6);
+
+    const aer = Geodesy.enuToAER(enu);
+    assert.ok(Math.abs(aer.az - (180 - Math.atan(300 / 400) * 180 / Math.PI)) < 1e-9);
+    const again = Geodesy.aerToENU(aer);
+    assert.ok(Math.hypot(again.x - 300, again.y + 400, again.z - 50) < 1e-9);
+});
+
+test('Vincenty inverse and direct match the Flinders Peak to Buninyong line', () => {
+    const flinders = { lat: dms(-37, 57, 3.72030), lon: dms(144, 25, 29.52440) };
+    const buninyong = { lat: dms(-37, 39, 10.15610), lon: dms(143, 55, 35.38390) };
+
+    const { distance, initialBearing, finalBearing } = Geodesy.between(flinders, buninyong);
+    assert.ok(Math.abs(distance - 54972.271) < 1e-3, `distance ${distance}`);
+    assert.ok(Math.abs(initialBearing - dms(306, 52, 5.37)) < 0.01 / 3600);
+    assert.ok(Math.abs(finalBearing - dms(307, 10, 25.07)) < 0.01 / 3600);
+
+    const arrival = Geodesy.direct(flinders.lat, flinders.lon, initialBearing, distance);
+    assert.ok(Math.abs(arrival.lat - buninyong.lat) < 1e-9);
+    assert.ok(Math.abs(arrival.lon - buninyong.lon) < 1e-9);
+    assert.ok(Math.abs(arrival.finalBearing - finalBearing) < 1e-7);
+});
+
+test('Vincenty edge cases', () => {
+    assert.equal(Geodesy.inverse(10, 20, 10, 20).distance, 0);
+
+    // Along the equator the geodesic is the equator itself
+    const equator = Geodesy.inverse(0, 0, 0, 90);
+    assert.ok(Math.abs(equator.distance - WGS84.a * Math.PI / 2) < 1e-3);
+    assert.equal(equator.initialBearing, 90);
+
+    // Meridian from equator to pole: quarter meridian
+    assert.ok(Math.abs(Geodesy.inverse(0, 0, 90, 0).distance - 10001965.729) < 1e-3);
+
+    assert.throws(() => Geodesy.inverse(0, 0, 0.5, 179.7), /did not converge/);
+
+    const wrapped = Geodesy.direct(0, 179.5, 90, 111319.49);
+    assert.ok(Math.abs(wrapped.lon - -179.5) < 1e-6);
+});
+
+test('verification and celestial code use the shared geodesy', () => {
+    const verifier = new VerificationManager();
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const everest = WGS84_LANDMARKS.mount_everest;
+        const ecef = verifier.latLonToECEF(everest.lat, everest.lon, everest.elevation);
+        const expected = Geodesy.geodeticToECEF(everest.lat, everest.lon, everest.elevation);
+        assert.ok(Math.abs(ecef.x * 1000 - expected.x) < 1e-6);
+
+        const km = Geodesy.between(WGS84_LANDMARKS.greenwich, WGS84_LANDMARKS.mount_everest).distance / 1000;
+        assert.equal(verifier.verifyLandmarkDistance('greenwich', 'mount_everest', km + 0.0005).passed, true);
+        assert.equal(verifier.verifyLandmarkDistance('greenwich', 'mount_everest', km + 0.01).passed, false);
+    } finally {
+        console.log = log;
+    }
+
+    const site = IAUTransform.geodeticToGCRF({ lat: 0, lon: 0, height: 0 }, new Date('2024-01-01T00:00:00Z'));
+    assert.ok(Math.abs(Math.hypot(site.x, site.y, site.z) - WGS84.a / 1000) < 1e-6);
+});
+
+test('unknown landmarks are recorded as failed tests', () => {
+    const verifier = new VerificationManager();
+    const { log, error } = console;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+        const result = verifier.verifyLandmarkDistance('greenwich', 'atlantis', 1000);
+        assert.equal(result.passed, false);
+        assert.equal(result.details.reason, 'Unknown landmark: atlantis');
+        assert.match(verifier.verifyLandmarkDistance('mu', 'lemuria', 0).details.reason, /mu, lemuria/);
+
+        const transform = verifier.verifyWGS84Transform('atlantis', { x: 0, y: 0, z: 0 });
+        assert.equal(transform.passed, false);
+        assert.equal(transform.details.reason, 'Unknown landmark: atlantis');
+        assert.equal(verifier.failed, 3);
+    } finally {
+        Object.assign(console, { log, error });
+    }
+});
+
+test('landmark ECEF positions use the height above the ellipsoid', () => {
+    const everest = WGS84_LANDMARKS.mount_everest;
+    DatumConverter.setGeoidModel({ interpolate: () => -30 });
+    const verifier = new VerificationManager();
+    const log = console.log;
+    console.log = () => {};
+    try {
+        assert.equal(landmarkEllipsoidalHeight(everest), everest.elevation - 30);
+
+        const position = new NBodySimulator().getLandmarkPosition('mount_everest');
+        const ellipsoidal = Geodesy.geodeticToECEF(everest.lat, everest.lon, everest.elevation - 30);
+        assert.ok(Math.abs(position.z * 1000 - ellipsoidal.z) < 1e-6);
+        assert.equal(verifier.verifyWGS84Transform('mount_everest', position).passed, true);
+
+        // Treating the orthometric elevation as ellipsoidal is 30 m off, outside the 10 m tolerance
+        const orthometric = verifier.latLonToECEF(everest.lat, everest.lon, everest.elevation);
+        assert.equal(verifier.verifyWGS84Transform('mount_everest', orthometric).passed, false);
+    } finally {
+        console.log = log;
+        DatumConverter.setGeoidModel(null);
+    }
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { loadGeoidGrid, parseGeoidGrid } from '../geoid-grid.js';
+import { DatumConverter } from '../truth-contracts.js';
+import { WGS84_LANDMARKS } from '../verification-system.js';
+
+const GRID_FILE = new URL('./fixtures/geoid-everest.grd', import.meta.url);
+
+// The fixture's synthetic surface (see its header comment)
+function expectedN(lat, lon) {
+    return -30 + 0.8 * (lat - 27) - 1.2 * (lon - 86) + 0.05 * (lat - 27) * (lon - 86);
+}
+
+test('NGA text grid parses header and north-to-south rows', async () => {
+    const grid = await loadGeoidGrid(GRID_FILE);
+
+    assert.equal(grid.rows, 9);
+    assert.equal(grid.cols, 9);
+    assert.equal(grid.global, false);
+    // First value is the north-west corner, last the south-east
+    assert.ok(Math.abs(grid.at(0, 0) - expectedN(29, 86)) < 1e-4);
+    assert.ok(Math.abs(grid.at(8, 8) - expectedN(27, 88)) < 1e-4);
+});
+
+test('bilinear interpolation between nodes', async () => {
+    const grid = await loadGeoidGrid(GRID_FILE);
+
+    for (const [lat, lon] of [[27.9881, 86.925], [27, 86], [29, 88], [28.1, 87.33]]) {
+        assert.ok(Math.abs(grid.interpolate(lat, lon) - expectedN(lat, lon)) < 1e-4, `${lat}, ${lon}`);
+    }
+
+    assert.throws(() => grid.interpolate(30, 87), /outside the grid/);
+    assert.throws(() => grid.interpolate(28, 85.9), /outside the grid/);
+});
+
+test('DatumConverter uses the installed grid for landmark heights', async () => {
+    const everest = WGS84_LANDMARKS.mount_everest;
+    DatumConverter.setGeoidModel(await loadGeoidGrid(GRID_FILE));
+    try {
+        const N = expectedN(everest.lat, everest.lon);
+        const ellipsoidal = DatumConverter.orthometricToEllipsoidal(everest.lat, everest.lon, everest.elevation);
+        assert.ok(Math.abs(ellipsoidal - (everest.elevation + N)) < 1e-4);
+        assert.ok(Math.abs(
+            DatumConverter.ellipsoidalToOrthometric(everest.lat, everest.lon, ellipsoidal) - everest.elevation
+        ) < 1e-9);
+    } finally {
+        DatumConverter.setGeoidModel(null);
+    }
+});
+
+test('global grids wrap in longitude', () => {
+    // 90° nodes: N = lon / 10 on every row, with the 360° column repeating 0°
+    const rows = ['0 9 18 27 0', '0 9 18 27 0', '0 9 18 27 0'].join('\n');
+    const grid = parseGeoidGrid(`-90 90 0 360 90 90\n${rows}`);
+
+    assert.equal(grid.global, true);
+    assert.ok(Math.abs(grid.interpolate(10, -90) - 27) < 1e-6);
+    assert.ok(Math.abs(grid.interpolate(10, 405) - 4.5) < 1e-6);
+    assert.ok(Math.abs(grid.interpolate(-90, 315) - 13.5) < 1e-6);
+});
+
+test('malformed grids and the uninstalled fallback', () => {
+    assert.throws(() => parseGeoidGrid('0 1 0'), /Malformed grid header/);
+    assert.throws(() => parseGeoidGrid('1 0 0 1 1 1\n1 2 3 4'), /Malformed grid header/);
+    assert.throws(() => parseGeoidGrid('0 1 0 1 1 1\n1 2 3'), /Expected 2×2 values, got 3/);
+    assert.throws(() => parseGeoidGrid('0 1 0 1 1 1\n1 2 x 4'), /Non-numeric value at position 2/);
+
+    const warnings = [];
+    const original = console.warn;
+    console.warn = message => warnings.push(message);
+    DatumConverter.warnedFallback = false;
+    try {
+        DatumConverter.getGeoidUndulation(10, 10);
+        DatumConverter.getGeoidUndulation(20, 20);
+    } finally {
+        console.warn = original;
+    }
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /No geoid grid installed/);
+});
@@ -0,0 +1,157 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import * as THREE from 'three';
+import { NullScene, NullRenderer, isHeadless, createRenderable, createHeadlessWorld } from '../headless.js';
+import { AgentManager } from '../intelligent-agents.js';
+import { NatureManager } from '../living-nature.js';
+import { CreatureManager } from '../pangea-creatures.js';
+import { Volcano } from '../pangea-volcanoes.js';
+import { WeatherSystem, DayNightCycle, WEATHER_TYPES } from '../pangea-weather.js';
+import { WorldEvolutionManager, SeasonManager } from '../world-evolution.js';
+import { QuestManager } from '../quest-system.js';
+import { MusicManager } from '../living-music.js';
+import { ModuleLoader, CORE_MODULES, SYSTEM_DEFINITIONS, initializeAllSystems, updateAllSystems } from '../module-loader.js';
+
+const flatTerrain = { getElevation: () => 1 };
+
+function simulate(seconds, dt, step) {
+    for (let t = 0; t < seconds; t += dt) {
+        step(dt);
+    }
+}
+
+test('NullScene tracks children without rendering', () => {
+    const { scene, camera, renderer } = createHeadlessWorld();
+    const object = new THREE.Object3D();
+    object.name = 'probe';
+
+    scene.add(object);
+    scene.add(object);
+    assert.equal(scene.children.length, 1);
+    assert.equal(scene.getObjectByName('probe'), object);
+
+    renderer.render(scene, camera);
+    assert.equal(renderer.frames, 1);
+    assert.ok(renderer instanceof NullRenderer);
+
+    scene.remove(object);
+    assert.equal(scene.children.length, 0);
+});
+
+test('createRenderable skips the builder when headless', () => {
+    let built = false;
+    const proxy = createRenderable(new NullScene(), () => {
+        built = true;
+        return new THREE.Mesh();
+    });
+
+    assert.equal(built, false);
+    assert.ok(proxy instanceof THREE.Object3D);
+    assert.equal(isHeadless(new NullScene()), true);
+});
+
+test('agents spawn and move without a canvas', () => {
+    const { scene } = createHeadlessWorld();
+    const agents = new AgentManager(scene);
+    agents.spawnAllAgents();
+
+    assert.equal(agents.agents.size, 3);
+
+    simulate(30, 0.1, dt => agents.update(dt));
+
+    agents.agents.forEach(agent => {
+        assert.ok(Number.isFinite(agent.position.x));
+        assert.ok(agent.mesh.position.equals(agent.position));
+    });
+});
+
+test('ecosystem and creatures simulate on a NullScene', () => {
+    const { scene } = createHeadlessWorld();
+    const nature = new NatureManager(scene);
+    nature.populateArea(0, 0, 20);
+    const creatures = new CreatureManager(scene, flatTerrain);
+    creatures.spawnInBiome('TROPICAL_RAINFOREST', 3);
+
+    const animals = nature.animals.length;
+    assert.ok(animals > 0);
+    assert.ok(creatures.creatures.length > 0);
+
+    simulate(30, 0.1, dt => {
+        nature.update(dt);
+        creatures.update(dt);
+    });
+
+    assert.equal(nature.animals.length, animals);
+    creatures.creatures.forEach(creature => {
+        assert.ok(creature.mesh.position.equals(creature.position));
+    });
+});
+
+test('weather, day/night and volcanoes keep state without particles', () => {
+    const { scene } = createHeadlessWorld();
+    const weather = new WeatherSystem(scene, flatTerrain);
+    const cycle = new DayNightCycle(scene);
+    const volcano = new Volcano(new THREE.Vector3(), scene);
+
+    assert.equal(weather.rainParticles, null);
+
+    weather.forceWeather(WEATHER_TYPES.STORM);
+    simulate(10, 0.1, dt => {
+        weather.update(dt, new THREE.Vector3());
+        cycle.update(dt);
+        volcano.update(dt);
+    });
+
+    assert.equal(weather.lightning.length, 0);
+    assert.ok(volcano.magmaPressure > 0);
+});
+
+test('season transitions advance on simulation time', () => {
+    const seasons = new SeasonManager();
+    seasons.advanceSeason();
+    assert.equal(seasons.isTransitioning, true);
+
+    seasons.update(seasons.transitionDuration / 2);
+    assert.equal(seasons.isTransitioning, true);
+
+    seasons.update(seasons.transitionDuration / 2);
+    assert.equal(seasons.isTransitioning, false);
+});
+
+test('world evolution and quests run together headless', () => {
+    const { scene } = createHeadlessWorld();
+    const world = new WorldEvolutionManager(scene);
+    const quests = new QuestManager();
+
+    quests.startQuest('first_steps');
+    simulate(60, 0.5, dt => world.update(dt));
+    quests.updateQuestProgress('first_steps', 'move');
+
+    assert.ok(world.worldAge >= 59.5);
+    assert.ok(quests.completedQuests.includes('first_steps'));
+});
+
+test('initializeAllSystems builds and ticks music on a silent audio context', async () => {
+    const loader = new ModuleLoader({ includeCore: false });
+    CORE_MODULES.filter(config => ['music', 'weather'].includes(config.name))
+        .forEach(config => loader.register(config));
+    await loader.loadAll();
+
+    const { scene, camera, renderer } = createHeadlessWorld();
+    const systems = await initializeAllSystems(scene, camera, renderer, {
+        loader,
+        definitions: SYSTEM_DEFINITIONS.filter(definition => loader.has(definition.module))
+    });
+
+    assert.deepEqual(systems.registry.names(), ['music', 'dayNight', 'weather']);
+    assert.ok(systems.music instanceof MusicManager);
+    assert.equal(systems.music.natureSounds.context.isNullAudioContext, true);
+
+    simulate(2, 0.5, dt => updateAllSystems(systems, dt));
+    assert.equal(systems.music.currentSoundscape.biomeType, systems.gameState.currentBiome);
+    systems.music.playAnimalSound('bird');
+
+    await loader.disposeAll();
+    assert.equal(systems.music, undefined);
+});
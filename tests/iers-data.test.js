@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import {
+    loadLeapSecondFile,
+    loadFinals2000A,
+    parseLeapSecondFile,
+    parseFinals2000A,
+    dateToMJD
+} from '../iers-data.js';
+import { TimeConverter, LEAP_SECONDS } from '../truth-contracts.js';
+
+const LEAP_FILE = new URL('./fixtures/Leap_Second.dat', import.meta.url);
+const FINALS_FILE = new URL('./fixtures/finals2000A.sample', import.meta.url);
+
+function captureWarnings(fn) {
+    const warnings = [];
+    const original = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        return { result: fn(), warnings };
+    } finally {
+        console.warn = original;
+    }
+}
+
+test('Leap_Second.dat matches the built-in table and reads its expiry', async () => {
+    const table = await loadLeapSecondFile(LEAP_FILE);
+
+    assert.deepEqual(
+        table.toList().map(e => [e.date.toISOString(), e.leapSeconds]),
+        LEAP_SECONDS.map(e => [e.date.toISOString(), e.leapSeconds])
+    );
+    assert.equal(table.expires.toISOString(), '2025-12-28T00:00:00.000Z');
+
+    assert.equal(table.getOffset(new Date('2016-12-31T23:59:59Z')), 36);
+    assert.equal(table.getOffset(new Date('2017-01-01T00:00:00Z')), 37);
+    assert.equal(table.getOffset(new Date('1970-01-01T00:00:00Z')), 10);
+});
+
+test('leap second table warns once when used past its expiry', () => {
+    const table = parseLeapSecondFile([
+        '#  File expires on 1 June 2020',
+        '    57754.0    1  1 2017       37'
+    ].join('\n'));
+
+    const { result, warnings } = captureWarnings(() => [
+        table.getOffset(new Date('2021-01-01T00:00:00Z')),
+        table.getOffset(new Date('2022-01-01T00:00:00Z'))
+    ]);
+
+    assert.deepEqual(result, [37, 37]);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /expired 2020-06-01/);
+    assert.equal(table.isStale(new Date('2019-01-01T00:00:00Z')), false);
+
+    assert.throws(() => parseLeapSecondFile('41317.0 1 1 x 10'), /Malformed/);
+});
+
+test('finals2000A columns parse into EOP rows', async () => {
+    const table = await loadFinals2000A(FINALS_FILE);
+
+    // Rows past the UT1 predictions are dropped
+    assert.equal(table.rows.length, 10);
+
+    const first = table.rows[0];
+    assert.equal(first.mjd, 57750);
+    assert.equal(first.xp, 0.0762);
+    assert.equal(first.yp, 0.2843);
+    assert.equal(first.dut1, -0.4064);
+    assert.equal(first.lod, 0.8);
+    assert.equal(first.dX, 0.11);
+    assert.equal(first.predicted, false);
+    assert.equal(table.rows[9].predicted, true);
+    assert.equal(table.rows[9].lod, null);
+});
+
+test('EOP interpolation is linear and steps cleanly across a leap second', async () => {
+    const table = await loadFinals2000A(FINALS_FILE);
+
+    const midday = table.interpolate(new Date('2016-12-28T12:00:00Z'));
+    assert.ok(Math.abs(midday.dut1 - -0.4068) < 1e-9);
+    assert.ok(Math.abs(midday.xp - 0.0764) < 1e-9);
+    assert.ok(Math.abs(midday.yp - 0.28485) < 1e-9);
+    assert.equal(midday.stale, false);
+
+    // Last UTC day of 2016: DUT1 keeps drifting toward -0.41, not toward +0.59
+    const beforeLeap = table.interpolate(new Date('2016-12-31T18:00:00Z'));
+    assert.ok(beforeLeap.dut1 < -0.40 && beforeLeap.dut1 > -0.411);
+
+    const afterLeap = table.interpolate(new Date('2017-01-01T06:00:00Z'));
+    assert.ok(afterLeap.dut1 > 0.59 && afterLeap.dut1 < 0.6);
+});
+
+test('dates outside EOP coverage are flagged stale with one warning', () => {
+    const text = [
+        '161228 57750.00 I  0.076200 0.000091  0.284300 0.000091  I-0.4064000 0.0000100',
+        '161229 57751.00 I  0.076600 0.000091  0.285400 0.000091  I-0.4072000 0.0000100'
+    ].join('\n');
+    const table = parseFinals2000A(text);
+
+    const { result, warnings } = captureWarnings(() => [
+        table.interpolate(new Date('2020-01-01T00:00:00Z')),
+        table.interpolate(new Date('2021-01-01T00:00:00Z'))
+    ]);
+
+    assert.equal(result[0].stale, true);
+    assert.equal(result[0].dut1, -0.4072);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /outside EOP coverage/);
+    assert.equal(table.covers(new Date('2016-12-28T12:00:00Z')), true);
+});
+
+test('TimeConverter uses installed IERS tables', async () => {
+    const leapTable = await loadLeapSecondFile(LEAP_FILE);
+    const eopTable = await loadFinals2000A(FINALS_FILE);
+    const utc = new Date('2016-12-29T00:00:00Z');
+
+    TimeConverter.setLeapSecondTable(leapTable);
+    TimeConverter.setEOPTable(eopTable);
+    try {
+        assert.equal(TimeConverter.getLeapSeconds(utc), 36);
+        assert.equal(TimeConverter.getEOP(utc).xp, 0.0766);
+        // Date only holds whole milliseconds
+        assert.ok(Math.abs(TimeConverter.utcToUT1(utc).getTime() - utc.getTime() - -407.2) < 1);
+    } finally {
+        TimeConverter.setLeapSecondTable(null);
+        TimeConverter.setEOPTable(null);
+    }
+
+    assert.equal(TimeConverter.getEOP(utc).stale, false);
+    assert.equal(dateToMJD(utc), 57751);
+});
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { JulianDate, TimeConverter, TIME_SCALES } from '../truth-contracts.js';
+import { PrecessionNutation, EarthRotation, IAUTransform } from '../celestial-mechanics.js';
+
+const { UTC, TAI, TT, TDB, UT1 } = TIME_SCALES;
+
+test('JulianDate normalizes to integer day plus fraction', () => {
+    const j2000 = JulianDate.fromDate(new Date('2000-01-01T12:00:00Z'), TT);
+    assert.equal(j2000.day, 2451545);
+    assert.equal(j2000.fraction, 0);
+    assert.equal(j2000.scale, TT);
+
+    const carried = new JulianDate(2451545.75, 0.5);
+    assert.equal(carried.day, 2451546);
+    assert.equal(carried.fraction, 0.25);
+
+    const borrowed = new JulianDate(2451545, -0.25);
+    assert.equal(borrowed.day, 2451544);
+    assert.equal(borrowed.fraction, 0.75);
+
+    assert.equal(JulianDate.fromMJD(51544.5).toJD(), 2451545);
+    assert.equal(j2000.toMJD(), 51544.5);
+    assert.throws(() => new JulianDate(2451545, 0, 'GMT'), /Invalid time scale/);
+    assert.throws(() => new JulianDate(NaN), /Invalid Julian date/);
+});
+
+test('JulianDate keeps sub-millisecond offsets a single float loses', () => {
+    const jd = JulianDate.fromDate(new Date('2024-03-20T03:06:00.123Z'));
+    const later = jd.addSeconds(1e-6);
+
+    assert.ok(Math.abs(later.diffSeconds(jd) - 1e-6) < 1e-10);
+    // The same microsecond vanishes in a plain JD number
+    assert.notEqual((jd.toJD() + 1e-6 / 86400 - jd.toJD()) * 86400, 1e-6);
+
+    assert.ok(Math.abs(jd.addDays(-1.5).addDays(1.5).diffSeconds(jd)) < 1e-9);
+    assert.equal(jd.toDate().toISOString(), '2024-03-20T03:06:00.123Z');
+    assert.equal(later.compare(jd), 1);
+    assert.ok(later.equals(jd, 1e-5));
+    assert.throws(() => jd.diffSeconds(jd.withScale(TT)), /Time scale mismatch: UTC vs TT/);
+});
+
+test('TimeConverter converts JulianDates without rounding to milliseconds', () => {
+    const utc = JulianDate.fromDate(new Date('2020-01-01T00:00:00Z')).addSeconds(0.0004);
+
+    const tt = TimeConverter.convert(utc, UTC, TT);
+    assert.equal(tt.scale, TT);
+    assert.ok(Math.abs(tt.withScale(UTC).diffSeconds(utc) - 69.184) < 1e-9);
+
+    for (const scale of [TAI, TDB, UT1, TIME_SCALES.GPS]) {
+        const there = utc.to(scale);
+        assert.equal(there.scale, scale);
+        assert.ok(Math.abs(there.to(UTC).diffSeconds(utc)) < 1e-9, scale);
+    }
+
+    // TDB-TT is ~1.7ms of periodic term: visible in full here
+    const tdb = tt.to(TDB);
+    const periodic = tdb.withScale(TT).diffSeconds(tt);
+    assert.ok(Math.abs(periodic - TimeConverter.tdbMinusTT(tt)) < 1e-9);
+
+    assert.throws(() => TimeConverter.convert(tt, UTC, TAI), /Time scale mismatch: timestamp is TT, expected UTC/);
+    assert.ok(Math.abs(TimeConverter.toJulianDate(tt, UTC).diffSeconds(utc)) < 1e-9);
+});
+
+test('IAU models accept JulianDates and check their scale', () => {
+    const date = new Date('2024-06-21T12:00:00Z');
+    const utc = JulianDate.fromDate(date);
+    const tt = utc.to(TT);
+
+    const fromNumber = PrecessionNutation.precessionMatrix(TimeConverter.dateToJulianDate(TimeConverter.utcToTT(date)));
+    const fromJulian = PrecessionNutation.precessionMatrix(tt);
+    fromNumber.elements.forEach((value, i) => assert.ok(Math.abs(value - fromJulian.elements[i]) < 1e-12));
+
+    assert.throws(() => PrecessionNutation.nutationMatrix(utc), /nutationMatrix needs TT\/TDB, got UTC/);
+    assert.throws(() => EarthRotation.earthRotationAngle(tt), /needs UT1, got TT/);
+
+    const era = EarthRotation.earthRotationAngle(utc.to(UT1));
+    assert.ok(Math.abs(era - EarthRotation.earthRotationAngle(utc.to(UT1).toJD())) < 1e-8);
+
+    // A TT-tagged time gives the same frame rotation as the UTC instant it names
+    const ecef = { x: 6378.137, y: 0, z: 0 };
+    const fromDate = IAUTransform.ecefToGCRF(ecef, date);
+    const fromTT = IAUTransform.ecefToGCRF(ecef, tt);
+    for (const axis of ['x', 'y', 'z']) {
+        assert.ok(Math.abs(fromDate[axis] - fromTT[axis]) < 1e-6, axis);
+    }
+});
@@ -1,7 +1,18 @@
 import assert from 'node:assert/strict';
 import test from 'node:test';
+import * as THREE from 'three';
 
-import { ModuleLoader } from '../module-loader.js';
+import {
+    ModuleLoader,
+    LoadReport,
+    SystemRegistry,
+    initializeAllSystems,
+    updateAllSystems,
+    CORE_MODULES,
+    SYSTEM_DEFINITIONS,
+    LIFECYCLE_STATES,
+    LOAD_STATUS
+} from '../module-loader.js';
 
 test('buildDependencyGraph maps dependencies and dependents', () => {
     const loader = new ModuleLoader();
@@ -15,8 +26,26 @@ test('buildDependencyGraph maps dependencies and dependents', () => {
     const graph = loader.buildDependencyGraph(configs);
 
     assert.deepEqual(graph.get('b').deps, ['a']);
-    assert.deepEqual(graph.get('a').dependents, ['b']);
-    assert.deepEqual(graph.get('wild').deps, []);
+    assert.deepEqual(graph.get('a').dependents, ['b', 'wild']);
+    assert.deepEqual(graph.get('wild').deps, ['a', 'b', 'c']);
+    assert.deepEqual(graph.get('c').dependents, ['wild']);
+});
+
+test('wildcard dependencies skip other wildcard modules and sort last', () => {
+    const loader = new ModuleLoader();
+    const configs = [
+        { name: 'integration', deps: ['*'] },
+        { name: 'debug', deps: ['*', 'a'] },
+        { name: 'a', deps: [] },
+        { name: 'b', deps: ['a'] }
+    ];
+
+    const graph = loader.buildDependencyGraph(configs);
+    assert.deepEqual(graph.get('integration').deps, ['a', 'b']);
+    assert.deepEqual(graph.get('debug').deps, ['a', 'b']);
+
+    const order = loader.topologicalSort(graph);
+    assert.deepEqual(order.slice(0, 2), ['a', 'b']);
 });
 
 test('topologicalSort orders dependencies before dependents', () => {
@@ -46,6 +75,22 @@ test('topologicalSort throws on cycles', () => {
     assert.throws(() => loader.topologicalSort(graph), /Circular dependency/);
 });
 
+test('topologicalSort reports the full cycle path', () => {
+    const loader = new ModuleLoader();
+    const graph = loader.buildDependencyGraph([
+        { name: 'root', deps: ['a'] },
+        { name: 'a', deps: ['b'] },
+        { name: 'b', deps: ['c'] },
+        { name: 'c', deps: ['a'] }
+    ]);
+
+    assert.throws(() => loader.topologicalSort(graph), (error) => {
+        assert.deepEqual(error.cycle, ['a', 'b', 'c', 'a']);
+        assert.match(error.message, /a → b → c → a/);
+        return true;
+    });
+});
+
 test('loadModule returns module and runs init', async () => {
     const loader = new ModuleLoader();
     const fixtureUrl = new URL('./fixtures/test-module.js', import.meta.url);
@@ -73,3 +118,439 @@ test('loadModule returns placeholder for missing module', async () => {
     assert.equal(loadedModule.placeholder, true);
     assert.equal(loadedModule.name, 'missing');
 });
+
+test('register validates configs and rejects duplicates', () => {
+    const loader = new ModuleLoader();
+
+    const entry = loader.register({ name: 'fixture', path: './fixture.js' });
+    assert.deepEqual(entry.deps, []);
+    assert.equal(entry.optional, false);
+
+    assert.throws(() => loader.register({ name: 'fixture', path: './other.js' }), /already registered/);
+    assert.throws(() => loader.register({ path: './nameless.js' }), /requires a name/);
+    assert.throws(() => loader.register({ name: 'pathless' }), /requires a path/);
+    assert.throws(() => loader.register({ name: 'bad', path: './bad.js', deps: 'a' }), /deps must be an array/);
+});
+
+test('loadManifest registers every entry from an object or array', async () => {
+    const loader = new ModuleLoader({ includeCore: false });
+
+    await loader.loadManifest({
+        modules: [
+            { name: 'a', path: './a.js' },
+            { name: 'b', path: './b.js', deps: ['a'], optional: true }
+        ]
+    });
+    await loader.loadManifest([{ name: 'c', path: './c.js', deps: ['b'] }]);
+
+    assert.deepEqual([...loader.configs.keys()], ['a', 'b', 'c']);
+    assert.equal(loader.configs.get('b').optional, true);
+
+    await assert.rejects(() => loader.loadManifest({ systems: [] }), /Manifest must be/);
+});
+
+test('loadAll layers registered plugins on top of the core modules', async () => {
+    const loader = new ModuleLoader();
+    const fixtureUrl = new URL('./fixtures/test-module.js', import.meta.url);
+
+    loader.register({ name: 'fixture', path: fixtureUrl.href, deps: ['truth'] });
+    await loader.loadAll();
+
+    assert.deepEqual([...loader.configs.keys()], [...CORE_MODULES.map(config => config.name), 'fixture']);
+    assert.equal(loader.get('fixture').initialized, true);
+    assert.equal(loader.results.get('truth').status, LOAD_STATUS.LOADED);
+    assert.equal(loader.results.get('physics').status, LOAD_STATUS.LOADED);
+    assert.equal(loader.loadProgress, 1);
+});
+
+test('includeCore: false loads only registered modules', async () => {
+    const loader = new ModuleLoader({ includeCore: false });
+    const fixtureUrl = new URL('./fixtures/test-module.js', import.meta.url);
+
+    assert.equal(loader.configs.size, 0);
+    loader.register({ name: 'fixture', path: fixtureUrl.href });
+    const modules = await loader.loadAll();
+
+    assert.deepEqual([...modules.keys()], ['fixture']);
+    assert.equal(loader.get('fixture').initialized, true);
+});
+
+function createLifecycleLoader() {
+    const loader = new ModuleLoader({ includeCore: false });
+    loader.register({
+        name: 'dependent',
+        path: new URL('./fixtures/dependent-module.js', import.meta.url).href,
+        deps: ['lifecycle']
+    });
+    loader.register({
+        name: 'lifecycle',
+        path: new URL('./fixtures/lifecycle-module.js', import.meta.url).href
+    });
+    return loader;
+}
+
+test('lifecycle hooks run in dependency order and dispose in reverse', async () => {
+    const loader = createLifecycleLoader();
+    const log = [];
+
+    await loader.loadAll({ log });
+    assert.deepEqual(log, ['lifecycle:init', 'dependent:init:with-dep']);
+    assert.equal(loader.getState('lifecycle'), LIFECYCLE_STATES.INITIALIZED);
+
+    // update only reaches running modules
+    loader.updateAll(0.5);
+    assert.equal(log.length, 2);
+
+    await loader.startAll();
+    loader.updateAll(0.5);
+    await loader.pauseAll();
+    loader.updateAll(0.5);
+    await loader.startAll();
+    await loader.disposeAll();
+
+    assert.deepEqual(log.slice(2), [
+        'lifecycle:start',
+        'dependent:start',
+        'lifecycle:update:0.5',
+        'lifecycle:pause',
+        'lifecycle:start',
+        'dependent:start',
+        'dependent:dispose',
+        'lifecycle:dispose'
+    ]);
+    assert.equal(loader.has('lifecycle'), false);
+    assert.equal(loader.getState('dependent'), LIFECYCLE_STATES.DISPOSED);
+});
+
+test('reload disposes and re-initializes a module and its dependents', async () => {
+    const loader = createLifecycleLoader();
+    const log = [];
+
+    await loader.loadAll({ log });
+    await loader.startAll();
+    const original = loader.get('lifecycle');
+    log.length = 0;
+
+    const reloaded = await loader.reload('lifecycle');
+
+    assert.notEqual(reloaded, original);
+    assert.deepEqual(log, [
+        'dependent:dispose',
+        'lifecycle:dispose',
+        'lifecycle:init',
+        'lifecycle:start',
+        'dependent:init:with-dep',
+        'dependent:start'
+    ]);
+    assert.equal(loader.getState('dependent'), LIFECYCLE_STATES.RUNNING);
+    await assert.rejects(() => loader.reload('unknown'), /unregistered module/);
+});
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+}
+
+function slowModule(name, deps = [], extra = {}) {
+    const url = new URL('./fixtures/slow-module.js', import.meta.url);
+    url.search = name; // distinct module instance per name
+    return { name, path: url.href, deps, ...extra };
+}
+
+test('buildLoadLevels groups independent modules together', () => {
+    const loader = new ModuleLoader();
+    const graph = loader.buildDependencyGraph([
+        { name: 'a', deps: [] },
+        { name: 'b', deps: [] },
+        { name: 'c', deps: ['a'] },
+        { name: 'd', deps: ['c', 'b'] }
+    ]);
+    const levels = loader.buildLoadLevels(graph, loader.topologicalSort(graph));
+
+    assert.deepEqual(levels, [['a', 'b'], ['c'], ['d']]);
+});
+
+test('loadAll loads each level concurrently', async () => {
+    const loader = new ModuleLoader({ includeCore: false });
+    const log = [];
+    const a = deferred();
+    const b = deferred();
+
+    loader.register(slowModule('a'));
+    loader.register(slowModule('b'));
+    loader.register(slowModule('c', ['a', 'b']));
+
+    // Both inits must be in flight before either is released; b then finishes first
+    const onLog = (entry) => {
+        if (log.includes('a:start') && log.includes('b:start') && !log.includes('b:end')) b.resolve();
+        if (entry === 'b:end') a.resolve();
+    };
+    await loader.loadAll({ log, onLog, gates: { a: a.promise, b: b.promise } });
+
+    assert.deepEqual(log, ['a:start', 'b:start', 'b:end', 'a:end', 'c:start', 'c:end']);
+});
+
+test('loadAll reports structured results for every outcome', async () => {
+    const loader = new ModuleLoader({ includeCore: false });
+    const progress = [];
+    const slowGate = deferred();
+    loader.onProgress = (name, value, result) => progress.push([name, result.status]);
+
+    loader.register(slowModule('ok'));
+    loader.register(slowModule('slow', [], { timeout: 10 }));
+    loader.register(slowModule('broken'));
+    loader.register({
+        name: 'missing',
+        path: new URL('./fixtures/does-not-exist.js', import.meta.url).href
+    });
+
+    await loader.loadAll({ log: [], gates: { slow: slowGate.promise }, fail: ['broken'] });
+
+    const statuses = Object.fromEntries(loader.getResults().map(r => [r.name, r.status]));
+    assert.deepEqual(statuses, {
+        ok: LOAD_STATUS.LOADED,
+        slow: LOAD_STATUS.TIMED_OUT,
+        broken: LOAD_STATUS.FAILED,
+        missing: LOAD_STATUS.PLACEHOLDER
+    });
+
+    const slow = loader.results.get('slow');
+    assert.match(slow.error.message, /within 10ms/);
+    assert.equal(loader.get('slow').placeholder, true);
+    assert.equal(loader.getState('slow'), null);
+    assert.equal(progress.length, 4);
+    assert.ok(loader.results.get('ok').duration >= 0);
+
+    slowGate.resolve();
+    await slow.late;
+});
+
+test('a module that finishes after timing out is aborted and disposed', async () => {
+    const loader = new ModuleLoader({ includeCore: false });
+    const log = [];
+    const gate = deferred();
+
+    loader.register(slowModule('late', [], { timeout: 10 }));
+    await loader.loadAll({ log, gates: { late: gate.promise } });
+
+    const result = loader.results.get('late');
+    assert.equal(result.status, LOAD_STATUS.TIMED_OUT);
+    assert.deepEqual(log, ['late:start', 'late:aborted']);
+
+    gate.resolve();
+    const late = await result.late;
+
+    assert.equal(late.status, LOAD_STATUS.LOADED);
+    assert.deepEqual(log, ['late:start', 'late:aborted', 'late:end', 'late:dispose']);
+    assert.equal(loader.get('late').placeholder, true);
+});
+
+test('register accepts required/optional flags', () => {
+    const loader = new ModuleLoader();
+
+    assert.equal(loader.register({ name: 'a', path: './a.js', required: false }).optional, true);
+    assert.equal(loader.register({ name: 'b', path: './b.js', required: true }).optional, false);
+    assert.equal(loader.register({ name: 'c', path: './c.js' }).optional, false);
+    assert.throws(
+        () => loader.register({ name: 'd', path: './d.js', required: true, optional: true }),
+        /both required and optional/
+    );
+});
+
+test('dependents of a failed required module are skipped with a reason', async () => {
+    const loader = new ModuleLoader({ includeCore: false });
+
+    loader.register(slowModule('physics'));
+    loader.register(slowModule('nature', ['physics']));
+    loader.register(slowModule('evolution', ['nature']));
+    loader.register(slowModule('music', [], { optional: true }));
+    loader.register(slowModule('ambience', ['music']));
+    loader.register(slowModule('orphan', ['unknown']));
+
+    const reports = [];
+    loader.onComplete = (modules, report) => reports.push(report);
+    await loader.loadAll({ log: [], fail: ['physics', 'music'] });
+
+    const report = loader.getReport();
+    assert.equal(reports[0], report);
+    assert.equal(report.ok, false);
+    assert.equal(report.counts[LOAD_STATUS.FAILED], 2);
+    assert.equal(report.counts[LOAD_STATUS.SKIPPED], 3);
+    assert.deepEqual(report.failures.map(r => r.name), ['physics', 'nature', 'evolution', 'orphan']);
+
+    assert.match(loader.results.get('nature').reason, /Required dependency "physics" failed: physics init failed/);
+    assert.match(loader.results.get('evolution').reason, /Required dependency "nature" was skipped/);
+    assert.match(loader.results.get('orphan').reason, /"unknown" is not registered/);
+    assert.equal(loader.get('evolution').placeholder, true);
+
+    // Optional failures are tolerated and their dependents still load
+    assert.equal(loader.results.get('ambience').status, LOAD_STATUS.LOADED);
+    assert.match(report.summary(), /^FAILED: 1 loaded, 2 failed, 3 skipped$/);
+    assert.equal(JSON.parse(JSON.stringify(report)).results.length, 6);
+});
+
+test('failFast skips every later level after a required failure', async () => {
+    const loader = new ModuleLoader({ failFast: true, includeCore: false });
+
+    loader.register(slowModule('core'));
+    loader.register(slowModule('sibling'));
+    loader.register(slowModule('later', ['sibling']));
+
+    await loader.loadAll({ log: [], fail: ['core'] });
+
+    const report = loader.getReport();
+    assert.equal(report.ok, false);
+    assert.equal(loader.results.get('sibling').status, LOAD_STATUS.LOADED);
+    assert.equal(loader.results.get('later').status, LOAD_STATUS.SKIPPED);
+    assert.match(loader.results.get('later').reason, /aborted after required module "core" failed/);
+});
+
+test('LoadReport is ok when only optional modules fail', () => {
+    const configs = new Map([
+        ['a', { name: 'a', optional: false }],
+        ['b', { name: 'b', optional: true }]
+    ]);
+    const report = new LoadReport([
+        { name: 'a', status: LOAD_STATUS.LOADED },
+        { name: 'b', status: LOAD_STATUS.PLACEHOLDER, reason: 'missing' }
+    ], configs);
+
+    assert.equal(report.ok, true);
+    assert.deepEqual(report.getByStatus(LOAD_STATUS.PLACEHOLDER).map(r => r.name), ['b']);
+    assert.equal(report.summary(), 'OK: 1 loaded, 1 placeholder');
+});
+
+test('SYSTEM_DEFINITIONS only reference core modules and have unique names', () => {
+    const moduleNames = new Set(CORE_MODULES.map(config => config.name));
+    const names = SYSTEM_DEFINITIONS.map(definition => definition.name);
+
+    assert.equal(new Set(names).size, names.length);
+    SYSTEM_DEFINITIONS.forEach(definition => {
+        assert.ok(moduleNames.has(definition.module), `${definition.name} uses unknown module`);
+        assert.equal(typeof definition.create, 'function');
+    });
+    assert.ok(names.indexOf('nature') < names.indexOf('creation'));
+    assert.ok(names.indexOf('inventory') < names.indexOf('crafting'));
+});
+
+test('initializeAllSystems constructs systems that updateAllSystems drives', async () => {
+    const loader = new ModuleLoader({ includeCore: false });
+    loader.register({
+        name: 'fixture',
+        path: new URL('./fixtures/system-module.js', import.meta.url).href
+    });
+    await loader.loadAll();
+
+    const scene = { name: 'scene' };
+    const systems = await initializeAllSystems(scene, null, null, {
+        loader,
+        definitions: [
+            {
+                name: 'counter',
+                module: 'fixture',
+                create: ({ Counter }, context) => new Counter(context.scene),
+                update: (counter, deltaTime) => counter.update(deltaTime)
+            },
+            {
+                name: 'watcher',
+                module: 'fixture',
+                create: (exports, context) => ({ counter: context.registry.get('counter') })
+            },
+            { name: 'broken', module: 'fixture', create: ({ Broken }) => new Broken() },
+            { name: 'absent', module: 'not-loaded', create: () => ({}) }
+        ]
+    });
+
+    assert.ok(systems.registry instanceof SystemRegistry);
+    assert.deepEqual(systems.registry.names(), ['counter', 'watcher']);
+    assert.equal(systems.counter.scene, scene);
+    assert.equal(systems.watcher.counter, systems.counter);
+    assert.equal(systems.counter.bus, systems.events);
+    assert.match(systems.registry.skipped.get('broken'), /cannot construct/);
+    assert.match(systems.registry.skipped.get('absent'), /not loaded/);
+
+    updateAllSystems(systems, 0.25);
+    updateAllSystems(systems, 0.25);
+
+    assert.equal(systems.counter.ticks, 0.5);
+    assert.equal(systems.gameState.time, 0.5);
+    assert.equal(systems.registry.getStats()[0].calls, 2);
+});
+
+test('systems passed in through options are scheduled alongside definitions', async () => {
+    const loader = new ModuleLoader({ includeCore: false });
+    await loader.loadAll();
+
+    const ticker = { ticks: 0, update(deltaTime) { this.ticks += deltaTime; } };
+    const creature = { ticks: 0, update(deltaTime) { this.ticks += deltaTime; } };
+    const music = { biomes: [], update(biome) { this.biomes.push(biome); } };
+
+    const systems = await initializeAllSystems({}, null, null, {
+        loader,
+        definitions: [{
+            name: 'music',
+            module: 'not-loaded',
+            create: () => ({}),
+            update: (target, deltaTime, context) => target.update(context.gameState.currentBiome, deltaTime)
+        }],
+        ticker,
+        creatures: [creature, { inert: true }],
+        music,
+        label: 'not a system'
+    });
+
+    assert.deepEqual(systems.registry.names(), ['ticker', 'creatures', 'music']);
+
+    updateAllSystems(systems, 0.5);
+    updateAllSystems(systems, 0.5);
+
+    assert.equal(ticker.ticks, 1);
+    assert.equal(creature.ticks, 1);
+    assert.deepEqual(music.biomes, ['Forest', 'Forest']);
+});
+
+test('reloading pangea-weather disposes the old instances and rebuilds them', async () => {
+    const loader = new ModuleLoader({ includeCore: false });
+    loader.register(CORE_MODULES.find(config => config.name === 'weather'));
+    await loader.loadAll();
+
+    const scene = new THREE.Scene();
+    const systems = await initializeAllSystems(scene, null, null, {
+        loader,
+        definitions: SYSTEM_DEFINITIONS.filter(definition => definition.module === 'weather')
+    });
+    const { dayNight, weather } = systems;
+
+    // A lightning flash still waiting for its removal timer
+    const flash = new THREE.PointLight(0xffffff, 50, 200);
+    scene.add(flash);
+    weather.lightning.push(flash);
+
+    const oldLights = [dayNight.sun, dayNight.moon, dayNight.ambient, dayNight.hemi, flash];
+    const disposed = [];
+    oldLights.forEach(light => {
+        const dispose = light.dispose.bind(light);
+        light.dispose = () => {
+            disposed.push(light);
+            dispose();
+        };
+    });
+
+    await loader.reload('weather');
+
+    assert.deepEqual(disposed, [flash, ...oldLights.slice(0, 4)]);
+    oldLights.forEach(light => assert.equal(scene.children.includes(light), false));
+    assert.notEqual(systems.dayNight, dayNight);
+    assert.notEqual(systems.weather, weather);
+    assert.equal(systems.registry.get('weather'), systems.weather);
+    assert.ok(scene.children.includes(systems.dayNight.sun));
+    assert.equal(scene.children.length, 4);
+
+    updateAllSystems(systems, 0.5);
+    assert.deepEqual(systems.registry.getStats().map(stat => stat.name).sort(), ['dayNight', 'weather']);
+
+    await loader.disposeAll();
+    assert.deepEqual(systems.registry.names(), []);
+    assert.equal(scene.children.length, 0);
+});
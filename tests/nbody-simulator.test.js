@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { NBodySimulator, INTEGRATORS } from '../nbody-simulator.js';
+import { AutomatedTestSuite, ASTRO_CONSTANTS, PHYSICS_BENCHMARKS } from '../verification-system.js';
+
+async function quietly(fn) {
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+function relativeChange(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z) / Math.hypot(a.x, a.y, a.z);
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+test('default system is barycentric Sun-Earth-Moon from ASTRO_CONSTANTS', () => {
+    const sim = new NBodySimulator();
+    assert.deepEqual(sim.bodies.map(b => b.name), ['sun', 'earth', 'moon']);
+
+    const moon = sim.getPosition('moon', 'earth');
+    const perigee = ASTRO_CONSTANTS.MOON_ORBIT.a * (1 - ASTRO_CONSTANTS.MOON_ORBIT.e);
+    assert.ok(Math.abs(Math.hypot(moon.x, moon.y, moon.z) - perigee) < 1e-6);
+
+    // Barycenter at rest at the origin
+    const total = sim.bodies.reduce((sum, b) => sum + b.gm, 0);
+    const center = [0, 1, 2].map(k => sim.bodies.reduce((sum, b) => sum + b.gm * b.position[k], 0) / total);
+    assert.ok(Math.hypot(...center) < 1e-6);
+
+    const { semiMajorAxis, eccentricity } = sim.orbitalElements('earth');
+    assert.ok(Math.abs(semiMajorAxis / ASTRO_CONSTANTS.AU - ASTRO_CONSTANTS.EARTH_ORBIT.a) < 1e-9);
+    assert.ok(Math.abs(eccentricity - ASTRO_CONSTANTS.EARTH_ORBIT.e) < 1e-9);
+});
+
+test('leapfrog conserves energy and angular momentum over a year', () => {
+    const sim = new NBodySimulator();
+    const E0 = sim.calculateTotalEnergy();
+    const L0 = sim.calculateAngularMomentum();
+
+    assert.equal(sim.step(365.25), sim);
+    assert.equal(sim.elapsed, 365.25 * 86400);
+
+    assert.ok(Math.abs(sim.calculateTotalEnergy() - E0) / Math.abs(E0) < 1e-9);
+    assert.ok(relativeChange(L0, sim.calculateAngularMomentum()) < 1e-12);
+});
+
+test('RK45 agrees with a fine leapfrog; leapfrog error is second order', () => {
+    const reference = new NBodySimulator(null, { integrator: INTEGRATORS.RK45 }).step(27);
+    const fine = new NBodySimulator(null, { timeStep: 600 }).step(27);
+    const coarse = new NBodySimulator(null, { timeStep: 3600 }).step(27);
+
+    const truth = reference.getPosition('moon', 'earth');
+    const fineError = distance(fine.getPosition('moon', 'earth'), truth);
+    const coarseError = distance(coarse.getPosition('moon', 'earth'), truth);
+    assert.ok(fineError < 5, `${fineError} km`);
+    // 6× the step, ~36× the error
+    assert.ok(coarseError / fineError > 25 && coarseError / fineError < 50);
+
+    const E0 = new NBodySimulator().calculateTotalEnergy();
+    assert.ok(Math.abs(reference.calculateTotalEnergy() - E0) / Math.abs(E0) < 1e-10);
+});
+
+test('measured periods and Kepler\'s third law', () => {
+    const sim = new NBodySimulator();
+    const year = sim.measureOrbitalPeriod('earth');
+    assert.ok(Math.abs(year - ASTRO_CONSTANTS.EARTH_ORBIT.period) / ASTRO_CONSTANTS.EARTH_ORBIT.period < 1e-5);
+    // Measuring works on a copy
+    assert.equal(sim.elapsed, 0);
+
+    const month = sim.measureOrbitalPeriod('moon');
+    assert.ok(Math.abs(month - ASTRO_CONSTANTS.MOON_ORBIT.period) / ASTRO_CONSTANTS.MOON_ORBIT.period < 0.01);
+
+    const [earth] = sim.getBodies();
+    assert.equal(earth.name, 'earth');
+    const kepler = earth.period ** 2 / earth.semiMajorAxis ** 3;
+    const theoretical = 4 * Math.PI ** 2 / ASTRO_CONSTANTS.GM_SUN;
+    assert.ok(Math.abs(kepler - theoretical) / theoretical < 1e-5);
+
+    const benchmark = PHYSICS_BENCHMARKS.earth_moon_2body;
+    const twoBody = NBodySimulator.fromBenchmark('earth_moon_2body');
+    const period = twoBody.measureOrbitalPeriod('moon');
+    assert.ok(Math.abs(period - benchmark.expected.period) / benchmark.expected.period < benchmark.expected.tolerance);
+
+    assert.throws(() => twoBody.measureOrbitalPeriod('earth'), /earth has no primary/);
+    assert.throws(() => sim.getPosition('mars'), /Unknown body: mars/);
+    assert.throws(() => NBodySimulator.fromBenchmark('energy_conservation'), /No initial conditions/);
+    assert.throws(() => new NBodySimulator(null, { integrator: 'euler' }), /Unknown integrator: euler/);
+});
+
+test('AutomatedTestSuite.runAllTests runs end to end', async () => {
+    const suite = new AutomatedTestSuite(new NBodySimulator());
+    const report = await quietly(() => suite.runAllTests());
+
+    const byType = type => report.tests.filter(t => t.type === type);
+    for (const type of ['physics', 'orbital_period', 'geodesy', 'event']) {
+        assert.ok(byType(type).length > 0, type);
+        byType(type).forEach(t => assert.equal(t.passed, true, t.name));
+    }
+    assert.equal(report.summary.total, report.tests.length);
+
+    // Without an ephemeris, HorizonsAPI's reference is a zero-valued mock, so
+    // both position checks fail; tests/ephemeris-provider.test.js seeds them
+    const positions = byType('position');
+    assert.equal(positions.length, 2);
+    positions.forEach(t => assert.equal(t.passed, false, t.name));
+    assert.equal(report.summary.failed, positions.length);
+});
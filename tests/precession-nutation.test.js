@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { PrecessionNutation, EarthRotation, IAUTransform, REDUCTION_PATHS } from '../celestial-mechanics.js';
+import { JulianDate, TIME_SCALES } from '../truth-contracts.js';
+
+// Reference values from the SOFA C library test suite (t_sofa_c.c)
+const RAD_TO_ARCSEC = 180 / Math.PI * 3600;
+
+function tt(mjd) {
+    return JulianDate.fromMJD(mjd, TIME_SCALES.TT);
+}
+
+function ut1(mjd) {
+    return JulianDate.fromMJD(mjd, TIME_SCALES.UT1);
+}
+
+function assertMatrix(matrix, expected, tolerance) {
+    // THREE stores column-major
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            const actual = matrix.elements[j * 4 + i];
+            assert.ok(Math.abs(actual - expected[i][j]) < tolerance, `[${i}][${j}] ${actual} vs ${expected[i][j]}`);
+        }
+    }
+}
+
+test('IAU 2000B nutation matches iauNut00b', () => {
+    const { dpsi, deps } = PrecessionNutation.nutation(tt(53736));
+    assert.ok(Math.abs(dpsi - -0.9632552291148362783e-5) < 1e-13);
+    assert.ok(Math.abs(deps - 0.4063197106621159367e-4) < 1e-13);
+
+    // Mean obliquity is IAU 1980 (iauObl80) plus the IAU 2000 rate correction
+    const date = tt(54388);
+    const obl80 = PrecessionNutation.meanObliquity(date) - PrecessionNutation.precessionRateCorrections(date).deps;
+    assert.ok(Math.abs(obl80 - 0.4090751347643816218) < 1e-14);
+});
+
+test('frame bias and precession match iauBp00', () => {
+    assertMatrix(PrecessionNutation.biasMatrix(), [
+        [0.9999999999999942498, -0.7078279744199196626e-7, 0.8056217146976134152e-7],
+        [0.7078279477857337206e-7, 0.9999999999999969484, 0.3306041454222136517e-7],
+        [-0.8056217380986972157e-7, -0.3306040883980552500e-7, 0.9999999999999962084]
+    ], 1e-14);
+
+    assertMatrix(PrecessionNutation.precessionMatrix(new JulianDate(2400000.5, 50123.9999, TIME_SCALES.TT)), [
+        [0.9999995504864048241, 0.8696113836207084411e-3, 0.3778928813389333402e-3],
+        [-0.8696113818227265968e-3, 0.9999996218879365258, -0.1690679263009242066e-6],
+        [-0.3778928854764695214e-3, -0.1595521004195286491e-6, 0.9999999285984682756]
+    ], 1e-14);
+});
+
+test('sidereal time and equation of the equinoxes match SOFA', () => {
+    assert.ok(Math.abs(EarthRotation.earthRotationAngle(ut1(54388)) - 0.4022837240028158102) < 1e-12);
+    assert.ok(Math.abs(PrecessionNutation.equationOfEquinoxes(tt(53736)) - -0.8835700060003032831e-5) < 1e-18);
+
+    // iauGmst00 / iauGst00b with TT = UT1 as in the SOFA tests
+    assert.ok(Math.abs(EarthRotation.greenwichMeanSiderealTime(ut1(53736), tt(53736)) - 1.754174972210740592) < 1e-12);
+    assert.ok(Math.abs(
+        EarthRotation.greenwichApparentSiderealTime(ut1(53736), tt(53736)) - 1.754166136510680589
+    ) < 1e-12);
+
+    assert.throws(() => PrecessionNutation.equationOfEquinoxes(ut1(53736)), /needs TT\/TDB, got UT1/);
+});
+
+test('CIO locator and CIP coordinates match iauS00, iauS00b and iauXys00b', () => {
+    const s = PrecessionNutation.cioLocator(tt(53736), 0.5791308486706011000e-3, 0.4020579816732961219e-4);
+    assert.ok(Math.abs(s - -0.1220036263270905693e-7) < 1e-18);
+
+    assert.ok(Math.abs(PrecessionNutation.cipXYS(tt(52541)).s - -0.1340695782951026584e-7) < 1e-18);
+
+    const { x, y } = PrecessionNutation.cipXY(tt(53736));
+    assert.ok(Math.abs(x - 0.5791301929950208873e-3) < 1e-14);
+    assert.ok(Math.abs(y - 0.4020553681373720832e-4) < 1e-14);
+});
+
+test('CIO and equinox paths both reproduce iauC2t00b', () => {
+    const xp = 2.55060238e-7 * RAD_TO_ARCSEC;
+    const yp = 1.860359247e-6 * RAD_TO_ARCSEC;
+    const expected = [
+        [-0.1810332128439678965, 0.9834769806913872359, 0.6555565082458415611e-4],
+        [-0.9834768134115435923, -0.1810332203784001946, 0.5749793922030017230e-3],
+        [0.5773467471863534901e-3, 0.3961790411549945020e-4, 0.9999998325505635738]
+    ];
+
+    const cio = IAUTransform.celestialToTerrestrialMatrix(tt(53736), ut1(53736), xp, yp, REDUCTION_PATHS.CIO);
+    assertMatrix(cio, expected, 1e-13);
+
+    // GAST-based route: same rotation to far below 1 mas
+    const equinox = IAUTransform.celestialToTerrestrialMatrix(tt(53736), ut1(53736), xp, yp, REDUCTION_PATHS.EQUINOX);
+    assertMatrix(equinox, expected, 1e-12);
+
+    assert.throws(() => IAUTransform.celestialToTerrestrialMatrix(tt(53736), ut1(53736), 0, 0, 'FK5'),
+        /Unknown reduction path: FK5/);
+});
+
+test('ecefToGCRF agrees between paths and preserves length', () => {
+    const ecef = { x: 4000, y: 3000, z: 3500 };
+    const eop = { xp: 0.05, yp: 0.38, dut1: -0.2 };
+    const date = new Date('2024-04-08T18:17:00Z');
+
+    const cio = IAUTransform.ecefToGCRF(ecef, date, eop);
+    const equinox = IAUTransform.ecefToGCRF(ecef, date, eop, REDUCTION_PATHS.EQUINOX);
+
+    // < 1 mm at ~6300 km
+    assert.ok(Math.hypot(cio.x - equinox.x, cio.y - equinox.y, cio.z - equinox.z) < 1e-6);
+    assert.ok(Math.abs(Math.hypot(cio.x, cio.y, cio.z) - Math.hypot(4000, 3000, 3500)) < 1e-9);
+});
@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { Quantity, requireConsistent } from '../quantity.js';
+import { ContractedVerifier, FRAMES, TIME_SCALES, TruthContract } from '../truth-contracts.js';
+import { LightTime, Refraction } from '../celestial-mechanics.js';
+import { VerificationManager } from '../verification-system.js';
+
+function quietly(fn) {
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+test('conversions within a dimension', () => {
+    assert.equal(new Quantity(384400, 'km').in('m'), 384400000);
+    assert.ok(Math.abs(new Quantity(1, 'deg').in('arcsec') - 3600) < 1e-9);
+    assert.equal(new Quantity(1, 'd').in('s'), 86400);
+    assert.equal(new Quantity(1013.25, 'hPa').in('mbar'), 1013.25);
+    assert.ok(Math.abs(new Quantity(10, 'degC').in('K') - 283.15) < 1e-9);
+    assert.ok(Math.abs(new Quantity(283.15, 'K').in('degC') - 10) < 1e-9);
+
+    assert.throws(() => new Quantity(1, 'km').to('s'), /Cannot convert km \(length\) to s \(time\)/);
+    assert.throws(() => new Quantity(1, 'furlong'), /Unknown unit: furlong/);
+    assert.throws(() => new Quantity('1', 'km'), /must be a number/);
+});
+
+test('arithmetic refuses mismatched or bare operands', () => {
+    const km = new Quantity(2, 'km');
+    assert.equal(km.add(new Quantity(500, 'm').to('km')).value, 2.5);
+    assert.equal(km.sub(new Quantity(3, 'km')).abs().value, 1);
+    assert.equal(km.ratio(new Quantity(4, 'km')), 0.5);
+
+    assert.throws(() => km.add(new Quantity(500, 'm')), /Unit mismatch: cannot add km and m/);
+    assert.throws(() => km.sub(500), /Cannot subtract km and a bare number/);
+    assert.throws(() => requireConsistent([km, 3], 'test'), /mix of Quantities and bare numbers/);
+    assert.equal(requireConsistent([1, 2], 'test'), false);
+});
+
+test('TruthContract tolerances accept Quantities', () => {
+    const contract = new TruthContract({
+        frame: FRAMES.ECI,
+        timeScale: TIME_SCALES.TT,
+        tolerance: { position: new Quantity(5, 'km'), angle: new Quantity(1, 'mas'), time: new Quantity(2, 'ms') }
+    });
+    assert.equal(contract.tolerance.position_m, 5000);
+    assert.ok(Math.abs(contract.tolerance.angle_arcsec - 0.001) < 1e-12);
+    assert.ok(Math.abs(contract.tolerance.time_s - 0.002) < 1e-12);
+
+    const config = { frame: FRAMES.ECI, timeScale: TIME_SCALES.TT };
+    assert.throws(() => new TruthContract({ ...config, tolerance: { position: 5 } }), /position/);
+    assert.throws(() => new TruthContract({ ...config, tolerance: { position_m: new Quantity(1, 's') } }),
+        /Cannot convert s/);
+});
+
+test('ContractedVerifier compares Quantity values in one unit', () => {
+    const verifier = new ContractedVerifier();
+    verifier.registerContract('range', new TruthContract({
+        frame: FRAMES.ECI,
+        timeScale: TIME_SCALES.TT,
+        tolerance: { value: new Quantity(10, 'km') }
+    }));
+
+    const reference = { value: new Quantity(384400, 'km') };
+    const close = quietly(() => verifier.verify('range', { value: new Quantity(384405, 'km') }, reference));
+    assert.equal(close.passed, true);
+
+    const mixed = quietly(() => verifier.verify('range', { value: new Quantity(384405000, 'm') }, reference));
+    assert.equal(mixed.passed, false);
+    assert.match(mixed.failures[0], /Unit mismatch/);
+});
+
+test('LightTime rejects km against m', () => {
+    const earth = { x: new Quantity(0, 'km'), y: new Quantity(0, 'km'), z: new Quantity(0, 'km') };
+    const moon = { x: new Quantity(384400, 'km'), y: new Quantity(0, 'km'), z: new Quantity(0, 'km') };
+
+    const result = LightTime.correctForLightTime(earth, moon);
+    assert.equal(result.distance.unit, 'km');
+    assert.ok(Math.abs(result.lightTime.in('s') - 384400 / 299792.458) < 1e-12);
+    assert.ok(Math.abs(result.deltaT.in('d') - result.lightTime.value / 86400) < 1e-15);
+
+    const moonInMeters = { x: new Quantity(384400000, 'm'), y: new Quantity(0, 'm'), z: new Quantity(0, 'm') };
+    assert.throws(() => LightTime.correctForLightTime(earth, moonInMeters), /Unit mismatch/);
+    assert.throws(() => LightTime.correctForLightTime(earth, { x: 384400, y: 0, z: 0 }), /bare numbers/);
+
+    // Legacy plain km still works
+    assert.ok(Math.abs(LightTime.correctForLightTime({ x: 0, y: 0, z: 0 }, { x: 384400, y: 0, z: 0 }).distance
+        - 384400) < 1e-9);
+});
+
+test('Refraction with Quantities matches the plain-number call', () => {
+    const plain = Refraction.atmosphericRefraction(5, 1000, 20);
+    const tagged = Refraction.atmosphericRefraction(
+        new Quantity(5, 'deg'), new Quantity(100000, 'Pa'), new Quantity(293.15, 'K')
+    );
+    assert.equal(tagged.unit, 'deg');
+    assert.ok(Math.abs(tagged.value - plain) < 1e-12);
+
+    assert.throws(() => Refraction.atmosphericRefraction(new Quantity(5, 'deg'), 1000), /bare numbers/);
+});
+
+test('VerificationManager accepts Quantities and rejects mixed units', () => {
+    const verifier = new VerificationManager();
+    const km = (x, y, z) => ({ x: new Quantity(x, 'km'), y: new Quantity(y, 'km'), z: new Quantity(z, 'km') });
+    const m = (x, y, z) => ({ x: new Quantity(x, 'm'), y: new Quantity(y, 'm'), z: new Quantity(z, 'm') });
+
+    quietly(() => {
+        assert.equal(verifier.verifyPosition('moon', m(384405000, 0, 0), m(384400000, 0, 0), 'now').passed, true);
+        assert.equal(verifier.verifyPosition('moon', m(384420000, 0, 0), m(384400000, 0, 0), 'now').passed, false);
+        assert.equal(verifier.verifyPosition('moon', km(384405, 0, 0), km(384400, 0, 0), 'now').passed, true);
+        assert.throws(() => verifier.verifyPosition('moon', km(384400, 0, 0), m(384400000, 0, 0), 'now'),
+            /Unit mismatch/);
+
+        const year = new Quantity(365.25, 'd');
+        assert.equal(verifier.verifyOrbitalPeriod('earth', new Quantity(31557600, 's').to('d'), year).passed, true);
+        assert.throws(() => verifier.verifyOrbitalPeriod('earth', new Quantity(31557600, 's'), year),
+            /Unit mismatch/);
+        assert.throws(() => verifier.verifyOrbitalPeriod('earth', 365.25, year), /bare numbers/);
+    });
+});
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { SeededRandom, RandomService, hashSeed } from '../seeded-random.js';
+import { NullScene } from '../headless.js';
+import { PangeaTerrainGenerator } from '../pangea-earth.js';
+import { CreatureManager } from '../pangea-creatures.js';
+import { VolcanicSystem } from '../pangea-volcanoes.js';
+import { WeatherSystem } from '../pangea-weather.js';
+import { ModuleLoader, CORE_MODULES, SYSTEM_DEFINITIONS, initializeAllSystems } from '../module-loader.js';
+
+function draw(rng, count = 5) {
+    return Array.from({ length: count }, () => rng.next());
+}
+
+test('same seed gives the same sequence, different seeds differ', () => {
+    assert.deepEqual(draw(new SeededRandom(42)), draw(new SeededRandom(42)));
+    assert.notDeepEqual(draw(new SeededRandom(42)), draw(new SeededRandom(43)));
+    assert.equal(hashSeed('pangea'), hashSeed('pangea'));
+
+    const values = draw(new SeededRandom('range'), 1000);
+    assert.ok(values.every(v => v >= 0 && v < 1));
+});
+
+test('helpers stay within their bounds', () => {
+    const rng = new SeededRandom(7);
+
+    for (let i = 0; i < 200; i++) {
+        const n = rng.int(3, 6);
+        assert.ok(Number.isInteger(n) && n >= 3 && n < 6);
+        assert.ok(['a', 'b'].includes(rng.pick(['a', 'b'])));
+    }
+    assert.deepEqual(rng.shuffle([1, 2, 3, 4]).sort(), [1, 2, 3, 4]);
+});
+
+test('named streams are independent and resettable', () => {
+    const random = new RandomService('world');
+    const weather = random.stream('weather');
+    assert.equal(random.stream('weather'), weather);
+
+    const first = draw(weather);
+
+    // Drawing from another stream doesn't shift this one
+    const other = new RandomService('world');
+    draw(other.stream('creatures'), 50);
+    assert.deepEqual(draw(other.stream('weather')), first);
+
+    random.reset();
+    assert.deepEqual(draw(weather), first);
+
+    const saved = random.getState();
+    const next = draw(weather);
+    random.setState(saved);
+    assert.deepEqual(draw(weather), next);
+});
+
+test('fork gives a stable child stream regardless of parent position', () => {
+    const a = new SeededRandom('parent');
+    const b = new SeededRandom('parent');
+    draw(b, 10);
+
+    assert.deepEqual(draw(a.fork('chunk:0,0')), draw(b.fork('chunk:0,0')));
+});
+
+function buildWorld(seed) {
+    const random = new RandomService(seed);
+    const scene = new NullScene();
+    const terrain = new PangeaTerrainGenerator(scene, random.stream('terrain'));
+    const volcanoes = new VolcanicSystem(scene, terrain, random.stream('volcanoes'));
+    const creatures = new CreatureManager(scene, terrain, random.stream('creatures'));
+    const weather = new WeatherSystem(scene, terrain, random.stream('weather'));
+
+    creatures.spawnRandomCreatures(5);
+    const weatherSequence = [];
+    for (let i = 0; i < 5; i++) {
+        weather.changeWeather({ name: 'Coastal Wetlands' });
+        weatherSequence.push(weather.currentWeather);
+    }
+
+    return {
+        coastline: [-80, -40, 0, 40, 80].map(x => terrain.getElevation(x, 30)),
+        volcanoes: volcanoes.volcanoes.map(v => [v.position.x, v.position.z, v.type]),
+        creatures: creatures.creatures.map(c => [c.type.name, c.position.x, c.position.z]),
+        weatherSequence
+    };
+}
+
+test('a world seed reproduces terrain, volcanoes, spawns and weather', () => {
+    const first = buildWorld('pangea-42');
+    const second = buildWorld('pangea-42');
+    const other = buildWorld('pangea-43');
+
+    assert.deepEqual(second, first);
+    assert.notDeepEqual(other.coastline, first.coastline);
+    assert.ok(first.creatures.length > 0);
+    assert.ok(first.creatures.every(([, x]) => Number.isFinite(x)));
+});
+
+async function spawnWithLoader(seed) {
+    const loader = new ModuleLoader({ includeCore: false });
+    CORE_MODULES.filter(config => ['nature', 'biomes', 'evolution'].includes(config.name))
+        .forEach(config => loader.register({ ...config, deps: [] }));
+    await loader.loadAll();
+
+    const systems = await initializeAllSystems(new NullScene(), null, null, {
+        loader,
+        seed,
+        definitions: SYSTEM_DEFINITIONS.filter(definition => loader.has(definition.module))
+    });
+    systems.nature.populateArea(0, 0);
+
+    return {
+        animals: systems.nature.animals.map(a => [a.speciesName, a.mesh.position.x, a.mesh.position.z]),
+        plants: systems.nature.plants.map(p => [p.speciesName, p.mesh.position.x, p.mesh.position.z]),
+        height: systems.biomes.getHeightAt(120, -40)
+    };
+}
+
+test('initializeAllSystems gives every generator its named stream', async () => {
+    const first = await spawnWithLoader('blackroad-7');
+    const second = await spawnWithLoader('blackroad-7');
+    const other = await spawnWithLoader('blackroad-8');
+
+    assert.deepEqual(second, first);
+    assert.notDeepEqual(other.animals, first.animals);
+    assert.ok(first.plants.length > 0);
+});
@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import * as THREE from 'three';
+import { SkyObserver } from '../sky-observer.js';
+import { Ephemeris, Refraction } from '../celestial-mechanics.js';
+import { FRAMES } from '../truth-contracts.js';
+import { DayNightCycle } from '../pangea-weather.js';
+import { AdvancedLighting } from '../photorealistic-graphics.js';
+import { NullScene } from '../headless.js';
+
+const greenwich = new SkyObserver({ lat: 51.4769, lon: -0.0005 });
+
+function assertNear(actual, expectedIso, toleranceSeconds) {
+    const error = Math.abs(actual.getTime() - Date.parse(expectedIso)) / 1000;
+    assert.ok(error < toleranceSeconds, `${actual.toISOString()} vs ${expectedIso} (${error.toFixed(0)} s)`);
+}
+
+test('Bennett refraction holds down to the horizon', () => {
+    assert.ok(Math.abs(Refraction.atmosphericRefraction(0) * 60 - 34.5) < 0.1);
+    assert.ok(Math.abs(Refraction.atmosphericRefraction(10) * 60 - 5.3) < 0.1);
+    assert.ok(Math.abs(Refraction.atmosphericRefraction(45) * 60 - 0.99) < 0.02);
+    assert.equal(Refraction.atmosphericRefraction(-3), 0);
+});
+
+test('apparent Sun at greatest eclipse 2024 matches NASA', () => {
+    // NASA: Sun altitude 69.8° at 25.3N 104.1W, 18:17:20 UT
+    const sun = new SkyObserver({ lat: 25.29, lon: -104.14 }).horizontal('sun', new Date('2024-04-08T18:17:20Z'));
+    assert.ok(Math.abs(sun.altitude - 69.8) < 0.1);
+    assert.ok(sun.azimuth > 90 && sun.azimuth < 180);
+    assert.ok(Math.abs(sun.lightTime - 499.7) < 1);
+    assert.ok(sun.refraction > 0 && sun.refraction < 0.01);
+    assert.equal(sun.contract.frame, FRAMES.TOPOCENTRIC);
+
+    // Airless altitude is lower by the refraction
+    const airless = greenwich.horizontal('sun', new Date('2025-03-20T07:00:00Z'), { refraction: false });
+    const refracted = greenwich.horizontal('sun', new Date('2025-03-20T07:00:00Z'));
+    assert.equal(airless.refraction, 0);
+    assert.ok(Math.abs(refracted.altitude - airless.altitude - refracted.refraction) < 1e-12);
+    assert.ok(Math.abs(refracted.direction.length() - 1) < 1e-12);
+});
+
+test('Moon is topocentric: observer, geocenter and Moon close the triangle', () => {
+    const time = new Date('2025-03-20T04:00:00Z');
+    const moon = greenwich.horizontal('moon', time, { refraction: false });
+    const geocentric = Ephemeris.moonPosition(time).distance;
+    assert.ok(moon.geometricAltitude > 5);
+
+    // Site ~6365 km from the geocenter; the geodetic zenith is 0.19° off the
+    // geocentric one, worth ~20 km here
+    const rho = 6365;
+    const closed = Math.sqrt(moon.distance ** 2 + rho ** 2
+        + 2 * moon.distance * rho * Math.sin(moon.geometricAltitude * Math.PI / 180));
+    assert.ok(Math.abs(closed - geocentric) < 30, `${closed} vs ${geocentric}`);
+    assert.ok(geocentric - moon.distance > 1000);
+});
+
+test('sunrise, transit and sunset at Greenwich on the 2025 equinox', () => {
+    const day = greenwich.riseTransitSet('sun', new Date('2025-03-20T00:00:00Z'));
+    assertNear(day.rise, '2025-03-20T06:02:00Z', 90);
+    assertNear(day.transit, '2025-03-20T12:07:20Z', 30);
+    assertNear(day.set, '2025-03-20T18:13:00Z', 90);
+    assert.ok(Math.abs(day.transitAltitude - (90 - 51.4769)) < 0.2);
+    assert.equal(day.alwaysUp, false);
+
+    // Local apparent noon at transit
+    assert.ok(Math.abs(greenwich.localSolarTime(day.transit) - 0.5) < 1e-4);
+    assert.ok(Math.abs(greenwich.hourAngle('sun', day.transit)) < 0.01);
+});
+
+test('Meeus 15.a: Venus at Boston, 1988 March 20', () => {
+    const boston = new SkyObserver({ lat: 42.3333, lon: -71.0833 });
+    const venus = boston.riseTransitSet('venus', new Date('1988-03-20T00:00:00Z'));
+    // Keplerian elements: a minute or two, not seconds
+    assertNear(venus.rise, '1988-03-20T12:25:00Z', 120);
+    assertNear(venus.transit, '1988-03-20T19:41:00Z', 120);
+    assertNear(venus.set, '1988-03-20T02:55:00Z', 120);
+});
+
+test('midnight Sun and polar night', () => {
+    const tromso = new SkyObserver({ lat: 69.65, lon: 18.96 });
+    const summer = tromso.riseTransitSet('sun', new Date('2025-06-21T00:00:00Z'));
+    assert.equal(summer.alwaysUp, true);
+    assert.equal(summer.rise, null);
+    assert.ok(summer.transit instanceof Date);
+
+    const winter = tromso.riseTransitSet('sun', new Date('2025-12-21T00:00:00Z'));
+    assert.equal(winter.alwaysDown, true);
+    assert.ok(winter.transitAltitude < 0);
+
+    assert.throws(() => new SkyObserver({ lat: 95, lon: 0 }), /Invalid observer position/);
+});
+
+test('DayNightCycle and AdvancedLighting follow the observer', () => {
+    const cycle = new DayNightCycle(new NullScene());
+    cycle.setObserver(greenwich, new Date('2025-03-20T12:07:20Z'));
+    assert.ok(Math.abs(cycle.time - 0.5) < 1e-3);
+    assert.equal(cycle.isDay(), true);
+    // Noon Sun due south (scene +z) at ~38.5°
+    assert.ok(cycle.sun.position.z > 0 && Math.abs(cycle.sun.position.x) < 1);
+    assert.ok(Math.abs(Math.asin(cycle.sun.position.y / 200) * 180 / Math.PI - 38.54) < 0.1);
+
+    // Half a dayLength later it is midnight and the Sun is down
+    cycle.update(cycle.dayLength / 2);
+    assert.ok(Math.abs(cycle.time) < 1e-3 || Math.abs(cycle.time - 1) < 1e-3);
+    assert.equal(cycle.sun.intensity, 0);
+    assert.equal(cycle.getTimeOfDay(), 'night');
+
+    const lighting = new AdvancedLighting(new THREE.Scene());
+    const sun = lighting.createSun();
+    lighting.setObserver(greenwich);
+    lighting.updateSunPosition(new Date('2025-03-20T06:30:00Z'));
+    assert.ok(sun.position.x > 0 && sun.position.y > 0); // east, just risen
+    assert.deepEqual(sun.color.toArray(), [1.0, 0.98, 0.94]);
+
+    // Fraction-of-day calls keep the spinning angle
+    lighting.updateSunPosition(0.25);
+    assert.ok(Math.abs(sun.position.y - 100) < 1e-9);
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { SystemScheduler } from '../system-scheduler.js';
+
+test('variable systems run every frame with the raw delta', () => {
+    const scheduler = new SystemScheduler();
+    const deltas = [];
+    scheduler.add('ui', (dt) => deltas.push(dt));
+
+    scheduler.tick(0.016);
+    scheduler.tick(0.05);
+
+    assert.deepEqual(deltas, [0.016, 0.05]);
+});
+
+test('fixed-step systems catch up with whole steps and keep the remainder', () => {
+    const scheduler = new SystemScheduler();
+    const deltas = [];
+    scheduler.add('physics', (dt) => deltas.push(dt), { rate: 10, fixed: true });
+
+    scheduler.tick(0.05);
+    assert.equal(deltas.length, 0);
+
+    scheduler.tick(0.2);
+    assert.deepEqual(deltas, [0.1, 0.1]);
+    assert.ok(Math.abs(scheduler.getInterpolation('physics') - 0.5) < 1e-9);
+});
+
+test('fixed-step catch-up is capped and excess time dropped', () => {
+    const scheduler = new SystemScheduler({ maxCatchUpSteps: 3 });
+    let calls = 0;
+    scheduler.add('physics', () => calls++, { rate: 60, fixed: true });
+
+    scheduler.tick(1);
+
+    assert.equal(calls, 3);
+    const [stats] = scheduler.getStats();
+    assert.equal(stats.droppedSteps, 57);
+    assert.ok(scheduler.getInterpolation('physics') < 1);
+});
+
+test('throttled systems receive the accumulated delta', () => {
+    const scheduler = new SystemScheduler();
+    const deltas = [];
+    scheduler.add('agents', (dt) => deltas.push(dt), { rate: 10 });
+
+    for (let i = 0; i < 12; i++) {
+        scheduler.tick(1 / 60);
+    }
+
+    assert.equal(deltas.length, 2);
+    deltas.forEach(dt => assert.ok(Math.abs(dt - 0.1) < 1e-9));
+});
+
+test('higher priority runs first and ties keep insertion order', () => {
+    const scheduler = new SystemScheduler();
+    const order = [];
+    scheduler.add('render', () => order.push('render'), { priority: -10 });
+    scheduler.add('agents', () => order.push('agents'));
+    scheduler.add('physics', () => order.push('physics'), { rate: 60, fixed: true, priority: 100 });
+    scheduler.add('quests', () => order.push('quests'));
+
+    scheduler.tick(1 / 60);
+
+    assert.deepEqual(order, ['physics', 'agents', 'quests', 'render']);
+});
+
+test('stats track calls, simulated time and errors; extra args are forwarded', () => {
+    const scheduler = new SystemScheduler();
+    const contexts = [];
+    scheduler.add('ok', (dt, context) => contexts.push(context));
+    scheduler.add('broken', () => {
+        throw new Error('boom');
+    });
+
+    const originalError = console.error;
+    console.error = () => {};
+    scheduler.tick(0.5, 'ctx');
+    scheduler.tick(0.5, 'ctx');
+    console.error = originalError;
+
+    const stats = Object.fromEntries(scheduler.getStats().map(s => [s.name, s]));
+    assert.deepEqual(contexts, ['ctx', 'ctx']);
+    assert.equal(stats.ok.calls, 2);
+    assert.equal(stats.ok.simulatedTime, 1);
+    assert.equal(stats.broken.errors, 2);
+    assert.ok(stats.ok.maxMs >= stats.ok.lastMs);
+
+    scheduler.resetStats();
+    assert.equal(scheduler.getStats()[0].calls, 0);
+});
+
+test('add validates names and rates', () => {
+    const scheduler = new SystemScheduler();
+    scheduler.add('a', () => {});
+
+    assert.throws(() => scheduler.add('a', () => {}), /already scheduled/);
+    assert.throws(() => scheduler.add('b', () => {}, { rate: -1 }), /rate must be/);
+    assert.throws(() => scheduler.add('c', () => {}, { fixed: true }), /needs a rate/);
+    assert.equal(scheduler.remove('a'), true);
+    assert.equal(scheduler.has('a'), false);
+});
@@ -6,10 +6,14 @@ import {
     TimeConverter,
     FrameTransformer,
     DatumConverter,
+    ContractedVerifier,
+    JulianDate,
     TIME_SCALES,
     FRAMES,
     HEIGHT_DATUMS
 } from '../truth-contracts.js';
+import { loadFinals2000A } from '../iers-data.js';
+import { Quantity } from '../quantity.js';
 
 test('TruthContract validates frames, time scales, and datums', () => {
     const contract = new TruthContract({
@@ -54,6 +58,89 @@ test('TimeConverter handles leap seconds and time conversions', () => {
     assert.equal(roundTripUtc.getTime(), current.getTime());
 });
 
+const SCALES = Object.values(TIME_SCALES);
+
+test('TimeConverter converts every pair of time scales both ways', () => {
+    const samples = [
+        new Date('1985-03-15T06:30:00.250Z'),
+        new Date('2016-12-31T12:00:00.000Z'),
+        new Date('2017-01-01T12:00:00.000Z'),
+        new Date('2024-06-21T12:00:00.000Z')
+    ];
+
+    for (const utc of samples) {
+        for (const from of SCALES) {
+            const start = TimeConverter.convert(utc, TIME_SCALES.UTC, from);
+            for (const to of SCALES) {
+                const there = TimeConverter.convert(start, from, to);
+                const back = TimeConverter.convert(there, to, from);
+                // TDB's periodic term is sub-ms, so allow one Date tick
+                assert.ok(Math.abs(back.getTime() - start.getTime()) <= 1,
+                    `${from} -> ${to} -> ${from} at ${utc.toISOString()}`);
+            }
+        }
+    }
+
+    const utc = new Date('2020-01-01T00:00:00Z');
+    const offset = scale => (TimeConverter.convert(utc, TIME_SCALES.UTC, scale) - utc) / 1000;
+    assert.equal(offset(TIME_SCALES.TAI), 37);
+    assert.equal(offset(TIME_SCALES.TT), 69.184);
+    assert.equal(offset(TIME_SCALES.GPS), 18);
+    assert.equal(TimeConverter.convert(utc, TIME_SCALES.GPS, TIME_SCALES.TT) - utc, 51184);
+
+    assert.throws(() => TimeConverter.convert(utc, 'GMT', TIME_SCALES.UTC), /Unsupported time scale: GMT/);
+    assert.throws(() => TimeConverter.convert(utc, TIME_SCALES.UTC, 'GMT'), /Unsupported time scale: GMT/);
+});
+
+test('TimeConverter handles instants inside a leap second', () => {
+    // 2016-12-31T23:59:60.5 UTC
+    const tai = new Date('2017-01-01T00:00:36.500Z');
+
+    assert.equal(TimeConverter.isInLeapSecond(tai), true);
+    assert.equal(TimeConverter.taiToUTC(tai).toISOString(), '2016-12-31T23:59:59.999Z');
+    assert.equal(TimeConverter.isInLeapSecond(new Date('2017-01-01T00:00:35.999Z')), false);
+    assert.equal(TimeConverter.taiToUTC(new Date('2017-01-01T00:00:35.999Z')).toISOString(), '2016-12-31T23:59:59.999Z');
+    assert.equal(TimeConverter.taiToUTC(new Date('2017-01-01T00:00:37.000Z')).toISOString(), '2017-01-01T00:00:00.000Z');
+
+    // Uniform scales keep the leap second intact
+    for (const scale of [TIME_SCALES.TT, TIME_SCALES.TDB, TIME_SCALES.GPS]) {
+        const other = TimeConverter.convert(tai, TIME_SCALES.TAI, scale);
+        const back = TimeConverter.convert(other, scale, TIME_SCALES.TAI);
+        assert.ok(Math.abs(back - tai) <= 1, scale);
+    }
+
+    // UTC output never runs backwards across the leap
+    const utcs = [35.5, 36.0, 36.5, 36.999, 37.0].map(s =>
+        TimeConverter.taiToUTC(new Date(Date.UTC(2017, 0, 1, 0, 0, 0) + s * 1000)).getTime());
+    assert.deepEqual([...utcs].sort((a, b) => a - b), utcs);
+});
+
+test('UT1 stays continuous through a leap second with IERS tables', async () => {
+    const eop = await loadFinals2000A(new URL('./fixtures/finals2000A.sample', import.meta.url));
+    TimeConverter.setEOPTable(eop);
+    try {
+        const before = new Date('2017-01-01T00:00:35.000Z');
+        const inside = new Date('2017-01-01T00:00:36.500Z');
+        const after = new Date('2017-01-01T00:00:38.000Z');
+        const ut1 = [before, inside, after].map(t => TimeConverter.convert(t, TIME_SCALES.TAI, TIME_SCALES.UT1));
+
+        // One TAI second is one UT1 second, leap or not
+        assert.ok(Math.abs((ut1[1] - ut1[0]) - 1500) <= 1);
+        assert.ok(Math.abs((ut1[2] - ut1[1]) - 1500) <= 1);
+
+        for (const [i, t] of [before, inside, after].entries()) {
+            const back = TimeConverter.convert(ut1[i], TIME_SCALES.UT1, TIME_SCALES.TAI);
+            assert.ok(Math.abs(back - t) <= 1);
+        }
+
+        const utc = new Date('2017-01-02T00:00:00Z');
+        const roundTrip = TimeConverter.ut1ToUTC(TimeConverter.utcToUT1(utc));
+        assert.ok(Math.abs(roundTrip - utc) <= 1);
+    } finally {
+        TimeConverter.setEOPTable(null);
+    }
+});
+
 test('TimeConverter dateToJulianDate uses Unix epoch reference', () => {
     const epoch = new Date(Date.UTC(1970, 0, 1, 0, 0, 0));
     const jd = TimeConverter.dateToJulianDate(epoch);
@@ -89,3 +176,269 @@ test('DatumConverter returns expected undulation at equator', () => {
     const height = DatumConverter.orthometricToEllipsoidal(0, 0, 100);
     assert.equal(height, 100);
 });
+
+function quietly(fn) {
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+function verifierFor(testId, config) {
+    const verifier = new ContractedVerifier();
+    verifier.registerContract(testId, new TruthContract(config));
+    return verifier;
+}
+
+test('ContractedVerifier compares positions in meters against position_m', () => {
+    const verifier = verifierFor('moon', {
+        frame: FRAMES.ECI,
+        timeScale: TIME_SCALES.TT,
+        tolerance: { position_m: 10 }
+    });
+
+    const reference = { x: 384400, y: 0, z: 0, unit: 'km' };
+    const close = quietly(() => verifier.verify('moon', { x: 384400.003, y: 0.004, z: 0, unit: 'km' }, reference));
+    assert.equal(close.passed, true);
+    assert.ok(Math.abs(close.residuals.position_m - 5) < 1e-6);
+    assert.deepEqual(close.failures, []);
+
+    const far = quietly(() => verifier.verify('moon', { x: 384400020, y: 0, z: 0 }, reference));
+    assert.equal(far.passed, false);
+    assert.ok(Math.abs(far.residuals.position_m - 20) < 1e-6);
+    assert.match(far.failures[0], /position_m residual .* exceeds 10/);
+
+    const missing = quietly(() => verifier.verify('moon', { value: 1 }, reference));
+    assert.equal(missing.passed, false);
+    assert.deepEqual(missing.residuals, {});
+    assert.match(missing.failures[0], /no position/);
+    assert.throws(() => quietly(() => verifier.verify('other', reference, reference)), /No contract/);
+});
+
+test('ContractedVerifier reports missing tolerances and zero references as failures', () => {
+    const verifier = verifierFor('sky', {
+        frame: FRAMES.ECI,
+        timeScale: TIME_SCALES.TT,
+        tolerance: { position_m: 10 }
+    });
+
+    const untoleranced = quietly(() => verifier.verify('sky', { ra: 10, dec: 20 }, { ra: 10, dec: 20 }));
+    assert.equal(untoleranced.passed, false);
+    assert.match(untoleranced.failures[0], /tolerance has no angle_arcsec/);
+
+    const residuals = (simulated, reference, tolerance) =>
+        verifier.compareWithTolerance(simulated, reference, tolerance);
+
+    // Relative tolerance against zero falls back to the absolute one, or says why it can't
+    const nearZero = residuals({ value: 0.05 }, { value: 0 }, { relative: 0.01, value: 0.1 });
+    assert.equal(nearZero.passed, true);
+    assert.equal(nearZero.residuals.value, 0.05);
+    assert.equal('relative' in nearZero.residuals, false);
+    assert.throws(() => residuals({ value: 0 }, { value: 0 }, { relative: 0.01 }), /relative tolerance is undefined/);
+
+    const quantity = residuals(
+        { value: new Quantity(3, 'm') }, { value: new Quantity(0, 'm') },
+        { relative: 0.01, value: new Quantity(5, 'm') }
+    );
+    assert.equal(quantity.passed, true);
+    assert.equal(quantity.residuals.value, 3);
+
+    // A plain-number tolerance is in the reference's unit; a Quantity one is converted
+    const plain = residuals({ value: new Quantity(1.5, 'km') }, { value: new Quantity(1, 'km') }, { value: 0.2 });
+    assert.equal(plain.passed, false);
+    assert.equal(plain.residuals.value, 0.5);
+    assert.match(plain.failures[0], /exceeds 0.2$/);
+    assert.equal(residuals(
+        { value: new Quantity(1.5, 'km') }, { value: new Quantity(1, 'km') }, { value: new Quantity(600, 'm') }
+    ).passed, true);
+    assert.throws(() => residuals(
+        { value: new Quantity(1.5, 'km') }, { value: new Quantity(1, 'km') }, { value: new Quantity(1, 's') }
+    ), /Cannot convert s/);
+});
+
+test('ContractedVerifier keeps the worst residual across angle pairs', () => {
+    const verifier = new ContractedVerifier();
+    const result = verifier.compareWithTolerance(
+        { ra: 10, dec: 20, az: 100, alt: 30.01 },
+        { ra: 10, dec: 20, az: 100, alt: 30 },
+        { angle_arcsec: 5 }
+    );
+
+    assert.equal(result.passed, false);
+    assert.ok(Math.abs(result.residuals.angle_arcsec - 36) < 1e-6);
+    assert.equal(result.failures.length, 1);
+    assert.match(result.failures[0], /^angle_arcsec \(az\/alt\) residual/);
+
+    const reversed = verifier.compareWithTolerance(
+        { ra: 10, dec: 20.01, az: 100, alt: 30 },
+        { ra: 10, dec: 20, az: 100, alt: 30 },
+        { angle_arcsec: 5 }
+    );
+    assert.ok(Math.abs(reversed.residuals.angle_arcsec - 36) < 1e-6);
+});
+
+test('ContractedVerifier compares angles, durations and scalars', () => {
+    const verifier = new ContractedVerifier();
+    const residuals = (simulated, reference, tolerance) =>
+        verifier.compareWithTolerance(simulated, reference, tolerance);
+
+    const sky = residuals({ ra: 10, dec: 20.0005 }, { ra: 10, dec: 20 }, { angle_arcsec: 2 });
+    assert.equal(sky.passed, true);
+    assert.ok(Math.abs(sky.residuals.angle_arcsec - 1.8) < 1e-6);
+
+    const wrapped = residuals({ angle: 359.999 }, { angle: 0.001 }, { angle_arcsec: 10 });
+    assert.ok(Math.abs(wrapped.residuals.angle_arcsec - -7.2) < 1e-6);
+    assert.equal(wrapped.passed, true);
+
+    const late = residuals(
+        { time: new Date('2024-04-08T18:18:30Z') },
+        { time: new Date('2024-04-08T18:17:00Z') },
+        { time_s: 60 }
+    );
+    assert.equal(late.passed, false);
+    assert.equal(late.residuals.time_s, 90);
+
+    assert.equal(residuals({ value: 100.5 }, { value: 100 }, { relative: 0.01 }).passed, true);
+    assert.equal(residuals({ value: 100.5 }, { value: 100 }, { value: 0.1 }).passed, false);
+
+    assert.throws(() => residuals({ angle: 1 }, { angle: 1 }, {}), /tolerance has no angle_arcsec/);
+    assert.throws(() => residuals({}, {}, { position_m: 1 }), /nothing to compare/);
+});
+
+test('ContractedVerifier converts time scales and frames before comparing', () => {
+    const verifier = verifierFor('transit', {
+        frame: FRAMES.ECI,
+        timeScale: TIME_SCALES.UTC,
+        tolerance: { time_s: 0.001, position_m: 1 }
+    });
+
+    const utc = new Date('2024-06-21T12:00:00Z');
+    const tt = JulianDate.fromDate(utc).to(TIME_SCALES.TT);
+    const result = quietly(() => verifier.verify(
+        'transit',
+        { time: tt, timeScale: TIME_SCALES.TT },
+        { time: utc, timeScale: TIME_SCALES.UTC }
+    ));
+    assert.equal(result.passed, true);
+    assert.ok(Math.abs(result.residuals.time_s) < 1e-6);
+    assert.deepEqual(result.conversions, ['time TT→UTC']);
+
+    // Same point expressed in ECEF converts into the reference ECI frame
+    const eci = { x: 4000, y: 3000, z: 5000, unit: 'km', time: utc };
+    const ecef = { ...FrameTransformer.eciToECEF(eci, TimeConverter.utcToUT1(utc)), unit: 'km', time: utc };
+    const rotated = quietly(() => verifier.verify('transit', { ...ecef, frame: FRAMES.ECEF }, eci));
+    assert.equal(rotated.passed, true);
+    // Only the Date's millisecond rounding of UT1 separates the two
+    assert.ok(rotated.residuals.position_m < 0.5);
+    assert.deepEqual(rotated.conversions, ['frame ECEF→ECI']);
+
+    // Unconverted, the rotation shows up as a residual
+    const unrotated = quietly(() => verifier.verify('transit', { ...ecef }, eci));
+    assert.equal(unrotated.passed, false);
+
+    const angles = quietly(() => verifier.verify(
+        'transit',
+        { az: 10, alt: 20, frame: FRAMES.TOPOCENTRIC },
+        { az: 10, alt: 20 }
+    ));
+    assert.equal(angles.passed, false);
+    assert.match(angles.failures[0], /Cannot convert angles from TOPOCENTRIC to ECI/);
+});
+
+test('FrameTransformer ECEF to ECI rotates by sidereal time', () => {
+    const ut1 = new Date('2024-06-21T12:00:00Z');
+    const ecef = { x: 6378137, y: 0, z: 0 };
+    const eci = FrameTransformer.ecefToECI(ecef, ut1);
+
+    // Greenwich is at right ascension GMST
+    const jd = TimeConverter.dateToJulianDate(ut1);
+    const gmst = (280.46061837 + 360.98564736629 * (jd - 2451545.0)) % 360;
+    const ra = (Math.atan2(eci.y, eci.x) * 180 / Math.PI + 360) % 360;
+    assert.ok(Math.abs(ra - gmst) < 1e-3);
+
+    const back = FrameTransformer.eciToECEF(eci, ut1);
+    assert.ok(Math.hypot(back.x - ecef.x, back.y - ecef.y, back.z - ecef.z) < 1e-6);
+    assert.throws(() => FrameTransformer.convertPosition(ecef, FRAMES.ECEF, FRAMES.MOON_CENTERED, ut1),
+        /needs context.moonPosition/);
+});
+
+test('FrameTransformer finds paths through the frame graph', () => {
+    assert.deepEqual(
+        FrameTransformer.findPath(FRAMES.TOPOCENTRIC, FRAMES.HELIOCENTRIC_ECLIPTIC),
+        [FRAMES.TOPOCENTRIC, FRAMES.ECEF, FRAMES.ECI, FRAMES.ICRF_BARYCENTRIC, FRAMES.HELIOCENTRIC_ECLIPTIC]
+    );
+    assert.deepEqual(FrameTransformer.findPath(FRAMES.ECI, FRAMES.ECI), [FRAMES.ECI]);
+    assert.throws(() => FrameTransformer.findPath(FRAMES.ECI, 'GALACTIC'), /Invalid frame: GALACTIC/);
+});
+
+test('topocentric AER round-trips through ECEF', () => {
+    const observer = { lat: 51.4778, lon: -0.0014, height: 46 };
+    const target = { az: 30, el: 10, range: 1000, frame: FRAMES.TOPOCENTRIC };
+
+    const ecef = FrameTransformer.transform(target, FRAMES.ECEF, { observer });
+    const back = FrameTransformer.transform(ecef, FRAMES.TOPOCENTRIC, { observer });
+    assert.ok(Math.abs(back.az - 30) < 1e-9);
+    assert.ok(Math.abs(back.el - 10) < 1e-9);
+    assert.ok(Math.abs(back.range - 1000) < 1e-6);
+    assert.equal(back.contract.heightDatum, HEIGHT_DATUMS.ELLIPSOID);
+
+    // Straight up from an equatorial observer is +x in ECEF
+    const zenith = FrameTransformer.transform(
+        { x: 6378137 + 500, y: 0, z: 0, frame: FRAMES.ECEF },
+        FRAMES.TOPOCENTRIC,
+        { observer: { lat: 0, lon: 0, height: 0 } }
+    );
+    assert.ok(Math.abs(zenith.el - 90) < 1e-9);
+    assert.ok(Math.abs(zenith.range - 500) < 1e-6);
+
+    assert.throws(() => FrameTransformer.transform(target, FRAMES.ECEF), /needs an observer/);
+});
+
+test('frame graph composes ECEF to heliocentric ecliptic and back', () => {
+    const epoch = new Date('2024-03-20T03:06:00Z'); // March equinox
+    const geocenter = FrameTransformer.transform(
+        { x: 0, y: 0, z: 0, unit: 'km', frame: FRAMES.ECEF, time: epoch, timeScale: TIME_SCALES.UTC },
+        FRAMES.HELIOCENTRIC_ECLIPTIC
+    );
+
+    // Sun at 0° longitude seen from Earth puts Earth near 180°, in the ecliptic
+    const r = Math.hypot(geocenter.x, geocenter.y, geocenter.z) / 149597870.7;
+    const lon = Math.atan2(geocenter.y, geocenter.x) * 180 / Math.PI;
+    assert.ok(r > 0.98 && r < 1.0, `r = ${r}`);
+    assert.ok(Math.abs(Math.abs(lon) - 180) < 0.5, `lon = ${lon}`);
+    assert.ok(Math.abs(geocenter.z) < 1, `z = ${geocenter.z} km`);
+
+    assert.equal(geocenter.unit, 'km');
+    assert.equal(geocenter.timeScale, TIME_SCALES.UTC);
+    assert.ok(geocenter.contract instanceof TruthContract);
+    assert.equal(geocenter.contract.frame, FRAMES.HELIOCENTRIC_ECLIPTIC);
+    assert.deepEqual(geocenter.path, [FRAMES.ECEF, FRAMES.ECI, FRAMES.ICRF_BARYCENTRIC, FRAMES.HELIOCENTRIC_ECLIPTIC]);
+
+    const observer = { lat: 29.9, lon: -99.8, height: 500 };
+    const site = { az: 120, el: 35, range: 384400, unit: 'km', frame: FRAMES.TOPOCENTRIC, time: epoch };
+    const helio = FrameTransformer.transform(site, FRAMES.HELIOCENTRIC_ECLIPTIC, { observer });
+    const back = FrameTransformer.transform(helio, FRAMES.TOPOCENTRIC, { observer });
+    assert.ok(Math.abs(back.az - 120) < 1e-6);
+    assert.ok(Math.abs(back.el - 35) < 1e-6);
+    assert.ok(Math.abs(back.range - 384400) < 1e-3);
+
+    assert.throws(() => FrameTransformer.transform({ x: 1, y: 0, z: 0, frame: FRAMES.ECEF }, FRAMES.ECI),
+        /needs an epoch/);
+});
+
+test('moon-centered frame uses the supplied Moon ephemeris', () => {
+    const moonPosition = () => ({ x: 384400, y: 0, z: 0 });
+    const result = FrameTransformer.transform(
+        { x: 0, y: 0, z: 0, unit: 'km', frame: FRAMES.ECI, time: JulianDate.fromJD(2460000.5, TIME_SCALES.TT) },
+        FRAMES.MOON_CENTERED,
+        { moonPosition }
+    );
+
+    assert.deepEqual([result.x, result.y, result.z], [-384400, 0, 0]);
+    assert.equal(result.timeScale, TIME_SCALES.TT);
+});
@@ -7,6 +7,9 @@
  * Philosophy: "PRECISION REQUIRES EXPLICIT CONTRACTS. NO ASSUMPTIONS."
  */
 
+import { Geodesy } from './geodesy.js';
+import { Quantity, toUnit } from './quantity.js';
+
 // ===== TIME SCALES =====
 export const TIME_SCALES = {
     UTC: 'UTC',           // Coordinated Universal Time (civil time, has leap seconds)
@@ -41,6 +44,7 @@ export const HEIGHT_DATUMS = {
 
 // ===== LEAP SECOND TABLE =====
 // Must be updated when IERS announces new leap seconds
+// (or load Leap_Second.dat with iers-data.js and TimeConverter.setLeapSecondTable)
 export const LEAP_SECONDS = [
     { date: new Date('1972-01-01'), leapSeconds: 10 },
     { date: new Date('1972-07-01'), leapSeconds: 11 },
@@ -75,7 +79,7 @@ export const LEAP_SECONDS = [
 ];
 
 // ===== EARTH ORIENTATION PARAMETERS (EOP) =====
-// Simplified - in production, fetch from IERS Bulletin A
+// Fallback when no finals2000A table is installed (see TimeConverter.setEOPTable)
 export const EOP_DATA = {
     // UT1-UTC difference (seconds)
     // Varies due to Earth's irregular rotation
@@ -141,12 +145,48 @@ export const WGS84_LANDMARKS_CORRECTED = {
 };
 
 // ===== TRUTH CONTRACT TYPE =====
+// Tolerance keys with a fixed unit. Quantities under these keys, or under the
+// bare name ('position', 'angle', 'time'), are converted into them.
+const TOLERANCE_UNITS = {
+    position_m: { alias: 'position', unit: 'm' },
+    angle_arcsec: { alias: 'angle', unit: 'arcsec' },
+    time_s: { alias: 'time', unit: 's' }
+};
+
+function normalizeTolerance(tolerance) {
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(tolerance)) {
+        const unitKey = Object.keys(TOLERANCE_UNITS)
+            .find(k => k === key || TOLERANCE_UNITS[k].alias === key);
+        if (!unitKey) {
+            normalized[key] = value;
+            continue;
+        }
+
+        if (unitKey in normalized) {
+            throw new Error(`Tolerance ${unitKey} given twice`);
+        }
+
+        const { unit } = TOLERANCE_UNITS[unitKey];
+        if (value instanceof Quantity) {
+            normalized[unitKey] = value.in(unit);
+        } else if (key === unitKey) {
+            normalized[unitKey] = value;
+        } else {
+            throw new Error(`Tolerance ${key} needs a Quantity, e.g. new Quantity(1, '${unit}')`);
+        }
+    }
+
+    return normalized;
+}
+
 export class TruthContract {
     constructor(config) {
         this.frame = config.frame;
         this.timeScale = config.timeScale;
         this.heightDatum = config.heightDatum || null;
-        this.tolerance = config.tolerance || {};
+        this.tolerance = normalizeTolerance(config.tolerance || {});
 
         // Validate
         if (!Object.values(FRAMES).includes(this.frame)) {
@@ -165,12 +205,193 @@ export class TruthContract {
     }
 }
 
+// ===== JULIAN DATE =====
+const SECONDS_PER_DAY = 86400;
+const MS_PER_DAY = 86400000;
+const JD_UNIX_EPOCH_DAY = 2440587;  // JD 2440587.5 = 1970-01-01T00:00
+const JD_J2000 = 2451545;           // 2000-01-01T12:00
+
+/**
+ * Two-part Julian date: integer day + fraction of day, tagged with its time scale.
+ * A single float near JD 2.45 million only resolves ~40µs; split, the
+ * fraction keeps ~10 picoseconds. Immutable - arithmetic returns new values.
+ *
+ * Pass it anywhere TimeConverter, IAUTransform or PrecessionNutation take a
+ * Date or a JD number for sub-millisecond work.
+ */
+export class JulianDate {
+    constructor(day, fraction = 0, scale = TIME_SCALES.UTC) {
+        if (!Number.isFinite(day) || !Number.isFinite(fraction)) {
+            throw new Error(`Invalid Julian date: ${day} + ${fraction}`);
+        }
+        if (!Object.values(TIME_SCALES).includes(scale)) {
+            throw new Error(`Invalid time scale: ${scale}`);
+        }
+
+        // Normalize to integer day + fraction in [0, 1)
+        const whole = Math.floor(day);
+        const total = (day - whole) + fraction;
+        const carry = Math.floor(total);
+        this.day = whole + carry;
+        this.fraction = total - carry;
+        if (this.fraction >= 1) {
+            this.day += 1;
+            this.fraction = 0;
+        }
+        this.scale = scale;
+
+        Object.freeze(this);
+    }
+
+    /**
+     * From a Date read as an instant in `scale` (whole milliseconds)
+     */
+    static fromDate(date, scale = TIME_SCALES.UTC) {
+        const ms = date.getTime();
+        const days = Math.floor(ms / MS_PER_DAY);
+        return new JulianDate(JD_UNIX_EPOCH_DAY + days, 0.5 + (ms - days * MS_PER_DAY) / MS_PER_DAY, scale);
+    }
+
+    static fromJD(jd, scale = TIME_SCALES.UTC) {
+        return new JulianDate(jd, 0, scale);
+    }
+
+    static fromMJD(mjd, scale = TIME_SCALES.UTC) {
+        return new JulianDate(2400000, mjd + 0.5, scale);
+    }
+
+    /**
+     * Nearest Date (millisecond resolution)
+     */
+    toDate() {
+        return new Date(Math.round(((this.day - JD_UNIX_EPOCH_DAY) + (this.fraction - 0.5)) * MS_PER_DAY));
+    }
+
+    /**
+     * Single-float JD - convenient, but only good to ~40µs
+     */
+    toJD() {
+        return this.day + this.fraction;
+    }
+
+    toMJD() {
+        return (this.day - 2400000) + (this.fraction - 0.5);
+    }
+
+    daysSinceJ2000() {
+        return (this.day - JD_J2000) + this.fraction;
+    }
+
+    centuriesSinceJ2000() {
+        return this.daysSinceJ2000() / 36525;
+    }
+
+    addDays(days) {
+        const whole = Math.floor(days);
+        return new JulianDate(this.day + whole, this.fraction + (days - whole), this.scale);
+    }
+
+    addSeconds(seconds) {
+        return this.addDays(seconds / SECONDS_PER_DAY);
+    }
+
+    /**
+     * Relabel without shifting the instant - use TimeConverter.convert to change scale
+     */
+    withScale(scale) {
+        return new JulianDate(this.day, this.fraction, scale);
+    }
+
+    /**
+     * Same instant in another time scale
+     */
+    to(scale) {
+        return TimeConverter.convert(this, this.scale, scale);
+    }
+
+    /**
+     * this - other in seconds; both must be in the same scale
+     */
+    diffSeconds(other) {
+        if (other.scale !== this.scale) {
+            throw new Error(`Time scale mismatch: ${this.scale} vs ${other.scale}`);
+        }
+        return ((this.day - other.day) + (this.fraction - other.fraction)) * SECONDS_PER_DAY;
+    }
+
+    compare(other) {
+        return Math.sign(this.diffSeconds(other));
+    }
+
+    equals(other, toleranceSeconds = 0) {
+        return other.scale === this.scale && Math.abs(this.diffSeconds(other)) <= toleranceSeconds;
+    }
+
+    toString() {
+        return `JD ${this.day} + ${this.fraction.toFixed(12)} ${this.scale}`;
+    }
+}
+
 // ===== TIME CONVERSION UTILITIES =====
+const TT_MINUS_TAI = 32.184; // seconds
+const TAI_MINUS_GPS = 19;    // seconds
+
+/**
+ * Offset a Date or JulianDate by seconds. Dates round to whole milliseconds
+ * (new Date() would truncate fractions toward zero); JulianDates are retagged
+ * with the scale the result is in.
+ */
+function shiftSeconds(time, seconds, scale) {
+    if (time instanceof JulianDate) {
+        return new JulianDate(time.day, time.fraction + seconds / SECONDS_PER_DAY, scale);
+    }
+    return new Date(Math.round(time.getTime() + seconds * 1000));
+}
+
+/**
+ * Table lookups (leap seconds, EOP) only need millisecond resolution
+ */
+function asDate(time) {
+    return time instanceof JulianDate ? time.toDate() : time;
+}
+
 export class TimeConverter {
+    static leapSecondTable = null;
+    static eopTable = null;
+
+    /**
+     * Use a LeapSecondTable (iers-data.js) instead of LEAP_SECONDS; null restores it
+     */
+    static setLeapSecondTable(table) {
+        this.leapSecondTable = table;
+    }
+
+    /**
+     * Use an EOPTable (iers-data.js) instead of the static EOP_DATA; null restores it
+     */
+    static setEOPTable(table) {
+        this.eopTable = table;
+    }
+
+    /**
+     * Earth orientation for a UTC date: { dut1 (s), xp, yp (arcsec), stale, ... }
+     */
+    static getEOP(utcDate) {
+        if (this.eopTable) {
+            return this.eopTable.interpolate(asDate(utcDate));
+        }
+        return { dut1: EOP_DATA.dut1, xp: EOP_DATA.xp, yp: EOP_DATA.yp, stale: false };
+    }
+
     /**
      * Get current leap seconds for a UTC date
      */
     static getLeapSeconds(utcDate) {
+        utcDate = asDate(utcDate);
+        if (this.leapSecondTable) {
+            return this.leapSecondTable.getOffset(utcDate);
+        }
+
         let leapSeconds = 10; // Pre-1972 default
 
         for (const entry of LEAP_SECONDS) {
@@ -184,12 +405,60 @@ export class TimeConverter {
         return leapSeconds;
     }
 
+    /**
+     * Leap second steps in LEAP_SECONDS shape, from the installed table if any
+     */
+    static getLeapSecondList() {
+        return this.leapSecondTable ? this.leapSecondTable.toList() : LEAP_SECONDS;
+    }
+
     /**
      * Convert UTC to TAI
      */
     static utcToTAI(utcDate) {
         const leapSeconds = this.getLeapSeconds(utcDate);
-        return new Date(utcDate.getTime() + leapSeconds * 1000);
+        return shiftSeconds(utcDate, leapSeconds, TIME_SCALES.TAI);
+    }
+
+    /**
+     * Convert TAI to UTC, flagging instants inside an inserted leap second.
+     * UTC has no 23:59:60 here, so those hold at 23:59:59.999 (never run backwards).
+     * Returns { utc, inLeapSecond }; utc is a JulianDate if taiDate is one.
+     */
+    static decodeTAI(taiDate) {
+        const t = asDate(taiDate).getTime();
+        let offset = 10;
+
+        for (const entry of this.getLeapSecondList()) {
+            const boundary = entry.date.getTime();
+            if (t >= boundary + entry.leapSeconds * 1000) {
+                offset = entry.leapSeconds;
+            } else if (t >= boundary + offset * 1000) {
+                const held = new Date(boundary - 1);
+                return {
+                    utc: taiDate instanceof JulianDate ? JulianDate.fromDate(held) : held,
+                    inLeapSecond: true
+                };
+            } else {
+                break;
+            }
+        }
+
+        return { utc: shiftSeconds(taiDate, -offset, TIME_SCALES.UTC), inLeapSecond: false };
+    }
+
+    static taiToUTC(taiDate) {
+        const { utc } = this.decodeTAI(taiDate);
+        // Warn on an expired installed table, same as the forward direction
+        this.getLeapSeconds(utc);
+        return utc;
+    }
+
+    /**
+     * True if a TAI instant falls inside a UTC leap second (23:59:60)
+     */
+    static isInLeapSecond(taiDate) {
+        return this.decodeTAI(taiDate).inLeapSecond;
     }
 
     /**
@@ -197,30 +466,65 @@ export class TimeConverter {
      * TT = TAI + 32.184s
      */
     static utcToTT(utcDate) {
-        const tai = this.utcToTAI(utcDate);
-        return new Date(tai.getTime() + 32.184 * 1000);
+        return this.taiToTT(this.utcToTAI(utcDate));
+    }
+
+    static taiToTT(taiDate) {
+        return shiftSeconds(taiDate, TT_MINUS_TAI, TIME_SCALES.TT);
+    }
+
+    static ttToTAI(ttDate) {
+        return shiftSeconds(ttDate, -TT_MINUS_TAI, TIME_SCALES.TAI);
     }
 
     /**
-     * Convert UTC to TDB (Barycentric Dynamical Time)
-     * TDB ≈ TT + periodic terms (simplified: TT + 0.001658 sin(g))
-     * g = mean anomaly of Earth
+     * Convert UTC to GPS time
+     * GPS = TAI - 19s (fixed since the 1980 GPS epoch, no leap seconds)
      */
-    static utcToTDB(utcDate) {
-        const tt = this.utcToTT(utcDate);
+    static utcToGPS(utcDate) {
+        return this.taiToGPS(this.utcToTAI(utcDate));
+    }
+
+    static taiToGPS(taiDate) {
+        return shiftSeconds(taiDate, -TAI_MINUS_GPS, TIME_SCALES.GPS);
+    }
 
-        // Simplified TDB calculation
-        // Full calculation requires Earth's position
-        const jd = this.dateToJulianDate(tt);
+    static gpsToTAI(gpsDate) {
+        return shiftSeconds(gpsDate, TAI_MINUS_GPS, TIME_SCALES.TAI);
+    }
+
+    /**
+     * TDB-TT in seconds (simplified: 0.001658 sin(g) + 0.000014 sin(2g))
+     * g = mean anomaly of Earth. Full calculation requires Earth's position.
+     */
+    static tdbMinusTT(ttDate) {
+        const jd = this.dateToJulianDate(ttDate);
         const T = (jd - 2451545.0) / 36525.0; // centuries since J2000
 
         // Mean anomaly of Earth (simplified)
         const g = (357.5277233 + 35999.05034 * T) * Math.PI / 180;
 
-        // Periodic term (milliseconds)
-        const deltaT = 0.001658 * Math.sin(g) + 0.000014 * Math.sin(2 * g);
+        return 0.001658 * Math.sin(g) + 0.000014 * Math.sin(2 * g);
+    }
+
+    /**
+     * Convert UTC to TDB (Barycentric Dynamical Time)
+     * TDB ≈ TT + periodic terms
+     */
+    static utcToTDB(utcDate) {
+        return this.ttToTDB(this.utcToTT(utcDate));
+    }
 
-        return new Date(tt.getTime() + deltaT * 1000);
+    static ttToTDB(ttDate) {
+        return shiftSeconds(ttDate, this.tdbMinusTT(ttDate), TIME_SCALES.TDB);
+    }
+
+    /**
+     * The periodic term changes by femtoseconds over its own 1.7ms size,
+     * so evaluating it at TDB instead of TT costs nothing
+     */
+    static tdbToTT(tdbDate) {
+        return shiftSeconds(tdbDate, -this.tdbMinusTT(tdbDate), TIME_SCALES.TT);
     }
 
     /**
@@ -228,55 +532,304 @@ export class TimeConverter {
      * UT1 = UTC + DUT1
      */
     static utcToUT1(utcDate) {
-        // DUT1 must be fetched from IERS
-        const dut1 = EOP_DATA.dut1;
-        return new Date(utcDate.getTime() + dut1 * 1000);
+        const { dut1 } = this.getEOP(utcDate);
+        return shiftSeconds(utcDate, dut1, TIME_SCALES.UT1);
+    }
+
+    /**
+     * UT1 = TAI + (DUT1 - leap seconds). That difference is continuous across
+     * leap seconds (DUT1 steps with them), so instants inside 23:59:60 survive.
+     */
+    static taiToUT1(taiDate) {
+        const { utc } = this.decodeTAI(taiDate);
+        return shiftSeconds(taiDate, this.getEOP(utc).dut1 - this.getLeapSeconds(utc), TIME_SCALES.UT1);
+    }
+
+    /**
+     * Inverse of taiToUT1; UT1-TAI drifts by ms per day, so a few fixed-point
+     * passes settle it. The EOP_DATA fallback's DUT1 never steps, so without
+     * an EOPTable UT1 repeats a second at each leap, just like UTC.
+     */
+    static ut1ToTAI(ut1Date) {
+        let tai = ut1Date;
+        for (let i = 0; i < 3; i++) {
+            const { utc } = this.decodeTAI(tai);
+            tai = shiftSeconds(ut1Date, this.getLeapSeconds(utc) - this.getEOP(utc).dut1, TIME_SCALES.TAI);
+        }
+        return tai;
+    }
+
+    static ut1ToUTC(ut1Date) {
+        return this.taiToUTC(this.ut1ToTAI(ut1Date));
     }
 
     /**
      * Convert Date to Julian Date
      */
     static dateToJulianDate(date) {
+        if (date instanceof JulianDate) return date.toJD();
         return date.getTime() / 86400000 + 2440587.5;
     }
 
     /**
-     * Convert between time scales with explicit contract
+     * Two-part JulianDate in `scale`. Dates are read as already being in
+     * `scale`; JulianDates are converted from their own tag.
      */
-    static convert(timestamp, fromScale, toScale) {
-        if (fromScale === toScale) return timestamp;
+    static toJulianDate(timestamp, scale = TIME_SCALES.UTC) {
+        if (timestamp instanceof JulianDate) {
+            return this.convert(timestamp, timestamp.scale, scale);
+        }
+        return JulianDate.fromDate(timestamp, scale);
+    }
 
-        // Convert to UTC first if needed
-        let utc = timestamp;
-        if (fromScale === TIME_SCALES.TAI) {
-            const leapSeconds = this.getLeapSeconds(timestamp);
-            utc = new Date(timestamp.getTime() - leapSeconds * 1000);
-        } else if (fromScale === TIME_SCALES.TT) {
-            const tai = new Date(timestamp.getTime() - 32.184 * 1000);
-            const leapSeconds = this.getLeapSeconds(tai);
-            utc = new Date(tai.getTime() - leapSeconds * 1000);
+    /**
+     * Any scale to TAI, the uniform scale every conversion passes through
+     */
+    static toTAI(timestamp, scale) {
+        switch (scale) {
+            case TIME_SCALES.UTC:
+                return this.utcToTAI(timestamp);
+            case TIME_SCALES.TAI:
+                return timestamp;
+            case TIME_SCALES.TT:
+                return this.ttToTAI(timestamp);
+            case TIME_SCALES.TDB:
+                return this.ttToTAI(this.tdbToTT(timestamp));
+            case TIME_SCALES.UT1:
+                return this.ut1ToTAI(timestamp);
+            case TIME_SCALES.GPS:
+                return this.gpsToTAI(timestamp);
+            default:
+                throw new Error(`Unsupported time scale: ${scale}`);
         }
+    }
 
-        // Convert from UTC to target
-        switch (toScale) {
+    /**
+     * TAI to any scale
+     */
+    static fromTAI(taiDate, scale) {
+        switch (scale) {
             case TIME_SCALES.UTC:
-                return utc;
+                return this.taiToUTC(taiDate);
             case TIME_SCALES.TAI:
-                return this.utcToTAI(utc);
+                return taiDate;
             case TIME_SCALES.TT:
-                return this.utcToTT(utc);
+                return this.taiToTT(taiDate);
             case TIME_SCALES.TDB:
-                return this.utcToTDB(utc);
+                return this.ttToTDB(this.taiToTT(taiDate));
             case TIME_SCALES.UT1:
-                return this.utcToUT1(utc);
+                return this.taiToUT1(taiDate);
+            case TIME_SCALES.GPS:
+                return this.taiToGPS(taiDate);
             default:
-                throw new Error(`Unsupported time scale: ${toScale}`);
+                throw new Error(`Unsupported time scale: ${scale}`);
+        }
+    }
+
+    /**
+     * Convert between time scales with explicit contract.
+     * Takes a Date or a JulianDate tagged `fromScale` and returns the same kind.
+     * Goes through TAI, so TAI/TT/TDB/GPS/UT1 instants inside a leap second
+     * convert between each other without loss; only UTC output is held at
+     * 23:59:59.999 (see decodeTAI).
+     */
+    static convert(timestamp, fromScale, toScale) {
+        if (!Object.values(TIME_SCALES).includes(fromScale)) {
+            throw new Error(`Unsupported time scale: ${fromScale}`);
+        }
+        if (!Object.values(TIME_SCALES).includes(toScale)) {
+            throw new Error(`Unsupported time scale: ${toScale}`);
         }
+        if (timestamp instanceof JulianDate && timestamp.scale !== fromScale) {
+            throw new Error(`Time scale mismatch: timestamp is ${timestamp.scale}, expected ${fromScale}`);
+        }
+        if (fromScale === toScale) return timestamp;
+
+        return this.fromTAI(this.toTAI(timestamp, fromScale), toScale);
     }
 }
 
 // ===== FRAME TRANSFORMATION UTILITIES =====
+const LENGTH_TO_METERS = { m: 1, km: 1000, au: 149597870700 };
+const AU_KM = 149597870.7;
+const OBLIQUITY_J2000 = 23.4392911 * Math.PI / 180;
+
+function metersPer(unit = 'm') {
+    const scale = LENGTH_TO_METERS[unit];
+    if (!scale) {
+        throw new Error(`Unknown length unit: ${unit}`);
+    }
+    return scale;
+}
+
+/**
+ * Earth's heliocentric position (km, ICRF axes) from the Astronomical
+ * Almanac low-precision Sun (~0.01°), precessed back to J2000.
+ * Stands in for the barycentric position: the Sun sits up to ~0.01 AU off
+ * the barycenter, so pass `earthPosition` for anything better.
+ */
+function lowPrecisionEarthPosition(jdTT) {
+    const n = jdTT.daysSinceJ2000();
+    const T = n / 36525;
+    const toRad = Math.PI / 180;
+
+    const L = 280.460 + 0.9856474 * n;
+    const g = (357.528 + 0.9856003 * n) * toRad;
+    const lambda = (L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g) - 1.3969713 * T) * toRad;
+    const R = (1.00014 - 0.01671 * Math.cos(g) - 0.00014 * Math.cos(2 * g)) * AU_KM;
+
+    // Sun as seen from Earth, flipped
+    return {
+        x: -R * Math.cos(lambda),
+        y: -R * Math.cos(OBLIQUITY_J2000) * Math.sin(lambda),
+        z: -R * Math.sin(OBLIQUITY_J2000) * Math.sin(lambda)
+    };
+}
+
+function translate(p, offset, sign) {
+    return { x: p.x + sign * offset.x, y: p.y + sign * offset.y, z: p.z + sign * offset.z };
+}
+
+/**
+ * Rotate about the x axis: +angle takes equatorial to ecliptic axes
+ */
+function rotateX(p, angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return { x: p.x, y: c * p.y + s * p.z, z: -s * p.y + c * p.z };
+}
+
 export class FrameTransformer {
+    // from frame → Map(to frame → (position, context) => position)
+    static edges = new Map();
+
+    /**
+     * Add (or replace) a direct step in the frame graph. Positions handed to
+     * `convert` are in meters; the context has epoch(scale), observer and the
+     * ephemeris callbacks (see transform).
+     */
+    static registerEdge(fromFrame, toFrame, convert) {
+        if (!this.edges.has(fromFrame)) {
+            this.edges.set(fromFrame, new Map());
+        }
+        this.edges.get(fromFrame).set(toFrame, convert);
+    }
+
+    /**
+     * Shortest chain of frames from one to another (breadth-first)
+     */
+    static findPath(fromFrame, toFrame) {
+        for (const frame of [fromFrame, toFrame]) {
+            if (!Object.values(FRAMES).includes(frame)) {
+                throw new Error(`Invalid frame: ${frame}`);
+            }
+        }
+
+        const previous = new Map([[fromFrame, null]]);
+        const queue = [fromFrame];
+        while (queue.length) {
+            const frame = queue.shift();
+            if (frame === toFrame) {
+                const path = [];
+                for (let f = toFrame; f !== null; f = previous.get(f)) path.unshift(f);
+                return path;
+            }
+            for (const next of (this.edges.get(frame) || new Map()).keys()) {
+                if (!previous.has(next)) {
+                    previous.set(next, frame);
+                    queue.push(next);
+                }
+            }
+        }
+
+        throw new Error(`No conversion from ${fromFrame} to ${toFrame}`);
+    }
+
+    /**
+     * Move a tagged position into another frame along the frame graph.
+     *
+     * value:   { x, y, z, unit?, frame, time?, timeScale? } - or, in
+     *          TOPOCENTRIC, { az, el, range } (degrees, `unit` for range)
+     * context: {
+     *   epoch, timeScale          - defaults to value.time / value.timeScale
+     *                               (a JulianDate's own tag, else UTC)
+     *   observer                  - { lat, lon, height } WGS84, for TOPOCENTRIC
+     *   earthPosition(jdTT)       - barycentric Earth, km (default: low precision)
+     *   sunPosition(jdTT)         - barycentric Sun, km (default: at the barycenter)
+     *   moonPosition(jdTT)        - geocentric Moon, km, for MOON_CENTERED
+     * }
+     *
+     * Returns { x, y, z, unit, frame, time, timeScale, path, contract }, plus
+     * { az, el, range } when the result is TOPOCENTRIC (x, y, z = east, north, up).
+     */
+    static transform(value, toFrame, context = {}) {
+        const fromFrame = value.frame;
+        const path = this.findPath(fromFrame, toFrame);
+        const unit = value.unit || 'm';
+        const scale = metersPer(unit);
+
+        const rawEpoch = context.epoch || value.time || null;
+        const timeScale = context.timeScale || value.timeScale ||
+            (rawEpoch instanceof JulianDate ? rawEpoch.scale : TIME_SCALES.UTC);
+        const epoch = rawEpoch ? TimeConverter.toJulianDate(rawEpoch, timeScale) : null;
+
+        const steps = {
+            ...context,
+            epoch(stepScale) {
+                if (!epoch) {
+                    throw new Error(`Converting ${fromFrame} to ${toFrame} needs an epoch`);
+                }
+                return TimeConverter.convert(epoch, epoch.scale, stepScale);
+            },
+            observer: context.observer || value.observer || null
+        };
+
+        let position = fromFrame === FRAMES.TOPOCENTRIC && typeof value.x !== 'number'
+            ? this.aerToENU(value)
+            : { x: value.x, y: value.y, z: value.z };
+        position = { x: position.x * scale, y: position.y * scale, z: position.z * scale };
+
+        for (let i = 1; i < path.length; i++) {
+            position = this.edges.get(path[i - 1]).get(path[i])(position, steps);
+        }
+
+        const result = {
+            x: position.x / scale,
+            y: position.y / scale,
+            z: position.z / scale,
+            unit,
+            frame: toFrame,
+            time: epoch,
+            timeScale: epoch ? epoch.scale : timeScale,
+            path,
+            contract: new TruthContract({
+                frame: toFrame,
+                timeScale: epoch ? epoch.scale : timeScale,
+                heightDatum: toFrame === FRAMES.TOPOCENTRIC ? HEIGHT_DATUMS.ELLIPSOID : null,
+                tolerance: value.contract ? value.contract.tolerance : {}
+            })
+        };
+
+        if (toFrame === FRAMES.TOPOCENTRIC) {
+            Object.assign(result, this.enuToAER(result));
+        }
+        return result;
+    }
+
+    /**
+     * Re-express a position in another frame (see transform for context)
+     */
+    static convertPosition(position, fromFrame, toFrame, time, timeScale = TIME_SCALES.UTC, context = {}) {
+        if (fromFrame === toFrame) return { ...position };
+
+        const { x, y, z } = this.transform(
+            { ...position, frame: fromFrame, time, timeScale },
+            toFrame,
+            context
+        );
+        return { ...position, x, y, z };
+    }
+
     /**
      * Convert ECEF to ECI (requires UT1 for Earth rotation angle)
      */
@@ -293,17 +846,47 @@ export class FrameTransformer {
 
         const gmstRad = gmst * Math.PI / 180;
 
-        // Rotation matrix
+        // Rotation matrix: ECI = R_z(-GMST) * ECEF
         const cos = Math.cos(gmstRad);
         const sin = Math.sin(gmstRad);
 
         return {
-            x: cos * ecef.x + sin * ecef.y,
-            y: -sin * ecef.x + cos * ecef.y,
+            x: cos * ecef.x - sin * ecef.y,
+            y: sin * ecef.x + cos * ecef.y,
             z: ecef.z
         };
     }
 
+    /**
+     * Convert ECI to ECEF (inverse of ecefToECI)
+     */
+    static eciToECEF(eci, ut1Time) {
+        const back = this.ecefToECI({ x: eci.x, y: -eci.y, z: eci.z }, ut1Time);
+        return { x: back.x, y: -back.y, z: back.z };
+    }
+
+    /**
+     * ECEF meters to east/north/up meters from a WGS84 observer { lat, lon, height }
+     */
+    static ecefToENU(ecef, observer) {
+        return Geodesy.ecefToENU(ecef, observer);
+    }
+
+    static enuToECEF(enu, observer) {
+        return Geodesy.enuToECEF(enu, observer);
+    }
+
+    /**
+     * East/north/up to azimuth (from north, through east), elevation (degrees), range
+     */
+    static enuToAER(enu) {
+        return Geodesy.enuToAER(enu);
+    }
+
+    static aerToENU(aer) {
+        return Geodesy.aerToENU(aer);
+    }
+
     /**
      * Validate frame compatibility
      */
@@ -320,28 +903,101 @@ export class FrameTransformer {
     }
 }
 
+// ===== FRAME GRAPH =====
+// Positions in meters. ECI shares ICRF axes (frame bias ignored); ECEF↔ECI
+// is the GMST rotation above, so precession-nutation is not modelled here.
+
+function requireObserver(context) {
+    if (!context.observer) {
+        throw new Error('Topocentric conversion needs an observer { lat, lon, height }');
+    }
+    return context.observer;
+}
+
+function ephemeris(context, name, jdTT) {
+    const provider = context[name];
+    if (!provider) {
+        throw new Error(`Conversion needs context.${name}(jdTT)`);
+    }
+    const km = provider(jdTT);
+    return { x: km.x * 1000, y: km.y * 1000, z: km.z * 1000 };
+}
+
+const earthBarycentric = context => ephemeris(
+    { earthPosition: lowPrecisionEarthPosition, ...context }, 'earthPosition', context.epoch(TIME_SCALES.TT)
+);
+const sunBarycentric = context => ephemeris(
+    { sunPosition: () => ({ x: 0, y: 0, z: 0 }), ...context }, 'sunPosition', context.epoch(TIME_SCALES.TT)
+);
+const moonGeocentric = context => ephemeris(context, 'moonPosition', context.epoch(TIME_SCALES.TT));
+
+FrameTransformer.registerEdge(FRAMES.ECEF, FRAMES.ECI,
+    (p, context) => FrameTransformer.ecefToECI(p, context.epoch(TIME_SCALES.UT1)));
+FrameTransformer.registerEdge(FRAMES.ECI, FRAMES.ECEF,
+    (p, context) => FrameTransformer.eciToECEF(p, context.epoch(TIME_SCALES.UT1)));
+
+FrameTransformer.registerEdge(FRAMES.ECEF, FRAMES.TOPOCENTRIC,
+    (p, context) => FrameTransformer.ecefToENU(p, requireObserver(context)));
+FrameTransformer.registerEdge(FRAMES.TOPOCENTRIC, FRAMES.ECEF,
+    (p, context) => FrameTransformer.enuToECEF(p, requireObserver(context)));
+
+FrameTransformer.registerEdge(FRAMES.ECI, FRAMES.ICRF_BARYCENTRIC,
+    (p, context) => translate(p, earthBarycentric(context), 1));
+FrameTransformer.registerEdge(FRAMES.ICRF_BARYCENTRIC, FRAMES.ECI,
+    (p, context) => translate(p, earthBarycentric(context), -1));
+
+FrameTransformer.registerEdge(FRAMES.ICRF_BARYCENTRIC, FRAMES.HELIOCENTRIC_ECLIPTIC,
+    (p, context) => rotateX(translate(p, sunBarycentric(context), -1), OBLIQUITY_J2000));
+FrameTransformer.registerEdge(FRAMES.HELIOCENTRIC_ECLIPTIC, FRAMES.ICRF_BARYCENTRIC,
+    (p, context) => translate(rotateX(p, -OBLIQUITY_J2000), sunBarycentric(context), 1));
+
+FrameTransformer.registerEdge(FRAMES.ECI, FRAMES.MOON_CENTERED,
+    (p, context) => translate(p, moonGeocentric(context), -1));
+FrameTransformer.registerEdge(FRAMES.MOON_CENTERED, FRAMES.ECI,
+    (p, context) => translate(p, moonGeocentric(context), 1));
+
 // ===== DATUM CONVERSION =====
 export class DatumConverter {
+    static geoidModel = null;
+    static warnedFallback = false;
+
+    /**
+     * Use a GeoidGrid (geoid-grid.js) for undulations; null restores the rough formula
+     */
+    static setGeoidModel(grid) {
+        this.geoidModel = grid;
+    }
+
     /**
      * Convert orthometric height (MSL) to ellipsoidal height
      * Requires geoid model (EGM96/EGM2008)
      */
     static orthometricToEllipsoidal(lat, lon, orthometricHeight) {
-        // Simplified: use approximate geoid undulation
-        // In production, interpolate from EGM2008 grid
-        const geoidUndulation = this.getGeoidUndulation(lat, lon);
+        return orthometricHeight + this.getGeoidUndulation(lat, lon);
+    }
 
-        return orthometricHeight + geoidUndulation;
+    /**
+     * Convert ellipsoidal height to orthometric height (MSL)
+     */
+    static ellipsoidalToOrthometric(lat, lon, ellipsoidalHeight) {
+        return ellipsoidalHeight - this.getGeoidUndulation(lat, lon);
     }
 
     /**
-     * Get geoid undulation (N) at location
-     * Simplified approximation - use EGM2008 in production
+     * Get geoid undulation (N) at location, bilinear from the installed grid
      */
     static getGeoidUndulation(lat, lon) {
+        if (this.geoidModel) {
+            return this.geoidModel.interpolate(lat, lon);
+        }
+
+        if (!this.warnedFallback) {
+            this.warnedFallback = true;
+            console.warn('[Geoid] ⚠ No geoid grid installed (DatumConverter.setGeoidModel); ' +
+                'using a rough approximation that can be off by 100m');
+        }
+
         // Rough approximation based on known values
-        // Mount Everest: ~29m
-        // Ocean: ~0m
         // Can vary from -106m to +85m globally
 
         // Simplified model (NOT accurate, for demonstration)
@@ -356,6 +1012,58 @@ export class DatumConverter {
 }
 
 // ===== VERIFICATION WITH CONTRACTS =====
+const ANGLE_PAIRS = [['ra', 'dec'], ['lon', 'lat'], ['az', 'alt']];
+
+function hasPosition(value) {
+    return ['x', 'y', 'z'].every(axis => typeof value[axis] === 'number');
+}
+
+function hasTime(value) {
+    return value.time instanceof Date || value.time instanceof JulianDate;
+}
+
+function positionInMeters(value) {
+    const scale = metersPer(value.unit);
+    return { x: value.x * scale, y: value.y * scale, z: value.z * scale };
+}
+
+/**
+ * Great-circle separation in arcseconds; (lon, lat) pairs in degrees
+ */
+function separationArcsec(lon1, lat1, lon2, lat2) {
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLon = (lon2 - lon1) * toRad;
+    const h = Math.sin(dLat / 2) ** 2 +
+              Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * Math.asin(Math.min(1, Math.sqrt(h))) / toRad * 3600;
+}
+
+/**
+ * a - b in seconds, both in `scale`; stays sub-millisecond for JulianDates
+ */
+function secondsBetween(a, b, scale) {
+    if (a instanceof JulianDate || b instanceof JulianDate) {
+        return TimeConverter.toJulianDate(a, scale).diffSeconds(TimeConverter.toJulianDate(b, scale));
+    }
+    return (a.getTime() - b.getTime()) / 1000;
+}
+
+/**
+ * Verifies simulated values against references under a registered contract.
+ *
+ * Values are plain objects tagged with `frame` / `timeScale` (falling back to
+ * the contract's) and carrying any of:
+ *   x, y, z (+ unit: 'm' | 'km' | 'au')   → tolerance.position_m
+ *   ra/dec, lon/lat or az/alt (degrees)    → tolerance.angle_arcsec
+ *   angle (degrees)                        → tolerance.angle_arcsec
+ *   time (Date or JulianDate)              → tolerance.time_s
+ *   value (number or Quantity)             → tolerance.relative or tolerance.value
+ *                                            (a number, in the reference's unit, or a Quantity)
+ *
+ * Everything the reference carries is compared. verify() reports a missing
+ * tolerance key or simulated field as a failure; compareWithTolerance() throws.
+ */
 export class ContractedVerifier {
     constructor() {
         this.contracts = new Map();
@@ -369,7 +1077,9 @@ export class ContractedVerifier {
     }
 
     /**
-     * Verify with explicit contract enforcement
+     * Verify with explicit contract enforcement.
+     * Returns { testId, passed, residuals, failures, conversions }; values that
+     * can't be aligned or compared come back as { passed: false, failures: [reason] }.
      */
     verify(testId, simulated, reference) {
         const contract = this.contracts.get(testId);
@@ -379,31 +1089,160 @@ export class ContractedVerifier {
 
         console.log(`🔬 Verifying ${testId} with ${contract.toString()}`);
 
-        // Ensure frame compatibility
-        FrameTransformer.validateFrameCompatibility(
-            simulated.frame,
-            reference.frame,
-            testId
-        );
+        const target = {
+            frame: reference.frame || contract.frame,
+            timeScale: reference.timeScale || contract.timeScale
+        };
+
+        let aligned = null;
+        let comparison;
+        try {
+            aligned = this.alignToReference(simulated, target, contract);
+            comparison = this.compareWithTolerance(aligned.value, reference, contract.tolerance);
+        } catch (error) {
+            console.warn(`✗ ${testId}: ${error.message}`);
+            return {
+                testId,
+                passed: false,
+                residuals: {},
+                failures: [error.message],
+                conversions: aligned ? aligned.conversions : []
+            };
+        }
+
+        const result = { testId, ...comparison, conversions: aligned.conversions };
+
+        const summary = Object.entries(result.residuals)
+            .map(([key, residual]) => `${key}=${residual.toExponential(3)}`)
+            .join(', ');
+        console.log(`${result.passed ? '✓' : '✗'} ${testId}: ${summary}`);
 
-        // Ensure time scale compatibility
-        if (simulated.timeScale !== reference.timeScale) {
-            console.warn(`⚠️  Time scale mismatch: ${simulated.timeScale} vs ${reference.timeScale}`);
+        return result;
+    }
+
+    /**
+     * Convert a simulated value into the reference's time scale and frame.
+     * Returns { value, conversions }; throws if a conversion isn't possible.
+     */
+    alignToReference(simulated, target, contract) {
+        const conversions = [];
+        const fromScale = simulated.timeScale || contract.timeScale;
+        const fromFrame = simulated.frame || contract.frame;
+        const value = { ...simulated, timeScale: target.timeScale, frame: target.frame };
+
+        if (fromFrame !== target.frame) {
+            if (ANGLE_PAIRS.some(([a, b]) => a in simulated && b in simulated) || 'angle' in simulated) {
+                throw new Error(`Cannot convert angles from ${fromFrame} to ${target.frame}`);
+            }
+            if (hasPosition(simulated)) {
+                Object.assign(value, FrameTransformer.convertPosition(
+                    simulated, fromFrame, target.frame, simulated.time, fromScale
+                ));
+                conversions.push(`frame ${fromFrame}→${target.frame}`);
+            }
         }
 
-        // Perform verification with contract-aware tolerance
-        return this.compareWithTolerance(simulated, reference, contract.tolerance);
+        if (fromScale !== target.timeScale && hasTime(simulated)) {
+            value.time = TimeConverter.convert(simulated.time, fromScale, target.timeScale);
+            conversions.push(`time ${fromScale}→${target.timeScale}`);
+        }
+
+        return { value, conversions };
     }
 
+    /**
+     * Compare everything the reference carries.
+     * Returns { passed, residuals, failures }. When several angle pairs share
+     * angle_arcsec, the residual is the worst of them.
+     */
     compareWithTolerance(simulated, reference, tolerance) {
-        // Implementation depends on what's being compared
-        // (position, angle, time, etc.)
-        return true; // Placeholder
+        const residuals = {};
+        const failures = [];
+
+        const check = (key, residual, limit = tolerance[key], label = key) => {
+            if (typeof limit !== 'number') {
+                throw new Error(`Contract tolerance has no ${key}`);
+            }
+            if (!(key in residuals) || !(Math.abs(residual) <= Math.abs(residuals[key]))) {
+                residuals[key] = residual;
+            }
+            if (!(Math.abs(residual) <= limit)) {
+                failures.push(`${label} residual ${residual.toExponential(3)} exceeds ${limit}`);
+            }
+        };
+
+        // A relative tolerance is undefined against zero; fall back to tolerance.value
+        const useRelative = (referenceValue) => {
+            if (typeof tolerance.relative !== 'number') return false;
+            if (referenceValue !== 0) return true;
+            if (tolerance.value === undefined) {
+                throw new Error('Reference value is 0, so the relative tolerance is undefined; add a value tolerance');
+            }
+            return false;
+        };
+
+        const expectPresent = (present, what) => {
+            if (!present) {
+                throw new Error(`Simulated value has no ${what} to compare`);
+            }
+        };
+
+        if (hasPosition(reference)) {
+            expectPresent(hasPosition(simulated), 'position');
+            const a = positionInMeters(simulated);
+            const b = positionInMeters(reference);
+            check('position_m', Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z));
+        }
+
+        for (const [lonKey, latKey] of ANGLE_PAIRS) {
+            if (!(lonKey in reference && latKey in reference)) continue;
+            expectPresent(lonKey in simulated && latKey in simulated, `${lonKey}/${latKey}`);
+            check('angle_arcsec', separationArcsec(
+                simulated[lonKey], simulated[latKey], reference[lonKey], reference[latKey]
+            ), undefined, `angle_arcsec (${lonKey}/${latKey})`);
+        }
+
+        if (typeof reference.angle === 'number') {
+            expectPresent(typeof simulated.angle === 'number', 'angle');
+            // Wrap to (-180°, 180°] so 359° vs 1° is 2°, not 358°
+            const diff = ((simulated.angle - reference.angle) % 360 + 540) % 360 - 180;
+            check('angle_arcsec', diff * 3600);
+        }
+
+        if (hasTime(reference)) {
+            expectPresent(hasTime(simulated), 'time');
+            check('time_s', secondsBetween(simulated.time, reference.time, reference.timeScale || simulated.timeScale));
+        }
+
+        if (reference.value instanceof Quantity) {
+            expectPresent(simulated.value instanceof Quantity, 'value Quantity');
+            // Residual in the reference's unit; a plain-number tolerance is taken to be in it too
+            const residual = simulated.value.sub(reference.value);
+            if (useRelative(reference.value.value)) {
+                check('relative', residual.ratio(reference.value.abs()));
+            } else {
+                check('value', residual.value, toUnit(tolerance.value, residual.unit));
+            }
+        } else if (typeof reference.value === 'number') {
+            expectPresent(typeof simulated.value === 'number', 'value');
+            if (useRelative(reference.value)) {
+                check('relative', (simulated.value - reference.value) / Math.abs(reference.value));
+            } else {
+                check('value', simulated.value - reference.value);
+            }
+        }
+
+        if (Object.keys(residuals).length === 0) {
+            throw new Error('Reference has nothing to compare (position, angles, time or value)');
+        }
+
+        return { passed: failures.length === 0, residuals, failures };
     }
 }
 
 export default {
     TruthContract,
+    JulianDate,
     TimeConverter,
     FrameTransformer,
     DatumConverter,
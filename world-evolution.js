@@ -8,6 +8,9 @@
  */
 
 import * as THREE from 'three';
+import { isHeadless } from './headless.js';
+import { GAME_EVENTS } from './event-bus.js';
+import { SeededRandom } from './seeded-random.js';
 
 // ===== SEASONS =====
 export const SEASONS = {
@@ -198,10 +201,19 @@ export class SeasonManager {
         this.seasonProgress = 0; // 0-1
         this.seasonCycle = ['spring', 'summer', 'autumn', 'winter'];
         this.transitionDuration = 10; // seconds
+        this.transitionRemaining = 0;
         this.isTransitioning = false;
     }
 
     update(deltaTime) {
+        // Transition runs on simulation time so headless runs stay deterministic
+        if (this.isTransitioning) {
+            this.transitionRemaining -= deltaTime;
+            if (this.transitionRemaining <= 0) {
+                this.isTransitioning = false;
+            }
+        }
+
         const season = SEASONS[this.currentSeason];
         this.seasonProgress += deltaTime / season.duration;
 
@@ -218,13 +230,10 @@ export class SeasonManager {
         console.log(`🍂 Season changing: ${this.currentSeason} → ${nextSeason}`);
 
         this.isTransitioning = true;
+        this.transitionRemaining = this.transitionDuration;
         this.currentSeason = nextSeason;
         this.seasonProgress = 0;
 
-        setTimeout(() => {
-            this.isTransitioning = false;
-        }, this.transitionDuration * 1000);
-
         return {
             from: this.seasonCycle[currentIndex],
             to: nextSeason,
@@ -250,8 +259,9 @@ export class SeasonManager {
 
 // ===== EVENT MANAGER =====
 export class WorldEventManager {
-    constructor(scene) {
+    constructor(scene, rng = new SeededRandom()) {
         this.scene = scene;
+        this.rng = rng;
         this.activeEvents = [];
         this.eventHistory = [];
         this.worldStats = {
@@ -260,6 +270,7 @@ export class WorldEventManager {
             discovery: 0,
             playersOnline: 1
         };
+        this.bus = null;
     }
 
     update(deltaTime, context = {}) {
@@ -304,7 +315,7 @@ export class WorldEventManager {
         const triggers = eventDef.triggers;
 
         // Check random chance
-        if (triggers.random && Math.random() > triggers.random) {
+        if (triggers.random && this.rng.next() > triggers.random) {
             return false;
         }
 
@@ -352,6 +363,11 @@ export class WorldEventManager {
         });
 
         console.log(`✨ EVENT: ${event.name}! ${event.description}`);
+        this.bus?.publish(GAME_EVENTS.WORLD_EVENT, {
+            id: eventId,
+            name: event.name,
+            description: event.description
+        }, 'evolution');
 
         // Apply effects
         this.applyEventEffects(event);
@@ -391,6 +407,8 @@ export class WorldEventManager {
     }
 
     spawnStardust() {
+        if (isHeadless(this.scene)) return;
+
         // Create falling star particles
         const count = 50;
         for (let i = 0; i < count; i++) {
@@ -607,21 +625,54 @@ export class WorldMemory {
 
 // ===== MAIN WORLD EVOLUTION MANAGER =====
 export class WorldEvolutionManager {
-    constructor(scene) {
+    constructor(scene, rng = new SeededRandom()) {
         this.scene = scene;
         this.seasons = new SeasonManager();
-        this.events = new WorldEventManager(scene);
+        this.events = new WorldEventManager(scene, rng);
         this.ecosystem = new EcosystemManager();
         this.memory = new WorldMemory();
         this.evolutionStage = 0;
         this.worldAge = 0;
+
+        this.bus = null;
+        this.unsubscribeBus = null;
+    }
+
+    // ===== EVENT BUS =====
+    /**
+     * Feed player actions that carry an impact into the world, and publish
+     * season changes, world events and evolution
+     */
+    connectEvents(bus) {
+        this.disconnectEvents();
+        this.bus = bus;
+        this.events.bus = bus;
+        this.unsubscribeBus = bus.on('*', ({ type, payload }) => {
+            if (payload.impact) {
+                this.recordPlayerAction(type, payload.impact);
+            }
+        });
+    }
+
+    disconnectEvents() {
+        if (this.unsubscribeBus) this.unsubscribeBus();
+        this.unsubscribeBus = null;
+        this.bus = null;
+        this.events.bus = null;
     }
 
     update(deltaTime, context = {}) {
         this.worldAge += deltaTime;
 
         // Update season
+        const previousSeason = this.seasons.currentSeason;
         this.seasons.update(deltaTime);
+        if (this.seasons.currentSeason !== previousSeason) {
+            this.bus?.publish(GAME_EVENTS.SEASON_CHANGE, {
+                from: previousSeason,
+                to: this.seasons.currentSeason
+            }, 'evolution');
+        }
 
         // Add season to context
         context.season = this.seasons.currentSeason;
@@ -661,6 +712,7 @@ export class WorldEvolutionManager {
         console.log(`🌟 WORLD EVOLUTION: Stage ${this.evolutionStage} - ${stage}`);
 
         this.memory.remember(`World evolved to ${stage}`, 1.0);
+        this.bus?.publish(GAME_EVENTS.WORLD_EVOLVE, { stage: this.evolutionStage, name: stage }, 'evolution');
 
         return {
             stage: this.evolutionStage,